@@ -35,15 +35,23 @@ module.exports = function(grunt) {
             "src/controldock.js",
             "src/placement.js",
             "src/viewer.js",
+            "src/renderscheduler.js",
             "src/navigator.js",
+            "src/keymap.js",
+            "src/viewportannouncer.js",
             "src/strings.js",
             "src/point.js",
             //"src/profiler.js",
             "src/tilesource.js",
             "src/dzitilesource.js",
+            "src/dzctilesource.js",
             "src/iiiftilesource.js",
+            "src/iiifmanifesttilesource.js",
             "src/osmtilesource.js",
             "src/tmstilesource.js",
+            "src/xyztilesource.js",
+            "src/tifftilesource.js",
+            "src/proceduraltilesource.js",
             "src/zoomifytilesource.js",
             "src/legacytilesource.js",
             "src/imagetilesource.js",
@@ -57,10 +65,19 @@ module.exports = function(grunt) {
             "src/imageloader.js",
             "src/tile.js",
             "src/overlay.js",
+            "src/svglayer.js",
+            "src/annotation.js",
+            "src/annotationlayer.js",
+            "src/webannotationcodec.js",
+            "src/scalebar.js",
+            "src/measuretool.js",
             "src/drawer.js",
+            "src/webgldrawer.js",
             "src/viewport.js",
+            "src/filters.js",
             "src/tiledimage.js",
             "src/tilecache.js",
+            "src/persistenttilecache.js",
             "src/world.js"
         ];
 
@@ -0,0 +1,182 @@
+/*
+ * OpenSeadragon - Annotation
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * An enumeration of the shapes an {@link OpenSeadragon.Annotation} can have.
+ * @member AnnotationType
+ * @memberof OpenSeadragon
+ * @static
+ * @readonly
+ * @property {String} RECT A rectangle, given by two opposite corners.
+ * @property {String} ELLIPSE An ellipse, given by two opposite corners of its
+ * bounding box.
+ * @property {String} POLYGON A closed shape through its points.
+ * @property {String} POLYLINE An open line through its points.
+ * @property {String} FREEHAND An open line drawn by hand.
+ */
+$.AnnotationType = $.freezeObject({
+    RECT: 'rect',
+    ELLIPSE: 'ellipse',
+    POLYGON: 'polygon',
+    POLYLINE: 'polyline',
+    FREEHAND: 'freehand'
+});
+
+var nextId = 0;
+
+/**
+ * @class Annotation
+ * @classdesc A vector shape in image coordinates, drawn by an
+ * {@link OpenSeadragon.AnnotationLayer}.
+ *
+ * @memberof OpenSeadragon
+ * @param {Object} options
+ * @param {OpenSeadragon.AnnotationType} options.type
+ * @param {OpenSeadragon.Point[]} options.points - The points of the shape, in
+ * image pixels. Rectangles and ellipses take two opposite corners.
+ * @param {String} [options.id] - Generated if not given.
+ * @param {Object} [options.style] - SVG presentation attributes for the
+ * shape, in camel case (stroke, strokeWidth, fill, fillOpacity...). They
+ * override the style of the layer.
+ * @param {Object} [options.data] - Arbitrary data to keep with the annotation.
+ */
+$.Annotation = function( options ) {
+    var types = Object.keys( $.AnnotationType ).map( function( key ) {
+        return $.AnnotationType[ key ];
+    });
+    $.console.assert( types.indexOf( options.type ) !== -1,
+        "[Annotation] unknown type " + options.type );
+
+    /**
+     * @member {String} id
+     * @memberof OpenSeadragon.Annotation#
+     */
+    this.id = options.id || 'annotation-' + ( ++nextId );
+    /**
+     * @member {OpenSeadragon.AnnotationType} type
+     * @memberof OpenSeadragon.Annotation#
+     */
+    this.type = options.type;
+    /**
+     * The points of the shape, in image pixels.
+     * @member {OpenSeadragon.Point[]} points
+     * @memberof OpenSeadragon.Annotation#
+     */
+    this.points = ( options.points || [] ).map( function( point ) {
+        return new $.Point( point.x, point.y );
+    });
+    /**
+     * @member {Object} style
+     * @memberof OpenSeadragon.Annotation#
+     */
+    this.style = $.extend( {}, options.style );
+    /**
+     * @member {Object} data
+     * @memberof OpenSeadragon.Annotation#
+     */
+    this.data = options.data;
+};
+
+/** @lends OpenSeadragon.Annotation.prototype */
+$.Annotation.prototype = {
+
+    /**
+     * @function
+     * @returns {Boolean} Whether the shape is given by two corners rather than
+     * by its outline.
+     */
+    isBox: function() {
+        return this.type === $.AnnotationType.RECT || this.type === $.AnnotationType.ELLIPSE;
+    },
+
+    /**
+     * @function
+     * @returns {OpenSeadragon.Rect} The bounding box of the shape, in image pixels.
+     */
+    getBounds: function() {
+        if ( !this.points.length ) {
+            return new $.Rect( 0, 0, 0, 0 );
+        }
+        var minX = Infinity;
+        var minY = Infinity;
+        var maxX = -Infinity;
+        var maxY = -Infinity;
+        this.points.forEach( function( point ) {
+            minX = Math.min( minX, point.x );
+            minY = Math.min( minY, point.y );
+            maxX = Math.max( maxX, point.x );
+            maxY = Math.max( maxY, point.y );
+        });
+        return new $.Rect( minX, minY, maxX - minX, maxY - minY );
+    },
+
+    /**
+     * Moves the shape.
+     * @function
+     * @param {OpenSeadragon.Point} delta - In image pixels.
+     */
+    translate: function( delta ) {
+        this.points = this.points.map( function( point ) {
+            return point.plus( delta );
+        });
+    },
+
+    /**
+     * @function
+     * @returns {OpenSeadragon.Annotation} A copy of this annotation, with the same id.
+     */
+    clone: function() {
+        return new $.Annotation( this.toJSON() );
+    },
+
+    /**
+     * @function
+     * @returns {Object} A plain object, from which the annotation can be
+     * created again.
+     */
+    toJSON: function() {
+        return {
+            id: this.id,
+            type: this.type,
+            points: this.points.map( function( point ) {
+                return { x: point.x, y: point.y };
+            }),
+            style: $.extend( {}, this.style ),
+            data: this.data
+        };
+    }
+};
+
+}( OpenSeadragon ));
@@ -0,0 +1,788 @@
+/*
+ * OpenSeadragon - AnnotationLayer
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var SVG_NS = 'http://www.w3.org/2000/svg';
+
+var DEFAULT_STYLE = {
+    stroke: '#ffd400',
+    strokeWidth: 2,
+    fill: 'none'
+};
+
+var DEFAULT_SELECTED_STYLE = {
+    stroke: '#00e5ff'
+};
+
+/**
+ * @class AnnotationLayer
+ * @classdesc Draws {@link OpenSeadragon.Annotation}s on an SVG element over
+ * the viewer, in sync with the viewport, and provides tools to draw, select,
+ * move, resize and reshape them. While a tool is in use, the viewer doesn't
+ * pan or zoom on drags and clicks over the layer; the mouse wheel still zooms.
+ * <br><br>
+ * Keyboard, with the focus on the viewer: Escape cancels the shape being
+ * drawn, Enter finishes a polygon or polyline, Delete removes the selected
+ * annotation.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.SvgLayer
+ * @param {Object} options
+ * @param {OpenSeadragon.Viewer} options.viewer
+ * @param {OpenSeadragon.TiledImage} [options.item] - The image whose pixels
+ * the annotations are in. Defaults to the first item of the world.
+ * @param {?String} [options.tool=null] - See {@link OpenSeadragon.AnnotationLayer#setTool}.
+ * @param {Object} [options.style] - SVG presentation attributes for the
+ * annotations, in camel case. See {@link OpenSeadragon.Annotation}.
+ * @param {Object} [options.selectedStyle] - Overrides the style of the
+ * selected annotation.
+ * @param {Number} [options.handleSize=8] - The size of the handles of the
+ * selected annotation, in pixels.
+ * @param {Number} [options.freehandTolerance=3] - The distance, in pixels,
+ * the pointer has to move before a freehand line gets a new point.
+ */
+$.AnnotationLayer = function( options ) {
+    $.console.assert( options.viewer, "[AnnotationLayer] options.viewer is required" );
+
+    var _this = this;
+
+    $.SvgLayer.call( this, {
+        viewer: options.viewer,
+        item: options.item,
+        className: 'openseadragon-annotations',
+        tracker: {
+            userData:         'AnnotationLayer.tracker',
+            pressHandler:     $.delegate( this, onPress ),
+            dragHandler:      $.delegate( this, onDrag ),
+            releaseHandler:   $.delegate( this, onRelease ),
+            clickHandler:     $.delegate( this, onClick ),
+            dblClickHandler:  $.delegate( this, onDblClick ),
+            moveHandler:      $.delegate( this, onMove )
+        },
+        viewerHandlers: {
+            'update-viewport': function() {
+                _this.redraw();
+            },
+            'canvas-key': function( event ) {
+                onKey.call( _this, event );
+            },
+            'canvas-click': function( event ) {
+                if ( event.quick && _this._tool === 'select' ) {
+                    _this.select( null );
+                }
+            }
+        }
+    });
+
+    this.style = $.extend( {}, DEFAULT_STYLE, options.style );
+    this.selectedStyle = $.extend( {}, DEFAULT_SELECTED_STYLE, options.selectedStyle );
+    this.handleSize = options.handleSize || 8;
+    this.freehandTolerance = options.freehandTolerance || 3;
+
+    this._annotations = [];
+    this._shapes = {};
+    this._selected = null;
+    this._tool = null;
+    // The annotation being drawn, not yet in the layer.
+    this._draft = null;
+    this._draftShape = null;
+    this._lastFreehandPixel = null;
+    // The selected annotation while it's moved or reshaped.
+    this._edit = null;
+
+    this._shapeGroup = document.createElementNS( SVG_NS, 'g' );
+    this._handleGroup = document.createElementNS( SVG_NS, 'g' );
+    this.element.appendChild( this._shapeGroup );
+    this.element.appendChild( this._handleGroup );
+
+    this.setTool( options.tool || null );
+};
+
+$.extend( $.AnnotationLayer.prototype, $.SvgLayer.prototype, /** @lends OpenSeadragon.AnnotationLayer.prototype */{
+
+    /**
+     * @function
+     * @param {OpenSeadragon.Annotation|Object} annotation - An annotation, or
+     * the options to create one.
+     * @returns {OpenSeadragon.Annotation} The annotation added.
+     * @fires OpenSeadragon.AnnotationLayer.event:annotation-add
+     */
+    addAnnotation: function( annotation ) {
+        if ( !( annotation instanceof $.Annotation ) ) {
+            annotation = new $.Annotation( annotation );
+        }
+        if ( this.getAnnotation( annotation.id ) ) {
+            $.console.error( "[AnnotationLayer.addAnnotation] the layer already has an annotation %s", annotation.id );
+            return this.getAnnotation( annotation.id );
+        }
+
+        this._annotations.push( annotation );
+        this._shapes[ annotation.id ] = createShape( annotation.type );
+        this._shapes[ annotation.id ].setAttribute( 'data-annotation-id', annotation.id );
+        this._shapeGroup.appendChild( this._shapes[ annotation.id ] );
+        this.redraw();
+
+        /**
+         * Raised when an annotation is added, by a call or a drawing tool.
+         *
+         * @event annotation-add
+         * @memberof OpenSeadragon.AnnotationLayer
+         * @type {object}
+         * @property {OpenSeadragon.AnnotationLayer} eventSource - A reference to the layer which raised the event.
+         * @property {OpenSeadragon.Annotation} annotation
+         * @property {?Object} userData - Arbitrary subscriber-defined object.
+         */
+        this.raiseEvent( 'annotation-add', { annotation: annotation } );
+        return annotation;
+    },
+
+    /**
+     * @function
+     * @param {OpenSeadragon.Annotation|String} annotation - The annotation or its id.
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     * @fires OpenSeadragon.AnnotationLayer.event:annotation-remove
+     */
+    removeAnnotation: function( annotation ) {
+        annotation = this.getAnnotation( annotation );
+        if ( !annotation ) {
+            return this;
+        }
+        if ( this._selected === annotation ) {
+            this.select( null );
+        }
+
+        this._annotations.splice( this._annotations.indexOf( annotation ), 1 );
+        this._shapeGroup.removeChild( this._shapes[ annotation.id ] );
+        delete this._shapes[ annotation.id ];
+
+        /**
+         * Raised when an annotation is removed.
+         *
+         * @event annotation-remove
+         * @memberof OpenSeadragon.AnnotationLayer
+         * @type {object}
+         * @property {OpenSeadragon.AnnotationLayer} eventSource - A reference to the layer which raised the event.
+         * @property {OpenSeadragon.Annotation} annotation
+         * @property {?Object} userData - Arbitrary subscriber-defined object.
+         */
+        this.raiseEvent( 'annotation-remove', { annotation: annotation } );
+        return this;
+    },
+
+    /**
+     * Removes all the annotations.
+     * @function
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     */
+    clear: function() {
+        while ( this._annotations.length ) {
+            this.removeAnnotation( this._annotations[ this._annotations.length - 1 ] );
+        }
+        return this;
+    },
+
+    /**
+     * @function
+     * @param {OpenSeadragon.Annotation|String} annotation - The annotation or its id.
+     * @returns {OpenSeadragon.Annotation} The annotation in this layer, or null.
+     */
+    getAnnotation: function( annotation ) {
+        var id = annotation instanceof $.Annotation ? annotation.id : annotation;
+        for ( var i = 0; i < this._annotations.length; i++ ) {
+            if ( this._annotations[ i ].id === id ) {
+                return this._annotations[ i ];
+            }
+        }
+        return null;
+    },
+
+    /**
+     * @function
+     * @returns {OpenSeadragon.Annotation[]} The annotations, in drawing order.
+     */
+    getAnnotations: function() {
+        return this._annotations.slice();
+    },
+
+    /**
+     * Redraws an annotation whose points or style were changed by the caller.
+     * @function
+     * @param {OpenSeadragon.Annotation|String} annotation - The annotation or its id.
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     * @fires OpenSeadragon.AnnotationLayer.event:annotation-change
+     */
+    updateAnnotation: function( annotation ) {
+        annotation = this.getAnnotation( annotation );
+        if ( annotation ) {
+            this.redraw();
+            raiseChange( this, annotation, 'update' );
+        }
+        return this;
+    },
+
+    /**
+     * @function
+     * @param {?OpenSeadragon.Annotation|String} annotation - The annotation or
+     * its id, or null to clear the selection.
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     * @fires OpenSeadragon.AnnotationLayer.event:annotation-select
+     */
+    select: function( annotation ) {
+        annotation = annotation ? this.getAnnotation( annotation ) : null;
+        if ( annotation === this._selected ) {
+            return this;
+        }
+        var previous = this._selected;
+        this._selected = annotation;
+        this._edit = null;
+        this.redraw();
+
+        /**
+         * Raised when the selection changes.
+         *
+         * @event annotation-select
+         * @memberof OpenSeadragon.AnnotationLayer
+         * @type {object}
+         * @property {OpenSeadragon.AnnotationLayer} eventSource - A reference to the layer which raised the event.
+         * @property {?OpenSeadragon.Annotation} annotation - The selected annotation, or null.
+         * @property {?OpenSeadragon.Annotation} previous - The annotation selected before, or null.
+         * @property {?Object} userData - Arbitrary subscriber-defined object.
+         */
+        this.raiseEvent( 'annotation-select', {
+            annotation: annotation,
+            previous: previous
+        });
+        return this;
+    },
+
+    /**
+     * @function
+     * @returns {?OpenSeadragon.Annotation} The selected annotation, or null.
+     */
+    getSelected: function() {
+        return this._selected;
+    },
+
+    /**
+     * Chooses what dragging and clicking on the viewer does.
+     * <ul>
+     * <li>null: nothing; the viewer navigates as usual.</li>
+     * <li>'select': click an annotation to select it, drag it to move it,
+     * drag its corner handles to resize a rectangle or an ellipse, drag its
+     * vertex handles to reshape a polygon or a polyline. Dragging elsewhere
+     * pans the viewer.</li>
+     * <li>'rect', 'ellipse', 'freehand': drag to draw the shape.</li>
+     * <li>'polygon', 'polyline': click to add each point; double-click,
+     * press Enter or click the first point of a polygon to finish.</li>
+     * </ul>
+     * @function
+     * @param {?String} tool - null, 'select' or an {@link OpenSeadragon.AnnotationType}.
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     * @fires OpenSeadragon.AnnotationLayer.event:annotation-tool-change
+     */
+    setTool: function( tool ) {
+        tool = tool || null;
+        if ( tool !== null && tool !== 'select' && !isType( tool ) ) {
+            $.console.error( "[AnnotationLayer.setTool] unknown tool %s", tool );
+            return this;
+        }
+        if ( tool === this._tool ) {
+            return this;
+        }
+
+        var previous = this._tool;
+        this.cancelDrawing();
+        if ( tool !== 'select' ) {
+            this.select( null );
+        }
+        this._tool = tool;
+        // Drawing tools take all the pointer events; the select tool only
+        // those on the annotations.
+        this.element.style.pointerEvents = isType( tool ) ? 'auto' : 'none';
+        this.redraw();
+
+        /**
+         * Raised when the tool changes.
+         *
+         * @event annotation-tool-change
+         * @memberof OpenSeadragon.AnnotationLayer
+         * @type {object}
+         * @property {OpenSeadragon.AnnotationLayer} eventSource - A reference to the layer which raised the event.
+         * @property {?String} tool - The new tool.
+         * @property {?String} previous - The tool before.
+         * @property {?Object} userData - Arbitrary subscriber-defined object.
+         */
+        this.raiseEvent( 'annotation-tool-change', {
+            tool: tool,
+            previous: previous
+        });
+        return this;
+    },
+
+    /**
+     * @function
+     * @returns {?String} The current tool; see {@link OpenSeadragon.AnnotationLayer#setTool}.
+     */
+    getTool: function() {
+        return this._tool;
+    },
+
+    /**
+     * Drops the shape being drawn, if any.
+     * @function
+     * @returns {OpenSeadragon.AnnotationLayer} Chainable.
+     */
+    cancelDrawing: function() {
+        if ( this._draft ) {
+            this._shapeGroup.removeChild( this._draftShape );
+            this._draft = null;
+            this._draftShape = null;
+        }
+        return this;
+    },
+
+    /**
+     * Updates the SVG for the current viewport. Called on every redraw of the
+     * viewer.
+     * @function
+     */
+    redraw: function() {
+        var _this = this;
+        var item = this._getItem();
+        this._shapeGroup.style.display = item ? '' : 'none';
+        this._handleGroup.style.display = item ? '' : 'none';
+        if ( !item ) {
+            return;
+        }
+
+        // Shapes are in image pixels, mapped to the screen by the transform.
+        var origin = this._toPixel( new $.Point( 0, 0 ) );
+        var unitX = this._toPixel( new $.Point( 1, 0 ) ).minus( origin );
+        var unitY = this._toPixel( new $.Point( 0, 1 ) ).minus( origin );
+        this._shapeGroup.setAttribute( 'transform', 'matrix(' + [
+            unitX.x, unitX.y, unitY.x, unitY.y, origin.x, origin.y
+        ].join( ' ' ) + ')' );
+
+        var selectable = this._tool === 'select';
+        this._annotations.forEach( function( annotation ) {
+            var shape = _this._shapes[ annotation.id ];
+            var style = $.extend( {}, _this.style, annotation.style,
+                annotation === _this._selected ? _this.selectedStyle : null );
+            updateShape( shape, annotation, style );
+            shape.style.pointerEvents = !selectable ? 'none' :
+                annotation.type === $.AnnotationType.POLYLINE ||
+                annotation.type === $.AnnotationType.FREEHAND ? 'visibleStroke' : 'visible';
+            shape.style.cursor = selectable ? 'move' : '';
+        });
+        if ( this._draft ) {
+            updateShape( this._draftShape, this._draft, $.extend( {}, this.style, this._draft.style ) );
+        }
+
+        this._drawHandles();
+    },
+
+    /**
+     * Removes the layer from the viewer.
+     * @function
+     */
+    destroy: function() {
+        $.SvgLayer.prototype.destroy.call( this );
+        this._annotations = [];
+        this._shapes = {};
+        this._selected = null;
+        this._draft = null;
+        this._edit = null;
+    },
+
+    // private
+    _getHandlePoints: function( annotation ) {
+        if ( annotation.isBox() ) {
+            var bounds = annotation.getBounds();
+            return [
+                bounds.getTopLeft(),
+                bounds.getTopRight(),
+                bounds.getBottomRight(),
+                bounds.getBottomLeft()
+            ];
+        }
+        // A freehand line has too many points to edit them one by one.
+        return annotation.type === $.AnnotationType.FREEHAND ? [] : annotation.points;
+    },
+
+    // private
+    _drawHandles: function() {
+        var _this = this;
+        var handles = this._tool === 'select' && this._selected ?
+            this._getHandlePoints( this._selected ) : [];
+        var size = this.handleSize;
+
+        while ( this._handleGroup.childNodes.length > handles.length ) {
+            this._handleGroup.removeChild( this._handleGroup.lastChild );
+        }
+        handles.forEach( function( point, i ) {
+            var handle = _this._handleGroup.childNodes[ i ];
+            if ( !handle ) {
+                handle = document.createElementNS( SVG_NS, 'rect' );
+                handle.setAttribute( 'class', 'openseadragon-annotation-handle' );
+                handle.setAttribute( 'data-handle', String( i ) );
+                handle.setAttribute( 'width', size );
+                handle.setAttribute( 'height', size );
+                handle.setAttribute( 'fill', '#fff' );
+                handle.setAttribute( 'stroke', '#000' );
+                handle.style.pointerEvents = 'visible';
+                handle.style.cursor = 'crosshair';
+                _this._handleGroup.appendChild( handle );
+            }
+            var pixel = _this._toPixel( point );
+            handle.setAttribute( 'x', pixel.x - size / 2 );
+            handle.setAttribute( 'y', pixel.y - size / 2 );
+        });
+    },
+
+    // private
+    _startDrawing: function( points ) {
+        this.cancelDrawing();
+        this._draft = new $.Annotation({
+            type: this._tool,
+            points: points
+        });
+        this._draftShape = createShape( this._tool );
+        this._draftShape.style.pointerEvents = 'none';
+        this._shapeGroup.appendChild( this._draftShape );
+        this.redraw();
+    },
+
+    // private
+    _finishDrawing: function() {
+        var _this = this;
+        var draft = this._draft;
+        if ( !draft ) {
+            return;
+        }
+        this.cancelDrawing();
+
+        var points = draft.points;
+        if ( draft.type === $.AnnotationType.POLYGON || draft.type === $.AnnotationType.POLYLINE ) {
+            // Drop the point following the pointer, and the points added twice
+            // by the clicks of a double-click.
+            points.pop();
+            points = points.filter( function( point, i ) {
+                return i === 0 || _this._toPixel( point ).distanceTo(
+                    _this._toPixel( points[ i - 1 ] ) ) > _this.handleSize / 2;
+            });
+        }
+        draft.points = points;
+
+        var bounds = draft.getBounds();
+        var valid;
+        switch ( draft.type ) {
+            case $.AnnotationType.RECT:
+            case $.AnnotationType.ELLIPSE:
+                valid = bounds.width > 0 && bounds.height > 0;
+                break;
+            case $.AnnotationType.POLYGON:
+                valid = points.length >= 3;
+                break;
+            default:
+                valid = points.length >= 2;
+        }
+        if ( valid ) {
+            this.addAnnotation( draft );
+        } else {
+            this.redraw();
+        }
+    }
+});
+
+/**
+ * @private
+ * @inner
+ * Starts a shape, a move or a reshape.
+ */
+function onPress( event ) {
+    if ( !this._getItem() ) {
+        return;
+    }
+    var point = this._toImage( event.position );
+
+    if ( this._tool === 'select' ) {
+        var target = event.originalEvent && event.originalEvent.target;
+        var handle = target && target.getAttribute ? target.getAttribute( 'data-handle' ) : null;
+        var id = target && target.getAttribute ? target.getAttribute( 'data-annotation-id' ) : null;
+        if ( handle === null && id ) {
+            this.select( id );
+        }
+        if ( this._selected && ( handle !== null || id ) ) {
+            this._edit = {
+                annotation: this._selected,
+                handle: handle === null ? -1 : parseInt( handle, 10 ),
+                start: point,
+                points: this._selected.points.slice(),
+                corners: this._getHandlePoints( this._selected ),
+                changed: false
+            };
+        }
+        return;
+    }
+
+    if ( this._tool === $.AnnotationType.RECT || this._tool === $.AnnotationType.ELLIPSE ) {
+        this._startDrawing( [ point, point ] );
+    } else if ( this._tool === $.AnnotationType.FREEHAND ) {
+        this._startDrawing( [ point ] );
+        this._lastFreehandPixel = event.position;
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function onDrag( event ) {
+    if ( !this._getItem() ) {
+        return;
+    }
+    var point = this._toImage( event.position );
+    var edit = this._edit;
+
+    if ( edit ) {
+        var annotation = edit.annotation;
+        if ( edit.handle === -1 ) {
+            var delta = point.minus( edit.start );
+            annotation.points = edit.points.map( function( original ) {
+                return original.plus( delta );
+            });
+        } else if ( annotation.isBox() ) {
+            // Resize from the opposite corner.
+            annotation.points = [ edit.corners[ ( edit.handle + 2 ) % 4 ], point ];
+        } else {
+            annotation.points = edit.points.slice();
+            annotation.points[ edit.handle ] = point;
+        }
+        edit.changed = true;
+        this.redraw();
+        return;
+    }
+
+    if ( !this._draft ) {
+        return;
+    }
+    if ( this._draft.isBox() ) {
+        this._draft.points[ 1 ] = point;
+    } else if ( this._draft.type === $.AnnotationType.FREEHAND &&
+        event.position.distanceTo( this._lastFreehandPixel ) >= this.freehandTolerance ) {
+        this._draft.points.push( point );
+        this._lastFreehandPixel = event.position;
+    }
+    this.redraw();
+}
+
+/**
+ * @private
+ * @inner
+ * Ends a drag-drawn shape, a move or a reshape.
+ */
+function onRelease() {
+    var edit = this._edit;
+    this._edit = null;
+    if ( edit && edit.changed ) {
+        raiseChange( this, edit.annotation, edit.handle === -1 ? 'move' :
+            edit.annotation.isBox() ? 'resize' : 'vertex' );
+    }
+
+    if ( this._draft && ( this._draft.isBox() || this._draft.type === $.AnnotationType.FREEHAND ) ) {
+        this._finishDrawing();
+    }
+}
+
+/**
+ * @private
+ * @inner
+ * Adds a point to a polygon or polyline.
+ */
+function onClick( event ) {
+    if ( !this._getItem() || !event.quick ||
+        ( this._tool !== $.AnnotationType.POLYGON && this._tool !== $.AnnotationType.POLYLINE ) ) {
+        return;
+    }
+    var point = this._toImage( event.position );
+
+    if ( !this._draft ) {
+        // The last point follows the pointer until the next click.
+        this._startDrawing( [ point, point ] );
+        return;
+    }
+
+    var points = this._draft.points;
+    if ( this._tool === $.AnnotationType.POLYGON && points.length > 3 &&
+        event.position.distanceTo( this._toPixel( points[ 0 ] ) ) <= this.handleSize ) {
+        // Closed on the first point.
+        this._finishDrawing();
+        return;
+    }
+    points[ points.length - 1 ] = point;
+    points.push( point );
+    this.redraw();
+}
+
+/**
+ * @private
+ * @inner
+ */
+function onDblClick() {
+    if ( this._draft && !this._draft.isBox() && this._draft.type !== $.AnnotationType.FREEHAND ) {
+        this._finishDrawing();
+    }
+}
+
+/**
+ * @private
+ * @inner
+ * Moves the last point of a polygon or polyline with the pointer.
+ */
+function onMove( event ) {
+    if ( this._draft && !this._draft.isBox() && this._draft.type !== $.AnnotationType.FREEHAND ) {
+        this._draft.points[ this._draft.points.length - 1 ] = this._toImage( event.position );
+        this.redraw();
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function onKey( event ) {
+    if ( $.Keymap.matches( event, 'Escape' ) ) {
+        if ( this._draft ) {
+            this.cancelDrawing();
+            this.redraw();
+            event.preventDefaultAction = true;
+        }
+    } else if ( $.Keymap.matches( event, 'Enter' ) ) {
+        if ( this._draft ) {
+            this._finishDrawing();
+            event.preventDefaultAction = true;
+        }
+    } else if ( $.Keymap.matches( event, 'Delete' ) || $.Keymap.matches( event, 'Backspace' ) ) {
+        if ( this._selected && this._tool === 'select' ) {
+            this.removeAnnotation( this._selected );
+            event.preventDefaultAction = true;
+        }
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function raiseChange( layer, annotation, action ) {
+    /**
+     * Raised when an annotation is moved, resized or reshaped with the select
+     * tool, or updated with {@link OpenSeadragon.AnnotationLayer#updateAnnotation}.
+     *
+     * @event annotation-change
+     * @memberof OpenSeadragon.AnnotationLayer
+     * @type {object}
+     * @property {OpenSeadragon.AnnotationLayer} eventSource - A reference to the layer which raised the event.
+     * @property {OpenSeadragon.Annotation} annotation
+     * @property {String} action - 'move', 'resize', 'vertex' or 'update'.
+     * @property {?Object} userData - Arbitrary subscriber-defined object.
+     */
+    layer.raiseEvent( 'annotation-change', {
+        annotation: annotation,
+        action: action
+    });
+}
+
+/**
+ * @private
+ * @inner
+ */
+function isType( tool ) {
+    return Object.keys( $.AnnotationType ).some( function( key ) {
+        return $.AnnotationType[ key ] === tool;
+    });
+}
+
+/**
+ * @private
+ * @inner
+ */
+function createShape( type ) {
+    var shape = document.createElementNS( SVG_NS,
+        type === $.AnnotationType.FREEHAND ? 'polyline' : type );
+    shape.setAttribute( 'class', 'openseadragon-annotation' );
+    // Keep the stroke width in screen pixels.
+    shape.setAttribute( 'vector-effect', 'non-scaling-stroke' );
+    return shape;
+}
+
+/**
+ * @private
+ * @inner
+ * Sets the geometry and style of an SVG shape, in image pixels.
+ */
+function updateShape( shape, annotation, style ) {
+    var bounds = annotation.getBounds();
+    switch ( annotation.type ) {
+        case $.AnnotationType.RECT:
+            shape.setAttribute( 'x', bounds.x );
+            shape.setAttribute( 'y', bounds.y );
+            shape.setAttribute( 'width', bounds.width );
+            shape.setAttribute( 'height', bounds.height );
+            break;
+        case $.AnnotationType.ELLIPSE:
+            shape.setAttribute( 'cx', bounds.x + bounds.width / 2 );
+            shape.setAttribute( 'cy', bounds.y + bounds.height / 2 );
+            shape.setAttribute( 'rx', bounds.width / 2 );
+            shape.setAttribute( 'ry', bounds.height / 2 );
+            break;
+        default:
+            shape.setAttribute( 'points', annotation.points.map( function( point ) {
+                return point.x + ',' + point.y;
+            }).join( ' ' ) );
+    }
+
+    Object.keys( style ).forEach( function( key ) {
+        var name = key.replace( /[A-Z]/g, function( letter ) {
+            return '-' + letter.toLowerCase();
+        });
+        if ( style[ key ] === null || style[ key ] === undefined ) {
+            shape.removeAttribute( name );
+        } else {
+            shape.setAttribute( name, style[ key ] );
+        }
+    });
+}
+
+}( OpenSeadragon ));
@@ -204,6 +204,10 @@ $.Button = function( options ) {
     this.element.style.display  = "inline-block";
     this.element.style.position = "relative";
     this.element.title          = this.tooltip;
+    this.element.setAttribute( "role", "button" );
+    if ( this.tooltip ) {
+        this.element.setAttribute( "aria-label", this.tooltip );
+    }
 
     /**
      * Tracks mouse/touch/key events on the button.
@@ -398,6 +402,7 @@ $.extend( $.Button.prototype, $.EventSource.prototype, /** @lends OpenSeadragon.
     disable: function(){
         this.notifyGroupExit();
         this.element.disabled = true;
+        this.element.setAttribute( "aria-disabled", "true" );
         this.tracker.setTracking(false);
         $.setElementOpacity( this.element, 0.2, true );
     },
@@ -407,6 +412,7 @@ $.extend( $.Button.prototype, $.EventSource.prototype, /** @lends OpenSeadragon.
      */
     enable: function(){
         this.element.disabled = false;
+        this.element.removeAttribute( "aria-disabled" );
         this.tracker.setTracking(true);
         $.setElementOpacity( this.element, 1.0, true );
         this.notifyGroupEnter();
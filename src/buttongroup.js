@@ -41,6 +41,7 @@
  * @param {Object} options - A dictionary of settings applied against the entire group of buttons.
  * @param {Array} options.buttons Array of buttons
  * @param {Element} [options.element] Element to use as the container
+ * @param {String} [options.labelText] Accessible name of the group
  **/
 $.ButtonGroup = function( options ) {
 
@@ -80,6 +81,10 @@ $.ButtonGroup = function( options ) {
         }
     }
 
+    this.element.setAttribute( "role", "group" );
+    if ( this.labelText ) {
+        this.element.setAttribute( "aria-label", this.labelText );
+    }
     $.setElementTouchActionNone( this.element );
 
     /**
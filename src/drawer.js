@@ -140,6 +140,29 @@ $.Drawer = function( options ) {
     this._imageSmoothingEnabled = true;
 };
 
+/**
+ * Whether this kind of drawer can be used in the current browser. The canvas
+ * drawer always can, falling back to HTML elements without canvas support.
+ * @function
+ * @returns {Boolean}
+ */
+$.Drawer.isSupported = function() {
+    return true;
+};
+
+/**
+ * Drawer implementations that can be selected by name with the drawerType
+ * option; see {@link OpenSeadragon.Options}. Custom drawers can be registered
+ * here; they take the same constructor options as {@link OpenSeadragon.Drawer}
+ * and may provide a static isSupported function.
+ * @member {Object} types
+ * @memberof OpenSeadragon.Drawer
+ * @static
+ */
+$.Drawer.types = {
+    canvas: $.Drawer
+};
+
 /** @lends OpenSeadragon.Drawer.prototype */
 $.Drawer.prototype = {
     // deprecated
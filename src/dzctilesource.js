@@ -0,0 +1,385 @@
+/*
+ * OpenSeadragon - DzcTileSource
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class DzcTileSource
+ * @classdesc A tile source for Deep Zoom Collections (.dzc), as produced by
+ * Deep Zoom Composer and DeepZoomTools. A collection is not drawn as a single
+ * image; when opened in a {@link OpenSeadragon.Viewer}, each of its items is
+ * added to the {@link OpenSeadragon.World} at its viewport position, and the
+ * collection's shared thumbnail pyramid is used for the low resolution levels
+ * of all of the items (see {@link OpenSeadragon.DziTileSource#setCollection}).
+ * <br><br>
+ * The tiles of the collection itself form a mosaic of item thumbnails, laid out
+ * in Morton (Z-order) by item number, each one occupying a 2^level pixel square
+ * cell at a given level.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.TileSource
+ * @param {Object} options
+ * @param {Number} options.tileSize
+ * @param {Number} options.maxLevel - The highest level of the thumbnail pyramid.
+ * @param {String} options.tilesUrl
+ * @param {String} options.fileFormat
+ * @param {Object[]} options.items - The items of the collection; see
+ *      {@link OpenSeadragon.DzcTileSource#items}.
+ * @property {String} tilesUrl
+ * @property {String} fileFormat
+ */
+$.DzcTileSource = function( options ) {
+    var maxCell = new $.Point( 0, 0 ),
+        cell,
+        i;
+
+    options = options || {};
+
+    /**
+     * The items of the collection, in document order. Each item has the
+     * properties id, n (its position in the thumbnail mosaic), source (the
+     * resolved URL of its Deep Zoom Image), width and height (its size in
+     * pixels) and bounds (its {@link OpenSeadragon.Rect} in the collection's
+     * coordinates).
+     * @member {Object[]} items
+     * @memberof OpenSeadragon.DzcTileSource#
+     */
+    this.items      = options.items || [];
+    this.tilesUrl   = options.tilesUrl;
+    this.fileFormat = options.fileFormat;
+
+    for ( i = 0; i < this.items.length; i++ ) {
+        cell = mortonToPoint( this.items[ i ].n );
+        maxCell.x = Math.max( maxCell.x, cell.x );
+        maxCell.y = Math.max( maxCell.y, cell.y );
+    }
+
+    // The mosaic at the highest level is what this tile source's dimensions
+    // describe, so it can also be opened on its own like any other image.
+    if ( options.maxLevel !== undefined ) {
+        options.width  = ( maxCell.x + 1 ) * Math.pow( 2, options.maxLevel );
+        options.height = ( maxCell.y + 1 ) * Math.pow( 2, options.maxLevel );
+        options.tileOverlap = 0;
+        options.minLevel = 0;
+    }
+
+    $.TileSource.apply( this, [ options ] );
+};
+
+$.extend( $.DzcTileSource.prototype, $.TileSource.prototype, /** @lends OpenSeadragon.DzcTileSource.prototype */{
+
+    /**
+     * Determine if the data and/or url imply the image service is supported by
+     * this tile source.
+     * @function
+     * @param {Object|Array} data
+     * @param {String} optional - url
+     */
+    supports: function( data, url ){
+        var ns;
+        if ( data.Collection ) {
+            ns = data.Collection.xmlns;
+        } else if ( data.documentElement ) {
+            if ("Collection" === data.documentElement.localName || "Collection" === data.documentElement.tagName) {
+                ns = data.documentElement.namespaceURI;
+            }
+        }
+
+        ns = (ns || '').toLowerCase();
+
+        return (ns.indexOf('schemas.microsoft.com/deepzoom/2008') !== -1 ||
+            ns.indexOf('schemas.microsoft.com/deepzoom/2009') !== -1);
+    },
+
+    /**
+     *
+     * @function
+     * @param {Object|XMLDocument} data - the raw configuration
+     * @param {String} url - the url the data was retrieved from if any.
+     * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
+     * @returns {Object} options - A dictionary of keyword arguments sufficient
+     *      to configure this tile sources constructor.
+     */
+    configure: function( data, url, postData ){
+
+        var options;
+
+        if( !$.isPlainObject(data) ){
+
+            options = configureFromXML( this, data, url );
+
+        }else{
+
+            options = configureFromObject( this, data, url );
+        }
+
+        if (url && !options.tilesUrl) {
+            options.tilesUrl = url.replace(
+                    /([^/]+?)(\.(dzc|xml|js)?(\?[^/]*)?)?\/?$/, '$1_files/');
+
+            if (url.search(/\.(dzc|xml|js)\?/) !== -1) {
+                options.queryParams = url.match(/\?.*/);
+            }else{
+                options.queryParams = '';
+            }
+        }
+
+        return options;
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    getTileUrl: function( level, x, y ) {
+        return [ this.tilesUrl, level, '/', x, '_', y, '.', this.fileFormat, this.queryParams ].join( '' );
+    },
+
+    /**
+     * Find the thumbnail of an item in the collection's mosaic.
+     * @function
+     * @param {Number} n - The item's position in the mosaic (its N attribute).
+     * @param {Number} level - A level no higher than the collection's maxLevel.
+     * @returns {Object|null} An object with the level, x and y of the collection
+     *      tile holding the thumbnail and the offset ({@link OpenSeadragon.Point},
+     *      in pixels) of the thumbnail inside that tile, or null if the level
+     *      is not part of the collection's pyramid.
+     */
+    getItemThumbnail: function( n, level ) {
+        if ( level < this.minLevel || level > this.maxLevel ) {
+            return null;
+        }
+
+        var cellSize = Math.pow( 2, level ),
+            tileWidth = this.getTileWidth( level ),
+            tileHeight = this.getTileHeight( level ),
+            position = mortonToPoint( n ).times( cellSize );
+
+        return {
+            level: level,
+            x: Math.floor( position.x / tileWidth ),
+            y: Math.floor( position.y / tileHeight ),
+            offset: new $.Point( position.x % tileWidth, position.y % tileHeight )
+        };
+    }
+});
+
+
+/**
+ * Morton (Z-order) decoding: the even bits of n give the column and the odd
+ * bits give the row of an item's cell in the thumbnail mosaic.
+ * @private
+ * @inner
+ * @function
+ */
+function mortonToPoint( n ){
+    var x = 0,
+        y = 0,
+        bit = 0;
+
+    while ( n > 0 ) {
+        x |= ( n & 1 ) << bit;
+        n >>>= 1;
+        y |= ( n & 1 ) << bit;
+        n >>>= 1;
+        bit++;
+    }
+
+    return new $.Point( x, y );
+}
+
+/**
+ * Item sources are relative to the collection document.
+ * @private
+ * @inner
+ * @function
+ */
+function resolveItemUrl( source, url ){
+    if ( !url || /^(?:[a-z][a-z0-9+.-]*:|\/)/i.test( source ) ) {
+        return source;
+    }
+
+    return url.replace( /[?#].*$/, '' ).replace( /[^/]*$/, '' ) + source;
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ */
+function configureFromXML( tileSource, xmlDoc, url ){
+
+    if ( !xmlDoc || !xmlDoc.documentElement ) {
+        throw new Error( $.getString( "Errors.Xml" ) );
+    }
+
+    var root           = xmlDoc.documentElement,
+        rootName       = root.localName || root.tagName,
+        ns             = root.namespaceURI,
+        configuration  = null,
+        items          = [],
+        itemNodes,
+        itemNode,
+        sizeNode,
+        viewportNode,
+        item,
+        i;
+
+    function getChild( node, name ) {
+        var child = node.getElementsByTagName( name )[ 0 ];
+        if ( child === undefined && ns ) {
+            child = node.getElementsByTagNameNS( ns, name )[ 0 ];
+        }
+        return child;
+    }
+
+    if ( rootName === "Collection" ) {
+
+        try {
+            configuration = {
+                Collection: {
+                    xmlns:      "http://schemas.microsoft.com/deepzoom/2008",
+                    Url:        root.getAttribute( "Url" ),
+                    Format:     root.getAttribute( "Format" ),
+                    MaxLevel:   parseInt( root.getAttribute( "MaxLevel" ), 10 ),
+                    TileSize:   parseInt( root.getAttribute( "TileSize" ), 10 ),
+                    Items:      null
+                }
+            };
+
+            itemNodes = root.getElementsByTagName( "I" );
+            if ( !itemNodes.length && ns ) {
+                itemNodes = root.getElementsByTagNameNS( ns, "I" );
+            }
+
+            for ( i = 0; i < itemNodes.length; i++ ) {
+                itemNode     = itemNodes[ i ];
+                sizeNode     = getChild( itemNode, "Size" );
+                viewportNode = getChild( itemNode, "Viewport" );
+
+                item = {
+                    Id:     parseInt( itemNode.getAttribute( "Id" ), 10 ),
+                    N:      parseInt( itemNode.getAttribute( "N" ), 10 ),
+                    Source: itemNode.getAttribute( "Source" ),
+                    Size: {
+                        Width:  parseInt( sizeNode.getAttribute( "Width" ), 10 ),
+                        Height: parseInt( sizeNode.getAttribute( "Height" ), 10 )
+                    }
+                };
+
+                if ( viewportNode ) {
+                    item.Viewport = {
+                        Width: parseFloat( viewportNode.getAttribute( "Width" ) ),
+                        X:     parseFloat( viewportNode.getAttribute( "X" ) ),
+                        Y:     parseFloat( viewportNode.getAttribute( "Y" ) )
+                    };
+                }
+
+                items.push( item );
+            }
+
+            configuration.Collection.Items = items;
+
+            return configureFromObject( tileSource, configuration, url );
+
+        } catch ( e ) {
+            throw (e instanceof Error) ?
+                e :
+                new Error( $.getString("Errors.Dzc") );
+        }
+    } else if ( rootName === "Error" ) {
+        var messageNode = root.getElementsByTagName("Message")[0];
+        var message = messageNode.firstChild.nodeValue;
+        throw new Error(message);
+    }
+
+    throw new Error( $.getString( "Errors.Dzc" ) );
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ */
+function configureFromObject( tileSource, configuration, url ){
+    var collectionData = configuration.Collection,
+        itemData       = collectionData.Items || [],
+        items          = [],
+        data,
+        viewportWidth,
+        width,
+        height,
+        i;
+
+    for ( i = 0; i < itemData.length; i++ ) {
+        data   = itemData[ i ];
+        width  = parseInt( data.Size.Width, 10 );
+        height = parseInt( data.Size.Height, 10 );
+
+        // In Deep Zoom, an item's viewport is expressed in the item's own
+        // coordinates: its width is how many item widths fit across the
+        // collection and its origin is the collection's origin.
+        viewportWidth = data.Viewport ? parseFloat( data.Viewport.Width ) : 1;
+
+        items.push({
+            id:     parseInt( data.Id, 10 ),
+            n:      parseInt( data.N, 10 ),
+            source: resolveItemUrl( data.Source, url ),
+            width:  width,
+            height: height,
+            bounds: new $.Rect(
+                data.Viewport ? -parseFloat( data.Viewport.X ) / viewportWidth : 0,
+                data.Viewport ? -parseFloat( data.Viewport.Y ) / viewportWidth : 0,
+                1 / viewportWidth,
+                ( height / width ) / viewportWidth
+            )
+        });
+    }
+
+    return $.extend(true, {
+        tileSize: parseInt( collectionData.TileSize, 10 ), /* tileSize *required */
+        maxLevel: parseInt( collectionData.MaxLevel, 10 ), /* maxLevel *required */
+        tilesUrl: collectionData.Url, /* tilesUrl */
+        fileFormat: collectionData.Format, /* fileFormat */
+        items: items /* items */
+    }, configuration );
+
+}
+
+$.TileSource.register( 'dzc', $.DzcTileSource, {
+    extensions: [ 'dzc' ]
+} );
+
+}( OpenSeadragon ));
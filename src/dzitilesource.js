@@ -73,6 +73,7 @@ $.DziTileSource = function( width, height, tileSize, tileOverlap, tilesUrl, file
     }
 
     this._levelRects  = {};
+    this._collection  = null;
     this.tilesUrl     = options.tilesUrl;
     this.fileFormat   = options.fileFormat;
     this.displayRects = options.displayRects;
@@ -163,9 +164,84 @@ $.extend( $.DziTileSource.prototype, $.TileSource.prototype, /** @lends OpenSead
      * @param {Number} y
      */
     getTileUrl: function( level, x, y ) {
+        var thumbnail = this._getCollectionThumbnail( level, x, y );
+        if ( thumbnail ) {
+            return this._collection.getTileUrl( thumbnail.level, thumbnail.x, thumbnail.y );
+        }
         return [ this.tilesUrl, level, '/', x, '_', y, '.', this.fileFormat, this.queryParams ].join( '' );
     },
 
+    /**
+     * Within a collection, the low resolution levels of an image are not
+     * loaded from its own pyramid but cropped out of the collection's
+     * thumbnail mosaic.
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     * @param {Boolean} [isSource=false]
+     */
+    getTileBounds: function( level, x, y, isSource ) {
+        var bounds = $.TileSource.prototype.getTileBounds.apply( this, arguments ),
+            thumbnail;
+
+        if ( isSource ) {
+            thumbnail = this._getCollectionThumbnail( level, x, y );
+            if ( thumbnail ) {
+                bounds.x += thumbnail.offset.x;
+                bounds.y += thumbnail.offset.y;
+            }
+        }
+
+        return bounds;
+    },
+
+    /**
+     * Make this image an item of a Deep Zoom Collection, so that its levels up
+     * to the collection's maxLevel share the collection's tiles.
+     * @function
+     * @param {OpenSeadragon.DzcTileSource|null} collection - The collection, or
+     *      null to stop using one.
+     * @param {Number} n - The item's position in the collection's mosaic.
+     */
+    setCollection: function( collection, n ) {
+        this._collection = collection || null;
+        this._collectionItem = n;
+    },
+
+    /**
+     * @private
+     */
+    _getCollectionThumbnail: function( level, x, y ) {
+        if ( !this._collection || x !== 0 || y !== 0 ) {
+            return null;
+        }
+
+        // Only single tile levels fit in a thumbnail cell.
+        var numTiles = this.getNumTiles( level );
+        if ( numTiles.x > 1 || numTiles.y > 1 ) {
+            return null;
+        }
+
+        return this._collection.getItemThumbnail( this._collectionItem, level );
+    },
+
+
+    /**
+     * The display rectangles of a sparse image.
+     * @function
+     * @param {Number} [level] - Only return the rectangles whose content starts
+     * at this level or at a lower one; all of them if not given.
+     * @returns {OpenSeadragon.DisplayRect[]|null} null if the image isn't sparse.
+     */
+    getDisplayRects: function( level ) {
+        if ( !this.displayRects || !this.displayRects.length ) {
+            return null;
+        }
+        return this.displayRects.filter( function( rect ) {
+            return level === undefined || rect.minLevel <= level;
+        });
+    },
 
     /**
      * @function
@@ -305,8 +381,6 @@ function configureFromXML( tileSource, xmlDoc ){
                 e :
                 new Error( $.getString("Errors.Dzi") );
         }
-    } else if ( rootName === "Collection" ) {
-        throw new Error( $.getString( "Errors.Dzc" ) );
     } else if ( rootName === "Error" ) {
         var messageNode = root.getElementsByTagName("Message")[0];
         var message = messageNode.firstChild.nodeValue;
@@ -375,4 +449,8 @@ function configureFromObject( tileSource, configuration ){
 
 }
 
+$.TileSource.register( 'dzi', $.DziTileSource, {
+    extensions: [ 'dzi' ]
+} );
+
 }( OpenSeadragon ));
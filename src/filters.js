@@ -0,0 +1,214 @@
+/*
+ * OpenSeadragon - Filters
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * Built-in pixel filters for {@link OpenSeadragon.TiledImage#setFilters}.
+ * Each function returns a filter, e.g.
+ * <code>tiledImage.setFilters([OpenSeadragon.Filters.brightness(20),
+ * OpenSeadragon.Filters.gamma(1.5)])</code>.
+ * @namespace Filters
+ * @memberof OpenSeadragon
+ */
+$.Filters = {
+
+    /**
+     * Adds an amount to the red, green and blue channels.
+     * @function
+     * @param {Number} amount - From -255 (black) to 255 (white).
+     * @returns {Function}
+     */
+    brightness: function( amount ) {
+        assertNumber( amount, 'brightness' );
+        return lookupFilter( function( value ) {
+            return value + amount;
+        });
+    },
+
+    /**
+     * Scales the red, green and blue channels around their midpoint.
+     * @function
+     * @param {Number} factor - 1 leaves the image unchanged, 0 makes it flat
+     * grey, greater values increase the contrast.
+     * @returns {Function}
+     */
+    contrast: function( factor ) {
+        assertNumber( factor, 'contrast' );
+        return lookupFilter( function( value ) {
+            return ( value - 128 ) * factor + 128;
+        });
+    },
+
+    /**
+     * Applies gamma correction to the red, green and blue channels.
+     * @function
+     * @param {Number} gamma - Greater than 0; values above 1 lighten the
+     * midtones, values below 1 darken them.
+     * @returns {Function}
+     */
+    gamma: function( gamma ) {
+        assertNumber( gamma, 'gamma' );
+        if ( gamma <= 0 ) {
+            throw new Error( "[Filters.gamma] gamma must be greater than 0" );
+        }
+        return lookupFilter( function( value ) {
+            return 255 * Math.pow( value / 255, 1 / gamma );
+        });
+    },
+
+    /**
+     * Inverts the red, green and blue channels.
+     * @function
+     * @returns {Function}
+     */
+    invert: function() {
+        return lookupFilter( function( value ) {
+            return 255 - value;
+        });
+    },
+
+    /**
+     * Makes pixels white when their luminance is at least the threshold and
+     * black otherwise.
+     * @function
+     * @param {Number} threshold - From 0 to 255.
+     * @returns {Function}
+     */
+    threshold: function( threshold ) {
+        assertNumber( threshold, 'threshold' );
+        return pixelFilter( function( pixels, i ) {
+            var value = luminance( pixels, i ) >= threshold ? 255 : 0;
+            pixels[ i ] = pixels[ i + 1 ] = pixels[ i + 2 ] = value;
+        });
+    },
+
+    /**
+     * Maps the luminance of pixels onto a color scale, e.g. for false-color
+     * rendering of greyscale images.
+     * @function
+     * @param {Array<Number[]>} colors - At least two [red, green, blue]
+     * colors, spread evenly from black to white luminance and interpolated
+     * linearly in between.
+     * @returns {Function}
+     */
+    colormap: function( colors ) {
+        if ( !$.isArray( colors ) || colors.length < 2 ) {
+            throw new Error( "[Filters.colormap] at least two colors are required" );
+        }
+
+        var table = [];
+        var steps = colors.length - 1;
+        for ( var value = 0; value < 256; value++ ) {
+            var position = value / 255 * steps;
+            var index = Math.min( Math.floor( position ), steps - 1 );
+            var fraction = position - index;
+            for ( var channel = 0; channel < 3; channel++ ) {
+                table.push( clamp(
+                    colors[ index ][ channel ] +
+                    ( colors[ index + 1 ][ channel ] - colors[ index ][ channel ] ) * fraction
+                ) );
+            }
+        }
+
+        return pixelFilter( function( pixels, i ) {
+            var entry = clamp( luminance( pixels, i ) ) * 3;
+            pixels[ i ] = table[ entry ];
+            pixels[ i + 1 ] = table[ entry + 1 ];
+            pixels[ i + 2 ] = table[ entry + 2 ];
+        });
+    }
+};
+
+/**
+ * @private
+ * @inner
+ */
+function assertNumber( value, name ) {
+    if ( typeof value !== 'number' || isNaN( value ) ) {
+        throw new Error( "[Filters." + name + "] a number is required" );
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function clamp( value ) {
+    return Math.max( 0, Math.min( 255, Math.round( value ) ) );
+}
+
+/**
+ * @private
+ * @inner
+ */
+function luminance( pixels, i ) {
+    return 0.299 * pixels[ i ] + 0.587 * pixels[ i + 1 ] + 0.114 * pixels[ i + 2 ];
+}
+
+/**
+ * @private
+ * @inner
+ * Creates a filter calling process(pixels, index) for the index of the red
+ * component of every pixel.
+ */
+function pixelFilter( process ) {
+    return function( context ) {
+        var imageData = context.getImageData( 0, 0, context.canvas.width, context.canvas.height );
+        var pixels = imageData.data;
+        for ( var i = 0; i < pixels.length; i += 4 ) {
+            process( pixels, i );
+        }
+        context.putImageData( imageData, 0, 0 );
+    };
+}
+
+/**
+ * @private
+ * @inner
+ * Creates a filter mapping each color channel through a function, evaluated
+ * once per channel value.
+ */
+function lookupFilter( map ) {
+    var table = [];
+    for ( var value = 0; value < 256; value++ ) {
+        table.push( clamp( map( value ) ) );
+    }
+    return pixelFilter( function( pixels, i ) {
+        pixels[ i ] = table[ pixels[ i ] ];
+        pixels[ i + 1 ] = table[ pixels[ i + 1 ] ];
+        pixels[ i + 2 ] = table[ pixels[ i + 2 ] ];
+    });
+}
+
+}( OpenSeadragon ));
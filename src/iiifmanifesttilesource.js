@@ -0,0 +1,441 @@
+/*
+ * OpenSeadragon - IIIFManifestTileSource
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class IIIFManifestTileSource
+ * @classdesc A IIIF Presentation API 2.x or 3.0 manifest. A manifest is not
+ * drawn itself; it describes canvases, each painted with one or more images
+ * from IIIF Image API services (opened with {@link OpenSeadragon.IIIFTileSource})
+ * or plain image resources (opened with {@link OpenSeadragon.ImageTileSource}).
+ * <br><br>
+ * When the viewer is in sequenceMode, {@link OpenSeadragon.Viewer#open} opens
+ * each canvas as a page (see {@link OpenSeadragon.IIIFManifestTileSource#getPages}),
+ * and the canvas labels are shown in the reference strip. Otherwise, the
+ * images of all canvases are added as TiledImages, positioned on their
+ * canvases, and the canvases are laid out in a row.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.TileSource
+ * @see https://iiif.io/api/presentation/
+ * @param {Object} options
+ * @param {Object[]} options.canvases - The canvases of the manifest; see
+ *      {@link OpenSeadragon.IIIFManifestTileSource#canvases}.
+ * @param {String} [options.label] - The label of the manifest or canvas.
+ * @param {Number} [options.canvasMargin=0.025] - The space between canvases,
+ *      relative to the width of the first canvas.
+ */
+$.IIIFManifestTileSource = function( options ) {
+    var canvas;
+
+    options = options || {};
+
+    /**
+     * The canvases of the manifest, in order. Each canvas has the properties
+     * id, label, width and height (in canvas units), thumbnail (an image URL or
+     * null) and images. Each image has a source (a tile source specifier, as
+     * accepted by {@link OpenSeadragon.Viewer#addTiledImage}) and bounds
+     * (its {@link OpenSeadragon.Rect} on the canvas, where the canvas is 1 wide).
+     * @member {Object[]} canvases
+     * @memberof OpenSeadragon.IIIFManifestTileSource#
+     */
+    this.canvases     = options.canvases || [];
+    this.canvasMargin = options.canvasMargin !== undefined ? options.canvasMargin : 0.025;
+
+    if ( !options.url ) {
+        canvas = this.canvases[ 0 ];
+        options.width  = canvas ? canvas.width : 1;
+        options.height = canvas ? canvas.height : 1;
+        options.tileSize = Math.max( options.width, options.height );
+        options.items = layoutCanvases( this.canvases, this.canvasMargin );
+    }
+
+    $.TileSource.apply( this, [ options ] );
+};
+
+$.extend( $.IIIFManifestTileSource.prototype, $.TileSource.prototype, /** @lends OpenSeadragon.IIIFManifestTileSource.prototype */{
+
+    /**
+     * Determine if the data and/or url imply the image service is supported by
+     * this tile source.
+     * @function
+     * @param {Object|Array} data
+     * @param {String} [url] - url
+     */
+    supports: function( data, url ) {
+        var type = data["@type"] || data.type;
+        return getPresentationVersion( data ) !== null &&
+            ( type === "sc:Manifest" || type === "Manifest" );
+    },
+
+    /**
+     *
+     * @function
+     * @param {Object} data - the raw configuration
+     * @param {String} url - the url the data was retrieved from if any.
+     * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
+     * @returns {Object} options - A dictionary of keyword arguments sufficient
+     *      to configure this tile sources constructor.
+     * @throws {Error}
+     */
+    configure: function( data, url, postData ) {
+        var canvases = getPresentationVersion( data ) === 3 ?
+                parseCanvases3( data ) :
+                parseCanvases2( data );
+
+        if ( !canvases.length ) {
+            throw new Error( $.getString( "Errors.IIIFManifest" ) );
+        }
+
+        return {
+            id: data.id || data["@id"] || url,
+            label: getLabel( data.label ),
+            canvases: canvases
+        };
+    },
+
+    /**
+     * A manifest has no tiles of its own.
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    getTileUrl: function( level, x, y ) {
+        return null;
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    tileExists: function( level, x, y ) {
+        return false;
+    },
+
+    /**
+     * Split the manifest into one page per canvas, suitable for opening as a
+     * sequence. Each page carries its canvas label (shown in the reference
+     * strip) and thumbnail (used as its referenceStripThumbnailUrl).
+     * @function
+     * @returns {OpenSeadragon.IIIFManifestTileSource[]}
+     */
+    getPages: function() {
+        return this.canvases.map( function( canvas ) {
+            return new $.IIIFManifestTileSource({
+                id: canvas.id,
+                label: canvas.label,
+                referenceStripThumbnailUrl: canvas.thumbnail || undefined,
+                canvases: [ canvas ]
+            });
+        });
+    }
+});
+
+
+/**
+ * The Presentation API major version of a manifest, or null if the data is
+ * not a manifest.
+ * @private
+ * @inner
+ * @function
+ */
+function getPresentationVersion( data ) {
+    var contexts = data ? [].concat( data["@context"] || [] ) : [],
+        match,
+        i;
+
+    for ( i = 0; i < contexts.length; i++ ) {
+        match = typeof contexts[ i ] === 'string' &&
+            contexts[ i ].match( /^https?:\/\/iiif\.io\/api\/presentation\/([23])\/context\.json$/ );
+        if ( match ) {
+            return parseInt( match[ 1 ], 10 );
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Labels are plain strings in 2.x (optionally with multiple values or
+ * languages) and language maps in 3.0.
+ * @private
+ * @inner
+ * @function
+ */
+function getLabel( label ) {
+    var values;
+
+    if ( label === undefined || label === null ) {
+        return null;
+    }
+    if ( typeof label === 'string' ) {
+        return label;
+    }
+    if ( $.isArray( label ) ) {
+        return label.length ? getLabel( label[ 0 ] ) : null;
+    }
+    if ( label["@value"] !== undefined ) {
+        return label["@value"];
+    }
+
+    values = label.none || label.en || label[ Object.keys( label )[ 0 ] ];
+    return values ? [].concat( values ).join( ', ' ) : null;
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ */
+function getId( resource ) {
+    if ( !resource ) {
+        return null;
+    }
+    return typeof resource === 'string' ? resource : ( resource.id || resource["@id"] || null );
+}
+
+/**
+ * Parse the xywh media fragment of a target, as canvas-relative bounds.
+ * @private
+ * @inner
+ * @function
+ */
+function getTargetBounds( target, canvas ) {
+    var fragment = null,
+        selector,
+        match,
+        rect;
+
+    if ( typeof target === 'string' ) {
+        fragment = target.split( '#' )[ 1 ] || null;
+    } else if ( target ) {
+        selector = [].concat( target.selector || [] )[ 0 ];
+        if ( selector ) {
+            fragment = selector.value || null;
+        } else {
+            return getTargetBounds( target.full || target.source, canvas );
+        }
+    }
+
+    match = fragment && fragment.match( /xywh=(?:(pixel|percent):)?([\d.]+),([\d.]+),([\d.]+),([\d.]+)/ );
+    if ( !match ) {
+        return new $.Rect( 0, 0, 1, canvas.height / canvas.width );
+    }
+
+    rect = new $.Rect(
+        parseFloat( match[ 2 ] ),
+        parseFloat( match[ 3 ] ),
+        parseFloat( match[ 4 ] ),
+        parseFloat( match[ 5 ] )
+    );
+    if ( match[ 1 ] === 'percent' ) {
+        rect = new $.Rect(
+            rect.x * canvas.width / 100,
+            rect.y * canvas.height / 100,
+            rect.width * canvas.width / 100,
+            rect.height * canvas.height / 100
+        );
+    }
+
+    return new $.Rect(
+        rect.x / canvas.width,
+        rect.y / canvas.width,
+        rect.width / canvas.width,
+        rect.height / canvas.width
+    );
+}
+
+/**
+ * Images with an Image API service are opened through the service's
+ * info.json; other images are opened as simple images.
+ * @private
+ * @inner
+ * @function
+ */
+function getImageSource( resource ) {
+    var services = [].concat( resource.service || [] ),
+        serviceId,
+        i;
+
+    for ( i = 0; i < services.length; i++ ) {
+        serviceId = getId( services[ i ] );
+        if ( serviceId ) {
+            return serviceId.replace( /\/(info\.json)?$/, '' ) + '/info.json';
+        }
+    }
+
+    return getId( resource ) ? {
+        type: 'image',
+        url: getId( resource )
+    } : null;
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ */
+function createCanvas( data, thumbnail ) {
+    return {
+        id: getId( data ),
+        label: getLabel( data.label ),
+        width: parseFloat( data.width ) || 1,
+        height: parseFloat( data.height ) || 1,
+        thumbnail: getId( [].concat( thumbnail || [] )[ 0 ] ),
+        images: []
+    };
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ */
+function addImage( canvas, resource, target ) {
+    var source = resource && getImageSource( resource );
+    if ( source ) {
+        canvas.images.push({
+            source: source,
+            bounds: getTargetBounds( target, canvas )
+        });
+    }
+}
+
+/**
+ * Presentation 2.x: manifest.sequences[0].canvases[].images[] annotations,
+ * with the image as resource and the canvas (and fragment) as on.
+ * @private
+ * @inner
+ * @function
+ */
+function parseCanvases2( data ) {
+    var sequence = ( data.sequences || [] )[ 0 ];
+
+    return ( ( sequence && sequence.canvases ) || [] ).map( function( canvasData ) {
+        var canvas = createCanvas( canvasData, canvasData.thumbnail );
+
+        ( canvasData.images || [] ).forEach( function( annotation ) {
+            var resource = annotation.resource;
+            if ( resource && resource["@type"] === 'oa:Choice' ) {
+                resource = resource["default"] || [].concat( resource.item || [] )[ 0 ];
+            }
+            if ( resource && resource["@type"] === 'oa:SpecificResource' ) {
+                resource = resource.full;
+            }
+            addImage( canvas, resource, annotation.on );
+        });
+
+        return canvas;
+    });
+}
+
+/**
+ * Presentation 3.0: manifest.items[] canvases, holding annotation pages of
+ * painting annotations, with the image as body and the canvas (and fragment)
+ * as target.
+ * @private
+ * @inner
+ * @function
+ */
+function parseCanvases3( data ) {
+    return ( data.items || [] ).filter( function( item ) {
+        return item.type === 'Canvas';
+    }).map( function( canvasData ) {
+        var canvas = createCanvas( canvasData, canvasData.thumbnail );
+
+        ( canvasData.items || [] ).forEach( function( page ) {
+            ( page.items || [] ).forEach( function( annotation ) {
+                if ( annotation.motivation && [].concat( annotation.motivation ).indexOf( 'painting' ) === -1 ) {
+                    return;
+                }
+
+                var body = [].concat( annotation.body || [] )[ 0 ];
+                if ( body && body.type === 'Choice' ) {
+                    body = ( body.items || [] )[ 0 ];
+                }
+                if ( body && body.type === 'SpecificResource' ) {
+                    body = body.source;
+                }
+                if ( body && body.type && body.type !== 'Image' ) {
+                    return;
+                }
+                addImage( canvas, body, annotation.target );
+            });
+        });
+
+        return canvas;
+    });
+}
+
+/**
+ * Lay the canvases out in a row, all scaled to the height of the first one,
+ * and place their images on them.
+ * @private
+ * @inner
+ * @function
+ */
+function layoutCanvases( canvases, margin ) {
+    var items = [],
+        height = canvases.length ? canvases[ 0 ].height / canvases[ 0 ].width : 1,
+        x = 0;
+
+    canvases.forEach( function( canvas ) {
+        var width = height * canvas.width / canvas.height;
+
+        canvas.images.forEach( function( image ) {
+            items.push({
+                source: image.source,
+                bounds: new $.Rect(
+                    x + image.bounds.x * width,
+                    image.bounds.y * width,
+                    image.bounds.width * width,
+                    image.bounds.height * width
+                )
+            });
+        });
+
+        x += width + margin;
+    });
+
+    return items;
+}
+
+$.TileSource.register( 'iiif-manifest', $.IIIFManifestTileSource, {
+    mimeTypes: [ 'application/ld+json' ]
+} );
+
+}( OpenSeadragon ));
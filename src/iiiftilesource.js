@@ -44,6 +44,20 @@
  * @see http://iiif.io/api/image/
  * @param {String} [options.tileFormat='jpg']
  *      The extension that will be used when requiring tiles.
+ * @param {String} [options.quality]
+ *      The quality to request tiles in, e.g. 'gray' or 'bitonal'. Defaults to
+ *      'default' ('native' for Image API 1.x). Must be advertised by the service.
+ * @param {Number} [options.rotation=0]
+ *      Server side clockwise rotation of the image: 0, 90, 180 or 270. Requires
+ *      the rotationBy90s feature.
+ * @param {Boolean} [options.mirror=false]
+ *      Whether the server should mirror the image horizontally (before rotating
+ *      it). Requires the mirroring feature.
+ * @param {OpenSeadragon.Rect|Object} [options.region]
+ *      Restrict the whole pyramid to this region of the full image, in image
+ *      pixels ({x, y, width, height}). Requires the regionByPx feature.
+ * @throws {Error} If the service does not support the requested quality,
+ *      rotation, mirroring or region.
  */
 $.IIIFTileSource = function( options ){
 
@@ -58,6 +72,12 @@ $.IIIFTileSource = function( options ){
         throw new Error( 'IIIF required parameters (width, height, or id) not provided.' );
     }
 
+    configureImageRequest( this, options );
+
+    if ( this.pixelsPerMeter === undefined ) {
+        this.pixelsPerMeter = getPixelsPerMeter( this );
+    }
+
     options.tileSizePerScaleFactor = {};
 
     this.tileFormat = this.tileFormat || 'jpg';
@@ -132,6 +152,11 @@ $.IIIFTileSource = function( options ){
         $.console.error("Nothing in the info.json to construct image pyramids from");
     }
 
+    if ( this._swapAxes ) {
+        // Tiles are described in the orientation of the image, not of the output
+        swapTileSizes( options );
+    }
+
     if (!options.maxLevel && !this.emulateLegacyImagePyramid) {
         if (!this.scale_factors) {
             options.maxLevel = Number(Math.round(Math.log(Math.max(this.width, this.height), 2)));
@@ -142,7 +167,8 @@ $.IIIFTileSource = function( options ){
     }
 
     // Create an array with our exact resolution sizes if these have been supplied
-    if( this.sizes ) {
+    // (they describe the full image, so they are of no use for a region)
+    if( this.sizes && !this.region && !this._swapAxes ) {
         var sizeLength = this.sizes.length;
         if ( (sizeLength === options.maxLevel) || (sizeLength === options.maxLevel + 1) ) {
             this.levelSizes = this.sizes;
@@ -262,9 +288,15 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
             }
 
             if (data.preferredFormats) {
-                for (var f = 0; f < data.preferredFormats.length; f++ ) {
-                    if ( OpenSeadragon.imageFormatSupported(data.preferredFormats[f]) ) {
-                        data.tileFormat = data.preferredFormats[f];
+                // Prefer the formats the service says it can produce, but
+                // services do not always advertise all of them.
+                var serviceFormats = getServiceCapabilities(data).formats;
+                var formats = data.preferredFormats.filter(function(format) {
+                    return serviceFormats.indexOf(format) !== -1;
+                }).concat(data.preferredFormats);
+                for (var f = 0; f < formats.length; f++ ) {
+                    if ( OpenSeadragon.imageFormatSupported(formats[f]) ) {
+                        data.tileFormat = formats[f];
                         break;
                     }
                 }
@@ -421,15 +453,13 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
             return url;
         }
 
-        //# constants
-        var IIIF_ROTATION = '0',
-            //## get the scale (level as a decimal)
-            scale = Math.pow( 0.5, this.maxLevel - level ),
+        //## get the scale (level as a decimal)
+        var scale = Math.pow( 0.5, this.maxLevel - level ),
             //# image dimensions at this level
             levelWidth,
             levelHeight,
 
-            //## iiif region
+            //## iiif region, in the coordinates of the output
             tileWidth,
             tileHeight,
             iiifTileSizeWidth,
@@ -442,7 +472,7 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
             iiifSize,
             iiifSizeW,
             iiifSizeH,
-            iiifQuality,
+            sourceRect,
             uri;
 
         // Use supplied list of scaled resolution sizes if these exist
@@ -460,52 +490,56 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
         tileHeight = this.getTileHeight(level);
         iiifTileSizeWidth = Math.round( tileWidth / scale );
         iiifTileSizeHeight = Math.round( tileHeight / scale );
-        if (this.version === 1) {
-            iiifQuality = "native." + this.tileFormat;
-        } else {
-            iiifQuality = "default." + this.tileFormat;
-        }
         if ( levelWidth < tileWidth && levelHeight < tileHeight ){
-            if ( this.version === 2 && levelWidth === this.width ) {
-                iiifSize = "full";
-            } else if ( this.version === 3 && levelWidth === this.width && levelHeight === this.height ) {
-                iiifSize = "max";
-            } else if ( this.version === 3 ) {
-                iiifSize = levelWidth + "," + levelHeight;
-            } else {
-                iiifSize = levelWidth + ",";
-            }
-            iiifRegion = 'full';
+            iiifTileX = 0;
+            iiifTileY = 0;
+            iiifTileW = this.width;
+            iiifTileH = this.height;
+            iiifSizeW = levelWidth;
+            iiifSizeH = levelHeight;
         } else {
             iiifTileX = x * iiifTileSizeWidth;
             iiifTileY = y * iiifTileSizeHeight;
             iiifTileW = Math.min( iiifTileSizeWidth, this.width - iiifTileX );
             iiifTileH = Math.min( iiifTileSizeHeight, this.height - iiifTileY );
-            if ( x === 0 && y === 0 && iiifTileW === this.width && iiifTileH === this.height ) {
-                iiifRegion = "full";
-            } else {
-                iiifRegion = [ iiifTileX, iiifTileY, iiifTileW, iiifTileH ].join( ',' );
-            }
             iiifSizeW = Math.min( tileWidth, levelWidth - (x * tileWidth) );
             iiifSizeH = Math.min( tileHeight, levelHeight - (y * tileHeight) );
-            if ( this.version === 2 && iiifSizeW === this.width ) {
-                iiifSize = "full";
-            } else if ( this.version === 3 && iiifSizeW === this.width && iiifSizeH === this.height ) {
-                iiifSize = "max";
-            } else if (this.version === 3) {
-                iiifSize = iiifSizeW + "," + iiifSizeH;
-            } else {
-                iiifSize = iiifSizeW + ",";
-            }
         }
-        uri = [ this._id, iiifRegion, iiifSize, IIIF_ROTATION, iiifQuality ].join( '/' );
+
+        // The size is applied to the region before it gets rotated
+        sourceRect = getSourceRect( this, iiifTileX, iiifTileY, iiifTileW, iiifTileH );
+        if ( this._swapAxes ) {
+            iiifSize = iiifSizeW;
+            iiifSizeW = iiifSizeH;
+            iiifSizeH = iiifSize;
+        }
+
+        if ( sourceRect.x === 0 && sourceRect.y === 0 &&
+            sourceRect.width === this._imageWidth && sourceRect.height === this._imageHeight ) {
+            iiifRegion = "full";
+        } else {
+            iiifRegion = [ sourceRect.x, sourceRect.y, sourceRect.width, sourceRect.height ].join( ',' );
+        }
+
+        if ( this.version === 2 && iiifSizeW === this._regionWidth ) {
+            iiifSize = "full";
+        } else if ( this.version === 3 && iiifSizeW === this._regionWidth && iiifSizeH === this._regionHeight ) {
+            iiifSize = "max";
+        } else if ( this.version === 3 ) {
+            iiifSize = iiifSizeW + "," + iiifSizeH;
+        } else {
+            iiifSize = iiifSizeW + ",";
+        }
+
+        uri = [ this._id, iiifRegion, iiifSize, getRotationParameter( this ), getQualityParameter( this ) ].join( '/' );
 
         return uri;
     },
 
     __testonly__: {
         canBeTiled: canBeTiled,
-        constructLevels: constructLevels
+        constructLevels: constructLevels,
+        getServiceCapabilities: getServiceCapabilities
     }
 
   });
@@ -539,6 +573,242 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
         return !isLevel0 || hasCanoncicalSizeFeature;
     }
 
+    /**
+     * Collect the qualities, features and formats a service supports, from its
+     * compliance level and from what its profile advertises on top of it.
+     * @function
+     * @param {Object} options - infoJson
+     * @returns {Object} Lists of qualities, features and formats.
+     */
+    function getServiceCapabilities( options ) {
+        var profiles = [].concat( options.profile || [] ),
+            level = 0,
+            capabilities = {
+                qualities: [ 'default' ],
+                features: [],
+                formats: [ 'jpg' ]
+            };
+
+        function add( list, values ) {
+            capabilities[ list ] = capabilities[ list ].concat( values || [] );
+        }
+
+        profiles.forEach( function( profile ) {
+            var match;
+            if ( typeof profile === 'string' ) {
+                match = profile.match( /level([0-2])/ );
+                if ( match ) {
+                    level = Math.max( level, parseInt( match[ 1 ], 10 ) );
+                }
+            } else if ( profile ) {
+                add( 'qualities', profile.qualities );
+                add( 'features', profile.supports );
+                add( 'formats', profile.formats );
+            }
+        });
+
+        // 1.x lists them in the info, 3.0 has extra* properties
+        add( 'qualities', options.qualities );
+        add( 'qualities', options.extraQualities );
+        add( 'features', options.extraFeatures );
+        add( 'formats', options.formats );
+        add( 'formats', options.extraFormats );
+
+        if ( level >= 1 ) {
+            add( 'features', [ 'regionByPx' ] );
+        }
+        if ( level >= 2 ) {
+            add( 'features', [ 'rotationBy90s' ] );
+            add( 'qualities', [ 'color', 'gray', 'bitonal' ] );
+            add( 'formats', [ 'png' ] );
+        }
+
+        capabilities.qualities = capabilities.qualities.map( normalizeQuality );
+
+        return capabilities;
+    }
+
+    /**
+     * 1.x calls the default quality 'native' and spells gray 'grey'.
+     * @function
+     * @param {String} quality
+     * @returns {String}
+     */
+    function normalizeQuality( quality ) {
+        if ( quality === 'native' ) {
+            return 'default';
+        }
+        return quality === 'grey' ? 'gray' : quality;
+    }
+
+    /**
+     * Validate the quality, rotation, mirroring and region requested for a
+     * tile source against its service, and size its pyramid for the output
+     * they produce.
+     * @function
+     * @param {OpenSeadragon.IIIFTileSource} source
+     * @param {Object} options - infoJson
+     * @throws {Error}
+     */
+    function configureImageRequest( source, options ) {
+        var capabilities = getServiceCapabilities( options ),
+            rotation = ( ( Number( source.rotation ) || 0 ) % 360 + 360 ) % 360,
+            region = null,
+            tiled = canBeTiled( options );
+
+        function unsupported( what ) {
+            return new Error( $.getString( "Errors.IIIFUnsupported", what ) );
+        }
+
+        if ( source.quality && capabilities.qualities.indexOf( normalizeQuality( source.quality ) ) === -1 ) {
+            throw unsupported( source.quality );
+        }
+        if ( rotation % 90 !== 0 ) {
+            throw new Error( $.getString( "Errors.IIIFRotation" ) );
+        }
+        if ( rotation && ( capabilities.features.indexOf( 'rotationBy90s' ) === -1 &&
+            capabilities.features.indexOf( 'rotationArbitrary' ) === -1 ) ) {
+            throw unsupported( 'rotationBy90s' );
+        }
+        if ( rotation % 180 && !tiled ) {
+            throw unsupported( 'sizeByW' );
+        }
+        if ( source.mirror && capabilities.features.indexOf( 'mirroring' ) === -1 ) {
+            throw unsupported( 'mirroring' );
+        }
+
+        if ( source.region ) {
+            if ( capabilities.features.indexOf( 'regionByPx' ) === -1 || !tiled ) {
+                throw unsupported( 'regionByPx' );
+            }
+            region = new $.Rect(
+                Math.max( 0, Math.round( source.region.x ) || 0 ),
+                Math.max( 0, Math.round( source.region.y ) || 0 )
+            );
+            region.width = Math.min( Math.round( source.region.width ), source.width - region.x );
+            region.height = Math.min( Math.round( source.region.height ), source.height - region.y );
+            if ( !( region.width > 0 && region.height > 0 ) ) {
+                throw new Error( $.getString( "Errors.IIIFRegion" ) );
+            }
+        }
+
+        source._imageWidth = source.width;
+        source._imageHeight = source.height;
+        source._regionWidth = region ? region.width : source.width;
+        source._regionHeight = region ? region.height : source.height;
+        source._swapAxes = rotation % 180 !== 0;
+
+        options.region = source.region = region;
+        options.rotation = source.rotation = rotation;
+        options.width = source.width = source._swapAxes ? source._regionHeight : source._regionWidth;
+        options.height = source.height = source._swapAxes ? source._regionWidth : source._regionHeight;
+    }
+
+    /**
+     * @function
+     * @param {Object} options
+     */
+    function swapTileSizes( options ) {
+        var size,
+            scaleFactor;
+
+        if ( options.tileWidth || options.tileHeight ) {
+            size = options.tileWidth;
+            options.tileWidth = options.tileHeight;
+            options.tileHeight = size;
+        }
+
+        for ( scaleFactor in options.tileSizePerScaleFactor ) {
+            size = options.tileSizePerScaleFactor[ scaleFactor ];
+            options.tileSizePerScaleFactor[ scaleFactor ] = {
+                width: size.height,
+                height: size.width
+            };
+        }
+    }
+
+    /**
+     * Map a rectangle of the output (the region, mirrored, then rotated
+     * clockwise) back to the pixels of the full image it comes from.
+     * @function
+     * @param {OpenSeadragon.IIIFTileSource} source
+     * @returns {OpenSeadragon.Rect}
+     */
+    function getSourceRect( source, x, y, width, height ) {
+        var regionWidth = source._regionWidth,
+            regionHeight = source._regionHeight,
+            rect;
+
+        switch ( source.rotation ) {
+            case 90:
+                rect = new $.Rect( y, regionHeight - x - width, height, width );
+                break;
+            case 180:
+                rect = new $.Rect( regionWidth - x - width, regionHeight - y - height, width, height );
+                break;
+            case 270:
+                rect = new $.Rect( regionWidth - y - height, x, height, width );
+                break;
+            default:
+                rect = new $.Rect( x, y, width, height );
+        }
+
+        if ( source.mirror ) {
+            rect.x = regionWidth - rect.x - rect.width;
+        }
+        if ( source.region ) {
+            rect.x += source.region.x;
+            rect.y += source.region.y;
+        }
+
+        return rect;
+    }
+
+    /**
+     * Read the physical dimensions service of an image, if any.
+     * @function
+     * @param {Object} data - infoJson
+     * @returns {Number|undefined} The pixels per meter.
+     */
+    function getPixelsPerMeter( data ) {
+        var UNITS = {
+            mm: 0.001,
+            cm: 0.01,
+            in: 0.0254
+        };
+        var services = $.isArray( data.service ) ? data.service : [ data.service ];
+        for ( var i = 0; i < services.length; i++ ) {
+            var service = services[ i ];
+            if ( service && /physdim/.test( service.profile ) &&
+                service.physicalScale > 0 && UNITS[ service.physicalUnits ] ) {
+                return 1 / ( service.physicalScale * UNITS[ service.physicalUnits ] );
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * @function
+     * @param {Object} source
+     * @returns {String} The rotation segment of an Image API request.
+     */
+    function getRotationParameter( source ) {
+        return ( source.mirror ? '!' : '' ) + ( source.rotation || 0 );
+    }
+
+    /**
+     * @function
+     * @param {Object} source
+     * @returns {String} The quality and format segment of an Image API request.
+     */
+    function getQualityParameter( source ) {
+        var quality = normalizeQuality( source.quality || 'default' );
+        if ( source.version === 1 ) {
+            quality = quality === 'default' ? 'native' : quality.replace( 'gray', 'grey' );
+        }
+        return quality + '.' + source.tileFormat;
+    }
+
     /**
      * Build the legacy pyramid URLs (one tile per level)
      * @function
@@ -551,7 +821,9 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
             levels.push({
                 url: options._id + '/full/' + options.sizes[i].width + ',' +
                     (options.version === 3 ? options.sizes[i].height : '') +
-                    '/0/default.' + options.tileFormat,
+                    '/' + getRotationParameter( options ) + '/' +
+                    ( options.quality ? normalizeQuality( options.quality ) : 'default' ) +
+                    '.' + options.tileFormat,
                 width: options.sizes[i].width,
                 height: options.sizes[i].height
             });
@@ -610,6 +882,8 @@ $.extend( $.IIIFTileSource.prototype, $.TileSource.prototype, /** @lends OpenSea
         }
     }
 
-
+$.TileSource.register( 'iiif', $.IIIFTileSource, {
+    mimeTypes: [ 'application/ld+json' ]
+} );
 
 }( OpenSeadragon ));
@@ -51,6 +51,14 @@
  * @param {Function} [options.abort] - Called when this image job is aborted.
  * @param {Number} [options.timeout] - The max number of milliseconds that this image job may take to complete.
  * @param {Number} [options.tries] - Actual number of the current try.
+ * @param {Object} [options.retryPolicy] - How this job is retried if it fails,
+ *      see tileRetryPolicy in {@link OpenSeadragon.Options}.
+ * @param {TiledImage} [options.tiledImage] - TiledImage whose view needs the tile, if any.
+ * @param {Number} [options.sequence] - Order in which the job was added, breaking ties in the queue.
+ * @param {OpenSeadragon.PersistentTileCache} [options.persistentCache] - Cache to load the image
+ *      from, or to store it in once downloaded.
+ * @param {Boolean} [options.pinned] - Whether the job stays queued through
+ *      {@link OpenSeadragon.ImageLoader#clear} and {@link OpenSeadragon.ImageLoader#cancelJobs}.
  */
 $.ImageJob = function(options) {
 
@@ -60,6 +68,9 @@ $.ImageJob = function(options) {
         tries: 0
     }, options);
 
+    // The abort callback of the options, which each try wraps anew.
+    this._abortCallback = this.abort;
+
     /**
      * Data object which will contain downloaded image data.
      * @member {Image|*} data data object, by default an Image object (depends on TileSource)
@@ -81,6 +92,21 @@ $.ImageJob = function(options) {
      * @private
      */
     this.errorMsg = null;
+
+    /**
+     * HTTP status of the last failed try, if known
+     * @member {?Number} status
+     * @memberof OpenSeadragon.ImageJob#
+     */
+    this.status = null;
+
+    /**
+     * Whether the current try timed out; whatever its source reports after
+     * that must be ignored.
+     * @member {Boolean} aborted
+     * @memberof OpenSeadragon.ImageJob#
+     */
+    this.aborted = false;
 };
 
 $.ImageJob.prototype = {
@@ -90,11 +116,13 @@ $.ImageJob.prototype = {
      */
     start: function() {
         this.tries++;
+        this.aborted = false;
 
         var self = this;
-        var selfAbort = this.abort;
+        var selfAbort = this._abortCallback;
 
         this.jobId = window.setTimeout(function () {
+            self.aborted = true;
             self.finish(null, null, "Image load exceeded timeout (" + self.timeout + " ms)");
         }, this.timeout);
 
@@ -105,7 +133,11 @@ $.ImageJob.prototype = {
             }
         };
 
-        this.source.downloadTileStart(this);
+        if (this.persistentCache) {
+            this.persistentCache.downloadTileStart(this);
+        } else {
+            this.source.downloadTileStart(this);
+        }
     },
 
     /**
@@ -135,15 +167,25 @@ $.ImageJob.prototype = {
  * @param {Object} options - Options for this ImageLoader.
  * @param {Number} [options.jobLimit] - The number of concurrent image requests. See imageLoaderLimit in {@link OpenSeadragon.Options} for details.
  * @param {Number} [options.timeout] - The max number of milliseconds that an image job may take to complete.
+ * @param {Number} [options.tileRetryMax] - The default max number of retries, see {@link OpenSeadragon.Options}.
+ * @param {Number} [options.tileRetryDelay] - The default delay before the first retry, see {@link OpenSeadragon.Options}.
+ * @param {Object} [options.tileRetryPolicy] - How failed jobs are retried, see {@link OpenSeadragon.Options}.
+ * @param {OpenSeadragon.PersistentTileCache} [options.persistentCache] - Second tier cache of the
+ *      tiles of the sources it handles.
  */
 $.ImageLoader = function(options) {
 
     $.extend(true, this, {
         jobLimit:       $.DEFAULT_SETTINGS.imageLoaderLimit,
         timeout:        $.DEFAULT_SETTINGS.timeout,
+        tileRetryMax:   $.DEFAULT_SETTINGS.tileRetryMax,
+        tileRetryDelay: $.DEFAULT_SETTINGS.tileRetryDelay,
+        tileRetryPolicy: null,
+        persistentCache: null,
         jobQueue:       [],
         failedTiles:    [],
-        jobsInProgress: 0
+        jobsInProgress: 0,
+        jobsAdded:      0
     }, options);
 
 };
@@ -156,8 +198,10 @@ $.ImageLoader.prototype = {
      * @method
      * @param {Object} options - Options for this job.
      * @param {String} [options.src] - URL of image to download.
-     * @param {Tile} [options.tile] - Tile that belongs the data to. The tile instance
-     *      is not internally used and serves for custom TileSources implementations.
+     * @param {Tile} [options.tile] - Tile that belongs the data to. Its level and
+     *      distance from the viewport center prioritize the queued jobs, see
+     *      {@link OpenSeadragon.ImageLoader#compareJobs}; it also serves custom
+     *      TileSources implementations.
      * @param {TileSource} [options.source] - Image loading strategy
      * @param {String} [options.loadWithAjax] - Whether to load this image with AJAX.
      * @param {String} [options.ajaxHeaders] - Headers to add to the image request if using AJAX.
@@ -168,6 +212,12 @@ $.ImageLoader.prototype = {
      *      requests.
      * @param {Function} [options.callback] - Called once image has been downloaded.
      * @param {Function} [options.abort] - Called when this image job is aborted.
+     * @param {TiledImage} [options.tiledImage] - TiledImage whose view needs the tile.
+     *      It cancels the queued jobs its view no longer needs, see
+     *      {@link OpenSeadragon.ImageLoader#cancelJobs}.
+     * @param {Boolean} [options.pinned] - Whether the job stays queued through
+     *      {@link OpenSeadragon.ImageLoader#clear} and {@link OpenSeadragon.ImageLoader#cancelJobs},
+     *      e.g. because it doesn't serve the current view.
      */
     addJob: function(options) {
         if (!options.source) {
@@ -195,7 +245,13 @@ $.ImageLoader.prototype = {
                 postData: options.postData,
                 callback: complete,
                 abort: options.abort,
-                timeout: this.timeout
+                timeout: this.timeout,
+                retryPolicy: this.getRetryPolicy(options.source),
+                tiledImage: options.tiledImage,
+                pinned: !!options.pinned,
+                sequence: this.jobsAdded++,
+                persistentCache: this.persistentCache && this.persistentCache.handles(options.source) ?
+                    this.persistentCache : null
             },
             newJob = new $.ImageJob(jobOptions);
 
@@ -204,29 +260,136 @@ $.ImageLoader.prototype = {
             this.jobsInProgress++;
         }
         else {
-            this.jobQueue.push( newJob );
+            queueJob( this, newJob );
         }
     },
 
     /**
-     * Clear any unstarted image loading jobs from the queue.
+     * Orders the queued jobs: the ones without a tile first, then coarse levels
+     * before fine ones, more visible levels first, and tiles closer to the
+     * viewport center first. Jobs that compare equal keep the order they were
+     * added in. Override to change the order.
      * @method
+     * @param {OpenSeadragon.ImageJob} a
+     * @param {OpenSeadragon.ImageJob} b
+     * @returns {Number} negative if a must start before b, positive if after.
      */
-    clear: function() {
-        for( var i = 0; i < this.jobQueue.length; i++ ) {
+    compareJobs: function(a, b) {
+        var tileA = a.tile || {};
+        var tileB = b.tile || {};
+        var hasTileA = tileA.level !== undefined;
+        var hasTileB = tileB.level !== undefined;
+
+        if (hasTileA !== hasTileB) {
+            return hasTileA ? 1 : -1;
+        }
+        if (hasTileA) {
+            if (tileA.level !== tileB.level) {
+                return tileA.level - tileB.level;
+            }
+            if ((tileA.visibility || 0) !== (tileB.visibility || 0)) {
+                return (tileB.visibility || 0) - (tileA.visibility || 0);
+            }
+            if ((tileA.squaredDistance || 0) !== (tileB.squaredDistance || 0)) {
+                return (tileA.squaredDistance || 0) - (tileB.squaredDistance || 0);
+            }
+        }
+        return a.sequence - b.sequence;
+    },
+
+    /**
+     * Reorders the queued jobs after the priorities of their tiles changed,
+     * e.g. when the viewport moved.
+     * @method
+     */
+    prioritize: function() {
+        var _this = this;
+        this.jobQueue.sort(function(a, b) {
+            return _this.compareJobs(a, b);
+        });
+    },
+
+    /**
+     * Removes the queued jobs matching a predicate, letting their tile source
+     * abort them (see {@link OpenSeadragon.TileSource#downloadTileAbort}).
+     * Jobs already started and pinned jobs are not affected.
+     * @method
+     * @param {Function} predicate - function(job) returning whether to cancel the job.
+     * @returns {Number} The number of cancelled jobs.
+     */
+    cancelJobs: function(predicate) {
+        var cancelled = 0;
+        for (var i = this.jobQueue.length - 1; i >= 0; i--) {
             var job = this.jobQueue[i];
-            if ( typeof job.abort === "function" ) {
-                job.abort();
+            if (!job.pinned && predicate(job)) {
+                this.jobQueue.splice(i, 1);
+                job.source.downloadTileAbort(job);
+                if (typeof job.abort === "function") {
+                    job.abort();
+                }
+                cancelled++;
             }
         }
+        return cancelled;
+    },
+
+    /**
+     * The retry policy of the jobs of a tile source: its retryPolicy over the
+     * tileRetryPolicy of this loader, with defaults for the missing fields.
+     * @method
+     * @param {OpenSeadragon.TileSource} [source]
+     * @returns {Object} see tileRetryPolicy in {@link OpenSeadragon.Options}
+     */
+    getRetryPolicy: function(source) {
+        return $.extend({
+            maxRetries: this.tileRetryMax,
+            delay: this.tileRetryDelay,
+            backoffFactor: 2,
+            maxDelay: 30000,
+            jitter: 0.5,
+            retryStatuses: [408, 429, 500, 502, 503, 504],
+            honorRetryAfter: true
+        }, this.tileRetryPolicy, source && source.retryPolicy);
+    },
+
+    /**
+     * Clear any unstarted image loading jobs from the queue, including the
+     * failed ones waiting to be retried. Pinned jobs are kept.
+     * @method
+     */
+    clear: function() {
+        var jobQueue = this.jobQueue;
+        var failedTiles = this.failedTiles;
+        var i;
 
         this.jobQueue = [];
+        this.failedTiles = [];
+
+        for( i = 0; i < jobQueue.length; i++ ) {
+            var job = jobQueue[i];
+            if ( job.pinned ) {
+                this.jobQueue.push( job );
+            } else if ( typeof job.abort === "function" ) {
+                job.abort();
+            }
+        }
+        for( i = 0; i < failedTiles.length; i++ ) {
+            var failedJob = failedTiles[i];
+            if ( failedJob.pinned ) {
+                this.failedTiles.push( failedJob );
+                continue;
+            }
+            window.clearTimeout(failedJob.retryId);
+            if ( typeof failedJob.abort === "function" ) {
+                failedJob.abort();
+            }
+        }
     }
 };
 
 /**
- * Cleans up ImageJob once completed. Restarts job after tileRetryDelay seconds if failed
- * but max tileRetryMax times
+ * Cleans up ImageJob once completed. If it failed and its retry policy allows
+ * it, restarts it after a backoff delay instead of reporting the failure.
  * @method
  * @private
  * @param loader - ImageLoader used to start job.
@@ -234,11 +397,15 @@ $.ImageLoader.prototype = {
  * @param callback - Called once cleanup is finished.
  */
 function completeJob(loader, job, callback) {
-    if (job.errorMsg !== '' && (job.data === null || job.data === undefined) && job.tries < 1 + loader.tileRetryMax) {
-        loader.failedTiles.push(job);
-    }
+    var failed = job.errorMsg !== '' && (job.data === null || job.data === undefined);
+    var retryDelay = -1;
     var nextJob;
 
+    if (failed) {
+        job.status = getStatus(job.request);
+        retryDelay = getRetryDelay(job);
+    }
+
     loader.jobsInProgress--;
 
     if ((!loader.jobLimit || loader.jobsInProgress < loader.jobLimit) && loader.jobQueue.length > 0) {
@@ -247,17 +414,106 @@ function completeJob(loader, job, callback) {
         loader.jobsInProgress++;
     }
 
-    if (loader.tileRetryMax > 0 && loader.jobQueue.length === 0) {
-        if ((!loader.jobLimit || loader.jobsInProgress < loader.jobLimit) && loader.failedTiles.length > 0) {
-             nextJob = loader.failedTiles.shift();
-             setTimeout(function () {
-                 nextJob.start();
-             }, loader.tileRetryDelay);
-             loader.jobsInProgress++;
-         }
-     }
-
-    callback(job.data, job.errorMsg, job.request);
+    if (retryDelay >= 0) {
+        loader.failedTiles.push(job);
+        job.retryId = window.setTimeout(function () {
+            var index = loader.failedTiles.indexOf(job);
+            if (index === -1) {
+                return;
+            }
+            loader.failedTiles.splice(index, 1);
+            if (!loader.jobLimit || loader.jobsInProgress < loader.jobLimit) {
+                job.start();
+                loader.jobsInProgress++;
+            } else {
+                queueJob(loader, job);
+            }
+        }, retryDelay);
+        return;
+    }
+
+    callback(job.data, job.errorMsg, job.request, job.status);
+}
+
+/**
+ * Inserts a job in the queue, after the jobs that start before it.
+ * @private
+ * @inner
+ * @param {OpenSeadragon.ImageLoader} loader
+ * @param {OpenSeadragon.ImageJob} job
+ */
+function queueJob(loader, job) {
+    var i = loader.jobQueue.length;
+    while (i > 0 && loader.compareJobs(loader.jobQueue[i - 1], job) > 0) {
+        i--;
+    }
+    loader.jobQueue.splice(i, 0, job);
+}
+
+/**
+ * @private
+ * @inner
+ * @param {XMLHttpRequest} [request]
+ * @returns {?Number} the HTTP status of a failed request, null if unknown
+ */
+function getStatus(request) {
+    try {
+        return request && request.status ? request.status : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * @private
+ * @inner
+ * @param {OpenSeadragon.ImageJob} job - a failed job
+ * @returns {Number} milliseconds to wait before retrying the job, or -1 if
+ *      it must not be retried.
+ */
+function getRetryDelay(job) {
+    var policy = job.retryPolicy;
+    var retries = job.tries - 1;
+
+    if (!policy || retries >= policy.maxRetries ||
+        (job.status !== null && policy.retryStatuses.indexOf(job.status) === -1)) {
+        return -1;
+    }
+
+    if (policy.honorRetryAfter) {
+        var retryAfter = getRetryAfter(job.request);
+        if (retryAfter !== null) {
+            return Math.min(policy.maxDelay, retryAfter);
+        }
+    }
+
+    var delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.backoffFactor, retries));
+    delay *= 1 + policy.jitter * (2 * Math.random() - 1);
+    return Math.max(0, Math.round(delay));
+}
+
+/**
+ * @private
+ * @inner
+ * @param {XMLHttpRequest} [request]
+ * @returns {?Number} the delay in milliseconds asked for by the Retry-After
+ *      header of the request, either in seconds or as an HTTP date, or null.
+ */
+function getRetryAfter(request) {
+    var header = null;
+    try {
+        header = request && request.getResponseHeader && request.getResponseHeader('Retry-After');
+    } catch (e) {
+        // The header isn't exposed to us, e.g. by CORS.
+    }
+    if (!header) {
+        return null;
+    }
+    if (/^\s*\d+\s*$/.test(header)) {
+        return parseInt(header, 10) * 1000;
+    }
+    var date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - $.now());
 }
 
 }(OpenSeadragon));
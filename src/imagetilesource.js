@@ -42,6 +42,11 @@
      * 1. viewer.open({type: 'image', url: fooUrl});
      * 2. viewer.open(new OpenSeadragon.ImageTileSource({url: fooUrl}));
      *
+     * Instead of a single url, a srcset of pre-scaled copies of the image can
+     * be given. Each copy becomes a level of the pyramid and only the copies
+     * needed for the current zoom are downloaded:
+     * viewer.open({type: 'image', srcset: 'small.jpg 480w, large.jpg 1920w'});
+     *
      * With the first syntax, the crossOriginPolicy, ajaxWithCredentials and
      * useCanvas options are inherited from the viewer if they are not
      * specified directly in the options object.
@@ -49,7 +54,14 @@
      * @memberof OpenSeadragon
      * @extends OpenSeadragon.TileSource
      * @param {Object} options Options object.
-     * @param {String} options.url URL of the image
+     * @param {String} [options.url] URL of the image. Required unless
+     * options.srcset is set.
+     * @param {String|Object[]} [options.srcset] Pre-scaled copies of the image,
+     * either as an HTML srcset string with width descriptors
+     * ('small.jpg 480w, large.jpg 1920w') or as an array of
+     * {url, width, height} objects (height is optional). The widest copy gives
+     * the full size of the image. If any height is missing, the smallest copy
+     * is loaded first to find the aspect ratio.
      * @param {Boolean} [options.buildPyramid=true] If set to true (default), a
      * pyramid will be built internally to provide a better downsampling.
      * @param {String|Boolean} [options.crossOriginPolicy=false] Valid values are
@@ -69,6 +81,10 @@
             ajaxWithCredentials: false,
             useCanvas: true
         }, options);
+        if (options.srcset) {
+            options.srcset = parseSrcset(options.srcset);
+            options.url = options.url || options.srcset[options.srcset.length - 1].url;
+        }
         $.TileSource.apply(this, [options]);
 
     };
@@ -104,6 +120,11 @@
          * @throws {Error}
          */
         getImageInfo: function (url) {
+            if (this.srcset) {
+                this._getSrcsetInfo();
+                return;
+            }
+
             var image = this._image = new Image();
             var _this = this;
 
@@ -205,6 +226,68 @@
 
         // private
         //
+        // Builds the levels from the srcset entries, loading the smallest one
+        // first if the aspect ratio is needed to complete their sizes.
+        _getSrcsetInfo: function () {
+            var _this = this;
+            var entries = this.srcset;
+            var smallest = entries[0];
+
+            function configureLevels(aspectRatio) {
+                var largest = entries[entries.length - 1];
+                _this.levels = entries.map(function (entry) {
+                    return {
+                        url: entry.url,
+                        width: entry.width,
+                        height: entry.height || Math.round(entry.width / aspectRatio)
+                    };
+                });
+                _this.width = largest.width;
+                _this.height = _this.levels[_this.levels.length - 1].height;
+                _this.aspectRatio = _this.width / _this.height;
+                _this.dimensions = new $.Point(_this.width, _this.height);
+                _this._tileWidth = _this.width;
+                _this._tileHeight = _this.height;
+                _this.tileOverlap = 0;
+                _this.minLevel = 0;
+                _this.maxLevel = _this.levels.length - 1;
+
+                _this.ready = true;
+
+                // Note: this event is documented elsewhere, in TileSource
+                _this.raiseEvent('ready', {tileSource: _this});
+            }
+
+            var missingHeight = entries.some(function (entry) {
+                return !entry.height;
+            });
+            if (!missingHeight) {
+                configureLevels(entries[entries.length - 1].width / entries[entries.length - 1].height);
+                return;
+            }
+
+            var image = new Image();
+            if (this.crossOriginPolicy) {
+                image.crossOrigin = this.crossOriginPolicy;
+            }
+            if (this.ajaxWithCredentials) {
+                image.useCredentials = this.ajaxWithCredentials;
+            }
+
+            $.addEvent(image, 'load', function () {
+                configureLevels(image.naturalWidth / image.naturalHeight);
+            });
+
+            $.addEvent(image, 'error', function () {
+                // Note: this event is documented elsewhere, in TileSource
+                _this.raiseEvent('open-failed', {
+                    message: "Error loading image at " + smallest.url,
+                    source: smallest.url
+                });
+            });
+
+            image.src = smallest.url;
+        },
         // Builds the different levels of the pyramid if possible
         // (i.e. if canvas API enabled and no canvas tainting issue).
         _buildLevels: function () {
@@ -280,4 +363,52 @@
         },
     });
 
+    /**
+     * Normalizes a srcset string or array into {url, width, height} entries
+     * sorted by increasing width.
+     * @private
+     * @inner
+     * @param {String|Object[]} srcset
+     * @returns {Object[]}
+     * @throws {Error} if the srcset is empty or an entry has no width.
+     */
+    function parseSrcset(srcset) {
+        var entries = srcset;
+        if (typeof srcset === "string") {
+            entries = srcset.split(",").map(function (candidate) {
+                var parts = candidate.trim().split(/\s+/);
+                var descriptor = parts[1] || "";
+                return {
+                    url: parts[0],
+                    width: /^\d+w$/.test(descriptor) ? parseInt(descriptor, 10) : NaN
+                };
+            }).filter(function (entry) {
+                return entry.url;
+            });
+        }
+
+        entries = ($.isArray(entries) ? entries : [entries]).map(function (entry) {
+            if (!entry || !entry.url || !(entry.width > 0)) {
+                throw new Error("ImageTileSource srcset entries need a url and a width.");
+            }
+            return {
+                url: entry.url,
+                width: entry.width,
+                height: entry.height > 0 ? entry.height : null
+            };
+        });
+        if (!entries.length) {
+            throw new Error("ImageTileSource srcset is empty.");
+        }
+
+        return entries.sort(function (a, b) {
+            return a.width - b.width;
+        });
+    }
+
+    $.TileSource.register('image', $.ImageTileSource, {
+        mimeTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+        extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp']
+    });
+
 }(OpenSeadragon));
@@ -0,0 +1,499 @@
+/*
+ * OpenSeadragon - Keymap
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class Keymap
+ * @memberof OpenSeadragon
+ * @classdesc Maps the keys pressed while a {@link OpenSeadragon.Viewer}'s canvas
+ * has the focus to named actions. Every viewer has one, as its keymap member,
+ * configured by its keymap option.
+ * <br/>
+ * A key combination is written like 'Shift+ArrowUp' or 'Ctrl+Alt+KeyF': any of
+ * the Ctrl, Alt, Meta and Shift modifiers, in any order, then a key, matched
+ * against both the {@link https://developer.mozilla.org/docs/Web/API/KeyboardEvent/key|key}
+ * and the {@link https://developer.mozilla.org/docs/Web/API/KeyboardEvent/code|code}
+ * of the event. Codes ('KeyW', 'Digit0') don't depend on the keyboard layout,
+ * which suits keys chosen for their position; keys ('+', 'r') do, which suits
+ * keys chosen for what they read. Modifiers must match exactly, except that
+ * Shift is ignored for keys that are a single character other than a letter,
+ * as it is often needed to type them. Letters match regardless of case.
+ *
+ * @param {OpenSeadragon.Viewer} viewer
+ * @param {Object} [bindings] - Key combinations mapped to action names (see
+ *      {@link OpenSeadragon.Keymap.actions}) or functions, on top of
+ *      {@link OpenSeadragon.Keymap.DEFAULT_BINDINGS}. Map a combination to null
+ *      to unbind it.
+ */
+$.Keymap = function( viewer, bindings ) {
+    this.viewer = viewer;
+    this._bindings = {};
+    this._helpElement = null;
+
+    var combo;
+    for ( combo in $.Keymap.DEFAULT_BINDINGS ) {
+        this.bind( combo, $.Keymap.DEFAULT_BINDINGS[ combo ] );
+    }
+    for ( combo in bindings ) {
+        this.bind( combo, bindings[ combo ] );
+    }
+};
+
+/**
+ * The actions keys can be bound to, by name. An action is called with the
+ * viewer and the canvas-key event (see {@link OpenSeadragon.Viewer.event:canvas-key}),
+ * honoring its preventVerticalPan and preventHorizontalPan properties.
+ * Its description (see {@link OpenSeadragon.Keymap.registerAction}) is what
+ * the help overlay lists.
+ * @member {Object} actions
+ * @memberof OpenSeadragon.Keymap
+ * @static
+ */
+$.Keymap.actions = {};
+
+/**
+ * Adds an action, or replaces the one with the same name.
+ * @function
+ * @memberof OpenSeadragon.Keymap
+ * @static
+ * @param {String} name
+ * @param {Function} handler - function(viewer, event).
+ * @param {String} [description] - Shown in the help overlay; defaults to the
+ *      name. The built-in actions are described by the 'Keymap.' + name
+ *      strings (see {@link OpenSeadragon.setString}).
+ */
+$.Keymap.registerAction = function( name, handler, description ) {
+    $.Keymap.actions[ name ] = {
+        handler: handler,
+        description: description
+    };
+};
+
+/**
+ * The bindings every keymap starts with.
+ * @member {Object} DEFAULT_BINDINGS
+ * @memberof OpenSeadragon.Keymap
+ * @static
+ */
+$.Keymap.DEFAULT_BINDINGS = {
+    ArrowUp: 'panUp',
+    KeyW: 'panUp',
+    ArrowDown: 'panDown',
+    KeyS: 'panDown',
+    ArrowLeft: 'panLeft',
+    'Shift+ArrowLeft': 'panLeft',
+    KeyA: 'panLeft',
+    'Shift+KeyA': 'panLeft',
+    ArrowRight: 'panRight',
+    'Shift+ArrowRight': 'panRight',
+    KeyD: 'panRight',
+    'Shift+KeyD': 'panRight',
+    'Shift+ArrowUp': 'zoomIn',
+    'Shift+KeyW': 'zoomIn',
+    '=': 'zoomIn',
+    '+': 'zoomIn',
+    'Shift+ArrowDown': 'zoomOut',
+    'Shift+KeyS': 'zoomOut',
+    '-': 'zoomOut',
+    _: 'zoomOut',
+    0: 'home',
+    r: 'rotateClockwise',
+    'Shift+r': 'rotateCounterclockwise',
+    f: 'flip',
+    'Shift+f': 'flip',
+    j: 'previousPage',
+    'Shift+j': 'previousPage',
+    k: 'nextPage',
+    'Shift+k': 'nextPage'
+};
+
+/**
+ * Whether a key event is a key combination, matched by key or by code like
+ * the bindings are. For tools that handle keys themselves, e.g. Escape.
+ * @function
+ * @static
+ * @memberof OpenSeadragon.Keymap
+ * @param {Object} event - A {@link OpenSeadragon.MouseTracker} key event, a
+ *      canvas-key event or a KeyboardEvent.
+ * @param {String} combo - e.g. 'Escape' or 'Shift+Delete'.
+ * @returns {Boolean}
+ */
+$.Keymap.matches = function( event, combo ) {
+    var normalized = normalizeCombo( combo );
+    return getEventCombo( event, false ) === normalized || getEventCombo( event, true ) === normalized;
+};
+
+/** @lends OpenSeadragon.Keymap.prototype */
+$.Keymap.prototype = {
+
+    /**
+     * Binds a key combination, replacing its previous binding.
+     * @param {String} combo - e.g. 'Shift+ArrowUp'.
+     * @param {String|Function|null} action - An action name, a function(viewer, event),
+     *      or null to unbind the combination.
+     */
+    bind: function( combo, action ) {
+        var normalized = normalizeCombo( combo );
+        if ( action === null || action === undefined ) {
+            delete this._bindings[ normalized ];
+            return;
+        }
+        if ( typeof action === 'string' && !$.Keymap.actions[ action ] ) {
+            $.console.warn( "[Keymap.bind] unknown action %s bound to %s", action, combo );
+        }
+        this._bindings[ normalized ] = { combo: combo, action: action };
+    },
+
+    /**
+     * @param {String} combo
+     */
+    unbind: function( combo ) {
+        this.bind( combo, null );
+    },
+
+    /**
+     * @returns {Object[]} The active bindings, as {combo, action, description} objects.
+     */
+    getBindings: function() {
+        var bindings = [];
+        for ( var key in this._bindings ) {
+            var binding = this._bindings[ key ];
+            bindings.push( {
+                combo: binding.combo,
+                action: binding.action,
+                description: describe( binding.action )
+            } );
+        }
+        return bindings;
+    },
+
+    /**
+     * Runs the action bound to a key down event.
+     * @param {Object} event - A {@link OpenSeadragon.MouseTracker} key down
+     *      event, or a KeyboardEvent.
+     * @param {Object} [eventArgs] - The canvas-key event passed to the action;
+     *      defaults to event.
+     * @returns {Boolean} Whether an action was bound to the key.
+     */
+    handle: function( event, eventArgs ) {
+        var binding = this._bindings[ getEventCombo( event, false ) ] ||
+            this._bindings[ getEventCombo( event, true ) ];
+        if ( !binding ) {
+            return false;
+        }
+
+        var action = binding.action;
+        if ( typeof action === 'string' ) {
+            action = $.Keymap.actions[ action ] && $.Keymap.actions[ action ].handler;
+        }
+        if ( !action ) {
+            return false;
+        }
+        action( this.viewer, eventArgs || event );
+        return true;
+    },
+
+    /**
+     * @returns {Boolean} Whether the help overlay listing the bindings is shown.
+     */
+    isHelpVisible: function() {
+        return !!this._helpElement;
+    },
+
+    /**
+     * Shows or hides the help overlay listing the bindings.
+     * @param {Boolean} visible
+     */
+    setHelpVisible: function( visible ) {
+        if ( visible === this.isHelpVisible() ) {
+            return;
+        }
+        if ( !visible ) {
+            this._helpElement.parentNode.removeChild( this._helpElement );
+            this._helpElement = null;
+            return;
+        }
+
+        var element = $.makeNeutralElement( "div" );
+        var list = document.createElement( "dl" );
+        var byDescription = {};
+        var descriptions = [];
+
+        this.getBindings().forEach( function( binding ) {
+            if ( !byDescription[ binding.description ] ) {
+                byDescription[ binding.description ] = [];
+                descriptions.push( binding.description );
+            }
+            byDescription[ binding.description ].push( binding.combo );
+        } );
+        descriptions.forEach( function( description ) {
+            var term = document.createElement( "dt" );
+            var definition = document.createElement( "dd" );
+            term.appendChild( document.createTextNode( byDescription[ description ].join( ", " ) ) );
+            definition.appendChild( document.createTextNode( description ) );
+            list.appendChild( term );
+            list.appendChild( definition );
+        } );
+
+        element.appendChild( list );
+        element.setAttribute( "role", "dialog" );
+        element.setAttribute( "aria-label", $.getString( "Keymap.Help" ) );
+        element.style.position = "absolute";
+        element.style.top = "0";
+        element.style.left = "0";
+        element.style.maxHeight = "100%";
+        element.style.overflow = "auto";
+        element.style.padding = "8px";
+        element.style.background = "rgba(255, 255, 255, 0.9)";
+        element.style.color = "black";
+        $.addClass( element, "openseadragon-keymap-help" );
+
+        this._helpElement = element;
+        this.viewer.container.appendChild( element );
+    },
+
+    /**
+     * Removes the help overlay.
+     */
+    destroy: function() {
+        this.setHelpVisible( false );
+        this.viewer = null;
+    }
+};
+
+/**
+ * @private
+ * @inner
+ * @param {String} combo
+ * @returns {String} The combination with its modifiers in a fixed order and
+ *      its letter, if any, in lower case.
+ */
+function normalizeCombo( combo ) {
+    var parts = String( combo ).split( '+' );
+    var key = parts.pop();
+    if ( key === '' ) {
+        // The '+' key itself, e.g. 'Ctrl++'
+        parts.pop();
+        key = '+';
+    }
+    var modifiers = parts.map( function( part ) {
+        return part.toLowerCase();
+    } );
+    return makeCombo( modifiers.indexOf( 'ctrl' ) !== -1, modifiers.indexOf( 'alt' ) !== -1,
+        modifiers.indexOf( 'meta' ) !== -1, modifiers.indexOf( 'shift' ) !== -1, key );
+}
+
+/**
+ * @private
+ * @inner
+ * @returns {String}
+ */
+function makeCombo( ctrl, alt, meta, shift, key ) {
+    if ( key.length === 1 ) {
+        key = key.toLowerCase();
+        if ( key.toUpperCase() === key ) {
+            // Shift is needed to type many symbols: ignore it.
+            shift = false;
+        }
+    }
+    return ( ctrl ? 'ctrl+' : '' ) + ( alt ? 'alt+' : '' ) + ( meta ? 'meta+' : '' ) +
+        ( shift ? 'shift+' : '' ) + key;
+}
+
+/**
+ * @private
+ * @inner
+ * @param {Object} event - A MouseTracker key event or a KeyboardEvent.
+ * @param {Boolean} useCode - Whether to use the code rather than the key.
+ * @returns {String} The normalized combination of the event.
+ */
+function getEventCombo( event, useCode ) {
+    var original = event.originalEvent || event;
+    var key = useCode ? original.code : original.key;
+    if ( !key ) {
+        key = keyFromKeyCode( event.keyCode || original.keyCode, !!( event.shift || original.shiftKey ), useCode );
+    }
+    return makeCombo( !!( event.ctrl || original.ctrlKey ), !!( event.alt || original.altKey ),
+        !!( event.meta || original.metaKey ), !!( event.shift || original.shiftKey ), key || '' );
+}
+
+/**
+ * Fallback for browsers and synthetic events without key and code.
+ * @private
+ * @inner
+ * @returns {String} The key or code of a US keyboard for a keyCode.
+ */
+function keyFromKeyCode( keyCode, shift, useCode ) {
+    // Keys whose code is their key.
+    var named = {
+        8: 'Backspace', 13: 'Enter', 27: 'Escape', 46: 'Delete',
+        37: 'ArrowLeft', 38: 'ArrowUp', 39: 'ArrowRight', 40: 'ArrowDown'
+    };
+    if ( named[ keyCode ] ) {
+        return named[ keyCode ];
+    }
+    if ( keyCode >= 48 && keyCode <= 57 ) {
+        return useCode ? 'Digit' + ( keyCode - 48 ) : String( keyCode - 48 );
+    }
+    if ( keyCode >= 65 && keyCode <= 90 ) {
+        return useCode ? 'Key' + String.fromCharCode( keyCode ) : String.fromCharCode( keyCode ).toLowerCase();
+    }
+    if ( keyCode === 187 ) {
+        return useCode ? 'Equal' : ( shift ? '+' : '=' );
+    }
+    if ( keyCode === 189 ) {
+        return useCode ? 'Minus' : ( shift ? '_' : '-' );
+    }
+    return '';
+}
+
+/**
+ * @private
+ * @inner
+ * @param {String|Function} action
+ * @returns {String}
+ */
+function describe( action ) {
+    if ( typeof action !== 'string' ) {
+        return action.description || action.name || '?';
+    }
+    var registered = $.Keymap.actions[ action ];
+    if ( registered && registered.description ) {
+        return registered.description;
+    }
+    if ( registered && registered.builtIn ) {
+        return $.getString( "Keymap." + action );
+    }
+    return action;
+}
+
+/**
+ * Registers an action described by its 'Keymap.' + name string.
+ * @private
+ * @inner
+ * @param {String} name
+ * @param {Function} handler
+ */
+function registerBuiltIn( name, handler ) {
+    $.Keymap.registerAction( name, handler );
+    $.Keymap.actions[ name ].builtIn = true;
+}
+
+/**
+ * @private
+ * @inner
+ * @param {OpenSeadragon.Viewer} viewer
+ * @param {Number} x - pixels
+ * @param {Number} y - pixels
+ */
+function panBy( viewer, x, y ) {
+    viewer.viewport.panBy( viewer.viewport.deltaPointsFromPixels( new $.Point( x, y ) ) );
+    viewer.viewport.applyConstraints();
+}
+
+/**
+ * @private
+ * @inner
+ * @param {OpenSeadragon.Viewer} viewer
+ * @param {Number} direction - 1 for clockwise, -1 for counterclockwise.
+ */
+function rotate( viewer, direction ) {
+    if ( viewer.viewport.flipped ) {
+        direction = -direction;
+    }
+    viewer.viewport.setRotation( viewer.viewport.getRotation() + direction * viewer.rotationIncrement );
+    viewer.viewport.applyConstraints();
+}
+
+registerBuiltIn( 'panUp', function( viewer, event ) {
+    if ( !event.preventVerticalPan ) {
+        panBy( viewer, 0, -viewer.pixelsPerArrowPress );
+    }
+} );
+registerBuiltIn( 'panDown', function( viewer, event ) {
+    if ( !event.preventVerticalPan ) {
+        panBy( viewer, 0, viewer.pixelsPerArrowPress );
+    }
+} );
+registerBuiltIn( 'panLeft', function( viewer, event ) {
+    if ( !event.preventHorizontalPan ) {
+        panBy( viewer, -viewer.pixelsPerArrowPress, 0 );
+    }
+} );
+registerBuiltIn( 'panRight', function( viewer, event ) {
+    if ( !event.preventHorizontalPan ) {
+        panBy( viewer, viewer.pixelsPerArrowPress, 0 );
+    }
+} );
+registerBuiltIn( 'zoomIn', function( viewer ) {
+    viewer.viewport.zoomBy( 1.1 );
+    viewer.viewport.applyConstraints();
+} );
+registerBuiltIn( 'zoomOut', function( viewer ) {
+    viewer.viewport.zoomBy( 0.9 );
+    viewer.viewport.applyConstraints();
+} );
+registerBuiltIn( 'home', function( viewer ) {
+    viewer.viewport.goHome();
+    viewer.viewport.applyConstraints();
+} );
+registerBuiltIn( 'rotateClockwise', function( viewer ) {
+    rotate( viewer, 1 );
+} );
+registerBuiltIn( 'rotateCounterclockwise', function( viewer ) {
+    rotate( viewer, -1 );
+} );
+registerBuiltIn( 'flip', function( viewer ) {
+    viewer.viewport.toggleFlip();
+} );
+registerBuiltIn( 'nextPage', function( viewer ) {
+    viewer.goToNextPage();
+} );
+registerBuiltIn( 'previousPage', function( viewer ) {
+    viewer.goToPreviousPage();
+} );
+registerBuiltIn( 'fullPage', function( viewer ) {
+    viewer.setFullPage( !viewer.isFullPage() );
+} );
+registerBuiltIn( 'toggleNavigator', function( viewer ) {
+    if ( viewer.navigator ) {
+        var style = viewer.navigator.element.style;
+        style.display = style.display === 'none' ? '' : 'none';
+    }
+} );
+registerBuiltIn( 'toggleHelp', function( viewer ) {
+    viewer.keymap.setHelpVisible( !viewer.keymap.isHelpVisible() );
+} );
+
+}( OpenSeadragon ));
@@ -288,4 +288,6 @@ function configureFromObject( tileSource, configuration ){
 
 }
 
+$.TileSource.register( 'legacy-image-pyramid', $.LegacyTileSource );
+
 }( OpenSeadragon ));
@@ -0,0 +1,255 @@
+/*
+ * OpenSeadragon - MeasureTool
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * @class MeasureTool
+ * @classdesc Measures the distance between two points of an image: once
+ * active, click a point, then another; the line and its length stay on the
+ * image until the next click. Lengths are in physical units if the image has
+ * a known resolution (see {@link OpenSeadragon.TiledImage#getPixelsPerMeter}),
+ * in image pixels otherwise. Points are taken in image coordinates, so the
+ * rotation and flip of the viewport and image don't change the result.
+ * Escape, with the focus on the viewer, clears the measurement.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.SvgLayer
+ * @param {Object} options
+ * @param {OpenSeadragon.Viewer} options.viewer
+ * @param {OpenSeadragon.TiledImage} [options.item] - The image to measure.
+ * Defaults to the first item of the world.
+ * @param {String} [options.color='#ffd400'] - The color of the line and label.
+ * @param {Boolean} [options.active=false] - See {@link OpenSeadragon.MeasureTool#setActive}.
+ */
+$.MeasureTool = function( options ) {
+    $.console.assert( options.viewer, "[MeasureTool] options.viewer is required" );
+
+    var _this = this;
+
+    $.SvgLayer.call( this, {
+        viewer: options.viewer,
+        item: options.item,
+        className: 'openseadragon-measure',
+        tracker: {
+            userData:        'MeasureTool.tracker',
+            clickHandler:    $.delegate( this, onClick ),
+            moveHandler:     $.delegate( this, onMove )
+        },
+        viewerHandlers: {
+            'update-viewport': function() {
+                _this.redraw();
+            },
+            'canvas-key': function( event ) {
+                if ( _this._start && $.Keymap.matches( event, 'Escape' ) ) {
+                    _this.clear();
+                    event.preventDefaultAction = true;
+                }
+            }
+        }
+    });
+
+    this.color = options.color || '#ffd400';
+
+    this._active = false;
+    // The end points, in image pixels, and whether the end follows the pointer.
+    this._start = null;
+    this._end = null;
+    this._measuring = false;
+
+    this.element.style.cursor = 'crosshair';
+
+    this._line = document.createElementNS( SVG_NS, 'line' );
+    this._line.setAttribute( 'stroke', this.color );
+    this._line.setAttribute( 'stroke-width', 2 );
+    this._label = document.createElementNS( SVG_NS, 'text' );
+    this._label.setAttribute( 'fill', this.color );
+    this._label.setAttribute( 'stroke', '#000' );
+    this._label.setAttribute( 'stroke-width', 3 );
+    this._label.setAttribute( 'paint-order', 'stroke' );
+    this._label.setAttribute( 'font-family', 'sans-serif' );
+    this._label.setAttribute( 'font-size', 14 );
+    this._label.setAttribute( 'text-anchor', 'middle' );
+    this.element.appendChild( this._line );
+    this.element.appendChild( this._label );
+
+    this.setActive( !!options.active );
+};
+
+$.extend( $.MeasureTool.prototype, $.SvgLayer.prototype, /** @lends OpenSeadragon.MeasureTool.prototype */{
+
+    /**
+     * Turns measuring on or off. While active, clicks on the viewer place
+     * points instead of zooming; dragging doesn't pan.
+     * @function
+     * @param {Boolean} active
+     * @returns {OpenSeadragon.MeasureTool} Chainable.
+     */
+    setActive: function( active ) {
+        this._active = !!active;
+        this.element.style.pointerEvents = this._active ? 'auto' : 'none';
+        if ( !this._active && this._measuring ) {
+            this.clear();
+        }
+        return this;
+    },
+
+    /**
+     * @function
+     * @returns {Boolean} Whether measuring is on.
+     */
+    isActive: function() {
+        return this._active;
+    },
+
+    /**
+     * @function
+     * @returns {?Object} The last completed measurement, or null: start and
+     * end, {@link OpenSeadragon.Point}s in image pixels; pixels, the length in
+     * image pixels; meters, the length in meters, or null if the resolution
+     * of the image is unknown; label, the formatted length.
+     */
+    getMeasurement: function() {
+        return this._start && !this._measuring ? this._getMeasurement() : null;
+    },
+
+    /**
+     * Removes the measurement.
+     * @function
+     * @returns {OpenSeadragon.MeasureTool} Chainable.
+     */
+    clear: function() {
+        this._start = null;
+        this._end = null;
+        this._measuring = false;
+        this.redraw();
+        return this;
+    },
+
+    /**
+     * Updates the line for the current viewport. Called on every redraw of
+     * the viewer.
+     * @function
+     */
+    redraw: function() {
+        var item = this._getItem();
+        var visible = !!( item && this._start );
+        this._line.style.display = visible ? '' : 'none';
+        this._label.style.display = visible ? '' : 'none';
+        if ( !visible ) {
+            return;
+        }
+
+        var start = this._toPixel( this._start );
+        var end = this._toPixel( this._end );
+        this._line.setAttribute( 'x1', start.x );
+        this._line.setAttribute( 'y1', start.y );
+        this._line.setAttribute( 'x2', end.x );
+        this._line.setAttribute( 'y2', end.y );
+        this._label.setAttribute( 'x', ( start.x + end.x ) / 2 );
+        this._label.setAttribute( 'y', ( start.y + end.y ) / 2 - 8 );
+        this._label.textContent = this._getMeasurement().label;
+    },
+
+    // private
+    _getMeasurement: function() {
+        var pixels = this._start.distanceTo( this._end );
+        var pixelsPerMeter = this._getItem().getPixelsPerMeter();
+        var meters = pixelsPerMeter ? pixels / pixelsPerMeter : null;
+        return {
+            start: this._start,
+            end: this._end,
+            pixels: pixels,
+            meters: meters,
+            label: meters === null ?
+                parseFloat( pixels.toPrecision( 3 ) ) + ' px' :
+                $.ScaleBar.formatLength( meters )
+        };
+    }
+});
+
+/**
+ * @private
+ * @inner
+ * Starts or ends a measurement.
+ */
+function onClick( event ) {
+    if ( !event.quick || !this._getItem() ) {
+        return;
+    }
+    var point = this._toImage( event.position );
+
+    if ( !this._measuring ) {
+        this._start = point;
+        this._end = point;
+        this._measuring = true;
+        this.redraw();
+        return;
+    }
+
+    this._end = point;
+    this._measuring = false;
+    this.redraw();
+
+    var measurement = this.getMeasurement();
+    /**
+     * Raised when a measurement is completed.
+     *
+     * @event measure
+     * @memberof OpenSeadragon.MeasureTool
+     * @type {object}
+     * @property {OpenSeadragon.MeasureTool} eventSource - A reference to the tool which raised the event.
+     * @property {OpenSeadragon.Point} start - In image pixels.
+     * @property {OpenSeadragon.Point} end - In image pixels.
+     * @property {Number} pixels - The length in image pixels.
+     * @property {?Number} meters - The length in meters, or null if unknown.
+     * @property {String} label - The formatted length.
+     * @property {?Object} userData - Arbitrary subscriber-defined object.
+     */
+    this.raiseEvent( 'measure', measurement );
+}
+
+/**
+ * @private
+ * @inner
+ */
+function onMove( event ) {
+    if ( this._measuring && this._getItem() ) {
+        this._end = this._toImage( event.position );
+        this.redraw();
+    }
+}
+
+}( OpenSeadragon ));
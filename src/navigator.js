@@ -122,6 +122,7 @@ $.Navigator = function( options ){
         mouseNavEnabled:        false,
         showNavigationControl:  false,
         showSequenceControl:    false,
+        announceViewport:       false,
         immediateRender:        true,
         blendTime:              0,
         animationTime:          options.animationTime,
@@ -222,6 +223,9 @@ $.Navigator = function( options ){
     $.Viewer.apply( this, [ options ] );
 
     this.displayRegionContainer.appendChild(this.displayRegion);
+    // Only a mouse can use the navigator: present it as an image of the view.
+    this.element.setAttribute( "role", "img" );
+    this.element.setAttribute( "aria-label", $.getString( "Accessibility.Navigator" ) );
     this.element.getElementsByTagName('div')[0].appendChild(this.displayRegionContainer);
 
     function rotate(degrees, immediately) {
@@ -293,6 +293,30 @@
   * @property {Number} [pixelsPerWheelLine=40]
   *     For pixel-resolution scrolling devices, the number of pixels equal to one scroll line.
   *
+  * @property {Object} [keymap=null]
+  *     Keyboard shortcuts of the canvas, as key combinations (e.g. 'Shift+ArrowUp', 'KeyW' or '+')
+  *     mapped to action names (e.g. 'zoomIn', see {@link OpenSeadragon.Keymap.actions}) or
+  *     functions, on top of {@link OpenSeadragon.Keymap.DEFAULT_BINDINGS}; null unbinds a
+  *     combination. The viewer's {@link OpenSeadragon.Keymap} can rebind keys at runtime.
+  *
+  * @property {Boolean} [announceViewport=true]
+  *     Whether to announce the zoom, visible region, page and rotation to screen readers
+  *     whenever the view settles, through a polite ARIA live region (see
+  *     {@link OpenSeadragon.ViewportAnnouncer}).
+  *
+  * @property {Boolean} [pauseWhenIdle=true]
+  *     Whether the update loop of the viewer sleeps while nothing moves, loads or needs drawing,
+  *     rather than running on every animation frame. Changes made through the API wake it up;
+  *     call {@link OpenSeadragon.Viewer#forceRedraw} after changing anything else the drawing
+  *     depends on. See {@link OpenSeadragon.RenderScheduler}.
+  *
+  * @property {Boolean} [pauseWhenHidden=true]
+  *     Whether the update loop of the viewer pauses while the browser tab is hidden.
+  *
+  * @property {Boolean} [pauseWhenOffscreen=true]
+  *     Whether the update loop of the viewer pauses while the viewer is scrolled out of sight,
+  *     where IntersectionObserver is supported.
+  *
   * @property {Number} [pixelsPerArrowPress=40]
   *     The number of pixels viewport moves when an arrow key is pressed.
   *
@@ -481,6 +505,17 @@
   * @property {String} [navigatorDisplayRegionColor='#900']
   *     Specifies the border color of the display region rectangle of the navigator minimap
   *
+  * @property {Boolean} [showScaleBar=false]
+  *     Set to true to show a scale bar (see {@link OpenSeadragon.ScaleBar}) for
+  *     images with a known physical resolution (see pixelsPerMeter in
+  *     {@link OpenSeadragon.Viewer#addTiledImage}).
+  *
+  * @property {OpenSeadragon.ControlAnchor} [scaleBarAnchor=BOTTOM_LEFT]
+  *     Where the scale bar goes.
+  *
+  * @property {Number} [scaleBarMaxWidth=150]
+  *     The maximum length of the scale bar, in pixels.
+  *
   * @property {Number} [controlsFadeDelay=2000]
   *     The number of milliseconds to wait once the user has stopped interacting
   *     with the interface before beginning to fade the controls. Assumes
@@ -501,9 +536,36 @@
   * @property {Number} [tileRetryDelay=2500]
   *     Milliseconds to wait after each tile retry if tileRetryMax is set.
   *
+  * @property {Object} [tileRetryPolicy=null]
+  *     How failed tile downloads are retried. Tile sources can override any of its
+  *     fields with their own retryPolicy option. Its fields are:<br>
+  *     maxRetries (defaults to tileRetryMax): the max number of retries of a tile.<br>
+  *     delay (defaults to tileRetryDelay): milliseconds to wait before the first retry.<br>
+  *     backoffFactor (defaults to 2): what the delay is multiplied by after each retry.<br>
+  *     maxDelay (defaults to 30000): the longest delay in milliseconds, before jitter.<br>
+  *     jitter (defaults to 0.5): the fraction of the delay randomly added to or removed from it,
+  *     so that many tiles failing together aren't retried together.<br>
+  *     retryStatuses (defaults to [408, 429, 500, 502, 503, 504]): the HTTP statuses worth retrying.
+  *     Failures with any other status (e.g. a 404) are reported right away. The status is only known
+  *     for tiles loaded with AJAX; other failures are always retried.<br>
+  *     honorRetryAfter (defaults to true): whether a Retry-After header of the failed response
+  *     replaces the delay, up to maxDelay.
+  *
+  * @property {OpenSeadragon.PersistentTileCache|Object} [persistentTileCache=null]
+  *     A {@link OpenSeadragon.PersistentTileCache}, or the options to create one with, keeping
+  *     the tiles of the tile sources that opt in with their persistentCache option across page
+  *     reloads. Use its prefetch method to download regions for offline use.
+  *
   * @property {Boolean} [useCanvas=true]
   *     Set to false to not use an HTML canvas element for image rendering even if canvas is supported.
   *
+  * @property {String|Function|Array} [drawerType='canvas']
+  *     Which drawer renders the images: 'canvas' for {@link OpenSeadragon.Drawer},
+  *     'webgl' for {@link OpenSeadragon.WebGLDrawer}, another name registered in
+  *     {@link OpenSeadragon.Drawer.types}, or a drawer constructor. An array lists
+  *     drawers in order of preference, e.g. ['webgl', 'canvas']; the first one
+  *     supported by the browser is used. The canvas drawer is used when none is.
+  *
   * @property {Number} [minPixelRatio=0.5]
   *     The higher the minPixelRatio, the lower the quality of the image that
   *     is considered sufficient to stop rendering a given zoom level.  For
@@ -625,6 +687,17 @@
   *     viewport to 'home' position.  If preserveViewport is set to true, then the viewport
   *     position is preserved when navigating between images in the sequence.
   *
+  * @property {Boolean} [urlHashState=false]
+  *     Set to true to keep the view (see {@link OpenSeadragon.Viewer#getState}) in
+  *     the URL hash, e.g. #page=2&bounds=0.1,0.2,0.5,0.3&rotation=90, and to restore
+  *     it when the viewer opens or the hash changes. Links to the page then show the
+  *     same region. Other hash parameters are left untouched.
+  *
+  * @property {Boolean|Object} [annotations=false]
+  *     Set to true, or to the options of an {@link OpenSeadragon.AnnotationLayer},
+  *     to create one as {@link OpenSeadragon.Viewer#annotations}, to draw and edit
+  *     vector shapes over the image.
+  *
   * @property {Boolean} [preserveOverlays=false]
   *     If sequenceMode is true, then normally navigating through each image
   *     resets the overlays.
@@ -1057,11 +1130,43 @@ function OpenSeadragon( options ){
     };
 
     /**
+     * The pixel density ratio the canvases are drawn with and tile levels are
+     * chosen for. Viewers keep it up to date as the device pixel ratio changes
+     * (see the pixel-density-ratio-change event), capped by
+     * {@link OpenSeadragon.maxPixelDensityRatio}.
      * @member {Number} pixelDensityRatio
      * @memberof OpenSeadragon
      */
     $.pixelDensityRatio = $.getCurrentPixelDensityRatio();
 
+    /**
+     * The highest pixel density ratio the viewers of the page draw with, or
+     * null for no cap. Set it with {@link OpenSeadragon.setMaxPixelDensityRatio}.
+     * @member {?Number} maxPixelDensityRatio
+     * @memberof OpenSeadragon
+     */
+    $.maxPixelDensityRatio = null;
+
+    /**
+     * Caps the pixel density every viewer of the page draws with (see
+     * {@link OpenSeadragon.pixelDensityRatio}), e.g. 2 to draw 2x rather than
+     * 3x on high density phones: the canvases hold fewer pixels and fewer,
+     * lower level tiles are loaded, at the cost of sharpness. The open viewers
+     * redraw at the new ratio.
+     * @function
+     * @param {?Number} ratio - The cap, or null to remove it.
+     */
+    $.setMaxPixelDensityRatio = function( ratio ) {
+        $.maxPixelDensityRatio = ratio || null;
+        $.pixelDensityRatio = $.getCurrentPixelDensityRatio();
+        if ( $.maxPixelDensityRatio ) {
+            $.pixelDensityRatio = Math.min( $.pixelDensityRatio, $.maxPixelDensityRatio );
+        }
+        $._viewers.forEach( function( viewer ) {
+            viewer._updatePixelDensityRatio();
+        } );
+    };
+
 }( OpenSeadragon ));
 
 /**
@@ -1284,10 +1389,17 @@ function OpenSeadragon( options ){
             iOSDevice:              isIOSDevice(),
             pixelsPerWheelLine:     40,
             pixelsPerArrowPress:    40,
+            keymap:                 null,
+            announceViewport:       true,
+            pauseWhenIdle:          true,
+            pauseWhenHidden:        true,
+            pauseWhenOffscreen:     true,
             autoResize:             true,
             preserveImageSizeOnResize: false, // requires autoResize=true
             minScrollDeltaTime:     50,
             rotationIncrement:      90,
+            urlHashState:           false,
+            annotations:            false,
 
             //DEFAULT CONTROL SETTINGS
             showSequenceControl:     true,  //SEQUENCE
@@ -1325,6 +1437,11 @@ function OpenSeadragon( options ){
             navigatorBorderColor:       '#555',
             navigatorDisplayRegionColor: '#900',
 
+            //SCALE BAR SETTINGS
+            showScaleBar:               false,
+            scaleBarAnchor:             null,
+            scaleBarMaxWidth:           150,
+
             // INITIAL ROTATION
             degrees:                    0,
 
@@ -1361,8 +1478,11 @@ function OpenSeadragon( options ){
             maxImageCacheCount:     200,
             timeout:                30000,
             useCanvas:              true,  // Use canvas element for drawing if available
+            drawerType:             'canvas',
             tileRetryMax:           0,
             tileRetryDelay:         2500,
+            tileRetryPolicy:        null,
+            persistentTileCache:    null,
 
             //INTERFACE RESOURCE SETTINGS
             prefixUrl:              "/images/",
@@ -142,5 +142,6 @@ $.extend( $.OsmTileSource.prototype, $.TileSource.prototype, /** @lends OpenSead
     }
 });
 
+$.TileSource.register( 'openstreetmaps', $.OsmTileSource );
 
 }( OpenSeadragon ));
@@ -0,0 +1,573 @@
+/*
+ * OpenSeadragon - PersistentTileCache
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var STORE_NAME = 'tiles';
+
+/**
+ * @class PersistentTileCache
+ * @memberof OpenSeadragon
+ * @classdesc Keeps downloaded tiles in IndexedDB, so that they survive page
+ * reloads and can be viewed offline. It is a second tier below the
+ * {@link OpenSeadragon.TileCache}: a tile missing from memory is looked up here
+ * before being downloaded.
+ * <br/>
+ * Tile sources opt in with their persistentCache option, and only those whose
+ * tiles are image files at their tile urls (i.e. that don't override
+ * downloadTileStart) can be cached. Their tiles are then downloaded with AJAX,
+ * so cross-origin servers must allow CORS requests. Tiles are stored under
+ * their cache key (see {@link OpenSeadragon.TileSource#getTileHashKey}).
+ * <br/>
+ * A viewer uses it once given as its persistentTileCache option; the same cache
+ * can be shared by several viewers.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.name='openseadragon-tiles'] - Name of the IndexedDB
+ *      database.
+ * @param {Number} [options.maxBytes=209715200] - Size quota of the stored tiles,
+ *      in bytes (200MB by default).
+ * @param {String} [options.evictionPolicy='lru'] - Which tiles go first when the
+ *      quota is exceeded: 'lru', the least recently used ones, or 'fifo', the
+ *      oldest stored ones.
+ * @param {IDBFactory} [options.indexedDB=window.indexedDB] - IndexedDB
+ *      implementation to use, e.g. a fake one for tests.
+ */
+$.PersistentTileCache = function( options ) {
+    options = options || {};
+
+    this.name = options.name || 'openseadragon-tiles';
+    this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+    this.evictionPolicy = options.evictionPolicy === 'fifo' ? 'fifo' : 'lru';
+    this.indexedDB = options.indexedDB || window.indexedDB;
+
+    this._db = null;
+    this._bytes = null;
+    this._lastTime = 0;
+    this._warnedSources = [];
+};
+
+/** @lends OpenSeadragon.PersistentTileCache.prototype */
+$.PersistentTileCache.prototype = {
+
+    /**
+     * @param {OpenSeadragon.TileSource} source
+     * @returns {Boolean} Whether the tiles of this source go through the cache.
+     */
+    handles: function( source ) {
+        if ( !source || !source.persistentCache ) {
+            return false;
+        }
+        if ( source.downloadTileStart !== $.TileSource.prototype.downloadTileStart ) {
+            if ( this._warnedSources.indexOf( source ) === -1 ) {
+                this._warnedSources.push( source );
+                $.console.warn( "[PersistentTileCache] can't cache the tiles of a TileSource " +
+                    "that downloads them itself", source );
+            }
+            return false;
+        }
+        return true;
+    },
+
+    /**
+     * Looks a tile up.
+     * @param {String} key
+     * @returns {Promise<?Blob>} The stored tile, or null.
+     */
+    get: function( key ) {
+        var _this = this;
+        var mode = this.evictionPolicy === 'lru' ? 'readwrite' : 'readonly';
+        return this._transaction( mode, function( store, setResult ) {
+            var request = store.get( key );
+            request.onsuccess = function() {
+                var record = request.result;
+                if ( !record ) {
+                    setResult( null );
+                    return;
+                }
+                if ( _this.evictionPolicy === 'lru' ) {
+                    record.accessed = _this._now();
+                    store.put( record );
+                }
+                setResult( new window.Blob( [ record.data ], { type: record.type } ) );
+            };
+        } );
+    },
+
+    /**
+     * @param {String} key
+     * @returns {Promise<Boolean>} Whether the tile is stored.
+     */
+    has: function( key ) {
+        return this._transaction( 'readonly', function( store, setResult ) {
+            var request = store.count( key );
+            request.onsuccess = function() {
+                setResult( request.result > 0 );
+            };
+        } );
+    },
+
+    /**
+     * Stores a tile, evicting others if it makes the cache exceed its quota.
+     * @param {String} key
+     * @param {ArrayBuffer} data - The tile file.
+     * @param {String} [type] - Its MIME type.
+     * @returns {Promise<Boolean>} Whether it was stored: a tile bigger than the
+     *      whole quota isn't.
+     */
+    put: function( key, data, type ) {
+        var _this = this;
+        var size = data.byteLength;
+        if ( size > this.maxBytes ) {
+            return Promise.resolve( false );
+        }
+
+        var now = this._now();
+        return this._transaction( 'readwrite', function( store ) {
+            var request = store.get( key );
+            request.onsuccess = function() {
+                if ( request.result ) {
+                    _this._bytes -= request.result.size;
+                }
+                store.put( {
+                    key: key,
+                    data: data,
+                    type: type || '',
+                    size: size,
+                    stored: now,
+                    accessed: now
+                } );
+                _this._bytes += size;
+            };
+        } ).then( function() {
+            return _this._evict();
+        } ).then( function() {
+            return true;
+        } );
+    },
+
+    /**
+     * @param {String} key
+     * @returns {Promise}
+     */
+    remove: function( key ) {
+        var _this = this;
+        return this._transaction( 'readwrite', function( store ) {
+            var request = store.get( key );
+            request.onsuccess = function() {
+                if ( request.result ) {
+                    _this._bytes -= request.result.size;
+                    store.delete( key );
+                }
+            };
+        } );
+    },
+
+    /**
+     * Removes every stored tile.
+     * @returns {Promise}
+     */
+    clear: function() {
+        var _this = this;
+        return this._transaction( 'readwrite', function( store ) {
+            store.clear();
+            _this._bytes = 0;
+        } );
+    },
+
+    /**
+     * @returns {Promise<Number>} The size of the stored tiles, in bytes.
+     */
+    getSize: function() {
+        var _this = this;
+        return this._open().then( function() {
+            return _this._bytes;
+        } );
+    },
+
+    /**
+     * Closes the database. The cache reopens it if used again.
+     */
+    close: function() {
+        if ( this._db ) {
+            this._db.then( function( db ) {
+                db.close();
+            }, function() {} );
+            this._db = null;
+        }
+    },
+
+    /**
+     * Downloads the tiles of a region of a TiledImage into the cache, e.g. to
+     * view it offline. Tiles already stored aren't downloaded again.
+     * @param {OpenSeadragon.TiledImage} tiledImage - Its source must opt in,
+     *      see {@link OpenSeadragon.PersistentTileCache#handles}.
+     * @param {Object} [options]
+     * @param {OpenSeadragon.Rect} [options.region] - The region, in viewport
+     *      coordinates. Defaults to the whole image.
+     * @param {Number} [options.minLevel] - Lowest level to download, defaults to
+     *      the source's minLevel.
+     * @param {Number} [options.maxLevel] - Highest level to download, defaults
+     *      to the source's maxLevel.
+     * @param {Number} [options.concurrency=4] - Number of parallel downloads.
+     * @returns {Promise<Object>} Resolves once done with the counts of tiles
+     *      of the region (total), found in the cache (cached), downloaded
+     *      (downloaded) and that failed to download (failed).
+     */
+    prefetch: function( tiledImage, options ) {
+        options = options || {};
+        var _this = this;
+        var source = tiledImage.source;
+        var result = { total: 0, cached: 0, downloaded: 0, failed: 0 };
+
+        if ( !this.handles( source ) ) {
+            return Promise.reject( new Error( "[PersistentTileCache.prefetch] the TileSource " +
+                "doesn't use the persistent cache" ) );
+        }
+
+        var tiles = getRegionTiles( tiledImage, options );
+        var next = 0;
+        result.total = tiles.length;
+
+        function work() {
+            if ( next >= tiles.length ) {
+                return Promise.resolve();
+            }
+            var tile = tiles[ next++ ];
+            return _this.has( tile.cacheKey ).then( function( stored ) {
+                if ( stored ) {
+                    result.cached++;
+                    return null;
+                }
+                return _this._download( {
+                    src: tile.getUrl(),
+                    ajaxHeaders: tile.ajaxHeaders,
+                    ajaxWithCredentials: tiledImage.ajaxWithCredentials,
+                    postData: tile.postData
+                } ).then( function( response ) {
+                    result.downloaded++;
+                    return _this.put( tile.cacheKey, response.data, response.type );
+                } );
+            } ).catch( function( e ) {
+                result.failed++;
+                $.console.warn( "[PersistentTileCache.prefetch] tile %s failed: %s", tile.toString(), e.message );
+            } ).then( work );
+        }
+
+        var workers = [];
+        for ( var i = 0; i < ( options.concurrency || 4 ); i++ ) {
+            workers.push( work() );
+        }
+        return Promise.all( workers ).then( function() {
+            return result;
+        } );
+    },
+
+    /**
+     * Loads the tile of an image job from the cache, or downloads and stores
+     * it. Called by {@link OpenSeadragon.ImageJob#start} instead of the
+     * downloadTileStart of the job's source when the cache handles it.
+     * @param {OpenSeadragon.ImageJob} context - The image job.
+     */
+    downloadTileStart: function( context ) {
+        var _this = this;
+        var key = ( context.tile && context.tile.cacheKey ) || context.src;
+        var dataStore = context.userData;
+        var tries = context.tries;
+        // Ignores the results that come after the job timed out, even if it
+        // was started again since.
+        var isCurrent = function() {
+            return !context.aborted && context.tries === tries;
+        };
+        var finish = function( data, request, errorMessage ) {
+            if ( isCurrent() ) {
+                context.finish( data, request, errorMessage );
+            }
+        };
+
+        dataStore.request = null;
+
+        this.get( key ).then( function( blob ) {
+            if ( !isCurrent() ) {
+                return;
+            }
+            if ( blob ) {
+                decodeTile( context, blob, finish, function() {
+                    // The stored tile is broken, get rid of it.
+                    _this.remove( key );
+                } );
+                return;
+            }
+
+            _this._download( context ).then( function( response ) {
+                _this.put( key, response.data, response.type ).catch( function( e ) {
+                    $.console.warn( "[PersistentTileCache] couldn't store tile %s: %s", key, e.message );
+                } );
+                decodeTile( context, new window.Blob( [ response.data ], { type: response.type } ), finish );
+            }, function( e ) {
+                finish( null, e.request, e.message );
+            } );
+        }, function( e ) {
+            if ( !isCurrent() ) {
+                return;
+            }
+            $.console.warn( "[PersistentTileCache] falling back to the network: %s", e.message );
+            context.source.downloadTileStart( context );
+        } );
+    },
+
+    // private
+    // A clock that never gives the same time twice, so that the eviction order
+    // is the order of the calls.
+    _now: function() {
+        this._lastTime = Math.max( $.now(), this._lastTime + 1 );
+        return this._lastTime;
+    },
+
+    // private
+    _download: function( context ) {
+        return new Promise( function( resolve, reject ) {
+            var request = $.makeAjaxRequest( {
+                url: context.src,
+                withCredentials: context.ajaxWithCredentials,
+                headers: context.ajaxHeaders,
+                responseType: "arraybuffer",
+                postData: context.postData,
+                success: function( request ) {
+                    if ( !request.response || !request.response.byteLength ) {
+                        var empty = new Error( "Empty image response." );
+                        empty.request = request;
+                        reject( empty );
+                        return;
+                    }
+                    resolve( {
+                        data: request.response,
+                        type: ( request.getResponseHeader( 'Content-Type' ) || '' ).split( ';' )[ 0 ]
+                    } );
+                },
+                error: function( request ) {
+                    var error = new Error( "Image load aborted - XHR error" );
+                    error.request = request;
+                    reject( error );
+                }
+            } );
+            if ( context.userData ) {
+                // Lets downloadTileAbort abort it.
+                context.userData.request = request;
+            }
+        } );
+    },
+
+    // private
+    _open: function() {
+        var _this = this;
+        if ( this._db ) {
+            return this._db;
+        }
+
+        this._db = new Promise( function( resolve, reject ) {
+            if ( !_this.indexedDB ) {
+                throw new Error( "IndexedDB is not available" );
+            }
+            var request = _this.indexedDB.open( _this.name, 1 );
+            request.onupgradeneeded = function() {
+                var store = request.result.createObjectStore( STORE_NAME, { keyPath: 'key' } );
+                store.createIndex( 'accessed', 'accessed' );
+                store.createIndex( 'stored', 'stored' );
+            };
+            request.onsuccess = function() {
+                resolve( request.result );
+            };
+            request.onerror = function() {
+                reject( request.error );
+            };
+        } ).then( function( db ) {
+            return countBytes( db ).then( function( bytes ) {
+                _this._bytes = bytes;
+                return db;
+            } );
+        } );
+        this._db.catch( function() {
+            // Try again next time.
+            _this._db = null;
+        } );
+        return this._db;
+    },
+
+    // private
+    _transaction: function( mode, work ) {
+        var _this = this;
+        return this._open().then( function( db ) {
+            return runTransaction( db, mode, work ).catch( function( e ) {
+                // The byte count may be off now, recount it.
+                _this.close();
+                throw e;
+            } );
+        } );
+    },
+
+    // private
+    _evict: function() {
+        var _this = this;
+        if ( this._bytes <= this.maxBytes ) {
+            return Promise.resolve();
+        }
+        var indexName = this.evictionPolicy === 'fifo' ? 'stored' : 'accessed';
+        return this._transaction( 'readwrite', function( store ) {
+            var request = store.index( indexName ).openCursor();
+            request.onsuccess = function() {
+                var cursor = request.result;
+                if ( !cursor || _this._bytes <= _this.maxBytes ) {
+                    return;
+                }
+                _this._bytes -= cursor.value.size;
+                cursor.delete();
+                cursor.continue();
+            };
+        } );
+    }
+};
+
+/**
+ * Runs requests in a transaction on the tile store.
+ * @private
+ * @inner
+ * @param {IDBDatabase} db
+ * @param {String} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - function(store, setResult) making the requests.
+ * @returns {Promise} Resolves with what work passed to setResult once the
+ *      transaction completes.
+ */
+function runTransaction( db, mode, work ) {
+    return new Promise( function( resolve, reject ) {
+        var transaction = db.transaction( STORE_NAME, mode );
+        var result;
+        transaction.oncomplete = function() {
+            resolve( result );
+        };
+        transaction.onerror = transaction.onabort = function() {
+            reject( transaction.error || new Error( "IndexedDB transaction aborted" ) );
+        };
+        work( transaction.objectStore( STORE_NAME ), function( value ) {
+            result = value;
+        } );
+    } );
+}
+
+/**
+ * @private
+ * @inner
+ * @param {IDBDatabase} db
+ * @returns {Promise<Number>} The size of the stored tiles, in bytes.
+ */
+function countBytes( db ) {
+    return runTransaction( db, 'readonly', function( store, setResult ) {
+        var bytes = 0;
+        var request = store.openCursor();
+        setResult( 0 );
+        request.onsuccess = function() {
+            var cursor = request.result;
+            if ( cursor ) {
+                bytes += cursor.value.size;
+                setResult( bytes );
+                cursor.continue();
+            }
+        };
+    } );
+}
+
+/**
+ * Decodes a tile file into an image and finishes its job with it.
+ * @private
+ * @inner
+ * @param {OpenSeadragon.ImageJob} context
+ * @param {Blob} blob
+ * @param {Function} finish - Finishes the job, see {@link OpenSeadragon.ImageJob#finish}.
+ * @param {Function} [onError] - Called if the file isn't a valid image.
+ */
+function decodeTile( context, blob, finish, onError ) {
+    var URL = window.URL || window.webkitURL;
+    var url = URL.createObjectURL( blob );
+    var image = new Image();
+    image.onload = function() {
+        URL.revokeObjectURL( url );
+        finish( image, context.userData.request );
+    };
+    image.onerror = image.onabort = function() {
+        URL.revokeObjectURL( url );
+        if ( onError ) {
+            onError();
+        }
+        finish( null, context.userData.request, "Image load failed." );
+    };
+    image.src = url;
+}
+
+/**
+ * @private
+ * @inner
+ * @param {OpenSeadragon.TiledImage} tiledImage
+ * @param {Object} options - see {@link OpenSeadragon.PersistentTileCache#prefetch}
+ * @returns {OpenSeadragon.Tile[]} The tiles of the region at the levels asked for.
+ */
+function getRegionTiles( tiledImage, options ) {
+    var source = tiledImage.source;
+    var dimensions = source.dimensions;
+    var region = tiledImage.viewportToImageRectangle( options.region || tiledImage.getBounds() );
+    var minLevel = Math.max( source.minLevel, options.minLevel !== undefined ? options.minLevel : source.minLevel );
+    var maxLevel = Math.min( source.maxLevel, options.maxLevel !== undefined ? options.maxLevel : source.maxLevel );
+    var tiles = [];
+
+    var left = Math.max( 0, region.x ) / dimensions.x;
+    var top = Math.max( 0, region.y ) / dimensions.x;
+    var right = Math.min( dimensions.x, region.x + region.width ) / dimensions.x;
+    var bottom = Math.min( dimensions.y, region.y + region.height ) / dimensions.x;
+    if ( right < left || bottom < top ) {
+        return tiles;
+    }
+
+    for ( var level = minLevel; level <= maxLevel; level++ ) {
+        var topLeft = source.getTileAtPoint( level, new $.Point( left, top ) );
+        var bottomRight = source.getTileAtPoint( level, new $.Point( right, bottom ) );
+        for ( var x = topLeft.x; x <= bottomRight.x; x++ ) {
+            for ( var y = topLeft.y; y <= bottomRight.y; y++ ) {
+                if ( source.tileExists( level, x, y ) ) {
+                    tiles.push( tiledImage._createSourceTile( level, x, y ) );
+                }
+            }
+        }
+    }
+    return tiles;
+}
+
+}( OpenSeadragon ));
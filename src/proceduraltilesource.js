@@ -0,0 +1,207 @@
+/*
+ * OpenSeadragon - ProceduralTileSource
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var nextSourceId = 0;
+
+/**
+ * @class ProceduralTileSource
+ * @classdesc A tile source whose tiles are drawn by a function rather than
+ * downloaded, for test patterns, heatmaps or synthetic images. Each tile gets
+ * its own canvas, an OffscreenCanvas where supported, and goes through the
+ * image loader and the tile cache like downloaded tiles do.
+ * <br><br>
+ * Open it with <code>viewer.open({type: 'procedural', width: 1000, height: 1000,
+ * drawTile: function(level, x, y, context, bounds) {...}})</code>.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.TileSource
+ * @param {Object} options
+ * @param {Number} options.width - The width of the image at its highest level, in pixels.
+ * @param {Number} options.height
+ * @param {OpenSeadragon.ProceduralTileSource~drawTile} options.drawTile
+ * @param {Number} [options.tileSize=256]
+ * @param {Number} [options.tileWidth] - Overrides tileSize.
+ * @param {Number} [options.tileHeight] - Overrides tileSize.
+ * @param {Number} [options.tileOverlap=0]
+ * @param {Number} [options.minLevel=0]
+ * @param {Number} [options.maxLevel] - Defaults to the level where the image is at full size.
+ * @param {Boolean} [options.opaque=false] - Set to true if drawTile always fills its tiles,
+ * which spares blending work.
+ * @param {Boolean} [options.useCanvas=true] - Set to false to draw into elements
+ * rather than OffscreenCanvas, as the HTML drawer needs.
+ */
+$.ProceduralTileSource = function( options ) {
+    options = $.extend( {
+        opaque: false,
+        useCanvas: true
+    }, options );
+    if ( !options.tileSize && !options.tileWidth && !options.tileHeight ) {
+        options.tileSize = 256;
+    }
+    if ( !$.isFunction( options.drawTile ) ) {
+        throw new Error( "ProceduralTileSource requires a drawTile function." );
+    }
+    this._sourceId = nextSourceId++;
+
+    $.TileSource.apply( this, [ options ] );
+};
+
+/**
+ * Draws a tile of a {@link OpenSeadragon.ProceduralTileSource}.
+ *
+ * @callback drawTile
+ * @memberof OpenSeadragon.ProceduralTileSource
+ * @this OpenSeadragon.ProceduralTileSource
+ * @param {Number} level
+ * @param {Number} x
+ * @param {Number} y
+ * @param {CanvasRenderingContext2D} context - The context of the tile's canvas,
+ * whose size is the size of the tile at its level.
+ * @param {OpenSeadragon.Rect} bounds - The part of the image the tile covers, in
+ * pixels of the highest level.
+ * @returns {Promise|undefined} A promise if the tile is drawn asynchronously;
+ * the tile fails to load if it's rejected.
+ */
+
+$.extend( $.ProceduralTileSource.prototype, $.TileSource.prototype, /** @lends OpenSeadragon.ProceduralTileSource.prototype */{
+
+    /**
+     * Determine if the data and/or url imply the image service is supported by
+     * this tile source.
+     * @function
+     * @param {Object|Array} data
+     * @param {String} optional - url
+     */
+    supports: function( data, url ) {
+        return !!data && data.type === 'procedural';
+    },
+
+    /**
+     *
+     * @function
+     * @param {Object} options - the options
+     * @param {String} dataUrl - the url the image was retrieved from, if any.
+     * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
+     * @returns {Object} options - A dictionary of keyword arguments sufficient
+     *      to configure this tile sources constructor.
+     */
+    configure: function( options, dataUrl, postData ) {
+        return options;
+    },
+
+    /**
+     * Tiles have no URL; this one only tells them apart, in the tile cache
+     * among others.
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    getTileUrl: function( level, x, y ) {
+        return 'procedural:' + this._sourceId + '/' + level + '/' + x + '_' + y;
+    },
+
+    /**
+     * @function
+     * @returns {Boolean} false if the tiles are opaque
+     */
+    hasTransparency: function( context2D, url, ajaxHeaders, post ) {
+        return !this.opaque;
+    },
+
+    /**
+     * Draws the tile.
+     * @function
+     * @param {ImageJob} context job context that you have to call finish(...) on.
+     */
+    downloadTileStart: function( context ) {
+        var dataStore = context.userData;
+        var tile = context.tile;
+        var size = this.getTileBounds( tile.level, tile.x, tile.y, true );
+        var canvas = this._createCanvas( Math.ceil( size.width ), Math.ceil( size.height ) );
+        var bounds = this.getTileBounds( tile.level, tile.x, tile.y ).times( this.dimensions.x );
+        var result;
+
+        var finish = function( error ) {
+            if ( !dataStore.aborted ) {
+                context.finish( error ? null : canvas, null, error );
+            }
+        };
+
+        try {
+            result = this.drawTile( tile.level, tile.x, tile.y, canvas.getContext( '2d' ), bounds );
+        } catch ( e ) {
+            finish( "Tile drawing failed: " + e.message );
+            return;
+        }
+
+        if ( result && $.isFunction( result.then ) ) {
+            result.then( function() {
+                finish();
+            }, function( e ) {
+                finish( "Tile drawing failed: " + ( e && e.message ? e.message : e ) );
+            });
+        } else {
+            finish();
+        }
+    },
+
+    /**
+     * A tile drawn asynchronously is ignored once aborted.
+     * @function
+     * @param {ImageJob} context job, the same object as with downloadTileStart(..)
+     */
+    downloadTileAbort: function( context ) {
+        context.userData.aborted = true;
+    },
+
+    /**
+     * @private
+     * @returns {HTMLCanvasElement|OffscreenCanvas}
+     */
+    _createCanvas: function( width, height ) {
+        if ( this.useCanvas && typeof window.OffscreenCanvas === 'function' ) {
+            return new window.OffscreenCanvas( width, height );
+        }
+        var canvas = document.createElement( 'canvas' );
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+});
+
+$.TileSource.register( 'procedural', $.ProceduralTileSource );
+
+}( OpenSeadragon ));
@@ -450,6 +450,7 @@ function loadPanels( strip, viewerSize, scroll ) {
                 mouseNavEnabled:        false,
                 showNavigationControl:  false,
                 showSequenceControl:    false,
+                announceViewport:       false,
                 immediateRender:        true,
                 blendTime:              0,
                 animationTime:          0,
@@ -457,6 +458,13 @@ function loadPanels( strip, viewerSize, scroll ) {
                 ajaxHeaders:            strip.viewer.ajaxHeaders,
                 useCanvas:              strip.useCanvas
             } );
+            // Thumbnails aren't interactive image viewers of their own
+            miniViewer.canvas.removeAttribute( "role" );
+            miniViewer.canvas.removeAttribute( "aria-roledescription" );
+            miniViewer.canvas.removeAttribute( "aria-label" );
+            if ( originalTileSource.label ) {
+                addPanelLabel( miniViewer, originalTileSource.label );
+            }
             // Allow pointer events to pass through miniViewer's canvas/container
             //   elements so implicit pointer capture works on touch devices
             $.setElementPointerEventsNone( miniViewer.canvas );
@@ -474,6 +482,35 @@ function loadPanels( strip, viewerSize, scroll ) {
 }
 
 
+/**
+ * Captions a panel with its page label (e.g. a IIIF canvas label).
+ * @private
+ * @inner
+ * @function
+ */
+function addPanelLabel( miniViewer, label ) {
+    var element = $.makeNeutralElement( 'div' ),
+        style = element.style;
+
+    element.className = 'referencestrip-label';
+    element.appendChild( document.createTextNode( label ) );
+
+    style.color        = '#fff';
+    style.background   = 'rgba(0, 0, 0, 0.6)';
+    style.fontSize     = '11px';
+    style.padding      = '1px 3px';
+    style.whiteSpace   = 'nowrap';
+    style.overflow     = 'hidden';
+    style.textOverflow = 'ellipsis';
+    style.maxWidth     = '100%';
+
+    miniViewer.addControl( element, {
+        anchor: $.ControlAnchor.BOTTOM_LEFT,
+        autoFade: false
+    } );
+}
+
+
 /**
  * @private
  * @inner
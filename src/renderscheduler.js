@@ -0,0 +1,264 @@
+/*
+ * OpenSeadragon - RenderScheduler
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class RenderScheduler
+ * @memberof OpenSeadragon
+ * @classdesc Runs the update loops of the viewers of a page on a single
+ * animation frame loop, {@link OpenSeadragon.renderScheduler}.
+ * <br/>
+ * A viewer's loop sleeps once nothing moves, loads or needs drawing (see its
+ * pauseWhenIdle option) until something wakes it up, and is skipped while the
+ * tab is hidden (pauseWhenHidden) or the viewer is scrolled out of sight
+ * (pauseWhenOffscreen). When no viewer needs a frame, none is requested.
+ * <br/>
+ * Work that can wait, such as handing newly loaded tiles to their tiled image,
+ * is deferred to the end of the frames, and spread across them so that a
+ * frame doesn't take much longer than the frameBudget.
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.frameBudget=8] - The milliseconds of a frame after
+ *      which deferred work waits for the next frame. At least one deferred
+ *      task runs per frame.
+ */
+$.RenderScheduler = function( options ) {
+    var _this = this;
+
+    $.extend( this, {
+        /**
+         * See the frameBudget option.
+         * @member {Number} frameBudget
+         * @memberof OpenSeadragon.RenderScheduler#
+         */
+        frameBudget: 8
+    }, options );
+
+    this._entries = [];
+    this._tasks = [];
+    this._frameId = null;
+    this._intersectionObserver = null;
+
+    this._onFrame = function() {
+        _this._frameId = null;
+        _this._runFrame();
+    };
+
+    if ( typeof document !== 'undefined' && document.addEventListener ) {
+        $.addEvent( document, 'visibilitychange', function() {
+            _this._requestFrame();
+        });
+    }
+};
+
+/** @lends OpenSeadragon.RenderScheduler.prototype */
+$.RenderScheduler.prototype = {
+
+    /**
+     * Adds a viewer, asleep.
+     * @param {OpenSeadragon.Viewer} viewer
+     * @param {Function} update - function(viewer), called on each frame while
+     *      the viewer is awake; returns whether to stay awake.
+     */
+    register: function( viewer, update ) {
+        var entry = {
+            viewer: viewer,
+            update: update,
+            awake: false,
+            offscreen: false
+        };
+        this._entries.push( entry );
+
+        if ( viewer.pauseWhenOffscreen && window.IntersectionObserver ) {
+            this._getIntersectionObserver().observe( viewer.container );
+        }
+    },
+
+    /**
+     * Removes a viewer.
+     * @param {OpenSeadragon.Viewer} viewer
+     */
+    unregister: function( viewer ) {
+        var entry = this._getEntry( viewer );
+        if ( !entry ) {
+            return;
+        }
+        this._entries.splice( this._entries.indexOf( entry ), 1 );
+        if ( this._intersectionObserver ) {
+            this._intersectionObserver.unobserve( viewer.container );
+        }
+    },
+
+    /**
+     * Runs the update loop of a viewer from the next frame on, until it goes
+     * back to sleep.
+     * @param {OpenSeadragon.Viewer} viewer
+     * @returns {Boolean} Whether the viewer is registered.
+     */
+    wake: function( viewer ) {
+        var entry = this._getEntry( viewer );
+        if ( !entry ) {
+            return false;
+        }
+        entry.awake = true;
+        this._requestFrame();
+        return true;
+    },
+
+    /**
+     * @param {OpenSeadragon.Viewer} viewer
+     * @returns {Boolean} Whether the loop of the viewer is running.
+     */
+    isAwake: function( viewer ) {
+        var entry = this._getEntry( viewer );
+        return !!entry && entry.awake;
+    },
+
+    /**
+     * @param {OpenSeadragon.Viewer} viewer
+     * @returns {Boolean} Whether the loop of the viewer is skipped, because
+     *      the tab is hidden or the viewer is out of sight.
+     */
+    isPaused: function( viewer ) {
+        var entry = this._getEntry( viewer );
+        return !!entry && this._isPaused( entry );
+    },
+
+    /**
+     * Runs a function at the end of a frame, within the frame budget.
+     * @param {Function} task
+     */
+    defer: function( task ) {
+        this._tasks.push( task );
+        this._requestFrame();
+    },
+
+    // private
+    _getEntry: function( viewer ) {
+        for ( var i = 0; i < this._entries.length; i++ ) {
+            if ( this._entries[ i ].viewer === viewer ) {
+                return this._entries[ i ];
+            }
+        }
+        return null;
+    },
+
+    // private
+    _isPaused: function( entry ) {
+        return !!( ( entry.viewer.pauseWhenHidden && document.hidden ) ||
+            ( entry.viewer.pauseWhenOffscreen && entry.offscreen ) );
+    },
+
+    // private
+    _needsFrame: function() {
+        if ( this._tasks.length ) {
+            return true;
+        }
+        for ( var i = 0; i < this._entries.length; i++ ) {
+            if ( this._entries[ i ].awake && !this._isPaused( this._entries[ i ] ) ) {
+                return true;
+            }
+        }
+        return false;
+    },
+
+    // private
+    _requestFrame: function() {
+        if ( this._frameId === null && this._needsFrame() ) {
+            this._frameId = $.requestAnimationFrame( this._onFrame );
+        }
+    },
+
+    // private
+    _runFrame: function() {
+        var start = $.now();
+        var entries = this._entries.slice();
+        var i;
+
+        for ( i = 0; i < entries.length; i++ ) {
+            var entry = entries[ i ];
+            if ( !entry.awake || this._isPaused( entry ) || this._entries.indexOf( entry ) === -1 ) {
+                continue;
+            }
+            // Asleep unless the update asks otherwise; it may wake the viewer again itself.
+            entry.awake = false;
+            try {
+                entry.awake = !!entry.update( entry.viewer ) || entry.awake;
+            } catch ( e ) {
+                $.console.error( "[RenderScheduler] update failed: %s", e.message, e );
+            }
+        }
+
+        var tasks = this._tasks;
+        do {
+            var task = tasks.shift();
+            if ( task ) {
+                try {
+                    task();
+                } catch ( e ) {
+                    $.console.error( "[RenderScheduler] deferred task failed: %s", e.message, e );
+                }
+            }
+        } while ( tasks.length && $.now() - start < this.frameBudget );
+
+        this._requestFrame();
+    },
+
+    // private
+    _getIntersectionObserver: function() {
+        var _this = this;
+        if ( !this._intersectionObserver ) {
+            this._intersectionObserver = new IntersectionObserver( function( records ) {
+                records.forEach( function( record ) {
+                    for ( var i = 0; i < _this._entries.length; i++ ) {
+                        if ( _this._entries[ i ].viewer.container === record.target ) {
+                            _this._entries[ i ].offscreen = !record.isIntersecting;
+                        }
+                    }
+                });
+                _this._requestFrame();
+            });
+        }
+        return this._intersectionObserver;
+    }
+};
+
+/**
+ * The scheduler of all viewers.
+ * @member {OpenSeadragon.RenderScheduler} renderScheduler
+ * @memberof OpenSeadragon
+ */
+$.renderScheduler = new $.RenderScheduler();
+
+}( OpenSeadragon ));
@@ -0,0 +1,206 @@
+/*
+ * OpenSeadragon - ScaleBar
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * The units of {@link OpenSeadragon.ScaleBar.formatLength}, largest first.
+ * @private
+ */
+var UNITS = [
+    { name: 'km', meters: 1000 },
+    { name: 'm', meters: 1 },
+    { name: 'cm', meters: 0.01 },
+    { name: 'mm', meters: 0.001 },
+    { name: 'µm', meters: 1e-6 },
+    { name: 'nm', meters: 1e-9 }
+];
+
+/**
+ * @class ScaleBar
+ * @classdesc A control showing a round physical length, from nanometers to
+ * kilometers, as a bar as long as it is on screen at the current zoom. It
+ * needs an image with a known physical resolution (see
+ * {@link OpenSeadragon.TiledImage#getPixelsPerMeter}), and is hidden
+ * otherwise. Usually created with the showScaleBar option of the viewer.
+ *
+ * @memberof OpenSeadragon
+ * @param {Object} options
+ * @param {OpenSeadragon.Viewer} options.viewer
+ * @param {OpenSeadragon.TiledImage} [options.item] - The image to measure.
+ * Defaults to the first item of the world with a physical resolution.
+ * @param {OpenSeadragon.ControlAnchor} [options.anchor=OpenSeadragon.ControlAnchor.BOTTOM_LEFT]
+ * @param {Number} [options.maxWidth=150] - The maximum length of the bar, in pixels.
+ */
+$.ScaleBar = function( options ) {
+    $.console.assert( options.viewer, "[ScaleBar] options.viewer is required" );
+
+    var _this = this;
+
+    /**
+     * @member {OpenSeadragon.Viewer} viewer
+     * @memberof OpenSeadragon.ScaleBar#
+     */
+    this.viewer = options.viewer;
+    this.item = options.item || null;
+    this.maxWidth = options.maxWidth || 150;
+
+    /**
+     * The length shown, in meters, or null when hidden.
+     * @member {Number} length
+     * @memberof OpenSeadragon.ScaleBar#
+     */
+    this.length = null;
+
+    this.element = $.makeNeutralElement( 'div' );
+    this.element.className = 'openseadragon-scalebar';
+    var style = this.element.style;
+    style.margin = '5px';
+    style.padding = '2px 4px';
+    style.background = 'rgba(255, 255, 255, 0.7)';
+    style.color = '#000';
+    style.font = '12px sans-serif';
+    style.textAlign = 'center';
+    style.display = 'none';
+
+    this.label = $.makeNeutralElement( 'div' );
+    this.bar = $.makeNeutralElement( 'div' );
+    this.bar.style.height = '4px';
+    this.bar.style.border = '2px solid #000';
+    this.bar.style.borderTop = 'none';
+    this.element.appendChild( this.label );
+    this.element.appendChild( this.bar );
+
+    this.viewer.addControl( this.element, {
+        anchor: options.anchor || $.ControlAnchor.BOTTOM_LEFT,
+        autoFade: false
+    });
+
+    this._updateHandler = function() {
+        _this.update();
+    };
+    this.viewer.addHandler( 'zoom', this._updateHandler );
+    this.viewer.addHandler( 'resize', this._updateHandler );
+    this.viewer.world.addHandler( 'add-item', this._updateHandler );
+    this.viewer.world.addHandler( 'remove-item', this._updateHandler );
+
+    this.update();
+};
+
+/** @lends OpenSeadragon.ScaleBar.prototype */
+$.ScaleBar.prototype = {
+
+    /**
+     * Sizes the bar for the current zoom. Called on zoom and when the
+     * images change.
+     * @function
+     */
+    update: function() {
+        var item = this._getItem();
+        if ( !item ) {
+            this.length = null;
+            this.element.style.display = 'none';
+            return;
+        }
+
+        var imageZoom = item.viewportToImageZoom( this.viewer.viewport.getZoom() );
+        var metersPerPixel = 1 / ( imageZoom * item.getPixelsPerMeter() );
+        this.length = getRoundLength( this.maxWidth * metersPerPixel );
+        this.bar.style.width = Math.round( this.length / metersPerPixel ) + 'px';
+        this.label.textContent = $.ScaleBar.formatLength( this.length );
+        this.element.style.display = '';
+    },
+
+    /**
+     * Removes the scale bar from the viewer.
+     * @function
+     */
+    destroy: function() {
+        this.viewer.removeHandler( 'zoom', this._updateHandler );
+        this.viewer.removeHandler( 'resize', this._updateHandler );
+        this.viewer.world.removeHandler( 'add-item', this._updateHandler );
+        this.viewer.world.removeHandler( 'remove-item', this._updateHandler );
+        this.viewer.removeControl( this.element );
+    },
+
+    // private
+    _getItem: function() {
+        if ( this.item ) {
+            return this.item.getPixelsPerMeter() ? this.item : null;
+        }
+        var world = this.viewer.world;
+        for ( var i = 0; i < world.getItemCount(); i++ ) {
+            if ( world.getItemAt( i ).getPixelsPerMeter() ) {
+                return world.getItemAt( i );
+            }
+        }
+        return null;
+    }
+};
+
+/**
+ * Formats a length with the unit that gives it an integer part, e.g. 0.0002
+ * as "200 µm".
+ * @function
+ * @param {Number} meters
+ * @returns {String}
+ */
+$.ScaleBar.formatLength = function( meters ) {
+    var unit = UNITS[ UNITS.length - 1 ];
+    for ( var i = 0; i < UNITS.length; i++ ) {
+        if ( Math.abs( meters ) >= UNITS[ i ].meters ) {
+            unit = UNITS[ i ];
+            break;
+        }
+    }
+    return parseFloat( ( meters / unit.meters ).toPrecision( 3 ) ) + ' ' + unit.name;
+};
+
+/**
+ * @private
+ * @inner
+ * Gets the largest length of 1, 2 or 5 times a power of ten up to a maximum.
+ */
+function getRoundLength( max ) {
+    var power = Math.pow( 10, Math.floor( Math.log( max ) / Math.LN10 ) );
+    if ( power * 10 <= max ) {
+        // Rounding error in the logarithm.
+        power *= 10;
+    }
+    if ( max >= 5 * power ) {
+        return 5 * power;
+    }
+    return max >= 2 * power ? 2 * power : power;
+}
+
+}( OpenSeadragon ));
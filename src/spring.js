@@ -147,6 +147,8 @@ $.Spring.prototype = {
 
         this.start.value = this.target.value = this.current.value = target;
         this.start.time = this.target.time = this.current.time = $.now();
+        this._easing = null;
+        this._path = null;
 
         if (this._exponential) {
             this.start._logValue = Math.log(this.start.value);
@@ -158,15 +160,31 @@ $.Spring.prototype = {
     /**
      * @function
      * @param {Number} target
+     * @param {Object} [animation] - How to animate to the target, by default
+     *      in animationTime seconds along the exponential curve of the
+     *      springStiffness.
+     * @param {Number} [animation.duration] - In seconds; defaults to animationTime.
+     * @param {String|Number[]|Function} [animation.easing='spring'] - 'spring',
+     *      one of {@link OpenSeadragon.Spring.easings} ('linear', 'ease',
+     *      'ease-in', 'ease-out', 'ease-in-out'), the control points of a
+     *      cubic Bézier curve as in CSS ([x1, y1, x2, y2]), or a function
+     *      mapping the elapsed fraction of the duration to the fraction of the
+     *      way to the target.
      */
-    springTo: function( target ) {
+    springTo: function( target, animation ) {
         $.console.assert(!this._exponential || target !== 0,
             "[OpenSeadragon.Spring.springTo] target must be non-zero for exponential springs");
 
+        animation = animation || {};
+        var duration = typeof animation.duration === 'number' ? animation.duration : this.animationTime;
+
         this.start.value  = this.current.value;
-        this.start.time   = this.current.time;
+        // Not current.time: the spring isn't updated while its viewer sleeps.
+        this.start.time   = $.now();
         this.target.value = target;
-        this.target.time  = this.start.time + 1000 * this.animationTime;
+        this.target.time  = this.start.time + 1000 * duration;
+        this._easing = $.Spring.getEasing( animation.easing );
+        this._path = null;
 
         if (this._exponential) {
             this.start._logValue = Math.log(this.start.value);
@@ -174,6 +192,21 @@ $.Spring.prototype = {
         }
     },
 
+    /**
+     * Animates to a target along a path, e.g. the zoom of a fly-to animation.
+     * @function
+     * @private
+     * @param {Number} target
+     * @param {Number} duration - In seconds.
+     * @param {Function} path - function(fraction), giving the value at a fraction
+     *      of the duration.
+     */
+    _followPath: function( target, duration, path ) {
+        this.springTo( target, { duration: duration } );
+        this._path = path;
+        this._pathShift = 0;
+    },
+
     /**
      * @function
      * @param {Number} delta
@@ -181,6 +214,7 @@ $.Spring.prototype = {
     shiftBy: function( delta ) {
         this.start.value  += delta;
         this.target.value += delta;
+        this._pathShift   += delta;
 
         if (this._exponential) {
             $.console.assert(this.target.value !== 0 && this.start.value !== 0,
@@ -211,6 +245,15 @@ $.Spring.prototype = {
     update: function() {
         this.current.time  = $.now();
 
+        var oldValue = this.current.value;
+        if (this._path && this.current.time < this.target.time) {
+            this.current.value = this._path(
+                ( this.current.time - this.start.time ) /
+                ( this.target.time - this.start.time )
+            ) + this._pathShift;
+            return oldValue !== this.current.value;
+        }
+
         var startValue, targetValue;
         if (this._exponential) {
             startValue = this.start._logValue;
@@ -224,13 +267,11 @@ $.Spring.prototype = {
             targetValue :
             startValue +
                 ( targetValue - startValue ) *
-                transform(
-                    this.springStiffness,
+                this._ease(
                     ( this.current.time - this.start.time ) /
                     ( this.target.time - this.start.time )
                 );
 
-        var oldValue = this.current.value;
         if (this._exponential) {
             this.current.value = Math.exp(currentValue);
         } else {
@@ -240,6 +281,13 @@ $.Spring.prototype = {
         return oldValue !== this.current.value;
     },
 
+    // private
+    _ease: function( fraction ) {
+        return this._easing ?
+            this._easing( fraction ) :
+            transform( this.springStiffness, fraction );
+    },
+
     /**
      * Returns whether the spring is at the target value
      * @function
@@ -250,6 +298,101 @@ $.Spring.prototype = {
     }
 };
 
+/**
+ * Makes a timing function out of the control points of a cubic Bézier curve
+ * from (0, 0) to (1, 1), as the CSS cubic-bezier() does.
+ * @function
+ * @memberof OpenSeadragon.Spring
+ * @static
+ * @param {Number} x1 - Between 0 and 1.
+ * @param {Number} y1
+ * @param {Number} x2 - Between 0 and 1.
+ * @param {Number} y2
+ * @returns {Function} function(fraction of the time), giving the fraction of the way.
+ */
+$.Spring.cubicBezier = function( x1, y1, x2, y2 ) {
+    function bezier( t, p1, p2 ) {
+        return ( ( ( 1 - 3 * p2 + 3 * p1 ) * t + ( 3 * p2 - 6 * p1 ) ) * t + 3 * p1 ) * t;
+    }
+    function slope( t, p1, p2 ) {
+        return ( 3 * ( 1 - 3 * p2 + 3 * p1 ) * t + 2 * ( 3 * p2 - 6 * p1 ) ) * t + 3 * p1;
+    }
+    // The t of the curve at which x is reached: Newton's method, then bisection
+    function solve( x ) {
+        var t = x;
+        var i;
+        for ( i = 0; i < 8; i++ ) {
+            var error = bezier( t, x1, x2 ) - x;
+            if ( Math.abs( error ) < 1e-7 ) {
+                return t;
+            }
+            var d = slope( t, x1, x2 );
+            if ( Math.abs( d ) < 1e-6 ) {
+                break;
+            }
+            t -= error / d;
+        }
+        var low = 0;
+        var high = 1;
+        t = x;
+        for ( i = 0; i < 30 && high - low > 1e-7; i++ ) {
+            if ( bezier( t, x1, x2 ) < x ) {
+                low = t;
+            } else {
+                high = t;
+            }
+            t = ( low + high ) / 2;
+        }
+        return t;
+    }
+    return function( x ) {
+        if ( x <= 0 || x >= 1 ) {
+            return x <= 0 ? 0 : 1;
+        }
+        return bezier( solve( x ), y1, y2 );
+    };
+};
+
+/**
+ * The named easings of animations, as the CSS ones.
+ * @member {Object} easings
+ * @memberof OpenSeadragon.Spring
+ * @static
+ */
+$.Spring.easings = {
+    linear: function( x ) {
+        return x;
+    },
+    ease: $.Spring.cubicBezier( 0.25, 0.1, 0.25, 1 ),
+    'ease-in': $.Spring.cubicBezier( 0.42, 0, 1, 1 ),
+    'ease-out': $.Spring.cubicBezier( 0, 0, 0.58, 1 ),
+    'ease-in-out': $.Spring.cubicBezier( 0.42, 0, 0.58, 1 )
+};
+
+/**
+ * @function
+ * @memberof OpenSeadragon.Spring
+ * @static
+ * @param {String|Number[]|Function} [easing] - See {@link OpenSeadragon.Spring#springTo}.
+ * @returns {?Function} The timing function, or null for the spring.
+ */
+$.Spring.getEasing = function( easing ) {
+    if ( !easing || easing === 'spring' ) {
+        return null;
+    }
+    if ( typeof easing === 'function' ) {
+        return easing;
+    }
+    if ( $.isArray( easing ) && easing.length === 4 ) {
+        return $.Spring.cubicBezier( easing[ 0 ], easing[ 1 ], easing[ 2 ], easing[ 3 ] );
+    }
+    if ( $.Spring.easings[ easing ] ) {
+        return $.Spring.easings[ easing ];
+    }
+    $.console.error( "[Spring] unknown easing %s, using the spring", easing );
+    return null;
+};
+
 /**
  * @private
  */
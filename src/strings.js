@@ -39,8 +39,23 @@
 //      pythons gettext might be a reasonable approach.
 var I18N = {
     Errors: {
-        Dzc:            "Sorry, we don't support Deep Zoom Collections!",
+        Dzc:            "Hmm, this doesn't appear to be a valid Deep Zoom Collection.",
         Dzi:            "Hmm, this doesn't appear to be a valid Deep Zoom Image.",
+        IIIFManifest:   "Hmm, this doesn't appear to be a IIIF manifest with any images.",
+        IIIFUnsupported: "The IIIF image service doesn't support {0}.",
+        IIIFRotation:   "IIIF rotation must be a multiple of 90 degrees.",
+        IIIFRegion:     "IIIF region is outside of the image.",
+        Tiff:           "Hmm, this doesn't appear to be a valid TIFF image.",
+        TiffUnsupported: "Sorry, we don't support TIFF images with {0}.",
+        Zoomify:        "Hmm, this doesn't appear to be a valid Zoomify ImageProperties.xml.",
+        ZoomifyImages:  "Sorry, we don't support Zoomify images with {0} images.",
+        ZoomifyTiles:   "The Zoomify image declares {0} tiles, but its size requires {1}; " +
+                        "its TileGroup folders can't be found.",
+        Wmts:           "Not a WMTS GetCapabilities document.",
+        WmtsLayer:      "No WMTS layer {0} in the capabilities.",
+        WmtsTileMatrixSet: "No WMTS tile matrix set {0} for layer {1}.",
+        WmtsTileMatrixSetEmpty: "The WMTS tile matrix set {0} is empty.",
+        WmtsTileUrl:    "No WMTS tile URL for layer {0}.",
         Xml:            "Hmm, this doesn't appear to be a valid Deep Zoom Image.",
         ImageFormat:    "Sorry, we don't support {0}-based Deep Zoom Images.",
         Security:       "It looks like a security restriction stopped us from " +
@@ -59,6 +74,39 @@ var I18N = {
         RotateLeft:     "Rotate left",
         RotateRight:    "Rotate right",
         Flip:           "Flip Horizontally"
+    },
+
+    Keymap: {
+        Help:                   "Keyboard shortcuts",
+        panUp:                  "Pan up",
+        panDown:                "Pan down",
+        panLeft:                "Pan left",
+        panRight:               "Pan right",
+        zoomIn:                 "Zoom in",
+        zoomOut:                "Zoom out",
+        home:                   "Go home",
+        rotateClockwise:        "Rotate clockwise",
+        rotateCounterclockwise: "Rotate counterclockwise",
+        flip:                   "Flip horizontally",
+        nextPage:               "Next page",
+        previousPage:           "Previous page",
+        fullPage:               "Toggle full page",
+        toggleNavigator:        "Toggle navigator",
+        toggleHelp:             "Toggle this help"
+    },
+
+    Accessibility: {
+        Canvas:         "Image viewer",
+        CanvasRole:     "zoomable image",
+        Controls:       "Viewer controls",
+        Paging:         "Pages",
+        Navigator:      "Navigator",
+        Zoom:           "Zoom {0}%.",
+        Region:         "Showing {0}% to {1}% across and {2}% to {3}% down.",
+        WholeImage:     "Showing the whole image.",
+        Page:           "Page {0} of {1}.",
+        Rotation:       "Rotated {0} degrees.",
+        Flipped:        "Flipped horizontally."
     }
 };
 
@@ -0,0 +1,163 @@
+/*
+ * OpenSeadragon - SvgLayer
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * @class SvgLayer
+ * @classdesc Base of the tools that draw on an SVG element over the viewer,
+ * in the pixels of an image, like {@link OpenSeadragon.AnnotationLayer} and
+ * {@link OpenSeadragon.MeasureTool}. It adds the element between the drawer
+ * and the overlays, tracks the pointer over it without letting the events
+ * reach the viewer's navigation, listens to the viewer until destroyed, and
+ * converts between image pixels and the pixels of the element.
+ *
+ * @private
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.EventSource
+ * @param {Object} options
+ * @param {OpenSeadragon.Viewer} options.viewer
+ * @param {OpenSeadragon.TiledImage} [options.item] - The image whose pixels
+ * the tool works in. Defaults to the first item of the world.
+ * @param {String} options.className - The class of the SVG element.
+ * @param {Object} options.tracker - The options of the {@link OpenSeadragon.MouseTracker}
+ * of the element: its userData and handlers.
+ * @param {Object} [options.viewerHandlers] - Handlers of viewer events, by event name.
+ */
+$.SvgLayer = function( options ) {
+    $.EventSource.call( this );
+
+    var _this = this;
+
+    /**
+     * @member {OpenSeadragon.Viewer} viewer
+     * @memberof OpenSeadragon.SvgLayer#
+     */
+    this.viewer = options.viewer;
+    /**
+     * The image whose pixels the tool works in, or null for the first item
+     * of the world.
+     * @member {OpenSeadragon.TiledImage} item
+     * @memberof OpenSeadragon.SvgLayer#
+     */
+    this.item = options.item || null;
+
+    /**
+     * The SVG element, over the drawer and under the overlays.
+     * @member {Element} element
+     * @memberof OpenSeadragon.SvgLayer#
+     */
+    this.element = document.createElementNS( SVG_NS, 'svg' );
+    this.element.setAttribute( 'class', options.className );
+    var style = this.element.style;
+    style.position = 'absolute';
+    style.left = '0px';
+    style.top = '0px';
+    style.width = '100%';
+    style.height = '100%';
+    style.overflow = 'hidden';
+    style.pointerEvents = 'none';
+    this.viewer.canvas.insertBefore( this.element, this.viewer.overlaysContainer );
+
+    this.tracker = new $.MouseTracker( $.extend( {}, options.tracker, {
+        element: this.element,
+        preProcessEventHandler: function( eventInfo ) {
+            // Pointer events on the layer are for the tool, not for the
+            // viewer's navigation.
+            switch ( eventInfo.eventType ) {
+                case 'pointerdown':
+                case 'pointermove':
+                case 'pointerup':
+                case 'click':
+                case 'dblclick':
+                    eventInfo.stopPropagation = true;
+                    break;
+            }
+        }
+    } ) );
+
+    this._viewerHandlers = options.viewerHandlers || {};
+    Object.keys( this._viewerHandlers ).forEach( function( name ) {
+        _this.viewer.addHandler( name, _this._viewerHandlers[ name ] );
+    });
+};
+
+$.extend( $.SvgLayer.prototype, $.EventSource.prototype, /** @lends OpenSeadragon.SvgLayer.prototype */{
+
+    /**
+     * Removes the element and the handlers from the viewer.
+     * @function
+     */
+    destroy: function() {
+        var _this = this;
+        this.tracker.destroy();
+        Object.keys( this._viewerHandlers ).forEach( function( name ) {
+            _this.viewer.removeHandler( name, _this._viewerHandlers[ name ] );
+        });
+        if ( this.element.parentNode ) {
+            this.element.parentNode.removeChild( this.element );
+        }
+        this.removeAllHandlers();
+    },
+
+    // private
+    _getItem: function() {
+        return this.item || this.viewer.world.getItemAt( 0 ) || null;
+    },
+
+    // private
+    // The SVG element isn't flipped with the drawer, so the flip is applied here.
+    _toPixel: function( point ) {
+        var viewport = this.viewer.viewport;
+        var pixel = viewport.pixelFromPoint(
+            this._getItem().imageToViewportCoordinates( point, true ), true );
+        if ( viewport.getFlip() ) {
+            pixel.x = viewport.getContainerSize().x - pixel.x;
+        }
+        return pixel;
+    },
+
+    // private
+    _toImage: function( pixel ) {
+        var viewport = this.viewer.viewport;
+        if ( viewport.getFlip() ) {
+            pixel = new $.Point( viewport.getContainerSize().x - pixel.x, pixel.y );
+        }
+        return this._getItem().viewportToImageCoordinates(
+            viewport.pointFromPixel( pixel, true ), true );
+    }
+});
+
+}( OpenSeadragon ));
@@ -0,0 +1,1058 @@
+/*
+ * OpenSeadragon - TiffTileSource
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+// The least number of bytes read at once for the header and directories;
+// cloud-optimized GeoTIFFs keep all their directories at the beginning.
+var METADATA_CHUNK_SIZE = 65536;
+
+// TIFF tags used to find and decode the tiles.
+var TAGS = {
+    NewSubfileType: 254,
+    ImageWidth: 256,
+    ImageLength: 257,
+    BitsPerSample: 258,
+    Compression: 259,
+    PhotometricInterpretation: 262,
+    StripOffsets: 273,
+    SamplesPerPixel: 277,
+    RowsPerStrip: 278,
+    StripByteCounts: 279,
+    PlanarConfiguration: 284,
+    Predictor: 317,
+    TileWidth: 322,
+    TileLength: 323,
+    TileOffsets: 324,
+    TileByteCounts: 325,
+    ExtraSamples: 338,
+    SampleFormat: 339,
+    JPEGTables: 347
+};
+
+// Byte size of the TIFF field types.
+var TYPE_SIZES = {
+    1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8, 13: 4, 16: 8, 17: 8, 18: 8
+};
+
+// Compressions the browser decodes itself, by MIME type.
+var IMAGE_COMPRESSIONS = {
+    7: 'image/jpeg',
+    50001: 'image/webp'
+};
+
+// Compressions decoded in a worker.
+var RAW_COMPRESSIONS = [ 1, 5, 8, 32773, 32946 ];
+
+var decoder = {
+    worker: null,
+    failed: false,
+    // Whether the worker has answered once; until then the tile bytes are
+    // copied, not transferred, so they can be decoded here if it fails.
+    ready: false,
+    jobs: {},
+    nextId: 0
+};
+
+/**
+ * @class TiffTileSource
+ * @classdesc A tile source for tiled, pyramidal TIFF files such as
+ * cloud-optimized GeoTIFFs, read directly from the server with HTTP range
+ * requests. The image file directories are read once; each of their
+ * resolutions becomes a level of the pyramid, and tiles are fetched by their
+ * byte offsets as they are needed.
+ * <br><br>
+ * JPEG and WebP tiles are decoded by the browser; uncompressed, LZW, deflate
+ * and PackBits tiles of 8 or 16 bit gray or RGB samples are decoded in a
+ * worker. Resolutions whose size isn't a power of two from the full image are
+ * ignored.
+ * <br><br>
+ * Open it with <code>viewer.open({type: 'tiff', url: 'image.tif'})</code>, or
+ * <code>viewer.open('image.tif')</code> for urls ending in .tif or .tiff.
+ * The server must answer range requests, and allow the Range header for
+ * cross-origin images.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.TileSource
+ * @param {Object} options
+ * @param {String} options.url - The URL of the TIFF file.
+ * @param {Object} [options.ajaxHeaders] - Headers to add to the range requests.
+ * @param {Boolean} [options.ajaxWithCredentials=false]
+ */
+$.TiffTileSource = function( options ) {
+    $.TileSource.apply( this, [ options ] );
+};
+
+$.extend( $.TiffTileSource.prototype, $.TileSource.prototype, /** @lends OpenSeadragon.TiffTileSource.prototype */{
+
+    /**
+     * Determine if the data and/or url imply the image service is supported by
+     * this tile source.
+     * @function
+     * @param {Object|Array} data
+     * @param {String} optional - url
+     */
+    supports: function( data, url ) {
+        return !!data && data.type === 'tiff';
+    },
+
+    /**
+     *
+     * @function
+     * @param {Object} options - the options
+     * @param {String} dataUrl - the url the image was retrieved from, if any.
+     * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
+     * @returns {Object} options - A dictionary of keyword arguments sufficient
+     *      to configure this tile sources constructor.
+     */
+    configure: function( options, dataUrl, postData ) {
+        return options;
+    },
+
+    /**
+     * Reads the header and the image file directories of the TIFF file.
+     * @function
+     * @param {String} url
+     */
+    getImageInfo: function( url ) {
+        var _this = this;
+
+        this._chunks = [];
+        this._readHeader().then( function( header ) {
+            _this._littleEndian = header.littleEndian;
+            _this._bigTiff = header.bigTiff;
+            return _this._readDirectories( header.offset );
+        }).then( function( directories ) {
+            _this._configureLevels( directories );
+            _this._chunks = null;
+            _this.ready = true;
+
+            // Note: this event is documented elsewhere, in TileSource
+            _this.raiseEvent( 'ready', { tileSource: _this } );
+        }).catch( function( error ) {
+            _this._chunks = null;
+            $.console.error( error.message );
+
+            // Note: this event is documented elsewhere, in TileSource
+            _this.raiseEvent( 'open-failed', {
+                message: error.message,
+                source: url
+            });
+        });
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     */
+    getTileWidth: function( level ) {
+        var directory = this._levels && this._levels[ level ];
+        return directory ? directory.tileWidth : this._tileWidth;
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     */
+    getTileHeight: function( level ) {
+        var directory = this._levels && this._levels[ level ];
+        return directory ? directory.tileHeight : this._tileHeight;
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    tileExists: function( level, x, y ) {
+        return !!( this._levels && this._levels[ level ] ) &&
+            $.TileSource.prototype.tileExists.call( this, level, x, y );
+    },
+
+    /**
+     * All the tiles are in the TIFF file.
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    getTileUrl: function( level, x, y ) {
+        return this.url;
+    },
+
+    /**
+     * Tiles share the URL of the file, so they are told apart by their position.
+     * @function
+     * @param {Number} level tile level it was fetched with
+     * @param {Number} x x-coordinate in the pyramid level
+     * @param {Number} y y-coordinate in the pyramid level
+     * @param {String} url the tile was fetched with
+     * @param {Object} ajaxHeaders the tile was fetched with
+     * @param {*} postData data the tile was fetched with
+     */
+    getTileHashKey: function( level, x, y, url, ajaxHeaders, postData ) {
+        return $.TileSource.prototype.getTileHashKey.call( this, level, x, y,
+            url + '#' + level + '/' + x + '_' + y, ajaxHeaders, postData );
+    },
+
+    /**
+     * @function
+     * @returns {Boolean} true if the image has an alpha channel
+     */
+    hasTransparency: function( context2D, url, ajaxHeaders, post ) {
+        return !!context2D || this._hasAlpha;
+    },
+
+    /**
+     * Fetches the bytes of a tile with a range request and decodes them.
+     * @function
+     * @param {ImageJob} context job context that you have to call finish(...) on.
+     */
+    downloadTileStart: function( context ) {
+        var _this = this;
+        var dataStore = context.userData;
+        var tile = context.tile;
+        var directory = this._levels[ tile.level ];
+        var index = tile.y * directory.tilesAcross + tile.x;
+        var offset = directory.offsets[ index ];
+        var length = directory.byteCounts[ index ];
+        var size = {
+            width: Math.min( directory.tileWidth, directory.width - tile.x * directory.tileWidth ),
+            height: Math.min( directory.tileHeight, directory.height - tile.y * directory.tileHeight )
+        };
+
+        if ( !length ) {
+            // A sparse tile, left out of the file because it's empty.
+            context.finish( createCanvas( size.width, size.height ), null );
+            return;
+        }
+
+        dataStore.request = requestRange({
+            url: this.url,
+            start: offset,
+            length: length,
+            headers: $.extend( {}, this.ajaxHeaders, context.ajaxHeaders ),
+            withCredentials: this.ajaxWithCredentials,
+            success: function( buffer, start ) {
+                if ( dataStore.aborted ) {
+                    return;
+                }
+                var bytes = new Uint8Array( buffer, offset - start, length );
+                _this._decodeTile( directory, bytes, size ).then( function( data ) {
+                    if ( !dataStore.aborted ) {
+                        context.finish( data, dataStore.request );
+                    }
+                }, function( error ) {
+                    if ( !dataStore.aborted ) {
+                        context.finish( null, dataStore.request, error.message );
+                    }
+                });
+            },
+            error: function( message ) {
+                context.finish( null, dataStore.request, message );
+            }
+        });
+    },
+
+    /**
+     * @function
+     * @param {ImageJob} context job, the same object as with downloadTileStart(..)
+     */
+    downloadTileAbort: function( context ) {
+        context.userData.aborted = true;
+        if ( context.userData.request ) {
+            context.userData.request.abort();
+        }
+    },
+
+    /**
+     * Reads the byte order, the version and the offset of the first directory.
+     * @private
+     * @returns {Promise<Object>}
+     */
+    _readHeader: function() {
+        return this._read( 0, 16 ).then( function( view ) {
+            var order = view.getUint16( 0 );
+            var littleEndian = order === 0x4949;
+            if ( !littleEndian && order !== 0x4D4D ) {
+                throw new Error( $.getString( "Errors.Tiff" ) );
+            }
+
+            var version = view.getUint16( 2, littleEndian );
+            if ( version === 42 ) {
+                return {
+                    littleEndian: littleEndian,
+                    bigTiff: false,
+                    offset: view.getUint32( 4, littleEndian )
+                };
+            }
+            if ( version === 43 ) {
+                return {
+                    littleEndian: littleEndian,
+                    bigTiff: true,
+                    offset: getUint64( view, 8, littleEndian )
+                };
+            }
+            throw new Error( $.getString( "Errors.Tiff" ) );
+        });
+    },
+
+    /**
+     * Reads the chain of image file directories.
+     * @private
+     * @param {Number} offset - Of the first directory.
+     * @returns {Promise<Object[]>} The tags of each directory, by tag number.
+     */
+    _readDirectories: function( offset ) {
+        var _this = this;
+        var directories = [];
+        var visited = {};
+
+        var next = function( directoryOffset ) {
+            if ( !directoryOffset || visited[ directoryOffset ] ) {
+                return directories;
+            }
+            visited[ directoryOffset ] = true;
+            return _this._readDirectory( directoryOffset ).then( function( directory ) {
+                directories.push( directory.tags );
+                return next( directory.next );
+            });
+        };
+        return Promise.resolve( next( offset ) );
+    },
+
+    /**
+     * Reads the tags of an image file directory, fetching the values stored
+     * out of it that are needed for the tiles.
+     * @private
+     * @param {Number} offset
+     * @returns {Promise<Object>} The tags by tag number, and the offset of the next directory.
+     */
+    _readDirectory: function( offset ) {
+        var _this = this;
+        var le = this._littleEndian;
+        var countSize = this._bigTiff ? 8 : 2;
+        var entrySize = this._bigTiff ? 20 : 12;
+        var valueSize = this._bigTiff ? 8 : 4;
+
+        return this._read( offset, countSize ).then( function( view ) {
+            var count = _this._bigTiff ? getUint64( view, 0, le ) : view.getUint16( 0, le );
+            return _this._read( offset + countSize, count * entrySize + valueSize ).then( function( entries ) {
+                var tags = {};
+                var pending = [];
+                var wanted = {};
+                var i;
+
+                for ( var name in TAGS ) {
+                    wanted[ TAGS[ name ] ] = true;
+                }
+
+                for ( i = 0; i < count; i++ ) {
+                    var position = i * entrySize;
+                    var tag = entries.getUint16( position, le );
+                    var type = entries.getUint16( position + 2, le );
+                    var valueCount = _this._bigTiff ?
+                        getUint64( entries, position + 4, le ) : entries.getUint32( position + 4, le );
+                    var size = ( TYPE_SIZES[ type ] || 1 ) * valueCount;
+                    var valuePosition = position + 4 + valueSize;
+
+                    if ( !wanted[ tag ] ) {
+                        continue;
+                    }
+                    if ( size <= valueSize ) {
+                        tags[ tag ] = readValues( entries, valuePosition, type, valueCount, le );
+                    } else {
+                        pending.push( _this._readTag( tags, tag, type, valueCount,
+                            _this._bigTiff ? getUint64( entries, valuePosition, le ) :
+                                entries.getUint32( valuePosition, le ) ) );
+                    }
+                }
+
+                var nextPosition = count * entrySize;
+                var next = _this._bigTiff ?
+                    getUint64( entries, nextPosition, le ) : entries.getUint32( nextPosition, le );
+                return Promise.all( pending ).then( function() {
+                    return {
+                        tags: tags,
+                        next: next
+                    };
+                });
+            });
+        });
+    },
+
+    /**
+     * @private
+     * @returns {Promise}
+     */
+    _readTag: function( tags, tag, type, count, offset ) {
+        var le = this._littleEndian;
+        return this._read( offset, TYPE_SIZES[ type ] * count ).then( function( view ) {
+            tags[ tag ] = readValues( view, 0, type, count, le );
+        });
+    },
+
+    /**
+     * Reads bytes of the file, from what was already fetched if possible.
+     * @private
+     * @param {Number} start
+     * @param {Number} length
+     * @returns {Promise<DataView>}
+     */
+    _read: function( start, length ) {
+        var _this = this;
+        var chunks = this._chunks;
+
+        for ( var i = 0; i < chunks.length; i++ ) {
+            if ( chunks[ i ].start <= start &&
+                start + length <= chunks[ i ].start + chunks[ i ].buffer.byteLength ) {
+                return Promise.resolve( new DataView( chunks[ i ].buffer, start - chunks[ i ].start, length ) );
+            }
+        }
+
+        return new Promise( function( resolve, reject ) {
+            requestRange({
+                url: _this.url,
+                start: start,
+                length: Math.max( length, METADATA_CHUNK_SIZE ),
+                headers: _this.ajaxHeaders,
+                withCredentials: _this.ajaxWithCredentials,
+                success: function( buffer, bufferStart ) {
+                    if ( start + length > bufferStart + buffer.byteLength ) {
+                        reject( new Error( $.getString( "Errors.Tiff" ) ) );
+                        return;
+                    }
+                    chunks.push({
+                        start: bufferStart,
+                        buffer: buffer
+                    });
+                    resolve( new DataView( buffer, start - bufferStart, length ) );
+                },
+                error: function( message ) {
+                    reject( new Error( message ) );
+                }
+            });
+        });
+    },
+
+    /**
+     * Maps the directories of the resolutions to levels.
+     * @private
+     * @param {Object[]} directories
+     * @throws {Error} If there is no image, or it can't be decoded.
+     */
+    _configureLevels: function( directories ) {
+        var images = directories.filter( function( tags ) {
+            // Leave out transparency masks.
+            return !( ( first( tags[ TAGS.NewSubfileType ] ) || 0 ) & 4 ) &&
+                tags[ TAGS.ImageWidth ] && tags[ TAGS.ImageLength ];
+        }).map( describeDirectory );
+
+        if ( !images.length ) {
+            throw new Error( $.getString( "Errors.Tiff" ) );
+        }
+        images.sort( function( a, b ) {
+            return b.width - a.width;
+        });
+
+        var full = images[ 0 ];
+        var maxLevel = Math.ceil( Math.log( Math.max( full.width, full.height ) ) / Math.LN2 );
+        var minLevel = maxLevel;
+        var levels = {};
+
+        images.forEach( function( image ) {
+            var steps = Math.round( Math.log( full.width / image.width ) / Math.LN2 );
+            var expected = full.width / Math.pow( 2, steps );
+            if ( Math.abs( expected - image.width ) > 1 || levels[ maxLevel - steps ] ) {
+                return;
+            }
+            levels[ maxLevel - steps ] = image;
+            minLevel = Math.min( minLevel, maxLevel - steps );
+        });
+
+        for ( var level in levels ) {
+            var unsupported = getUnsupported( levels[ level ] );
+            if ( unsupported ) {
+                throw new Error( $.getString( "Errors.TiffUnsupported", unsupported ) );
+            }
+        }
+
+        this._levels = levels;
+        this._hasAlpha = full.alphaSample !== -1;
+        this.width = full.width;
+        this.height = full.height;
+        this.aspectRatio = full.width / full.height;
+        this.dimensions = new $.Point( full.width, full.height );
+        this._tileWidth = full.tileWidth;
+        this._tileHeight = full.tileHeight;
+        this.tileOverlap = 0;
+        this.minLevel = minLevel;
+        this.setMaxLevel( maxLevel );
+    },
+
+    /**
+     * Turns the bytes of a tile into an image or a canvas of the given size.
+     * @private
+     * @param {Object} directory
+     * @param {Uint8Array} bytes
+     * @param {Object} size - The width and height of the image in the tile.
+     * @returns {Promise<Image|HTMLCanvasElement>}
+     */
+    _decodeTile: function( directory, bytes, size ) {
+        var type = IMAGE_COMPRESSIONS[ directory.compression ];
+
+        if ( type ) {
+            if ( directory.jpegTables ) {
+                // Abbreviated JPEG streams need the tables, without their end
+                // of image marker, before the tile, without its start of image.
+                var tables = directory.jpegTables;
+                var stream = new Uint8Array( tables.length - 2 + bytes.length - 2 );
+                stream.set( tables.subarray( 0, tables.length - 2 ) );
+                stream.set( bytes.subarray( 2 ), tables.length - 2 );
+                bytes = stream;
+            }
+            return loadImage( new window.Blob( [ bytes ], { type: type } ) ).then( function( image ) {
+                if ( image.width === size.width && image.height === size.height ) {
+                    return image;
+                }
+                // Tiles at the edges are padded.
+                var canvas = createCanvas( size.width, size.height );
+                canvas.getContext( '2d' ).drawImage( image, 0, 0 );
+                return canvas;
+            });
+        }
+
+        return decode({
+            bytes: bytes.slice().buffer,
+            compression: directory.compression,
+            predictor: directory.predictor,
+            bitsPerSample: directory.bitsPerSample,
+            samplesPerPixel: directory.samplesPerPixel,
+            photometric: directory.photometric,
+            alphaSample: directory.alphaSample,
+            littleEndian: this._littleEndian,
+            width: directory.tileWidth,
+            height: directory.tileHeight,
+            cropWidth: size.width,
+            cropHeight: size.height
+        }).then( function( result ) {
+            var canvas = createCanvas( result.width, result.height );
+            var context = canvas.getContext( '2d' );
+            var imageData = context.createImageData( result.width, result.height );
+            imageData.data.set( result.pixels );
+            context.putImageData( imageData, 0, 0 );
+            return canvas;
+        });
+    }
+});
+
+/**
+ * @private
+ * @inner
+ * Requests a range of bytes of a file. Servers that don't support ranges send
+ * the whole file, which is fine as well.
+ * @param {Object} options
+ * @param {String} options.url
+ * @param {Number} options.start
+ * @param {Number} options.length
+ * @param {Object} [options.headers]
+ * @param {Boolean} [options.withCredentials]
+ * @param {Function} options.success - Called with the ArrayBuffer and the offset of its first byte.
+ * @param {Function} options.error - Called with a message.
+ * @returns {XMLHttpRequest}
+ */
+function requestRange( options ) {
+    return $.makeAjaxRequest({
+        url: options.url,
+        headers: $.extend( {}, options.headers, {
+            Range: 'bytes=' + options.start + '-' + ( options.start + options.length - 1 )
+        }),
+        withCredentials: options.withCredentials,
+        responseType: 'arraybuffer',
+        success: function( request ) {
+            if ( !request.response ) {
+                options.error( "Empty response for " + options.url );
+                return;
+            }
+            options.success( request.response, request.status === 206 ? options.start : 0 );
+        },
+        error: function( request ) {
+            options.error( "HTTP " + request.status + " attempting to load " + options.url );
+        }
+    });
+}
+
+/**
+ * @private
+ * @inner
+ */
+function getUint64( view, position, littleEndian ) {
+    var low = view.getUint32( position + ( littleEndian ? 0 : 4 ), littleEndian );
+    var high = view.getUint32( position + ( littleEndian ? 4 : 0 ), littleEndian );
+    return high * 4294967296 + low;
+}
+
+/**
+ * @private
+ * @inner
+ * Reads the integer values of a tag; other types are read as bytes.
+ */
+function readValues( view, position, type, count, littleEndian ) {
+    var values = [];
+    for ( var i = 0; i < count; i++ ) {
+        switch ( type ) {
+            case 3:
+                values.push( view.getUint16( position + i * 2, littleEndian ) );
+                break;
+            case 4:
+            case 13:
+                values.push( view.getUint32( position + i * 4, littleEndian ) );
+                break;
+            case 16:
+            case 18:
+                values.push( getUint64( view, position + i * 8, littleEndian ) );
+                break;
+            default:
+                values.push( view.getUint8( position + i ) );
+        }
+    }
+    return values;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function first( values ) {
+    return values ? values[ 0 ] : undefined;
+}
+
+/**
+ * @private
+ * @inner
+ * Gathers what is needed to find and decode the tiles of a directory. Strips
+ * are read as tiles as wide as the image.
+ */
+function describeDirectory( tags ) {
+    var width = first( tags[ TAGS.ImageWidth ] );
+    var height = first( tags[ TAGS.ImageLength ] );
+    var tiled = !!tags[ TAGS.TileWidth ];
+    var tileWidth = tiled ? first( tags[ TAGS.TileWidth ] ) : width;
+    var tileHeight = tiled ? first( tags[ TAGS.TileLength ] ) :
+        Math.min( first( tags[ TAGS.RowsPerStrip ] ) || height, height );
+    var samplesPerPixel = first( tags[ TAGS.SamplesPerPixel ] ) || 1;
+    var photometric = first( tags[ TAGS.PhotometricInterpretation ] );
+    var colorSamples = photometric === 2 ? 3 : 1;
+    var extraSamples = tags[ TAGS.ExtraSamples ] || [];
+    var jpegTables = tags[ TAGS.JPEGTables ];
+
+    return {
+        width: width,
+        height: height,
+        tileWidth: tileWidth,
+        tileHeight: tileHeight,
+        tilesAcross: Math.ceil( width / tileWidth ),
+        offsets: tags[ tiled ? TAGS.TileOffsets : TAGS.StripOffsets ] || [],
+        byteCounts: tags[ tiled ? TAGS.TileByteCounts : TAGS.StripByteCounts ] || [],
+        compression: first( tags[ TAGS.Compression ] ) || 1,
+        predictor: first( tags[ TAGS.Predictor ] ) || 1,
+        bitsPerSample: first( tags[ TAGS.BitsPerSample ] ) || 1,
+        samplesPerPixel: samplesPerPixel,
+        photometric: photometric,
+        alphaSample: samplesPerPixel > colorSamples &&
+            ( extraSamples[ 0 ] === 1 || extraSamples[ 0 ] === 2 ) ? colorSamples : -1,
+        planar: first( tags[ TAGS.PlanarConfiguration ] ) || 1,
+        sampleFormat: first( tags[ TAGS.SampleFormat ] ) || 1,
+        jpegTables: jpegTables ? new Uint8Array( jpegTables ) : null
+    };
+}
+
+/**
+ * @private
+ * @inner
+ * @returns {String|null} What about the directory can't be decoded, if anything.
+ */
+function getUnsupported( directory ) {
+    if ( IMAGE_COMPRESSIONS[ directory.compression ] ) {
+        return null;
+    }
+    if ( RAW_COMPRESSIONS.indexOf( directory.compression ) === -1 ) {
+        return "compression " + directory.compression;
+    }
+    if ( directory.planar !== 1 ) {
+        return "planar configuration " + directory.planar;
+    }
+    if ( directory.sampleFormat !== 1 || ( directory.bitsPerSample !== 8 && directory.bitsPerSample !== 16 ) ) {
+        return directory.bitsPerSample + " bit samples";
+    }
+    if ( directory.photometric > 2 ) {
+        return "photometric interpretation " + directory.photometric;
+    }
+    if ( directory.predictor !== 1 && directory.predictor !== 2 ) {
+        return "predictor " + directory.predictor;
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function createCanvas( width, height ) {
+    var canvas = document.createElement( 'canvas' );
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * @private
+ * @inner
+ * @returns {Promise<Image>}
+ */
+function loadImage( blob ) {
+    return new Promise( function( resolve, reject ) {
+        var url = ( window.URL || window.webkitURL ).createObjectURL( blob );
+        var image = new Image();
+        image.onload = function() {
+            ( window.URL || window.webkitURL ).revokeObjectURL( url );
+            resolve( image );
+        };
+        image.onerror = image.onabort = function() {
+            ( window.URL || window.webkitURL ).revokeObjectURL( url );
+            reject( new Error( "Image load failed: the " + blob.type + " tile can't be decoded." ) );
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * @private
+ * @inner
+ * Decodes a tile in the shared worker, or here if workers aren't available.
+ * @returns {Promise<Object>}
+ */
+function decode( job ) {
+    var worker = getDecoderWorker();
+    if ( !worker ) {
+        return decodeTiffTile( job );
+    }
+    return new Promise( function( resolve, reject ) {
+        var id = decoder.nextId++;
+        decoder.jobs[ id ] = {
+            job: job,
+            resolve: resolve,
+            reject: reject
+        };
+        worker.postMessage( { id: id, job: job }, decoder.ready ? [ job.bytes ] : [] );
+    });
+}
+
+/**
+ * @private
+ * @inner
+ * Creates the worker on first use. If it fails, pending jobs are decoded here.
+ * @returns {Worker|null}
+ */
+function getDecoderWorker() {
+    if ( decoder.worker || decoder.failed ) {
+        return decoder.worker;
+    }
+    try {
+        var source = 'var decodeTiffTile = ' + decodeTiffTile.toString() + ';\n' +
+            'self.onmessage = function(event) {\n' +
+            '    var id = event.data.id;\n' +
+            '    decodeTiffTile(event.data.job).then(function(result) {\n' +
+            '        self.postMessage({id: id, result: result}, [result.pixels.buffer]);\n' +
+            '    }, function(error) {\n' +
+            '        self.postMessage({id: id, error: error.message});\n' +
+            '    });\n' +
+            '};';
+        var url = ( window.URL || window.webkitURL ).createObjectURL(
+            new window.Blob( [ source ], { type: 'application/javascript' } ) );
+        decoder.worker = new window.Worker( url );
+    } catch ( e ) {
+        decoder.failed = true;
+        return null;
+    }
+
+    decoder.worker.onmessage = function( event ) {
+        decoder.ready = true;
+        var pending = decoder.jobs[ event.data.id ];
+        delete decoder.jobs[ event.data.id ];
+        if ( event.data.error ) {
+            pending.reject( new Error( event.data.error ) );
+        } else {
+            pending.resolve( event.data.result );
+        }
+    };
+    decoder.worker.onerror = function( event ) {
+        // Content security policies may forbid blob workers.
+        $.console.warn( "[TiffTileSource] Decoding TIFF tiles without a worker." );
+        event.preventDefault();
+        decoder.worker.terminate();
+        decoder.worker = null;
+        decoder.failed = true;
+
+        var jobs = decoder.jobs;
+        decoder.jobs = {};
+        Object.keys( jobs ).forEach( function( id ) {
+            var pending = jobs[ id ];
+            if ( pending.job.bytes.byteLength ) {
+                decodeTiffTile( pending.job ).then( pending.resolve, pending.reject );
+            } else {
+                // The bytes went to the worker.
+                pending.reject( new Error( "The TIFF decoder failed." ) );
+            }
+        });
+    };
+    return decoder.worker;
+}
+
+/**
+ * @private
+ * @inner
+ * Decompresses the samples of a tile and converts them to RGBA. This function
+ * also runs in a worker, so it must not use anything from outside of it.
+ * @param {Object} job
+ * @param {ArrayBuffer} job.bytes
+ * @param {Number} job.compression - 1 (none), 5 (LZW), 8 or 32946 (deflate), or 32773 (PackBits).
+ * @param {Number} job.predictor - 1 (none) or 2 (horizontal differencing).
+ * @param {Number} job.bitsPerSample - 8 or 16.
+ * @param {Number} job.samplesPerPixel
+ * @param {Number} job.photometric - 0 (white is zero), 1 (black is zero) or 2 (RGB).
+ * @param {Number} job.alphaSample - The index of the alpha sample, or -1.
+ * @param {Boolean} job.littleEndian
+ * @param {Number} job.width - Of the tile.
+ * @param {Number} job.height - Of the tile.
+ * @param {Number} job.cropWidth - Of the image in the tile.
+ * @param {Number} job.cropHeight - Of the image in the tile.
+ * @returns {Promise<Object>} The width, height and RGBA pixels of the image.
+ */
+function decodeTiffTile( job ) {
+    var size = job.width * job.height * job.samplesPerPixel * job.bitsPerSample / 8;
+
+    function lzw( input ) {
+        var output = new Uint8Array( size );
+        var prefixes = new Int32Array( 4096 );
+        var suffixes = new Uint8Array( 4096 );
+        var firsts = new Uint8Array( 4096 );
+        var lengths = new Int32Array( 4096 );
+        var position = 0;
+        var bit = 0;
+        var codeLength = 9;
+        var next = 258;
+        var old = -1;
+        var i;
+
+        for ( i = 0; i < 256; i++ ) {
+            suffixes[ i ] = firsts[ i ] = i;
+            lengths[ i ] = 1;
+        }
+
+        function read() {
+            var index = bit >>> 3;
+            if ( index >= input.length ) {
+                return 257;
+            }
+            var chunk = ( input[ index ] << 16 ) | ( ( input[ index + 1 ] || 0 ) << 8 ) | ( input[ index + 2 ] || 0 );
+            var code = ( chunk >>> ( 24 - ( bit & 7 ) - codeLength ) ) & ( ( 1 << codeLength ) - 1 );
+            bit += codeLength;
+            return code;
+        }
+
+        function write( code ) {
+            var length = lengths[ code ];
+            var end = Math.min( position + length, size );
+            for ( var j = position + length - 1; j >= position; j-- ) {
+                if ( j < end ) {
+                    output[ j ] = suffixes[ code ];
+                }
+                code = prefixes[ code ];
+            }
+            position += length;
+        }
+
+        function add( prefix, suffix ) {
+            if ( next < 4096 ) {
+                prefixes[ next ] = prefix;
+                suffixes[ next ] = suffix;
+                firsts[ next ] = firsts[ prefix ];
+                lengths[ next ] = lengths[ prefix ] + 1;
+                next++;
+            }
+            // TIFF switches to longer codes one code early.
+            if ( next + 1 >= ( 1 << codeLength ) && codeLength < 12 ) {
+                codeLength++;
+            }
+        }
+
+        while ( position < size ) {
+            var code = read();
+            if ( code === 257 ) {
+                break;
+            }
+            if ( code === 256 ) {
+                codeLength = 9;
+                next = 258;
+                old = -1;
+                continue;
+            }
+            if ( old === -1 ) {
+                write( code );
+            } else if ( code < next ) {
+                write( code );
+                add( old, firsts[ code ] );
+            } else {
+                add( old, firsts[ old ] );
+                write( code );
+            }
+            old = code;
+        }
+        return output;
+    }
+
+    function packBits( input ) {
+        var output = new Uint8Array( size );
+        var position = 0;
+        var i = 0;
+        while ( i < input.length && position < size ) {
+            var header = input[ i ] > 127 ? input[ i ] - 256 : input[ i ];
+            i++;
+            if ( header >= 0 ) {
+                output.set( input.subarray( i, i + header + 1 ).subarray( 0, size - position ), position );
+                position += header + 1;
+                i += header + 1;
+            } else if ( header !== -128 ) {
+                output.fill( input[ i ], position, Math.min( position + 1 - header, size ) );
+                position += 1 - header;
+                i++;
+            }
+        }
+        return output;
+    }
+
+    function inflate( input ) {
+        if ( typeof DecompressionStream === 'undefined' ) {
+            return Promise.reject( new Error( "This browser can't decode deflate compressed TIFF tiles." ) );
+        }
+        var stream = new Blob( [ input ] ).stream().pipeThrough( new DecompressionStream( 'deflate' ) );
+        return new Response( stream ).arrayBuffer().then( function( buffer ) {
+            return new Uint8Array( buffer );
+        });
+    }
+
+    function decompress( input ) {
+        switch ( job.compression ) {
+            case 1:
+                return Promise.resolve( input );
+            case 5:
+                return Promise.resolve( lzw( input ) );
+            case 8:
+            case 32946:
+                return inflate( input );
+            case 32773:
+                return Promise.resolve( packBits( input ) );
+        }
+        return Promise.reject( new Error( "Unsupported TIFF compression " + job.compression ) );
+    }
+
+    return decompress( new Uint8Array( job.bytes ) ).then( function( bytes ) {
+        var count = job.width * job.height * job.samplesPerPixel;
+        var samples = job.samplesPerPixel;
+        var shift = job.bitsPerSample - 8;
+        var values;
+        var i;
+
+        if ( bytes.length < size ) {
+            var padded = new Uint8Array( size );
+            padded.set( bytes );
+            bytes = padded;
+        }
+        if ( job.bitsPerSample === 16 ) {
+            values = new Uint16Array( count );
+            var view = new DataView( bytes.buffer, bytes.byteOffset, size );
+            for ( i = 0; i < count; i++ ) {
+                values[ i ] = view.getUint16( i * 2, job.littleEndian );
+            }
+        } else {
+            values = bytes;
+        }
+
+        if ( job.predictor === 2 ) {
+            var rowLength = job.width * samples;
+            for ( var row = 0; row < job.height; row++ ) {
+                var start = row * rowLength;
+                for ( i = start + samples; i < start + rowLength; i++ ) {
+                    values[ i ] += values[ i - samples ];
+                }
+            }
+        }
+
+        var pixels = new Uint8ClampedArray( job.cropWidth * job.cropHeight * 4 );
+        for ( var y = 0; y < job.cropHeight; y++ ) {
+            for ( var x = 0; x < job.cropWidth; x++ ) {
+                var source = ( y * job.width + x ) * samples;
+                var target = ( y * job.cropWidth + x ) * 4;
+                if ( job.photometric === 2 ) {
+                    pixels[ target ] = values[ source ] >> shift;
+                    pixels[ target + 1 ] = values[ source + 1 ] >> shift;
+                    pixels[ target + 2 ] = values[ source + 2 ] >> shift;
+                } else {
+                    var gray = values[ source ] >> shift;
+                    if ( job.photometric === 0 ) {
+                        gray = 255 - gray;
+                    }
+                    pixels[ target ] = pixels[ target + 1 ] = pixels[ target + 2 ] = gray;
+                }
+                pixels[ target + 3 ] = job.alphaSample === -1 ? 255 : values[ source + job.alphaSample ] >> shift;
+            }
+        }
+
+        return {
+            width: job.cropWidth,
+            height: job.cropHeight,
+            pixels: pixels
+        };
+    });
+}
+
+// Detecting the type would download the whole file; TIFF urls are opened
+// right away and read with range requests instead.
+$.TileSource.register( 'tiff', $.TiffTileSource, {
+    extensions: [ 'tif', 'tiff' ],
+    fetch: false
+} );
+
+}( OpenSeadragon ));
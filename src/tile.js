@@ -252,6 +252,19 @@ $.Tile = function(level, x, y, bounds, exists, url, context2D, loadWithAjax, aja
      * @memberof OpenSeadragon.Tile#
      */
     this.isBottomMost = false;
+
+    /**
+     * This tile's image with the filters of its TiledImage applied, or null
+     * when it isn't filtered. It's shared by the tiles of the TiledImage using
+     * the same cached image. See {@link OpenSeadragon.TiledImage#setFilters}.
+     * @member {CanvasRenderingContext2D} filteredContext
+     * @memberof OpenSeadragon.Tile#
+     */
+    this.filteredContext = null;
+    // Version of the TiledImage's filter chain filteredContext was made with.
+    this._filtersVersion = 0;
+    // Version of the filter chain the tile is queued to be filtered with.
+    this._filterQueued = null;
 };
 
 /** @lends OpenSeadragon.Tile.prototype */
@@ -382,7 +395,7 @@ $.Tile.prototype = {
      * @returns {CanvasRenderingContext2D}
      */
     getCanvasContext: function() {
-        return this.context2D || this.cacheImageRecord.getRenderedContext();
+        return this.filteredContext || this.context2D || this.cacheImageRecord.getRenderedContext();
     },
 
     /**
@@ -464,10 +477,16 @@ $.Tile.prototype = {
         // changes as we are rendering the image
         drawingHandler({context: context, tile: this, rendered: rendered});
 
+        var sourceX = 0;
+        var sourceY = 0;
         var sourceWidth, sourceHeight;
         if (this.sourceBounds) {
-            sourceWidth = Math.min(this.sourceBounds.width, rendered.canvas.width);
-            sourceHeight = Math.min(this.sourceBounds.height, rendered.canvas.height);
+            // Tiles sharing an image (e.g. Deep Zoom Collection thumbnails)
+            // only draw their own part of it.
+            sourceX = Math.min(this.sourceBounds.x, rendered.canvas.width);
+            sourceY = Math.min(this.sourceBounds.y, rendered.canvas.height);
+            sourceWidth = Math.min(this.sourceBounds.width, rendered.canvas.width - sourceX);
+            sourceHeight = Math.min(this.sourceBounds.height, rendered.canvas.height - sourceY);
         } else {
             sourceWidth = rendered.canvas.width;
             sourceHeight = rendered.canvas.height;
@@ -479,8 +498,8 @@ $.Tile.prototype = {
         }
         context.drawImage(
             rendered.canvas,
-            0,
-            0,
+            sourceX,
+            sourceY,
             sourceWidth,
             sourceHeight,
             -size.x / 2,
@@ -509,7 +528,10 @@ $.Tile.prototype = {
                 this.toString());
             return 1;
         }
-        return context.canvas.width / (this.size.x * $.pixelDensityRatio);
+        var width = this.sourceBounds ?
+            Math.min(this.sourceBounds.width, context.canvas.width) :
+            context.canvas.width;
+        return width / (this.size.x * $.pixelDensityRatio);
     },
 
     /**
@@ -550,6 +572,9 @@ $.Tile.prototype = {
 
         this.element    = null;
         this.imgElement = null;
+        this.filteredContext = null;
+        this._filtersVersion = 0;
+        this._filterQueued = null;
         this.loaded     = false;
         this.loading    = false;
     }
@@ -48,6 +48,8 @@ var ImageRecord = function(options) {
     $.console.assert( options, "[ImageRecord] options is required" );
     $.console.assert( options.data, "[ImageRecord] options.data is required" );
     this._tiles = [];
+    // Filtered copies of the image, {version, context} per TiledImage.
+    this._filtered = new Map();
 
     options.create.apply(null, [this, options.data, options.ownerTile]);
     this._destroyImplementation = options.destroy.bind(null, this);
@@ -60,6 +62,7 @@ ImageRecord.prototype = {
     destroy: function() {
         this._destroyImplementation();
         this._tiles = null;
+        this._filtered = null;
     },
 
     addTile: function(tile) {
@@ -80,6 +83,18 @@ ImageRecord.prototype = {
 
     getTileCount: function() {
         return this._tiles.length;
+    },
+
+    getFiltered: function(tiledImage) {
+        return this._filtered.get(tiledImage) || null;
+    },
+
+    setFiltered: function(tiledImage, filtered) {
+        this._filtered.set(tiledImage, filtered);
+    },
+
+    removeFiltered: function(tiledImage) {
+        this._filtered.delete(tiledImage);
     }
 };
 
@@ -222,6 +237,13 @@ $.TileCache.prototype = {
                 i--;
             }
         }
+        // Images shared with other TiledImages stay cached, their copies
+        // filtered for this one don't.
+        for ( var key in this._imagesLoaded ) {
+            if ( Object.prototype.hasOwnProperty.call( this._imagesLoaded, key ) ) {
+                this._imagesLoaded[ key ].removeFiltered( tiledImage );
+            }
+        }
     },
 
     // private
@@ -74,6 +74,10 @@
  * @param {Boolean} [options.preload=false] - Set true to load even when the image is hidden by zero opacity.
  * @param {String} [options.compositeOperation] - How the image is composited onto other images; see compositeOperation in {@link OpenSeadragon.Options} for possible
  values.
+ * @param {Function[]} [options.filters] - Filters applied to the pixels of the tiles;
+ * see {@link OpenSeadragon.TiledImage#setFilters}.
+ * @param {Number} [options.pixelsPerMeter] - The physical resolution of the
+ * image; see {@link OpenSeadragon.TiledImage#getPixelsPerMeter}.
  * @param {Boolean} [options.debugMode] - See {@link OpenSeadragon.Options}.
  * @param {String|CanvasGradient|CanvasPattern|Function} [options.placeholderFillStyle] - See {@link OpenSeadragon.Options}.
  * @param {String|Boolean} [options.crossOriginPolicy] - See {@link OpenSeadragon.Options}.
@@ -150,6 +154,9 @@ $.TiledImage = function( options ) {
     var ajaxHeaders = options.ajaxHeaders;
     delete options.ajaxHeaders;
 
+    var filters = options.filters;
+    delete options.filters;
+
     $.extend( true, this, {
 
         //internal state properties
@@ -188,6 +195,11 @@ $.TiledImage = function( options ) {
     this._preload = this.preload;
     delete this.preload;
 
+    this._filters = filters ? filters.slice() : [];
+    // Incremented whenever the filters change, so that tiles filtered with an
+    // older chain are filtered again before being drawn.
+    this._filtersVersion = this._filters.length ? 1 : 0;
+
     this._fullyLoaded = false;
 
     this._xSpring = new $.Spring({
@@ -254,6 +266,15 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         return this._needsDraw;
     },
 
+    // private
+    // Wakes the update loop of the viewer up too, in case it is idle.
+    _setNeedsDraw: function() {
+        this._needsDraw = true;
+        if (this.viewer) {
+            this.viewer._requestUpdate();
+        }
+    },
+
     /**
      * @returns {Boolean} Whether all tiles necessary for this TiledImage to draw at the current view have been loaded.
      */
@@ -292,7 +313,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
     reset: function() {
         this._tileCache.clearTilesFor(this);
         this.lastResetTime = $.now();
-        this._needsDraw = true;
+        this._setNeedsDraw();
     },
 
     /**
@@ -400,6 +421,32 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         return bounds.rotate(this.getRotation(current), this._getRotationPoint(current));
     },
 
+    /**
+     * Get the bounds of the part of the tiled image with content: the clipped
+     * bounds, narrowed to the display rectangles of sparse images. The home
+     * bounds of the world are made of them.
+     * @param {Boolean} [current=false] Pass true for the current location,
+     * false for the target location.
+     * @returns {$.Rect} The content bounds in viewport coordinates.
+     */
+    getContentBounds: function(current) {
+        var rects = this.source.getDisplayRects();
+        if (!rects || !rects.length) {
+            return this.getClippedBounds(current);
+        }
+
+        var content = rects.reduce(function(union, rect) {
+            return union.union(rect);
+        }, new $.Rect(rects[0].x, rects[0].y, rects[0].width, rects[0].height));
+        if (this._clip) {
+            content = content.intersection(this._clip);
+            if (!content) {
+                return this.getClippedBounds(current);
+            }
+        }
+        return this.imageToViewportRectangle(content, current);
+    },
+
     /**
      * @function
      * @param {Number} level
@@ -679,7 +726,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
 
             this._xSpring.resetTo(position.x);
             this._ySpring.resetTo(position.y);
-            this._needsDraw = true;
+            this._setNeedsDraw();
         } else {
             if (sameTarget) {
                 return;
@@ -687,7 +734,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
 
             this._xSpring.springTo(position.x);
             this._ySpring.springTo(position.y);
-            this._needsDraw = true;
+            this._setNeedsDraw();
         }
 
         if (!sameTarget) {
@@ -856,7 +903,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             this._clip = null;
         }
 
-        this._needsDraw = true;
+        this._setNeedsDraw();
         /**
          * Raised when the TiledImage's clip is changed.
          * @event clip-change
@@ -882,7 +929,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
      */
     setFlip: function(flip) {
         this.flipped = !!flip;
-        this._needsDraw = true;
+        this._setNeedsDraw();
         this._raiseBoundsChange();
     },
 
@@ -903,7 +950,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         }
 
         this.opacity = opacity;
-        this._needsDraw = true;
+        this._setNeedsDraw();
         /**
          * Raised when the TiledImage's opacity is changed.
          * @event opacity-change
@@ -931,7 +978,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
      */
     setPreload: function(preload) {
         this._preload = !!preload;
-        this._needsDraw = true;
+        this._setNeedsDraw();
     },
 
     /**
@@ -962,7 +1009,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         } else {
             this._degreesSpring.springTo(degrees);
         }
-        this._needsDraw = true;
+        this._setNeedsDraw();
         this._raiseBoundsChange();
     },
 
@@ -993,7 +1040,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         }
 
         this.compositeOperation = compositeOperation;
-        this._needsDraw = true;
+        this._setNeedsDraw();
         /**
          * Raised when the TiledImage's opacity is changed.
          * @event composite-operation-change
@@ -1009,6 +1056,64 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         });
     },
 
+    /**
+     * @returns {?Number} The number of image pixels per meter, from the
+     * pixelsPerMeter option, or else from the tile source; null if unknown.
+     */
+    getPixelsPerMeter: function() {
+        return this.pixelsPerMeter || this.source.pixelsPerMeter || null;
+    },
+
+    /**
+     * @returns {Function[]} The filters applied to this TiledImage's tiles.
+     */
+    getFilters: function() {
+        return this._filters.slice();
+    },
+
+    /**
+     * Sets the filters applied to the pixels of this TiledImage's tiles after
+     * they are downloaded, replacing any previous ones. Each filter is a
+     * function called with the CanvasRenderingContext2D of a copy of the tile's
+     * image and the {@link OpenSeadragon.Tile}, and modifies the context in
+     * place; they run in order. See {@link OpenSeadragon.Filters} for the
+     * built-in filters.
+     *
+     * Tiles are filtered when they load. After a change, the loaded tiles are
+     * filtered again from their cached images over the next frames, and drawn
+     * with their previous filters until then, so the filters can be changed at
+     * any time without downloading the tiles again. Filters need canvas support
+     * and are ignored by the HTML drawer.
+     * @param {Function[]} filters - The filters to apply, or an empty array.
+     * @fires OpenSeadragon.TiledImage.event:filters-change
+     */
+    setFilters: function(filters) {
+        filters = filters || [];
+        for (var i = 0; i < filters.length; i++) {
+            if (typeof filters[i] !== 'function') {
+                $.console.error('[TiledImage.setFilters] filters must be functions');
+                return;
+            }
+        }
+
+        this._filters = filters.slice();
+        this._filtersVersion++;
+        this._setNeedsDraw();
+        /**
+         * Raised when the TiledImage's filters are changed.
+         * @event filters-change
+         * @memberOf OpenSeadragon.TiledImage
+         * @type {object}
+         * @property {Function[]} filters - The new filters.
+         * @property {OpenSeadragon.TiledImage} eventSource - A reference to the
+         * TiledImage which raised the event.
+         * @property {?Object} userData - Arbitrary subscriber-defined object.
+         */
+        this.raiseEvent('filters-change', {
+            filters: this.getFilters()
+        });
+    },
+
     /**
      * Update headers to include when making AJAX requests.
      *
@@ -1103,7 +1208,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
 
             this._scaleSpring.resetTo(scale);
             this._updateForScale();
-            this._needsDraw = true;
+            this._setNeedsDraw();
         } else {
             if (sameTarget) {
                 return;
@@ -1111,7 +1216,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
 
             this._scaleSpring.springTo(scale);
             this._updateForScale();
-            this._needsDraw = true;
+            this._setNeedsDraw();
         }
 
         if (!sameTarget) {
@@ -1201,6 +1306,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
                 this.getClippedBounds(true));
             drawArea = drawArea.intersection(tiledImageBounds);
             if (drawArea === null) {
+                this._prioritizeJobs(Infinity);
                 return;
             }
         }
@@ -1271,6 +1377,8 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             }
         }
 
+        this._prioritizeJobs(currentTime);
+
         // Perform the actual drawing
         this._drawTiles(this.lastDrawn);
 
@@ -1417,6 +1525,14 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
                     continue;
                 }
 
+                if (!this._tileHasContent(level, flippedX, y, numberOfTiles)) {
+                    // Nothing to load or draw in the empty parts of sparse
+                    // images, and nothing under them to fall back to either
+                    this._setCoverage(this.coverage, level, flippedX, y, true);
+                    this._setCoverage(this.loadingCoverage, level, flippedX, y, true);
+                    continue;
+                }
+
                 best = this._updateTile(
                     drawLevel,
                     haveDrawn,
@@ -1435,6 +1551,65 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         return best;
     },
 
+    /**
+     * @private
+     * @inner
+     * Whether a tile overlaps a display rectangle of the source with content
+     * at its level or a lower one.
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     * @param {OpenSeadragon.Point} numberOfTiles
+     * @returns {Boolean}
+     */
+    _tileHasContent: function(level, x, y, numberOfTiles) {
+        var rects = this.source.getDisplayRects(level);
+        if (!rects) {
+            return true;
+        }
+
+        var xMod = ( numberOfTiles.x + ( x % numberOfTiles.x ) ) % numberOfTiles.x;
+        var yMod = ( numberOfTiles.y + ( y % numberOfTiles.y ) ) % numberOfTiles.y;
+        var bounds = this.source.getTileBounds(level, xMod, yMod).times(this.source.dimensions.x);
+        return rects.some(function(rect) {
+            return rect.x < bounds.x + bounds.width && bounds.x < rect.x + rect.width &&
+                rect.y < bounds.y + bounds.height && bounds.y < rect.y + rect.height;
+        });
+    },
+
+    /**
+     * @private
+     * @inner
+     * The areas to fill with the placeholder while no tile is drawn.
+     * @returns {OpenSeadragon.Rect[]} In viewport coordinates.
+     */
+    _getPlaceholderBounds: function() {
+        var _this = this;
+        var rects = this.source.getDisplayRects();
+        if (!rects) {
+            return [this.getBounds(true)];
+        }
+        return rects.map(function(rect) {
+            return _this.imageToViewportRectangle(rect, true);
+        });
+    },
+
+    /**
+     * @private
+     * @inner
+     * Cancels the queued loads of the tiles the last viewport update didn't
+     * touch, as they are off-screen or covered, and reorders the others by
+     * their new distance from the viewport center.
+     * @param {Number} updateTime - time of the last viewport update.
+     */
+    _prioritizeJobs: function(updateTime) {
+        var _this = this;
+        this._imageLoader.cancelJobs(function(job) {
+            return job.tiledImage === _this && job.tile.lastTouchTime < updateTime;
+        });
+        this._imageLoader.prioritize();
+    },
+
     /**
      * @private
      * @inner
@@ -1522,7 +1697,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             }
         }
 
-        if ( tile.loaded ) {
+        if ( tile.loaded && this._updateTileFilters( tile ) ) {
             var needsDraw = this._blendTile(
                 tile,
                 x, y,
@@ -1534,8 +1709,9 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             if ( needsDraw ) {
                 this._needsDraw = true;
             }
-        } else if ( tile.loading ) {
-            // the tile is already in the download queue
+        } else if ( tile.loading || tile.loaded ) {
+            // the tile is already in the download queue, or waits for its
+            // first filtering
             this._tilesLoading++;
         } else if (!loadingCoverage) {
             best = this._compareTiles( best, tile );
@@ -1667,12 +1843,13 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             ajaxHeaders: tile.ajaxHeaders,
             crossOriginPolicy: this.crossOriginPolicy,
             ajaxWithCredentials: this.ajaxWithCredentials,
-            callback: function( data, errorMsg, tileRequest ){
-                _this._onTileLoad( tile, time, data, errorMsg, tileRequest );
+            callback: function( data, errorMsg, tileRequest, status ){
+                _this._onTileLoad( tile, time, data, errorMsg, tileRequest, status );
             },
             abort: function() {
                 tile.loading = false;
-            }
+            },
+            tiledImage: this
         });
     },
 
@@ -1685,8 +1862,9 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
      * @param {*} data image data
      * @param {String} errorMsg
      * @param {XMLHttpRequest} tileRequest
+     * @param {Number} [status] HTTP status of the failed request, if known
      */
-    _onTileLoad: function( tile, time, data, errorMsg, tileRequest ) {
+    _onTileLoad: function( tile, time, data, errorMsg, tileRequest, status ) {
         if ( !data ) {
             $.console.error( "Tile %s failed to load: %s - error: %s", tile, tile.getUrl(), errorMsg );
             /**
@@ -1700,13 +1878,15 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
              * @property {number} time - The time in milliseconds when the tile load began.
              * @property {string} message - The error message.
              * @property {XMLHttpRequest} tileRequest - The XMLHttpRequest used to load the tile if available.
+             * @property {?number} status - The HTTP status of the failed request, if known.
              */
             this.viewer.raiseEvent("tile-load-failed", {
                 tile: tile,
                 tiledImage: this,
                 time: time,
                 message: errorMsg,
-                tileRequest: tileRequest
+                tileRequest: tileRequest,
+                status: status
             });
             tile.loading = false;
             tile.exists = false;
@@ -1723,19 +1903,19 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
 
         var _this = this,
             finish = function() {
+                if ( time < _this.lastResetTime ) {
+                    tile.loading = false;
+                    return;
+                }
                 var ccc = _this.source;
                 var cutoff = ccc.getClosestLevel();
                 _this._setTileLoaded(tile, data, cutoff, tileRequest);
         };
 
-        // Check if we're mid-update; this can happen on IE8 because image load events for
-        // cached images happen immediately there
-        if ( !this._midDraw ) {
-            finish();
-        } else {
-            // Wait until after the update, in case caching unloads any tiles
-            window.setTimeout( finish, 1);
-        }
+        // Hand the tile over after the updates of the frame, in case caching
+        // unloads any tiles, and within its budget so that the tiles loaded
+        // at once are drawn (and uploaded to the GPU) over several frames.
+        $.renderScheduler.defer( finish );
     },
 
     /**
@@ -1776,7 +1956,8 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
                         tiledImage: _this
                     });
                 }
-                _this._needsDraw = true;
+                _this._updateTileFilters(tile);
+                _this._setNeedsDraw();
             }
         }
 
@@ -1815,6 +1996,355 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         fallbackCompletion();
     },
 
+    /**
+     * @private
+     * @inner
+     * Brings a loaded tile up to date with the filter chain, from the
+     * filtered copy kept with its cached image if there is a current one,
+     * otherwise by queueing the filtering for a coming frame.
+     * @param {OpenSeadragon.Tile} tile
+     * @returns {Boolean} Whether the tile can be drawn meanwhile, which
+     * tiles never filtered yet can't.
+     */
+    _updateTileFilters: function( tile ) {
+        var version = this._filtersVersion;
+        if ( tile._filtersVersion === version ) {
+            return true;
+        }
+
+        var imageRecord = tile.context2D ? null : tile.cacheImageRecord;
+        if ( !this._filters.length || !( $.supportsCanvas && this.viewer.useCanvas ) ) {
+            tile._filtersVersion = version;
+            tile.filteredContext = null;
+            if ( imageRecord ) {
+                imageRecord.removeFiltered( this );
+            }
+            return true;
+        }
+
+        var filtered = imageRecord && imageRecord.getFiltered( this );
+        if ( filtered && filtered.version === version ) {
+            tile._filtersVersion = version;
+            tile.filteredContext = filtered.context;
+            return true;
+        }
+
+        this._queueFilterTile( tile );
+        return tile._filtersVersion !== 0;
+    },
+
+    /**
+     * @private
+     * @inner
+     * Filters a tile within the frame budget of the render scheduler, so
+     * that changing the filters of many tiles doesn't stall a frame.
+     * @param {OpenSeadragon.Tile} tile
+     */
+    _queueFilterTile: function( tile ) {
+        var _this = this;
+        var version = this._filtersVersion;
+        if ( tile._filterQueued === version ) {
+            return;
+        }
+        tile._filterQueued = version;
+
+        $.renderScheduler.defer( function() {
+            if ( tile._filterQueued !== version ) {
+                return;
+            }
+            tile._filterQueued = null;
+            if ( !tile.loaded || _this._filtersVersion !== version ) {
+                return;
+            }
+            _this._filterTile( tile );
+            _this._setNeedsDraw();
+        } );
+    },
+
+    /**
+     * @private
+     * @inner
+     * Applies the filters to a loaded tile from its unfiltered image, and
+     * keeps the result with the cached image for the other tiles using it.
+     * @param {OpenSeadragon.Tile} tile
+     */
+    _filterTile: function( tile ) {
+        var imageRecord = tile.context2D ? null : tile.cacheImageRecord;
+        var filtered = imageRecord && imageRecord.getFiltered( this );
+
+        if ( !filtered || filtered.version !== this._filtersVersion ) {
+            var context = tile.context2D || imageRecord.getRenderedContext();
+            filtered = {
+                version: this._filtersVersion,
+                context: this._applyFilters( context.canvas, tile )
+            };
+            if ( imageRecord ) {
+                imageRecord.setFiltered( this, filtered );
+            }
+        }
+
+        tile._filtersVersion = filtered.version;
+        tile.filteredContext = filtered.context;
+    },
+
+    /**
+     * @private
+     * @inner
+     * Runs the filters on a copy of a tile's image.
+     * @param {HTMLCanvasElement} image - The unfiltered image.
+     * @param {OpenSeadragon.Tile} tile
+     * @returns {CanvasRenderingContext2D} The filtered copy, or null if a filter failed.
+     */
+    _applyFilters: function( image, tile ) {
+        var context = copyCanvas( image ).getContext( '2d' );
+
+        try {
+            for ( var i = 0; i < this._filters.length; i++ ) {
+                this._filters[ i ]( context, tile );
+            }
+        } catch ( e ) {
+            $.console.error( '[TiledImage._applyFilters] unable to filter tile %s: %s', tile.toString(), e.message );
+            return null;
+        }
+        return context;
+    },
+
+    /**
+     * @private
+     * @inner
+     * Draws the part of this image inside the given viewport bounds onto a new
+     * canvas, from the pyramid level closest to the output resolution. Tiles
+     * missing from the cache are downloaded through the ImageLoader. Rotation,
+     * flip, clip, cropping polygons and filters are applied; opacity and
+     * compositeOperation are left to the caller.
+     * @param {OpenSeadragon.Rect} bounds - The region, in viewport coordinates.
+     * @param {Number} width - The width of the canvas, in pixels.
+     * @param {Number} height - The height of the canvas, in pixels.
+     * @returns {Promise<HTMLCanvasElement>} The canvas, or null if the image is
+     * outside the bounds.
+     */
+    _exportLayer: function( bounds, width, height ) {
+        var _this = this;
+        var source = this.source;
+        var itemBounds = this.getBoundsNoRotate();
+        var rotation = this.getRotation();
+        var rotationPoint = this._getRotationPoint();
+        var flipped = this.getFlip();
+        var scaleX = width / bounds.width;
+        var scaleY = height / bounds.height;
+
+        // The region in normalized image coordinates (image width = 1).
+        var corners = [ bounds.getTopLeft(), bounds.getTopRight(),
+            bounds.getBottomLeft(), bounds.getBottomRight() ].map( function( point ) {
+                if ( rotation % 360 !== 0 ) {
+                    point = point.rotate( -rotation, rotationPoint );
+                }
+                var x = ( point.x - itemBounds.x ) / itemBounds.width;
+                return new $.Point( flipped ? 1 - x : x, ( point.y - itemBounds.y ) / itemBounds.width );
+            });
+        var xs = corners.map( function( point ) {
+            return point.x;
+        });
+        var ys = corners.map( function( point ) {
+            return point.y;
+        });
+        var left = Math.max( 0, Math.min.apply( Math, xs ) );
+        var top = Math.max( 0, Math.min.apply( Math, ys ) );
+        var right = Math.min( 1, Math.max.apply( Math, xs ) );
+        var bottom = Math.min( 1 / source.aspectRatio, Math.max.apply( Math, ys ) );
+        if ( left >= right || top >= bottom ) {
+            return Promise.resolve( null );
+        }
+
+        // The lowest level with at least as many pixels as the output.
+        var pixelsNeeded = Math.max( scaleX, scaleY ) * itemBounds.width;
+        var level = source.minLevel;
+        while ( level < source.maxLevel &&
+            source.dimensions.x * source.getLevelScale( level ) < pixelsNeeded ) {
+            level++;
+        }
+
+        var topLeftTile = source.getTileAtPoint( level, new $.Point( left, top ) );
+        var bottomRightTile = source.getTileAtPoint( level, new $.Point( right, bottom ) );
+        var numTiles = source.getNumTiles( level );
+        var loads = [];
+        for ( var x = topLeftTile.x; x <= Math.min( bottomRightTile.x, numTiles.x - 1 ); x++ ) {
+            for ( var y = topLeftTile.y; y <= Math.min( bottomRightTile.y, numTiles.y - 1 ); y++ ) {
+                if ( source.tileExists( level, x, y ) ) {
+                    loads.push( this._loadExportTile( level, x, y ) );
+                }
+            }
+        }
+
+        return Promise.all( loads ).then( function( tiles ) {
+            var canvas = document.createElement( 'canvas' );
+            canvas.width = width;
+            canvas.height = height;
+            var context = canvas.getContext( '2d' );
+
+            context.scale( scaleX, scaleY );
+            context.translate( -bounds.x, -bounds.y );
+            if ( rotation % 360 !== 0 ) {
+                context.translate( rotationPoint.x, rotationPoint.y );
+                context.rotate( Math.PI / 180 * rotation );
+                context.translate( -rotationPoint.x, -rotationPoint.y );
+            }
+            context.translate( itemBounds.x, itemBounds.y );
+            context.scale( itemBounds.width, itemBounds.width );
+            if ( flipped ) {
+                context.translate( 1, 0 );
+                context.scale( -1, 1 );
+            }
+
+            // Clip and cropping polygons are in image pixels.
+            var pixel = 1 / source.dimensions.x;
+            if ( _this._clip ) {
+                context.beginPath();
+                context.rect( _this._clip.x * pixel, _this._clip.y * pixel,
+                    _this._clip.width * pixel, _this._clip.height * pixel );
+                context.clip();
+            }
+            if ( _this._croppingPolygons ) {
+                context.beginPath();
+                _this._croppingPolygons.forEach( function( polygon ) {
+                    polygon.forEach( function( coord, i ) {
+                        context[ i === 0 ? 'moveTo' : 'lineTo' ]( coord.x * pixel, coord.y * pixel );
+                    });
+                    context.closePath();
+                });
+                context.clip();
+            }
+
+            tiles.forEach( function( tile ) {
+                if ( !tile ) {
+                    return;
+                }
+                var image = tile.image;
+                var sourceX = Math.min( tile.sourceBounds.x, image.width );
+                var sourceY = Math.min( tile.sourceBounds.y, image.height );
+                context.drawImage( image, sourceX, sourceY,
+                    Math.min( tile.sourceBounds.width, image.width - sourceX ),
+                    Math.min( tile.sourceBounds.height, image.height - sourceY ),
+                    tile.bounds.x, tile.bounds.y, tile.bounds.width, tile.bounds.height );
+            });
+            return canvas;
+        });
+    },
+
+    /**
+     * @private
+     * @inner
+     * Creates a tile of the source, outside of the tiles matrix, with the url,
+     * headers, post data and cache key its download would use.
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     * @returns {OpenSeadragon.Tile}
+     */
+    _createSourceTile: function( level, x, y ) {
+        var source = this.source;
+        var url = source.getTileUrl( level, x, y );
+        var postData = source.getTilePostData( level, x, y );
+        var ajaxHeaders = null;
+        if ( this.loadTilesWithAjax ) {
+            ajaxHeaders = source.getTileAjaxHeaders( level, x, y );
+            if ( $.isPlainObject( this.ajaxHeaders ) ) {
+                ajaxHeaders = $.extend( {}, this.ajaxHeaders, ajaxHeaders );
+            }
+        }
+        return new $.Tile(
+            level,
+            x,
+            y,
+            source.getTileBounds( level, x, y ),
+            true,
+            url,
+            source.getContext2D ? source.getContext2D( level, x, y ) : undefined,
+            this.loadTilesWithAjax,
+            ajaxHeaders,
+            source.getTileBounds( level, x, y, true ),
+            postData,
+            source.getTileHashKey( level, x, y, url, ajaxHeaders, postData )
+        );
+    },
+
+    /**
+     * @private
+     * @inner
+     * Gets the image of a tile for an export, from the tile cache when it's
+     * there and readable, otherwise through the ImageLoader.
+     * @returns {Promise<Object>} bounds, sourceBounds and image of the tile,
+     * or null if it failed to load.
+     */
+    _loadExportTile: function( level, x, y ) {
+        var _this = this;
+        var source = this.source;
+        var tile = this._createSourceTile( level, x, y );
+        var postData = tile.postData;
+        var ajaxHeaders = tile.ajaxHeaders;
+
+        var result = function( context, imageRecord ) {
+            if ( _this._filters.length ) {
+                var filtered = imageRecord && imageRecord.getFiltered( _this );
+                if ( filtered && filtered.version === _this._filtersVersion && filtered.context ) {
+                    context = filtered.context;
+                } else {
+                    context = _this._applyFilters( context.canvas, tile ) || context;
+                }
+            }
+            return {
+                bounds: tile.bounds,
+                sourceBounds: tile.sourceBounds,
+                image: context.canvas
+            };
+        };
+
+        if ( tile.context2D ) {
+            return Promise.resolve( result( tile.context2D ) );
+        }
+        var imageRecord = this._tileCache.getImageRecord( tile.cacheKey );
+        if ( imageRecord ) {
+            var cached = imageRecord.getRenderedContext();
+            if ( cached && !$.isCanvasTainted( cached.canvas ) ) {
+                return Promise.resolve( result( cached, imageRecord ) );
+            }
+        }
+
+        return new Promise( function( resolve ) {
+            _this._imageLoader.addJob({
+                src: tile.getUrl(),
+                tile: tile,
+                source: source,
+                postData: postData,
+                loadWithAjax: tile.loadWithAjax,
+                ajaxHeaders: ajaxHeaders,
+                // The export must be able to read the pixels back.
+                crossOriginPolicy: _this.crossOriginPolicy || 'Anonymous',
+                ajaxWithCredentials: _this.ajaxWithCredentials,
+                // Queued jobs are dropped whenever the viewer redraws;
+                // the export still needs the tile.
+                pinned: true,
+                callback: function( data, errorMsg ) {
+                    if ( !data ) {
+                        $.console.warn( "[TiledImage] export skips tile %s: %s", tile.toString(), errorMsg );
+                        resolve( null );
+                        return;
+                    }
+                    var cacheObject = {};
+                    source.createTileCache( cacheObject, data, tile );
+                    var context = source.getTileCacheDataAsContext2D( cacheObject );
+                    var exportTile = result( context );
+                    if ( exportTile.image === context.canvas ) {
+                        // Keep the pixels once the cache object is destroyed.
+                        exportTile.image = copyCanvas( context.canvas );
+                    }
+                    source.destroyTileCache( cacheObject );
+                    resolve( exportTile );
+                }
+            });
+        });
+    },
+
     /**
      * @private
      * @inner
@@ -1945,6 +2475,17 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             return;
         }
 
+        if (typeof this._drawer.drawTiledImage === 'function') {
+            // The drawer handles rotation, clipping and blending itself
+            // (e.g. OpenSeadragon.WebGLDrawer).
+            this._drawer.drawTiledImage(this, lastDrawn);
+            for (var j = lastDrawn.length - 1; j >= 0; j--) {
+                this._tileDrawn(lastDrawn[j]);
+            }
+            this._drawDebugInfo(lastDrawn);
+            return;
+        }
+
         var tile = lastDrawn[0];
         var useSketch;
 
@@ -2068,14 +2609,6 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         }
 
         if ( this.placeholderFillStyle && this._hasOpaqueTile === false ) {
-            var placeholderRect = this._drawer.viewportToDrawerRectangle(this.getBounds(true));
-            if (sketchScale) {
-                placeholderRect = placeholderRect.times(sketchScale);
-            }
-            if (sketchTranslate) {
-                placeholderRect = placeholderRect.translate(sketchTranslate);
-            }
-
             var fillStyle = null;
             if ( typeof this.placeholderFillStyle === "function" ) {
                 fillStyle = this.placeholderFillStyle(this, this._drawer.context);
@@ -2084,7 +2617,17 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
                 fillStyle = this.placeholderFillStyle;
             }
 
-            this._drawer.drawRectangle(placeholderRect, fillStyle, useSketch);
+            var placeholderBounds = this._getPlaceholderBounds();
+            for (var k = 0; k < placeholderBounds.length; k++) {
+                var placeholderRect = this._drawer.viewportToDrawerRectangle(placeholderBounds[k]);
+                if (sketchScale) {
+                    placeholderRect = placeholderRect.times(sketchScale);
+                }
+                if (sketchTranslate) {
+                    placeholderRect = placeholderRect.translate(sketchTranslate);
+                }
+                this._drawer.drawRectangle(placeholderRect, fillStyle, useSketch);
+            }
         }
 
         var subPixelRoundingRule = determineSubPixelRoundingRule(this.subPixelRoundingForTransparency);
@@ -2102,25 +2645,7 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
             tile = lastDrawn[ i ];
             this._drawer.drawTile( tile, this._drawingHandler, useSketch, sketchScale,
                 sketchTranslate, shouldRoundPositionAndSize, this.source );
-            tile.beingDrawn = true;
-
-            if( this.viewer ){
-                /**
-                 * <em>- Needs documentation -</em>
-                 *
-                 * @event tile-drawn
-                 * @memberof OpenSeadragon.Viewer
-                 * @type {object}
-                 * @property {OpenSeadragon.Viewer} eventSource - A reference to the Viewer which raised the event.
-                 * @property {OpenSeadragon.TiledImage} tiledImage - Which TiledImage is being drawn.
-                 * @property {OpenSeadragon.Tile} tile
-                 * @property {?Object} userData - Arbitrary subscriber-defined object.
-                 */
-                this.viewer.raiseEvent( 'tile-drawn', {
-                    tiledImage: this,
-                    tile: tile
-                });
-            }
+            this._tileDrawn(tile);
         }
 
         if ( usedClip ) {
@@ -2182,6 +2707,34 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
         this._drawDebugInfo( lastDrawn );
     },
 
+    /**
+     * @private
+     * @inner
+     * Marks a tile as drawn and raises the tile-drawn event.
+     * @param {OpenSeadragon.Tile} tile
+     */
+    _tileDrawn: function( tile ) {
+        tile.beingDrawn = true;
+
+        if( this.viewer ){
+            /**
+             * <em>- Needs documentation -</em>
+             *
+             * @event tile-drawn
+             * @memberof OpenSeadragon.Viewer
+             * @type {object}
+             * @property {OpenSeadragon.Viewer} eventSource - A reference to the Viewer which raised the event.
+             * @property {OpenSeadragon.TiledImage} tiledImage - Which TiledImage is being drawn.
+             * @property {OpenSeadragon.Tile} tile
+             * @property {?Object} userData - Arbitrary subscriber-defined object.
+             */
+            this.viewer.raiseEvent( 'tile-drawn', {
+                tiledImage: this,
+                tile: tile
+            });
+        }
+    },
+
     /**
      * @private
      * @inner
@@ -2327,6 +2880,21 @@ $.extend($.TiledImage.prototype, $.EventSource.prototype, /** @lends OpenSeadrag
  */
 var DEFAULT_SUBPIXEL_ROUNDING_RULE = $.SUBPIXEL_ROUNDING_OCCURRENCES.NEVER;
 
+/**
+ * @private
+ * @inner
+ * Copies a canvas onto a new one of the same size.
+ * @param {HTMLCanvasElement} source
+ * @returns {HTMLCanvasElement}
+ */
+function copyCanvas( source ) {
+    var canvas = document.createElement( 'canvas' );
+    canvas.width = source.width;
+    canvas.height = source.height;
+    canvas.getContext( '2d' ).drawImage( source, 0, 0 );
+    return canvas;
+}
+
 /**
  * @private
  * @inner
@@ -91,6 +91,15 @@
  *      The minimum level to attempt to load.
  * @param {Number} [options.maxLevel]
  *      The maximum level to attempt to load.
+ * @param {Number} [options.pixelsPerMeter]
+ *      The physical resolution of the image at max resolution, used by the
+ *      scale bar and the measure tool.
+ * @param {Object} [options.retryPolicy]
+ *      How failed tiles of this source are retried, overriding fields of the
+ *      viewer's tileRetryPolicy; see {@link OpenSeadragon.Options}.
+ * @param {Boolean} [options.persistentCache=false]
+ *      Whether the tiles of this source are kept in the viewer's
+ *      persistentTileCache, see {@link OpenSeadragon.PersistentTileCache}.
  */
 $.TileSource = function( width, height, tileSize, tileOverlap, minLevel, maxLevel ) {
     var _this = this;
@@ -457,11 +466,12 @@ $.TileSource.prototype = {
             }
         }
 
-        callback = function( data ){
+        callback = function( data, mimeType ){
             if( typeof (data) === "string" ) {
                 data = $.parseXml( data );
             }
-            var $TileSource = $.TileSource.determineType( _this, data, url );
+            var detected = $.TileSource.detect( _this, data, url, mimeType );
+            var $TileSource = detected.type;
             if ( !$TileSource ) {
                 /**
                  * Raised when an error occurs loading a TileSource.
@@ -472,18 +482,30 @@ $.TileSource.prototype = {
                  * @property {OpenSeadragon.TileSource} eventSource - A reference to the TileSource which raised the event.
                  * @property {String} message
                  * @property {String} source
+                 * @property {String[]} [triedTypes] - The names of the types that were tried,
+                 *      when none could read the source.
                  * @property {?Object} userData - Arbitrary subscriber-defined object.
                  */
-                _this.raiseEvent( 'open-failed', { message: "Unable to load TileSource", source: url } );
+                _this.raiseEvent( 'open-failed', {
+                    message: "Unable to load TileSource",
+                    source: url,
+                    triedTypes: detected.tried
+                } );
                 return;
             }
 
-            options = $TileSource.prototype.configure.apply( _this, [ data, url, postData ]);
-            if (options.ajaxWithCredentials === undefined) {
-                options.ajaxWithCredentials = _this.ajaxWithCredentials;
-            }
+            try {
+                options = $TileSource.prototype.configure.apply( _this, [ data, url, postData ]);
+                if (options.ajaxWithCredentials === undefined) {
+                    options.ajaxWithCredentials = _this.ajaxWithCredentials;
+                }
 
-            readySource = new $TileSource( options );
+                readySource = new $TileSource( options );
+            } catch ( e ) {
+                $.console.error( e.message );
+                _this.raiseEvent( 'open-failed', { message: e.message, source: url } );
+                return;
+            }
             _this.ready = true;
             /**
              * Raised when a TileSource is opened and initialized.
@@ -518,7 +540,7 @@ $.TileSource.prototype = {
                 headers: this.ajaxHeaders,
                 success: function( xhr ) {
                     var data = processResponse( xhr );
-                    callback( data );
+                    callback( data, xhr.getResponseHeader && xhr.getResponseHeader( 'Content-Type' ) );
                 },
                 error: function ( xhr, exc ) {
                     var msg;
@@ -571,10 +593,11 @@ $.TileSource.prototype = {
      * Responsible determining if a the particular TileSource supports the
      * data format ( and allowed to apply logic against the url the data was
      * loaded from, if any ). Overriding implementations are expected to do
-     * something smart with data and / or url to determine support.  Also
-     * understand that iteration order of TileSources is not guarunteed so
-     * please make sure your data or url is expressive enough to ensure a simple
-     * and sufficient mechanisim for clear determination.
+     * something smart with data and / or url to determine support. The order
+     * TileSources are tried in is set by {@link OpenSeadragon.TileSource.register};
+     * unregistered ones are tried last, in no guaranteed order, so please make
+     * sure your data or url is expressive enough to ensure a simple and
+     * sufficient mechanisim for clear determination.
      * @function
      * @param {String|Object|Array|Document} data
      * @param {String} url - the url the data was loaded
@@ -720,6 +743,19 @@ $.TileSource.prototype = {
                y < numTiles.y;
     },
 
+    /**
+     * The regions of a sparse image that have content, such as the display
+     * rectangles of a DZI. Tiles outside of them are neither loaded nor drawn.
+     * @function
+     * @param {Number} [level] - Only return the regions that have content at
+     * this level or at a lower one; all of them if not given.
+     * @returns {OpenSeadragon.Rect[]|null} The regions in image pixels, or null
+     * if the whole image has content.
+     */
+    getDisplayRects: function( level ) {
+        return null;
+    },
+
     /**
      * Decide whether tiles have transparency: this is crucial for correct images blending.
      * @returns {boolean} true if the image has transparency
@@ -895,7 +931,11 @@ $.TileSource.prototype = {
      * @returns {CanvasRenderingContext2D} context of the canvas representation of the cache data
      */
     getTileCacheDataAsContext2D: function(cacheObject) {
-        if (!cacheObject._renderedContext) {
+        if (!cacheObject._renderedContext && cacheObject._data && cacheObject._data.getContext) {
+            // Tile sources that draw or decode their tiles give canvases,
+            // which can be used as they are
+            cacheObject._renderedContext = cacheObject._data.getContext('2d');
+        } else if (!cacheObject._renderedContext) {
             var canvas = document.createElement( 'canvas' );
             canvas.width = cacheObject._data.width;
             canvas.height = cacheObject._data.height;
@@ -959,31 +999,257 @@ function processResponse( xhr ){
 
 
 /**
- * Determines the TileSource Implementation by introspection of OpenSeadragon
- * namespace, calling each TileSource implementation of 'isType'
+ * Registered tile source types, in registration order.
+ * @private
+ * @inner
+ * @type {Object[]}
+ */
+var registry = [];
+
+/**
+ * Every constructor that has been registered, so that unregistered ones aren't
+ * picked up again by the namespace introspection in
+ * {@link OpenSeadragon.TileSource.detect}.
  * @private
  * @inner
+ * @type {Function[]}
+ */
+var registeredTypes = [];
+
+/**
+ * Registers a TileSource implementation for format detection. Registering a
+ * name that is already registered replaces it.
+ * @function
+ * @static
+ * @memberof OpenSeadragon.TileSource
+ * @param {String} name - Unique name of the format, e.g. 'dzi'. It is what
+ *      open-failed events list in their triedTypes.
+ * @param {Function} TileSource - The TileSource constructor.
+ * @param {Object} [options]
+ * @param {Number} [options.priority=0] - Types with a higher priority are
+ *      tried first; types of equal priority are tried in registration order.
+ * @param {String[]} [options.mimeTypes] - MIME types of the responses this type
+ *      reads, e.g. ['image/tiff'].
+ * @param {String[]} [options.extensions] - File extensions of the urls this type
+ *      reads, without the dot, e.g. ['dzi'].
+ *      Types whose MIME types or extensions match the response being detected
+ *      are tried before all the others.
+ * @param {Boolean} [options.fetch=true] - Whether urls with one of the
+ *      extensions are downloaded to detect their type. When false, the viewer
+ *      opens them with this type right away, as {type: name, url} options,
+ *      which suits types that read their files themselves (e.g. with range
+ *      requests). See {@link OpenSeadragon.TileSource.detectUrl}.
+ * @param {Function} [options.sniff] - function(data, url) returning whether
+ *      the data is in this format, called like TileSource.prototype.supports
+ *      (which it defaults to).
+ * @example
+ * OpenSeadragon.TileSource.register('my-format', MyTileSource, {
+ *     priority: 10,
+ *     extensions: ['my'],
+ *     sniff: function(data, url) {
+ *         return data.type === 'my-format';
+ *     }
+ * });
+ */
+$.TileSource.register = function( name, TileSource, options ){
+    options = options || {};
+    if ( !$.isFunction( TileSource ) ) {
+        throw new Error( "[TileSource.register] " + name + " is not a TileSource constructor" );
+    }
+
+    $.TileSource.unregister( name );
+    registry.push( {
+        name: name,
+        type: TileSource,
+        priority: options.priority || 0,
+        mimeTypes: lowerCase( options.mimeTypes ),
+        extensions: lowerCase( options.extensions ),
+        fetch: options.fetch !== false,
+        sniff: options.sniff || TileSource.prototype.supports
+    } );
+    if ( registeredTypes.indexOf( TileSource ) === -1 ) {
+        registeredTypes.push( TileSource );
+    }
+};
+
+/**
+ * Removes a type from format detection.
+ * @function
+ * @static
+ * @memberof OpenSeadragon.TileSource
+ * @param {String|Function} nameOrTileSource - The registered name, or the
+ *      constructor to remove every registration of.
+ * @returns {Boolean} Whether anything was registered.
+ */
+$.TileSource.unregister = function( nameOrTileSource ){
+    var removed = false;
+    for ( var i = registry.length - 1; i >= 0; i-- ) {
+        if ( registry[ i ].name === nameOrTileSource || registry[ i ].type === nameOrTileSource ) {
+            registry.splice( i, 1 );
+            removed = true;
+        }
+    }
+    return removed;
+};
+
+/**
  * @function
+ * @static
+ * @memberof OpenSeadragon.TileSource
+ * @returns {Object[]} The registered types, as {name, type, priority, mimeTypes,
+ *      extensions, fetch, sniff} objects in the order they are tried, leaving aside
+ *      MIME type and extension matches.
+ */
+$.TileSource.getRegisteredTypes = function(){
+    return sortedRegistry().map( function( entry ) {
+        return $.extend( {}, entry );
+    } );
+};
+
+/**
+ * Finds the TileSource implementation able to read some data. Registered types
+ * are tried first (see {@link OpenSeadragon.TileSource.register}), then any
+ * other OpenSeadragon.*TileSource constructor of the namespace, so that
+ * unregistered plugins keep working.
+ * @function
+ * @static
+ * @memberof OpenSeadragon.TileSource
+ * @param {Object} tileSource - What `this` is bound to in sniff functions.
  * @param {Object|Array|Document} data - the tile source configuration object
- * @param {String} url - the url where the tile source configuration object was
+ * @param {String} [url] - the url where the tile source configuration object was
  *      loaded from, if any.
+ * @param {String} [mimeType] - the MIME type it was served with, if any.
+ * @returns {Object} {type, name} of the first type that sniffed the data, null
+ *      if none did, and tried, the names of every type tried.
  */
-$.TileSource.determineType = function( tileSource, data, url ){
-    var property;
-    for( property in OpenSeadragon ){
-        if( property.match(/.+TileSource$/) &&
+$.TileSource.detect = function( tileSource, data, url, mimeType ){
+    var extension = getExtension( url ),
+        tried = [],
+        candidates,
+        property,
+        i;
+
+    mimeType = ( mimeType || '' ).split( ';' )[ 0 ].trim().toLowerCase();
+    candidates = sortedRegistry().filter( function( entry ) {
+        return ( mimeType && entry.mimeTypes.indexOf( mimeType ) !== -1 ) ||
+            ( extension && entry.extensions.indexOf( extension ) !== -1 );
+    } );
+    candidates = candidates.concat( sortedRegistry().filter( function( entry ) {
+        return candidates.indexOf( entry ) === -1;
+    } ) );
+
+    for ( property in OpenSeadragon ) {
+        if ( property.match( /.+TileSource$/ ) &&
             $.isFunction( OpenSeadragon[ property ] ) &&
-            $.isFunction( OpenSeadragon[ property ].prototype.supports ) &&
-            OpenSeadragon[ property ].prototype.supports.call( tileSource, data, url )
-        ){
-            return OpenSeadragon[ property ];
+            OpenSeadragon[ property ] !== $.TileSource &&
+            registeredTypes.indexOf( OpenSeadragon[ property ] ) === -1 &&
+            $.isFunction( OpenSeadragon[ property ].prototype.supports )
+        ) {
+            candidates.push( {
+                name: property,
+                type: OpenSeadragon[ property ],
+                sniff: OpenSeadragon[ property ].prototype.supports
+            } );
         }
     }
 
-    $.console.error( "No TileSource was able to open %s %s", url, data );
+    for ( i = 0; i < candidates.length; i++ ) {
+        tried.push( candidates[ i ].name );
+        if ( candidates[ i ].sniff.call( tileSource, data, url ) ) {
+            return { type: candidates[ i ].type, name: candidates[ i ].name, tried: tried };
+        }
+    }
 
+    $.console.error( "No TileSource was able to open %s %s (tried %s)", url, data, tried.join( ', ' ) );
+
+    return { type: null, name: null, tried: tried };
+};
+
+/**
+ * Finds the type to open a url with without downloading it first: the first
+ * registered type, by priority, with the url's extension and fetch: false
+ * (see {@link OpenSeadragon.TileSource.register}).
+ * @function
+ * @static
+ * @memberof OpenSeadragon.TileSource
+ * @param {String} url
+ * @returns {Object} {type, name} of the type, or null if the url must be
+ *      downloaded to detect its type.
+ */
+$.TileSource.detectUrl = function( url ){
+    var extension = getExtension( url );
+    if ( !extension ) {
+        return null;
+    }
+    var entries = sortedRegistry();
+    for ( var i = 0; i < entries.length; i++ ) {
+        if ( !entries[ i ].fetch && entries[ i ].extensions.indexOf( extension ) !== -1 ) {
+            return { type: entries[ i ].type, name: entries[ i ].name };
+        }
+    }
     return null;
 };
 
+/**
+ * Determines the TileSource Implementation able to read some data.
+ * @private
+ * @inner
+ * @function
+ * @param {Object|Array|Document} data - the tile source configuration object
+ * @param {String} url - the url where the tile source configuration object was
+ *      loaded from, if any.
+ * @see OpenSeadragon.TileSource.detect
+ */
+$.TileSource.determineType = function( tileSource, data, url ){
+    return $.TileSource.detect( tileSource, data, url ).type;
+};
+
+/**
+ * @private
+ * @inner
+ * @function
+ * @returns {Object[]} the registry sorted by decreasing priority, keeping
+ *      registration order among equal priorities.
+ */
+function sortedRegistry() {
+    return registry.map( function( entry, index ) {
+        return { entry: entry, index: index };
+    } ).sort( function( a, b ) {
+        return ( b.entry.priority - a.entry.priority ) || ( a.index - b.index );
+    } ).map( function( item ) {
+        return item.entry;
+    } );
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ * @param {String} [url]
+ * @returns {String} the lower cased extension of the url's file name, without
+ *      the dot, or an empty string.
+ */
+function getExtension( url ) {
+    if ( typeof url !== 'string' ) {
+        return '';
+    }
+    var filename = url.split( /[?#]/ )[ 0 ].split( '/' ).pop(),
+        lastDot = filename.lastIndexOf( '.' );
+    return lastDot > -1 ? filename.slice( lastDot + 1 ).toLowerCase() : '';
+}
+
+/**
+ * @private
+ * @inner
+ * @function
+ * @param {String[]} [values]
+ * @returns {String[]}
+ */
+function lowerCase( values ) {
+    return ( values || [] ).map( function( value ) {
+        return String( value ).toLowerCase();
+    } );
+}
+
 
 }( OpenSeadragon ));
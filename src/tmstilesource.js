@@ -134,5 +134,6 @@ $.extend( $.TmsTileSource.prototype, $.TileSource.prototype, /** @lends OpenSead
     }
 });
 
+$.TileSource.register( 'tiledmapservice', $.TmsTileSource );
 
 }( OpenSeadragon ));
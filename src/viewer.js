@@ -221,6 +221,7 @@ $.Viewer = function( options ) {
 
     this._sequenceIndex = 0;
     this._firstOpen = true;
+    this._closeCount = 0;
     this._updateRequestId = null;
     this._loadQueue = [];
     this.currentOverlays = [];
@@ -260,6 +261,9 @@ $.Viewer = function( options ) {
     if (options.tabIndex !== "") {
         this.canvas.tabIndex = (options.tabIndex === undefined ? 0 : options.tabIndex);
     }
+    this.canvas.setAttribute( "role", "application" );
+    this.canvas.setAttribute( "aria-roledescription", $.getString( "Accessibility.CanvasRole" ) );
+    this.canvas.setAttribute( "aria-label", $.getString( "Accessibility.Canvas" ) );
 
     //the container is created through applying the ControlDock constructor above
     this.container.className = "openseadragon-container";
@@ -332,10 +336,13 @@ $.Viewer = function( options ) {
 
     THIS[ this.hash ].prevContainerSize = _getSafeElemSize( this.container );
 
+    $.renderScheduler.register( this, updateMulti );
+
     if(window.ResizeObserver){
         this._autoResizePolling = false;
         this._resizeObserver = new ResizeObserver(function(){
             THIS[_this.hash].needsResize = true;
+            _this._requestUpdate();
         });
 
         this._resizeObserver.observe(this.container, {});
@@ -352,11 +359,7 @@ $.Viewer = function( options ) {
         // For backwards compatibility, we maintain the source property
         _this.source = _this.world.getItemAt(0).source;
 
-        THIS[ _this.hash ].forceRedraw = true;
-
-        if (!_this._updateRequestId) {
-            _this._updateRequestId = scheduleUpdate( _this, updateMulti );
-        }
+        _this.forceRedraw();
     });
 
     this.world.addHandler('remove-item', function(event) {
@@ -367,7 +370,18 @@ $.Viewer = function( options ) {
             _this.source = null;
         }
 
-        THIS[ _this.hash ].forceRedraw = true;
+        _this.forceRedraw();
+    });
+
+    this.world.addHandler('item-index-change', function(event) {
+        _this.forceRedraw();
+    });
+
+    // The viewport raises these when it moves; wake the update loop up.
+    ['pan', 'zoom', 'rotate', 'flip', 'reset-size'].forEach(function(eventName) {
+        _this.addHandler(eventName, function() {
+            _this._requestUpdate();
+        });
     });
 
     this.world.addHandler('metrics-change', function(event) {
@@ -405,12 +419,34 @@ $.Viewer = function( options ) {
 
     this.viewport._setContentBounds(this.world.getHomeBounds(), this.world.getContentFactor());
 
+    /**
+     * Keyboard shortcuts of the canvas, see the keymap option.
+     * @member {OpenSeadragon.Keymap} keymap
+     * @memberof OpenSeadragon.Viewer#
+     */
+    this.keymap = new $.Keymap(this, this.keymap);
+
+    if (this.announceViewport) {
+        /**
+         * Announces the view to screen readers, see the announceViewport option.
+         * @member {OpenSeadragon.ViewportAnnouncer} announcer
+         * @memberof OpenSeadragon.Viewer#
+         */
+        this.announcer = new $.ViewportAnnouncer(this);
+    }
+
+    if ($.isPlainObject(this.persistentTileCache)) {
+        this.persistentTileCache = new $.PersistentTileCache(this.persistentTileCache);
+    }
+
     // Create the image loader
     this.imageLoader = new $.ImageLoader({
         jobLimit: this.imageLoaderLimit,
         timeout: options.timeout,
         tileRetryMax: this.tileRetryMax,
-        tileRetryDelay: this.tileRetryDelay
+        tileRetryDelay: this.tileRetryDelay,
+        tileRetryPolicy: this.tileRetryPolicy,
+        persistentCache: this.persistentTileCache
     });
 
     // Create the tile cache
@@ -419,7 +455,7 @@ $.Viewer = function( options ) {
     });
 
     // Create the drawer
-    this.drawer = new $.Drawer({
+    this.drawer = createDrawer( this, {
         viewer:             this,
         viewport:           this.viewport,
         element:            this.canvas,
@@ -473,11 +509,43 @@ $.Viewer = function( options ) {
         });
     }
 
+    if (this.showScaleBar) {
+        /**
+         * The scale bar, if the showScaleBar option is set.
+         * @member {OpenSeadragon.ScaleBar} scaleBar
+         * @memberof OpenSeadragon.Viewer#
+         */
+        this.scaleBar = new $.ScaleBar({
+            viewer:   this,
+            anchor:   this.scaleBarAnchor,
+            maxWidth: this.scaleBarMaxWidth
+        });
+    }
+
+    /**
+     * The vector annotations, if the annotations option is set.
+     * @member {OpenSeadragon.AnnotationLayer} annotations
+     * @memberof OpenSeadragon.Viewer#
+     */
+    if (this.annotations) {
+        this.annotations = new $.AnnotationLayer($.extend(
+            $.isPlainObject(this.annotations) ? this.annotations : {},
+            { viewer: this }
+        ));
+    } else {
+        this.annotations = null;
+    }
+
     // Sequence mode
     if (this.sequenceMode) {
         this.bindSequenceControls();
     }
 
+    // Keep the view in the URL hash
+    if (this.urlHashState) {
+        bindHashState(this);
+    }
+
     // Open initial tilesources
     if (this.tileSources) {
         this.open( this.tileSources );
@@ -546,6 +614,9 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
      * except for the index property; images are added in sequence.
      * A TileSource specifier is anything you could pass as the tileSource property
      * of the options parameter for {@link OpenSeadragon.Viewer#addTiledImage}.
+     * If sequenceMode is true, a IIIF Presentation manifest (its URL or the manifest
+     * object itself) is opened as a sequence with one page per canvas; see
+     * {@link OpenSeadragon.IIIFManifestTileSource}.
      * @param {Number} initialPage - If sequenceMode is true, display this page initially
      * for the given tileSources. If specified, will overwrite the Viewer's existing initialPage property.
      * @returns {OpenSeadragon.Viewer} Chainable.
@@ -561,6 +632,33 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
             return this;
         }
 
+        if (this.sequenceMode && ($.type(tileSources) === 'string' ||
+            ($.isPlainObject(tileSources) && $.IIIFManifestTileSource.prototype.supports(tileSources)))) {
+            // We can only tell whether a URL is a manifest, and so how many
+            // pages there are, once it has been fetched.
+            var openId = this._closeCount;
+            this._opening = true;
+
+            getTileSourceImplementation(this, tileSources, {}, function(tileSource) {
+                if (!THIS[_this.hash] || _this._closeCount !== openId) {
+                    return;
+                }
+                if (tileSource instanceof $.IIIFManifestTileSource) {
+                    _this.open(tileSource.getPages(), initialPage);
+                } else {
+                    _this.open(tileSource);
+                }
+            }, function(event) {
+                if (!THIS[_this.hash] || _this._closeCount !== openId) {
+                    return;
+                }
+                _this._opening = false;
+                _this.raiseEvent('open-failed', event);
+            });
+
+            return this;
+        }
+
         if (this.sequenceMode && $.isArray(tileSources)) {
             if (this.referenceStrip) {
                 this.referenceStrip.destroy();
@@ -649,6 +747,8 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
                      * @property {OpenSeadragon.Viewer} eventSource - A reference to the Viewer which raised the event.
                      * @property {String} message - Information about what failed.
                      * @property {String} source - The tile source that failed.
+                     * @property {String[]} [triedTypes] - The names of the tile source types
+                     *      that were tried, when none could read the source.
                      * @property {?Object} userData - Arbitrary subscriber-defined object.
                      */
                     _this.raiseEvent( 'open-failed', failEvent );
@@ -730,6 +830,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
         }
 
         this._opening = false;
+        this._closeCount++;
 
         if ( this.navigator ) {
             this.navigator.close();
@@ -812,15 +913,37 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
             this.referenceStrip = null;
         }
 
-        if ( this._updateRequestId !== null ) {
-            $.cancelAnimationFrame( this._updateRequestId );
-            this._updateRequestId = null;
-        }
+        $.renderScheduler.unregister( this );
+        this._updateRequestId = null;
 
         if ( this.drawer ) {
             this.drawer.destroy();
         }
 
+        if ( THIS[ this.hash ].hashChangeHandler ) {
+            $.removeEvent( window, 'hashchange', THIS[ this.hash ].hashChangeHandler );
+        }
+
+        if ( this.scaleBar ) {
+            this.scaleBar.destroy();
+            this.scaleBar = null;
+        }
+
+        if ( this.annotations ) {
+            this.annotations.destroy();
+            this.annotations = null;
+        }
+
+        if ( this.keymap ) {
+            this.keymap.destroy();
+            this.keymap = null;
+        }
+
+        if ( this.announcer ) {
+            this.announcer.destroy();
+            this.announcer = null;
+        }
+
         if ( this.navigator ) {
             this.navigator.destroy();
             THIS[ this.navigator.hash ] = null;
@@ -1439,6 +1562,10 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
      * its top left corner in degrees.
      * @param {Boolean} [options.flipped=false] Whether to horizontally flip the image.
      * @param {String} [options.compositeOperation] How the image is composited onto other images.
+     * @param {Function[]} [options.filters] Filters applied to the pixels of the tiles;
+     * see {@link OpenSeadragon.TiledImage#setFilters}.
+     * @param {Number} [options.pixelsPerMeter] The physical resolution of the image,
+     * overriding the tile source's; see {@link OpenSeadragon.TiledImage#getPixelsPerMeter}.
      * @param {String} [options.crossOriginPolicy] The crossOriginPolicy for this specific image,
      * overriding viewer.crossOriginPolicy.
      * @param {Boolean} [options.ajaxWithCredentials] Whether to set withCredentials on tile AJAX
@@ -1458,6 +1585,12 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
      * @param {Boolean} [options.collectionImmediately=false] If collectionMode is on,
      * specifies whether to snap to the new arrangement immediately or to animate to it.
      * @param {String|CanvasGradient|CanvasPattern|Function} [options.placeholderFillStyle] - See {@link OpenSeadragon.Options}.
+     * <br><br>
+     * If options.tileSource is a Deep Zoom Collection (see {@link OpenSeadragon.DzcTileSource})
+     * or a IIIF manifest (see {@link OpenSeadragon.IIIFManifestTileSource}),
+     * each of its items is added as its own TiledImage, laid out inside options.x, options.y
+     * and options.width as the collection or the manifest canvases describe. options.success is
+     * then called once, with the first TiledImage as "item" and all of them as "items".
      * @fires OpenSeadragon.World.event:add-item
      * @fires OpenSeadragon.Viewer.event:add-item-failed
      */
@@ -1599,6 +1732,8 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
                     degrees: queueItem.options.degrees,
                     flipped: queueItem.options.flipped,
                     compositeOperation: queueItem.options.compositeOperation,
+                    filters: queueItem.options.filters,
+                    pixelsPerMeter: queueItem.options.pixelsPerMeter,
                     springStiffness: _this.springStiffness,
                     animationTime: _this.animationTime,
                     minZoomImageRatio: _this.minZoomImageRatio,
@@ -1655,6 +1790,20 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
 
         getTileSourceImplementation( this, options.tileSource, options, function( tileSource ) {
 
+            if ( tileSource instanceof $.DzcTileSource || tileSource instanceof $.IIIFManifestTileSource ) {
+                for (var i = 0; i < _this._loadQueue.length; i++) {
+                    if (_this._loadQueue[i] === myQueueItem) {
+                        _this._loadQueue.splice(i, 1);
+                        break;
+                    }
+                }
+
+                addCollectionItems( _this, tileSource, options );
+
+                processReadyItems();
+                return;
+            }
+
             myQueueItem.tileSource = tileSource;
 
             // add everybody at the front of the queue that's ready to go
@@ -1751,6 +1900,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
      */
     forceRedraw: function() {
         THIS[ this.hash ].forceRedraw = true;
+        this._requestUpdate();
         return this;
     },
 
@@ -1760,6 +1910,15 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
     forceResize: function() {
         THIS[this.hash].needsResize = true;
         THIS[this.hash].forceResize = true;
+        this._requestUpdate();
+    },
+
+    /**
+     * Wakes the update loop up, see the pauseWhenIdle option.
+     * @private
+     */
+    _requestUpdate: function() {
+        this._updateRequestId = $.renderScheduler.wake( this ) || null;
     },
 
     /**
@@ -1828,6 +1987,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
                         this.previousButton,
                         this.nextButton
                     ],
+                    labelText:          $.getString( "Accessibility.Paging" ),
                     clickTimeThreshold: this.clickTimeThreshold,
                     clickDistThreshold: this.clickDistThreshold
                 });
@@ -2006,6 +2166,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
             if ( useGroup ) {
                 this.buttonGroup = new $.ButtonGroup({
                     buttons:            buttons,
+                    labelText:          $.getString( "Accessibility.Controls" ),
                     clickTimeThreshold: this.clickTimeThreshold,
                     clickDistThreshold: this.clickDistThreshold
                 });
@@ -2074,6 +2235,205 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
         return this;
     },
 
+    /**
+     * Gets the current view, as a plain object that can be serialized and
+     * passed to {@link OpenSeadragon.Viewer#setState} to restore it.
+     * @function
+     * @returns {Object} state
+     * @returns {Number} state.page - The current page; see {@link OpenSeadragon.Viewer#currentPage}.
+     * @returns {Object} state.bounds - The target bounds of the viewport, ignoring
+     * rotation, in viewport coordinates: x, y, width and height.
+     * @returns {Number} state.rotation - The target rotation in degrees.
+     * @returns {Boolean} state.flip - Whether the viewport is flipped.
+     * @returns {Object[]} state.items - The opacity and visibility (opacity
+     * above 0) of each item of the world, in order.
+     */
+    getState: function() {
+        var bounds = this.viewport.getBoundsNoRotate();
+        var items = [];
+        for ( var i = 0; i < this.world.getItemCount(); i++ ) {
+            var opacity = this.world.getItemAt( i ).getOpacity();
+            items.push({
+                opacity: opacity,
+                visible: opacity > 0
+            });
+        }
+
+        return {
+            page: this.currentPage(),
+            bounds: {
+                x: bounds.x,
+                y: bounds.y,
+                width: bounds.width,
+                height: bounds.height
+            },
+            rotation: this.viewport.getRotation(),
+            flip: this.viewport.getFlip(),
+            items: items
+        };
+    },
+
+    /**
+     * Restores a view returned by {@link OpenSeadragon.Viewer#getState}. Any
+     * property of the state may be left out to keep the current value. If the
+     * page changes, the rest of the state is applied once the page is open.
+     * @function
+     * @param {Object} state - See {@link OpenSeadragon.Viewer#getState}. An item
+     * with visible set to false gets an opacity of 0.
+     * @param {Boolean} [immediately=false] - Whether to animate to the new view.
+     * @returns {OpenSeadragon.Viewer} Chainable.
+     */
+    setState: function( state, immediately ) {
+        var _this = this;
+        state = state || {};
+
+        if ( this.sequenceMode && typeof state.page === 'number' &&
+            state.page !== this.currentPage() &&
+            this.tileSources && state.page >= 0 && state.page < this.tileSources.length ) {
+            var rest = $.extend( {}, state );
+            delete rest.page;
+            // Only for this page: if it fails to open, the state is dropped.
+            var onOpen;
+            var removeHandlers = function() {
+                _this.removeHandler( 'open', onOpen );
+                _this.removeHandler( 'open-failed', removeHandlers );
+            };
+            onOpen = function() {
+                removeHandlers();
+                if ( _this.currentPage() === state.page ) {
+                    _this.setState( rest, true );
+                }
+            };
+            this.addHandler( 'open', onOpen );
+            this.addHandler( 'open-failed', removeHandlers );
+            this.goToPage( state.page );
+            return this;
+        }
+
+        if ( typeof state.rotation === 'number' ) {
+            this.viewport.setRotation( state.rotation, immediately );
+        }
+        if ( typeof state.flip === 'boolean' ) {
+            this.viewport.setFlip( state.flip );
+        }
+        if ( state.bounds ) {
+            var bounds = new $.Rect( state.bounds.x, state.bounds.y,
+                state.bounds.width, state.bounds.height );
+            if ( !isNaN( bounds.x + bounds.y ) && bounds.width > 0 && bounds.height > 0 ) {
+                this.viewport.fitBounds(
+                    bounds.rotate( -this.viewport.getRotation() ), immediately );
+            }
+        }
+        if ( state.items ) {
+            var count = Math.min( state.items.length, this.world.getItemCount() );
+            for ( var i = 0; i < count; i++ ) {
+                var itemState = state.items[ i ] || {};
+                var item = this.world.getItemAt( i );
+                if ( itemState.visible === false ) {
+                    item.setOpacity( 0 );
+                } else if ( typeof itemState.opacity === 'number' ) {
+                    item.setOpacity( itemState.opacity );
+                }
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Renders a region of the world to an image, at any resolution. Each item
+     * is drawn from the pyramid level matching the output size; tiles that are
+     * not in the cache are downloaded. Item opacity, rotation, flip, clip,
+     * cropping polygons, filters and composite operation are respected; the
+     * viewport rotation and flip are not.
+     * @function
+     * @param {Object} [options]
+     * @param {OpenSeadragon.Rect} [options.bounds] - The region, in viewport
+     * coordinates. Defaults to the current bounds of the viewport, ignoring rotation.
+     * @param {Number} [options.width] - The width of the image, in pixels. Defaults
+     * to the size of the region on screen, or to the aspect ratio of the region
+     * if only the height is given.
+     * @param {Number} [options.height] - The height of the image, in pixels. Same
+     * defaults as width.
+     * @param {String} [options.format='image/png'] - 'image/png' or 'image/jpeg'
+     * ('png', 'jpeg' and 'jpg' work too).
+     * @param {Number} [options.quality] - The quality of a JPEG, from 0 to 1.
+     * @param {String} [options.background] - A CSS color to fill the image with
+     * before drawing the items. JPEGs default to white; PNGs to transparent.
+     * @returns {Promise<Blob>} Rejects if the region is empty, the format is unknown
+     * or the canvas is not supported. Tiles that fail to load, e.g. because of their
+     * cross-origin policy, are skipped with a warning and leave their area empty.
+     */
+    exportRegion: function( options ) {
+        options = options || {};
+        var bounds = options.bounds ? options.bounds.clone() : this.viewport.getBoundsNoRotate();
+        var format = ( options.format || 'image/png' ).toLowerCase();
+        if ( format.indexOf( '/' ) === -1 ) {
+            format = 'image/' + ( format === 'jpg' ? 'jpeg' : format );
+        }
+        var width = options.width;
+        var height = options.height;
+
+        if ( !$.supportsCanvas ) {
+            return Promise.reject( new Error( "exportRegion needs canvas support" ) );
+        }
+        if ( format !== 'image/png' && format !== 'image/jpeg' ) {
+            return Promise.reject( new Error( "exportRegion can't export to " + options.format ) );
+        }
+        if ( !( bounds.width > 0 && bounds.height > 0 ) ) {
+            return Promise.reject( new Error( "exportRegion needs bounds with a size" ) );
+        }
+        if ( !width && !height ) {
+            var size = this.viewport.deltaPixelsFromPointsNoRotate(
+                new $.Point( bounds.width, bounds.height ) );
+            width = size.x * $.pixelDensityRatio;
+            height = size.y * $.pixelDensityRatio;
+        } else if ( !width ) {
+            width = height * bounds.width / bounds.height;
+        } else if ( !height ) {
+            height = width * bounds.height / bounds.width;
+        }
+        width = Math.round( width );
+        height = Math.round( height );
+        if ( !( width > 0 && height > 0 ) ) {
+            return Promise.reject( new Error( "exportRegion needs a width and height above 0" ) );
+        }
+
+        var items = [];
+        for ( var i = 0; i < this.world.getItemCount(); i++ ) {
+            items.push( this.world.getItemAt( i ) );
+        }
+        var layers = items.map( function( item ) {
+            return item.getOpacity() > 0 ?
+                item._exportLayer( bounds, width, height ) :
+                Promise.resolve( null );
+        });
+
+        return Promise.all( layers ).then( function( canvases ) {
+            var canvas = document.createElement( 'canvas' );
+            canvas.width = width;
+            canvas.height = height;
+            var context = canvas.getContext( '2d' );
+            var background = options.background ||
+                ( format === 'image/jpeg' ? '#fff' : null );
+            if ( background ) {
+                context.fillStyle = background;
+                context.fillRect( 0, 0, width, height );
+            }
+
+            canvases.forEach( function( layer, index ) {
+                if ( !layer ) {
+                    return;
+                }
+                context.globalAlpha = items[ index ].getOpacity();
+                context.globalCompositeOperation = items[ index ].compositeOperation || 'source-over';
+                context.drawImage( layer, 0, 0 );
+            });
+
+            return canvasToBlob( canvas, format, options.quality );
+        });
+    },
+
    /**
      * Adds an html element as an overlay to the current viewport.  Useful for
      * highlighting words or areas of interest on an image or other zoomable
@@ -2161,7 +2521,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
 
         if ( i >= 0 ) {
             this.currentOverlays[ i ].update( location, placement );
-            THIS[ this.hash ].forceRedraw = true;
+            this.forceRedraw();
             /**
              * Raised when an overlay's location or placement changes
              * (see {@link OpenSeadragon.Viewer#updateOverlay}).
@@ -2203,7 +2563,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
         if ( i >= 0 ) {
             this.currentOverlays[ i ].destroy();
             this.currentOverlays.splice( i, 1 );
-            THIS[ this.hash ].forceRedraw = true;
+            this.forceRedraw();
             /**
              * Raised when an overlay is removed from the viewer
              * (see {@link OpenSeadragon.Viewer#removeOverlay}).
@@ -2234,7 +2594,7 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
         while ( this.currentOverlays.length > 0 ) {
             this.currentOverlays.pop().destroy();
         }
-        THIS[ this.hash ].forceRedraw = true;
+        this.forceRedraw();
         /**
          * Raised when all overlays are removed from the viewer (see {@link OpenSeadragon.Drawer#clearOverlays}).
          *
@@ -2414,34 +2774,107 @@ $.extend( $.Viewer.prototype, $.EventSource.prototype, $.ControlDock.prototype,
     },
 
     /**
-     * Adds _updatePixelDensityRatio to the window resize event.
+     * Adds _updatePixelDensityRatio to the window resize event and to the
+     * changes of the device pixel ratio.
      * @private
      */
     _addUpdatePixelDensityRatioEvent: function() {
         this._updatePixelDensityRatioBind = this._updatePixelDensityRatio.bind(this);
         $.addEvent( window, 'resize', this._updatePixelDensityRatioBind );
+        this._pixelDensityRatio = $.pixelDensityRatio;
+        this._updatePixelDensityRatio();
+        this._watchResolution();
     },
 
     /**
-     * Removes _updatePixelDensityRatio from the window resize event.
+     * Removes _updatePixelDensityRatio from the window resize event and from
+     * the changes of the device pixel ratio.
      * @private
      */
     _removeUpdatePixelDensityRatioEvent: function() {
         $.removeEvent( window, 'resize', this._updatePixelDensityRatioBind );
+        this._unwatchResolution();
     },
 
     /**
-     * Update pixel density ratio, clears all tiles and triggers updates for
-     * all items if the ratio has changed.
+     * Listens for the device pixel ratio to leave its current value, which
+     * happens when the window moves to a screen with another density or the
+     * browser zoom changes, without necessarily resizing the window.
+     * A resolution media query only matches one value, so it is replaced
+     * after each change.
+     * @private
+     */
+    _watchResolution: function() {
+        if ( !window.matchMedia ) {
+            return;
+        }
+        var _this = this;
+        var query = window.matchMedia( '(resolution: ' + ( window.devicePixelRatio || 1 ) + 'dppx)' );
+        var handler = function() {
+            _this._unwatchResolution();
+            _this._updatePixelDensityRatio();
+            _this._watchResolution();
+        };
+        if ( query.addEventListener ) {
+            query.addEventListener( 'change', handler );
+        } else if ( query.addListener ) {
+            query.addListener( handler );
+        }
+        this._resolutionQuery = query;
+        this._resolutionHandler = handler;
+    },
+
+    /**
+     * @private
+     */
+    _unwatchResolution: function() {
+        var query = this._resolutionQuery;
+        if ( !query ) {
+            return;
+        }
+        if ( query.removeEventListener ) {
+            query.removeEventListener( 'change', this._resolutionHandler );
+        } else if ( query.removeListener ) {
+            query.removeListener( this._resolutionHandler );
+        }
+        this._resolutionQuery = null;
+        this._resolutionHandler = null;
+    },
+
+    /**
+     * Update pixel density ratio, capped by {@link OpenSeadragon.maxPixelDensityRatio}, clears all
+     * tiles and triggers updates for all items if the ratio has changed
+     * since this viewer last drew. The canvas size and the levels drawn follow
+     * the new ratio on the next redraw.
      * @private
      */
      _updatePixelDensityRatio: function() {
-        var previusPixelDensityRatio = $.pixelDensityRatio;
+        var previousPixelDensityRatio = this._pixelDensityRatio;
         var currentPixelDensityRatio = $.getCurrentPixelDensityRatio();
-        if (previusPixelDensityRatio !== currentPixelDensityRatio) {
-            $.pixelDensityRatio = currentPixelDensityRatio;
+        if ($.maxPixelDensityRatio) {
+            currentPixelDensityRatio = Math.min(currentPixelDensityRatio, $.maxPixelDensityRatio);
+        }
+        $.pixelDensityRatio = currentPixelDensityRatio;
+        if (previousPixelDensityRatio !== currentPixelDensityRatio) {
+            this._pixelDensityRatio = currentPixelDensityRatio;
             this.world.resetItems();
             this.forceRedraw();
+            /**
+             * Raised when the pixel density ratio the viewer draws with changes,
+             * e.g. when its window moves to a screen with another density.
+             *
+             * @event pixel-density-ratio-change
+             * @memberof OpenSeadragon.Viewer
+             * @type {object}
+             * @property {OpenSeadragon.Viewer} eventSource - A reference to the Viewer which raised this event.
+             * @property {Number} previous - The previous ratio.
+             * @property {Number} ratio - The new ratio, see {@link OpenSeadragon.pixelDensityRatio}.
+             * @property {?Object} userData - Arbitrary subscriber-defined object.
+             */
+            this.raiseEvent( 'pixel-density-ratio-change', {
+                previous: previousPixelDensityRatio,
+                ratio: currentPixelDensityRatio
+            });
         }
     },
 
@@ -2500,13 +2933,283 @@ function _getSafeElemSize (oElement) {
 }
 
 
+/**
+ * Restores the state in the URL hash when the viewer opens and when the hash
+ * changes, and writes the state to it whenever the view settles (immediate
+ * changes raise animation-finish too).
+ * @function
+ * @private
+ */
+function bindHashState( viewer ) {
+    var state = parseHashState( window.location.hash );
+    if ( viewer.sequenceMode && typeof state.page === 'number' ) {
+        viewer.initialPage = state.page;
+    }
+    delete state.page;
+    viewer.addOnceHandler( 'open', function() {
+        viewer.setState( state, true );
+    });
+
+    var write = function() {
+        writeHashState( viewer );
+    };
+    viewer.addHandler( 'animation-finish', write );
+    viewer.addHandler( 'flip', write );
+    viewer.world.addHandler( 'add-item', function( event ) {
+        event.item.addHandler( 'opacity-change', write );
+    });
+
+    THIS[ viewer.hash ].hashChangeHandler = function() {
+        if ( window.location.hash !== THIS[ viewer.hash ].lastHashState ) {
+            viewer.setState( parseHashState( window.location.hash ) );
+        }
+    };
+    $.addEvent( window, 'hashchange', THIS[ viewer.hash ].hashChangeHandler );
+}
+
+/**
+ * Reads a viewer state from a URL hash such as
+ * #page=2&bounds=0.1,0.2,0.5,0.3&rotation=90&flip=1&opacity=1,0.5.
+ * Missing or malformed values are left out of the state.
+ * @function
+ * @private
+ */
+function parseHashState( hash ) {
+    var params = parseHashParams( hash );
+    var state = {};
+    var numbers;
+
+    if ( params.page !== undefined && /^\d+$/.test( params.page ) ) {
+        state.page = parseInt( params.page, 10 );
+    }
+    if ( params.bounds !== undefined ) {
+        numbers = params.bounds.split( ',' ).map( parseFloat );
+        if ( numbers.length === 4 && !numbers.some( isNaN ) && numbers[ 2 ] > 0 && numbers[ 3 ] > 0 ) {
+            state.bounds = {
+                x: numbers[ 0 ],
+                y: numbers[ 1 ],
+                width: numbers[ 2 ],
+                height: numbers[ 3 ]
+            };
+        }
+    }
+    if ( params.rotation !== undefined && !isNaN( parseFloat( params.rotation ) ) ) {
+        state.rotation = parseFloat( params.rotation );
+    }
+    if ( params.flip !== undefined ) {
+        state.flip = params.flip === '1';
+    }
+    if ( params.opacity !== undefined ) {
+        numbers = params.opacity.split( ',' ).map( parseFloat );
+        if ( !numbers.some( isNaN ) ) {
+            state.items = numbers.map( function( opacity ) {
+                return { opacity: opacity };
+            });
+        }
+    }
+    return state;
+}
+
+/**
+ * Splits a URL hash into its decoded key=value parameters, in order, leaving
+ * out the ones that can't be decoded.
+ * @function
+ * @private
+ */
+function parseHashParams( hash ) {
+    var params = {};
+    hash.replace( /^#/, '' ).split( '&' ).forEach( function( param ) {
+        if ( param ) {
+            var separator = param.indexOf( '=' );
+            var key = separator === -1 ? param : param.substring( 0, separator );
+            var value = separator === -1 ? '' : param.substring( separator + 1 );
+            try {
+                params[ decodeURIComponent( key ) ] = decodeURIComponent( value );
+            } catch ( e ) {
+                // A malformed escape sequence, maybe in another app's parameter.
+            }
+        }
+    });
+    return params;
+}
+
+/**
+ * Writes the viewer state into the URL hash, keeping other parameters, without
+ * adding a history entry where the browser allows it.
+ * @function
+ * @private
+ */
+function writeHashState( viewer ) {
+    var state = viewer.getState();
+    var params = parseHashParams( window.location.hash );
+    var round = function( value ) {
+        return String( Math.round( value * 1e6 ) / 1e6 );
+    };
+
+    delete params.page;
+    if ( viewer.sequenceMode ) {
+        params.page = String( state.page );
+    }
+    params.bounds = [ state.bounds.x, state.bounds.y, state.bounds.width, state.bounds.height ]
+        .map( round ).join( ',' );
+    params.rotation = round( state.rotation );
+    params.flip = state.flip ? '1' : '0';
+    params.opacity = state.items.map( function( item ) {
+        return round( item.opacity );
+    }).join( ',' );
+
+    var hash = '#' + Object.keys( params ).map( function( key ) {
+        return encodeURIComponent( key ) + '=' + encodeURIComponent( params[ key ] ).replace( /%2C/g, ',' );
+    }).join( '&' );
+
+    if ( hash === window.location.hash ) {
+        return;
+    }
+    THIS[ viewer.hash ].lastHashState = hash;
+    if ( window.history && window.history.replaceState ) {
+        window.history.replaceState( window.history.state, '', hash );
+    } else {
+        window.location.hash = hash;
+    }
+}
+
+/**
+ * Creates the first drawer in the drawerType option that is supported and
+ * can be constructed, falling back to the canvas drawer.
+ * @function
+ * @private
+ */
+function createDrawer( viewer, options ) {
+    var types = $.isArray( viewer.drawerType ) ? viewer.drawerType : [ viewer.drawerType ];
+
+    for ( var i = 0; i < types.length; i++ ) {
+        var Type = typeof types[ i ] === 'string' ? $.Drawer.types[ types[ i ] ] : types[ i ];
+        if ( typeof Type !== 'function' ) {
+            $.console.error( "[Viewer] unknown drawerType %s", types[ i ] );
+            continue;
+        }
+        if ( Type.isSupported && !Type.isSupported() ) {
+            continue;
+        }
+        try {
+            return new Type( options );
+        } catch ( e ) {
+            $.console.warn( "[Viewer] unable to create drawer: %s", e.message );
+        }
+    }
+
+    return new $.Drawer( options );
+}
+
+/**
+ * Encodes a canvas as a Blob.
+ * @function
+ * @private
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob( canvas, format, quality ) {
+    return new Promise( function( resolve, reject ) {
+        try {
+            if ( canvas.toBlob ) {
+                canvas.toBlob( function( blob ) {
+                    if ( blob ) {
+                        resolve( blob );
+                    } else {
+                        reject( new Error( "exportRegion could not encode the image" ) );
+                    }
+                }, format, quality );
+                return;
+            }
+            reject( new Error( "exportRegion needs canvas.toBlob" ) );
+        } catch ( e ) {
+            // A tainted canvas throws a SecurityError.
+            reject( e );
+        }
+    });
+}
+
+
+/**
+ * Adds each item of a Deep Zoom Collection or IIIF manifest as its own tiled
+ * image, in the collection's layout, reporting to the options' callbacks once
+ * for all of them.
+ * @function
+ * @private
+ */
+function addCollectionItems( viewer, collection, options ) {
+    var x = options.x || 0,
+        y = options.y || 0,
+        scale = options.width || 1,
+        pending = collection.items.length,
+        added = [],
+        failure = null;
+
+    function done() {
+        pending--;
+        if ( pending > 0 ) {
+            return;
+        }
+
+        added = added.filter(function( item ) {
+            return !!item;
+        });
+        if ( added.length ) {
+            if ( options.success ) {
+                options.success({
+                    item: added[0],
+                    items: added
+                });
+            }
+        } else if ( options.error ) {
+            options.error( failure || {
+                message: $.getString( collection instanceof $.DzcTileSource ?
+                    "Errors.Dzc" : "Errors.IIIFManifest" ),
+                source: options.tileSource,
+                options: options
+            });
+        }
+    }
+
+    if ( !pending ) {
+        pending = 1;
+        done();
+        return;
+    }
+
+    collection.items.forEach(function( item, i ) {
+        viewer.addTiledImage( $.extend( {}, options, {
+            tileSource: item.source,
+            x: x + item.bounds.x * scale,
+            y: y + item.bounds.y * scale,
+            width: item.bounds.width * scale,
+            height: undefined,
+            fitBounds: undefined,
+            replace: i === 0 && options.replace,
+            replaceItem: undefined,
+            index: options.index !== undefined ? options.index + i : undefined,
+            success: function( event ) {
+                if ( collection instanceof $.DzcTileSource && event.item.source instanceof $.DziTileSource ) {
+                    event.item.source.setCollection( collection, item.n );
+                }
+                added[i] = event.item;
+                done();
+            },
+            error: function( event ) {
+                failure = failure || event;
+                done();
+            }
+        }) );
+    });
+}
+
 /**
  * @function
  * @private
  */
 function getTileSourceImplementation( viewer, tileSource, imgOptions, successCallback,
     failCallback ) {
-    var _this = viewer;
+    var _this = viewer,
+        urlType = null;
 
     //allow plain xml strings or json strings to be parsed here
     if ( $.type( tileSource ) === 'string' ) {
@@ -2521,6 +3224,12 @@ function getTileSourceImplementation( viewer, tileSource, imgOptions, successCal
             } catch (e) {
               //tileSource = tileSource;
             }
+        //some types are opened by url, without downloading it to detect them
+        } else {
+            urlType = $.TileSource.detectUrl( tileSource );
+            if ( urlType ) {
+                tileSource = { type: urlType.name, url: tileSource };
+            }
         }
     }
 
@@ -2534,7 +3243,8 @@ function getTileSourceImplementation( viewer, tileSource, imgOptions, successCal
             tileSource.addHandler('open-failed', function (event) {
                 failCallback({
                     message: event.message,
-                    source: originalTileSource
+                    source: originalTileSource,
+                    triedTypes: event.triedTypes
                 });
             });
         }
@@ -2580,16 +3290,28 @@ function getTileSourceImplementation( viewer, tileSource, imgOptions, successCal
                 successCallback( customTileSource );
             } else {
                 //inline configuration
-                var $TileSource = $.TileSource.determineType( _this, tileSource );
+                var detected = urlType || $.TileSource.detect( _this, tileSource );
+                var $TileSource = detected.type;
                 if ( !$TileSource ) {
                     failCallback( {
                         message: "Unable to load TileSource",
+                        source: tileSource,
+                        triedTypes: detected.tried
+                    });
+                    return;
+                }
+                var readySource;
+                try {
+                    var options = $TileSource.prototype.configure.apply( _this, [ tileSource ] );
+                    readySource = new $TileSource(options);
+                } catch ( e ) {
+                    failCallback( {
+                        message: e.message,
                         source: tileSource
                     });
                     return;
                 }
-                var options = $TileSource.prototype.configure.apply( _this, [ tileSource ] );
-                waitUntilReady(new $TileSource(options), tileSource);
+                waitUntilReady(readySource, tileSource);
             }
         } else {
             //can assume it's already a tile source implementation
@@ -2679,12 +3401,6 @@ function getOverlayIndex( overlays, element ) {
 ///////////////////////////////////////////////////////////////////////////////
 // Schedulers provide the general engine for animation
 ///////////////////////////////////////////////////////////////////////////////
-function scheduleUpdate( viewer, updateFunc ){
-    return $.requestAnimationFrame( function(){
-        updateFunc( viewer );
-    } );
-}
-
 
 //provides a sequence in the fade animation
 function scheduleControlsFade( viewer ) {
@@ -2811,127 +3527,8 @@ function onCanvasKeyDown( event ) {
 
     this.raiseEvent('canvas-key', canvasKeyDownEventArgs);
 
-    if ( !canvasKeyDownEventArgs.preventDefaultAction && !event.ctrl && !event.alt && !event.meta ) {
-        switch( event.keyCode ){
-            case 38://up arrow/shift uparrow
-                if (!canvasKeyDownEventArgs.preventVerticalPan) {
-                  if ( event.shift ) {
-                    this.viewport.zoomBy(1.1);
-                  } else {
-                    this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(0, -this.pixelsPerArrowPress)));
-                  }
-                  this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 40://down arrow/shift downarrow
-                if (!canvasKeyDownEventArgs.preventVerticalPan) {
-                  if ( event.shift ) {
-                    this.viewport.zoomBy(0.9);
-                  } else {
-                    this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(0, this.pixelsPerArrowPress)));
-                  }
-                  this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 37://left arrow
-                if (!canvasKeyDownEventArgs.preventHorizontalPan) {
-                  this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(-this.pixelsPerArrowPress, 0)));
-                  this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 39://right arrow
-                if (!canvasKeyDownEventArgs.preventHorizontalPan) {
-                  this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(this.pixelsPerArrowPress, 0)));
-                  this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 187://=|+
-                this.viewport.zoomBy(1.1);
-                this.viewport.applyConstraints();
-                event.preventDefault = true;
-                break;
-            case 189://-|_
-                this.viewport.zoomBy(0.9);
-                this.viewport.applyConstraints();
-                event.preventDefault = true;
-                break;
-            case 48://0|)
-                this.viewport.goHome();
-                this.viewport.applyConstraints();
-                event.preventDefault = true;
-                break;
-            case 87://W/w
-                if (!canvasKeyDownEventArgs.preventVerticalPan) {
-                    if ( event.shift ) {
-                        this.viewport.zoomBy(1.1);
-                    } else {
-                        this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(0, -40)));
-                    }
-                    this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 83://S/s
-                if (!canvasKeyDownEventArgs.preventVerticalPan) {
-                    if ( event.shift ) {
-                        this.viewport.zoomBy(0.9);
-                    } else {
-                        this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(0, 40)));
-                    }
-                    this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 65://a/A
-                if (!canvasKeyDownEventArgs.preventHorizontalPan) {
-                    this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(-40, 0)));
-                    this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 68://d/D
-                if (!canvasKeyDownEventArgs.preventHorizontalPan) {
-                    this.viewport.panBy(this.viewport.deltaPointsFromPixels(new $.Point(40, 0)));
-                    this.viewport.applyConstraints();
-                }
-                event.preventDefault = true;
-                break;
-            case 82: //r - clockwise rotation/R - counterclockwise rotation
-                if(event.shift){
-                    if(this.viewport.flipped){
-                        this.viewport.setRotation(this.viewport.getRotation() + this.rotationIncrement);
-                    } else{
-                        this.viewport.setRotation(this.viewport.getRotation() - this.rotationIncrement);
-                    }
-                }else{
-                    if(this.viewport.flipped){
-                        this.viewport.setRotation(this.viewport.getRotation() - this.rotationIncrement);
-                    } else{
-                        this.viewport.setRotation(this.viewport.getRotation() + this.rotationIncrement);
-                    }
-                }
-                this.viewport.applyConstraints();
-                event.preventDefault = true;
-                break;
-            case 70: //f/F
-                this.viewport.toggleFlip();
-                event.preventDefault = true;
-                break;
-            case 74: //j - previous image source
-                this.goToPreviousPage();
-                break;
-            case 75: //k - next image source
-                this.goToNextPage();
-                break;
-            default:
-                //console.log( 'navigator keycode %s', event.keyCode );
-                event.preventDefault = false;
-                break;
-        }
+    if ( !canvasKeyDownEventArgs.preventDefaultAction && this.keymap.handle( event, canvasKeyDownEventArgs ) ) {
+        event.preventDefault = true;
     } else {
         event.preventDefault = false;
     }
@@ -3647,15 +4244,32 @@ function onContainerLeave( event ) {
 // Page update routines ( aka Views - for future reference )
 ///////////////////////////////////////////////////////////////////////////////
 
+/**
+ * Runs on each frame while the viewer is awake, see OpenSeadragon.RenderScheduler.
+ * @private
+ * @returns {Boolean} Whether to keep updating: unless we've been closed or,
+ *      with pauseWhenIdle, nothing is left to animate, load or draw.
+ */
 function updateMulti( viewer ) {
     updateOnce( viewer );
 
-    // Request the next frame, unless we've been closed
-    if ( viewer.isOpen() ) {
-        viewer._updateRequestId = scheduleUpdate( viewer, updateMulti );
-    } else {
-        viewer._updateRequestId = false;
-    }
+    var keepUpdating = !!THIS[ viewer.hash ] && viewer.isOpen() &&
+        !( viewer.pauseWhenIdle && isIdle( viewer ) );
+    // Something may also have woken the viewer up during the update
+    viewer._updateRequestId = keepUpdating || $.renderScheduler.isAwake( viewer ) || null;
+    return keepUpdating;
+}
+
+/**
+ * @private
+ * @returns {Boolean} Whether updating the viewer would change nothing until
+ *      something wakes it up.
+ */
+function isIdle( viewer ) {
+    var state = THIS[ viewer.hash ];
+    var pollingSize = viewer.autoResize && viewer._autoResizePolling;
+    return !state.animating && !state.forceRedraw && !state.needsResize && !pollingSize &&
+        !viewer._opening && !viewer.world.needsDraw();
 }
 
 function doViewerResize(viewer, containerSize){
@@ -657,7 +657,8 @@ $.Viewport.prototype = {
      */
     _fitBounds: function(bounds, options) {
         options = options || {};
-        var immediately = options.immediately || false;
+        var animation = getAnimation(options.immediately);
+        var immediately = !animation && (options.immediately || false);
         var constraints = options.constraints || false;
 
         var aspect = this.getAspectRatio();
@@ -702,7 +703,7 @@ $.Viewport.prototype = {
 
         if (oldZoom === 0 || Math.abs(newZoom / oldZoom - 1) < 0.00000001) {
             this.zoomTo(newZoom, null, true);
-            this.panTo(center, immediately);
+            this.panTo(center, animation || immediately);
             if(constraints){
                 this.applyConstraints(false);
             }
@@ -720,18 +721,100 @@ $.Viewport.prototype = {
             this.panTo(currentCenter, true);
             this.zoomTo(currentZoom, null, true);
 
-            this.fitBounds(constrainedBounds);
+            this.fitBounds(constrainedBounds, animation);
+        } else if (animation && animation.flyTo) {
+            this._flyTo(center, newZoom, animation);
+            if (this.viewer) {
+                this.viewer.raiseEvent('pan', {
+                    center: center,
+                    immediately: false
+                });
+                this.viewer.raiseEvent('zoom', {
+                    zoom: newZoom,
+                    refPoint: null,
+                    immediately: false
+                });
+            }
         } else {
             var rotatedNewBounds = newBounds.rotate(-this.getRotation());
             var referencePoint = rotatedNewBounds.getTopLeft().times(newZoom)
                 .minus(oldBounds.getTopLeft().times(oldZoom))
                 .divide(newZoom - oldZoom);
 
-            this.zoomTo(newZoom, referencePoint, immediately);
+            this.zoomTo(newZoom, referencePoint, animation || immediately);
         }
         return this;
     },
 
+    /**
+     * Zooms out, pans and zooms back in to a view along the path that
+     * minimizes the perceived motion, as described by van Wijk and Nuij in
+     * "Smooth and efficient zooming and panning" (2003). For long jumps across
+     * a large image, this keeps both the start and the end in sight on the way.
+     * @function
+     * @private
+     * @param {OpenSeadragon.Point} center
+     * @param {Number} zoom
+     * @param {Object} animation - See {@link OpenSeadragon.Viewport#fitBounds};
+     *      flyTo.curvature (rho in the paper, default √2) sets how far to zoom out.
+     */
+    _flyTo: function(center, zoom, animation) {
+        var rho = animation.curvature || Math.SQRT2;
+        var start = this.getCenter(true);
+        var w0 = 1 / this.getZoom(true);
+        var w1 = 1 / zoom;
+        var dx = center.x - start.x;
+        var dy = center.y - start.y;
+        var u1 = Math.sqrt(dx * dx + dy * dy);
+        var length;
+        var widthAt;
+        var distanceAt;
+
+        if (u1 < 1e-6 * Math.min(w0, w1)) {
+            // Just zooming
+            length = Math.abs(Math.log(w1 / w0)) / rho;
+            var direction = w1 < w0 ? -1 : 1;
+            distanceAt = function() {
+                return 0;
+            };
+            widthAt = function(s) {
+                return w0 * Math.exp(direction * rho * s);
+            };
+        } else {
+            var b0 = (w1 * w1 - w0 * w0 + rho * rho * rho * rho * u1 * u1) / (2 * w0 * rho * rho * u1);
+            var b1 = (w1 * w1 - w0 * w0 - rho * rho * rho * rho * u1 * u1) / (2 * w1 * rho * rho * u1);
+            var r0 = Math.log(Math.sqrt(b0 * b0 + 1) - b0);
+            var r1 = Math.log(Math.sqrt(b1 * b1 + 1) - b1);
+            length = (r1 - r0) / rho;
+            distanceAt = function(s) {
+                return w0 / (rho * rho) * (cosh(r0) * tanh(rho * s + r0) - sinh(r0));
+            };
+            widthAt = function(s) {
+                return w0 * cosh(r0) / cosh(rho * s + r0);
+            };
+        }
+
+        var duration = typeof animation.duration === 'number' ?
+            animation.duration :
+            Math.max(this.animationTime, length * this.animationTime / 2);
+        // The path is followed at a steady pace, unless eased otherwise
+        var easing = $.Spring.getEasing(animation.easing || 'ease-in-out') || $.Spring.easings.linear;
+        var pathLength = function(fraction) {
+            return easing(fraction) * length;
+        };
+
+        this.zoomPoint = null;
+        this.centerSpringX._followPath(center.x, duration, function(fraction) {
+            return start.x + dx / (u1 || 1) * distanceAt(pathLength(fraction));
+        });
+        this.centerSpringY._followPath(center.y, duration, function(fraction) {
+            return start.y + dy / (u1 || 1) * distanceAt(pathLength(fraction));
+        });
+        this.zoomSpring._followPath(zoom, duration, function(fraction) {
+            return 1 / widthAt(pathLength(fraction));
+        });
+    },
+
     /**
      * Makes the viewport zoom and pan so that the specified bounds take
      * as much space as possible in the viewport.
@@ -741,7 +824,18 @@ $.Viewport.prototype = {
      * them.
      * @function
      * @param {OpenSeadragon.Rect} bounds
-     * @param {Boolean} [immediately=false]
+     * @param {Boolean|Object} [immediately=false] - Whether to jump there, or
+     *      how to animate there:
+     * @param {Number} [immediately.duration] - In seconds; defaults to the
+     *      animationTime, or for flyTo to a duration growing with the length
+     *      of the path.
+     * @param {String|Number[]|Function} [immediately.easing='spring'] - See
+     *      {@link OpenSeadragon.Spring#springTo}; 'ease-in-out' for flyTo.
+     * @param {Boolean} [immediately.flyTo=false] - Whether to zoom out, pan and
+     *      zoom back in along the smoothest path, which suits long jumps across
+     *      large images.
+     * @param {Number} [immediately.curvature=1.414] - How far flyTo zooms out:
+     *      the lower, the less.
      * @returns {OpenSeadragon.Viewport} Chainable.
      */
     fitBounds: function(bounds, immediately) {
@@ -760,7 +854,8 @@ $.Viewport.prototype = {
      * Use {@link OpenSeadragon.Viewport#fitBounds} to ignore them.
      * @function
      * @param {OpenSeadragon.Rect} bounds
-     * @param {Boolean} [immediately=false]
+     * @param {Boolean|Object} [immediately=false] - Or an animation, see
+     *      {@link OpenSeadragon.Viewport#fitBounds}.
      * @returns {OpenSeadragon.Viewport} Chainable.
      */
     fitBoundsWithConstraints: function(bounds, immediately) {
@@ -837,17 +932,25 @@ $.Viewport.prototype = {
     /**
      * @function
      * @param {OpenSeadragon.Point} center
-     * @param {Boolean} immediately
+     * @param {Boolean|Object} immediately - Or an animation, see
+     *      {@link OpenSeadragon.Viewport#fitBounds}; flyTo keeps the zoom.
      * @returns {OpenSeadragon.Viewport} Chainable.
      * @fires OpenSeadragon.Viewer.event:pan
      */
     panTo: function( center, immediately ) {
+        var animation = getAnimation( immediately );
+        if ( animation ) {
+            immediately = false;
+        }
+
         if ( immediately ) {
             this.centerSpringX.resetTo( center.x );
             this.centerSpringY.resetTo( center.y );
+        } else if ( animation && animation.flyTo ) {
+            this._flyTo( center, this.getZoom(), animation );
         } else {
-            this.centerSpringX.springTo( center.x );
-            this.centerSpringY.springTo( center.y );
+            this.centerSpringX.springTo( center.x, animation );
+            this.centerSpringY.springTo( center.y, animation );
         }
 
         if( this.viewer ){
@@ -887,12 +990,17 @@ $.Viewport.prototype = {
      * @param {Number} zoom The zoom level to zoom to.
      * @param {OpenSeadragon.Point} [refPoint] The point which will stay at
      * the same screen location. Defaults to the viewport center.
-     * @param {Boolean} [immediately=false]
+     * @param {Boolean|Object} [immediately=false] - Or an animation, see
+     *      {@link OpenSeadragon.Viewport#fitBounds}, but for flyTo.
      * @returns {OpenSeadragon.Viewport} Chainable.
      * @fires OpenSeadragon.Viewer.event:zoom
      */
     zoomTo: function(zoom, refPoint, immediately) {
         var _this = this;
+        var animation = getAnimation(immediately);
+        if (animation) {
+            immediately = false;
+        }
 
         this.zoomPoint = refPoint instanceof $.Point &&
             !isNaN(refPoint.x) &&
@@ -905,7 +1013,7 @@ $.Viewport.prototype = {
                 _this.zoomSpring.resetTo(zoom);
             });
         } else {
-            this.zoomSpring.springTo(zoom);
+            this.zoomSpring.springTo(zoom, animation);
         }
 
         if (this.viewer) {
@@ -1787,4 +1895,30 @@ $.Viewport.prototype = {
 
 };
 
+/**
+ * @private
+ * @param {Boolean|Object} [immediately] - The immediately argument of an animating method.
+ * @returns {?Object} The animation descriptor given instead, if any.
+ */
+function getAnimation(immediately) {
+    return immediately && typeof immediately === 'object' ? immediately : null;
+}
+
+// Math.cosh and co. aren't in ES5
+function cosh(x) {
+    return (Math.exp(x) + Math.exp(-x)) / 2;
+}
+
+function sinh(x) {
+    return (Math.exp(x) - Math.exp(-x)) / 2;
+}
+
+function tanh(x) {
+    if (Math.abs(x) > 20) {
+        return x > 0 ? 1 : -1;
+    }
+    var e = Math.exp(2 * x);
+    return (e - 1) / (e + 1);
+}
+
 }( OpenSeadragon ));
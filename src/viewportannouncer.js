@@ -0,0 +1,178 @@
+/*
+ * OpenSeadragon - ViewportAnnouncer
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class ViewportAnnouncer
+ * @memberof OpenSeadragon
+ * @classdesc Keeps a visually hidden, polite ARIA live region up to date with
+ * a description of what a {@link OpenSeadragon.Viewer} shows, so screen
+ * readers announce it whenever the view settles (on animation-finish): the
+ * zoom, the visible region of the image, the page in sequence mode and the
+ * rotation. Every viewer has one, as its announcer member, unless its
+ * announceViewport option is false.
+ * <br/>
+ * The text comes from the 'Accessibility.' strings (see
+ * {@link OpenSeadragon.setString}), so it can be localized.
+ *
+ * @param {OpenSeadragon.Viewer} viewer
+ */
+$.ViewportAnnouncer = function( viewer ) {
+    var _this = this;
+
+    this.viewer = viewer;
+
+    /**
+     * The live region.
+     * @member {Element} element
+     * @memberof OpenSeadragon.ViewportAnnouncer#
+     */
+    this.element = $.makeNeutralElement( "div" );
+    this.element.setAttribute( "role", "status" );
+    this.element.setAttribute( "aria-live", "polite" );
+    this.element.setAttribute( "aria-atomic", "true" );
+    (function( style ){
+        style.position   = "absolute";
+        style.width      = "1px";
+        style.height     = "1px";
+        style.margin     = "-1px";
+        style.padding    = "0";
+        style.overflow   = "hidden";
+        style.clip       = "rect(0 0 0 0)";
+        style.whiteSpace = "nowrap";
+        style.border     = "0";
+    }( this.element.style ));
+    $.addClass( this.element, "openseadragon-announcer" );
+    viewer.container.appendChild( this.element );
+
+    this._onAnimationFinish = function() {
+        _this.update();
+    };
+    viewer.addHandler( 'animation-finish', this._onAnimationFinish );
+};
+
+/** @lends OpenSeadragon.ViewportAnnouncer.prototype */
+$.ViewportAnnouncer.prototype = {
+
+    /**
+     * Describes the current view, e.g. "Zoom 250%. Showing 10% to 50% across
+     * and 20% to 60% down. Page 3 of 12. Rotated 90 degrees."
+     * The zoom is relative to the home zoom, and the region is given in
+     * percentages of the home bounds.
+     * @returns {String} The description, or an empty string if nothing is open.
+     */
+    describe: function() {
+        var viewer = this.viewer;
+        var viewport = viewer.viewport;
+        if ( !viewport || !viewer.world.getItemCount() ) {
+            return "";
+        }
+
+        var sentences = [
+            $.getString( "Accessibility.Zoom",
+                Math.round( 100 * viewport.getZoom( true ) / viewport.getHomeZoom() ) ),
+            describeRegion( viewport.getBounds( true ), viewer.world.getHomeBounds() )
+        ];
+
+        if ( viewer.sequenceMode && viewer.tileSources && viewer.tileSources.length > 1 ) {
+            sentences.push( $.getString( "Accessibility.Page",
+                viewer.currentPage() + 1, viewer.tileSources.length ) );
+        }
+
+        var degrees = Math.round( viewport.getRotation( true ) ) % 360;
+        if ( degrees < 0 ) {
+            degrees += 360;
+        }
+        if ( degrees ) {
+            sentences.push( $.getString( "Accessibility.Rotation", degrees ) );
+        }
+        if ( viewport.getFlip() ) {
+            sentences.push( $.getString( "Accessibility.Flipped" ) );
+        }
+
+        return sentences.join( " " );
+    },
+
+    /**
+     * Announces the current view, unless it was the last thing announced.
+     */
+    update: function() {
+        this.announce( this.describe() );
+    },
+
+    /**
+     * Puts a text in the live region, for screen readers to announce.
+     * @param {String} text
+     */
+    announce: function( text ) {
+        if ( text && this.element.textContent !== text ) {
+            this.element.textContent = text;
+        }
+    },
+
+    /**
+     * Removes the live region.
+     */
+    destroy: function() {
+        this.viewer.removeHandler( 'animation-finish', this._onAnimationFinish );
+        if ( this.element.parentNode ) {
+            this.element.parentNode.removeChild( this.element );
+        }
+        this.viewer = null;
+    }
+};
+
+/**
+ * @private
+ * @inner
+ * @param {OpenSeadragon.Rect} bounds - The viewport bounds.
+ * @param {OpenSeadragon.Rect} homeBounds
+ * @returns {String} The part of homeBounds inside bounds, in percentages.
+ */
+function describeRegion( bounds, homeBounds ) {
+    function percent( value, start, size ) {
+        return Math.max( 0, Math.min( 100, Math.round( 100 * ( value - start ) / size ) ) );
+    }
+    var left = percent( bounds.x, homeBounds.x, homeBounds.width );
+    var right = percent( bounds.x + bounds.width, homeBounds.x, homeBounds.width );
+    var top = percent( bounds.y, homeBounds.y, homeBounds.height );
+    var bottom = percent( bounds.y + bounds.height, homeBounds.y, homeBounds.height );
+
+    if ( left === 0 && top === 0 && right === 100 && bottom === 100 ) {
+        return $.getString( "Accessibility.WholeImage" );
+    }
+    return $.getString( "Accessibility.Region", left, right, top, bottom );
+}
+
+}( OpenSeadragon ));
@@ -0,0 +1,581 @@
+/*
+ * OpenSeadragon - WebAnnotationCodec
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var ANNOTATION_CONTEXT = 'http://www.w3.org/ns/anno.jsonld';
+var MEDIA_FRAGMENTS = 'http://www.w3.org/TR/media-frags/';
+var SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * @class WebAnnotationCodec
+ * @classdesc Reads and writes annotations in the
+ * {@link https://www.w3.org/TR/annotation-model/|W3C Web Annotation} model,
+ * as used by IIIF annotation servers.
+ * <br><br>
+ * Annotations targeting a region with a FragmentSelector (xywh=) become
+ * overlays; annotations with an SvgSelector become shapes of the
+ * {@link OpenSeadragon.Viewer#annotations} layer. Selector coordinates are
+ * pixels of the image the target's source refers to. Writing gives back the
+ * annotations read, at their current location, along with any other overlay
+ * with a size and every shape of the layer.
+ *
+ * @memberof OpenSeadragon
+ * @param {Object} options
+ * @param {OpenSeadragon.Viewer} options.viewer
+ * @param {Function} [options.getItem] - Called with the source IRI of a target
+ * and the annotation; returns the {@link OpenSeadragon.TiledImage} the target
+ * refers to. By default, the item whose tile source has that id or URL, or
+ * the only item of the world.
+ * @param {Function} [options.createElement] - Called with an annotation;
+ * returns the element of its overlay. By default, an outlined div titled with
+ * the text of the annotation.
+ */
+$.WebAnnotationCodec = function( options ) {
+    $.console.assert( options.viewer, "[WebAnnotationCodec] options.viewer is required" );
+
+    /**
+     * @member {OpenSeadragon.Viewer} viewer
+     * @memberof OpenSeadragon.WebAnnotationCodec#
+     */
+    this.viewer = options.viewer;
+    this.getItem = options.getItem || defaultGetItem;
+    this.createElement = options.createElement || defaultCreateElement;
+
+    // The overlays this codec added, with their annotations.
+    this._overlays = [];
+};
+
+/** @lends OpenSeadragon.WebAnnotationCodec.prototype */
+$.WebAnnotationCodec.prototype = {
+
+    /**
+     * Finds the targets of annotations, without changing the viewer.
+     * @function
+     * @param {Object|Object[]|String} data - An Annotation, an AnnotationPage,
+     * an AnnotationCollection with embedded pages, an array of annotations,
+     * or their JSON.
+     * @returns {Object[]} For each annotation with a supported target:
+     * annotation (the JSON object), item (the {@link OpenSeadragon.TiledImage}),
+     * and either rect (an {@link OpenSeadragon.Rect} in image pixels) for a
+     * FragmentSelector, or shape (an {@link OpenSeadragon.Annotation} in image
+     * pixels) for an SvgSelector. Annotations the codec can't place are skipped
+     * with a warning.
+     */
+    parse: function( data ) {
+        var _this = this;
+        var results = [];
+
+        getAnnotations( typeof data === 'string' ? JSON.parse( data ) : data ).forEach( function( annotation ) {
+            var target = getTarget( annotation );
+            var item = target.source ? _this.getItem( target.source, annotation ) : null;
+            if ( !item ) {
+                $.console.warn( "[WebAnnotationCodec] no image for the target of annotation %s", annotation.id );
+                return;
+            }
+
+            var result = {
+                annotation: annotation,
+                item: item
+            };
+            var selector = target.selector;
+            var type = selector && ( selector.type || selector[ '@type' ] );
+            if ( type === 'FragmentSelector' || type === 'oa:FragmentSelector' ) {
+                result.rect = parseFragment( selector.value, item );
+            } else if ( type === 'SvgSelector' || type === 'oa:SvgSelector' ) {
+                result.shape = parseSvg( selector.value || selector.chars, annotation );
+            }
+            if ( result.rect || result.shape ) {
+                results.push( result );
+            } else {
+                $.console.warn( "[WebAnnotationCodec] unsupported target for annotation %s", annotation.id );
+            }
+        });
+
+        return results;
+    },
+
+    /**
+     * Adds annotations to the viewer, as overlays and shapes.
+     * @function
+     * @param {Object|Object[]|String} data - See {@link OpenSeadragon.WebAnnotationCodec#parse}.
+     * @returns {Object[]} The results of {@link OpenSeadragon.WebAnnotationCodec#parse}
+     * that were added, with element set to the overlay element for rects.
+     */
+    read: function( data ) {
+        var _this = this;
+        var viewer = this.viewer;
+
+        return this.parse( data ).filter( function( result ) {
+            if ( result.rect ) {
+                result.element = _this.createElement( result.annotation );
+                viewer.addOverlay({
+                    element: result.element,
+                    location: result.item.imageToViewportRectangle( result.rect )
+                });
+                _this._overlays.push({
+                    element: result.element,
+                    annotation: result.annotation,
+                    item: result.item
+                });
+                return true;
+            }
+
+            var layer = viewer.annotations;
+            if ( !layer ) {
+                $.console.warn( "[WebAnnotationCodec] SvgSelector targets need the annotations option of the viewer" );
+                return false;
+            }
+            var layerItem = layer._getItem();
+            if ( layerItem && layerItem !== result.item ) {
+                result.shape.points = result.shape.points.map( function( point ) {
+                    return layerItem.viewportToImageCoordinates(
+                        result.item.imageToViewportCoordinates( point ) );
+                });
+            }
+            result.shape = layer.addAnnotation( result.shape );
+            return true;
+        });
+    },
+
+    /**
+     * Writes the annotations of the viewer.
+     * @function
+     * @returns {Object} An AnnotationPage. Annotations read by this codec
+     * keep their id, body and other properties; only the selector changes.
+     */
+    write: function() {
+        var _this = this;
+        var viewer = this.viewer;
+        var items = [];
+
+        this._overlays = this._overlays.filter( function( entry ) {
+            return viewer.getOverlayById( entry.element ) !== null;
+        });
+        viewer.currentOverlays.forEach( function( overlay ) {
+            if ( overlay.width === null || overlay.height === null ) {
+                return;
+            }
+            var entry = null;
+            for ( var i = 0; i < _this._overlays.length; i++ ) {
+                if ( _this._overlays[ i ].element === overlay.element ) {
+                    entry = _this._overlays[ i ];
+                }
+            }
+            var bounds = overlay.getBounds( viewer.viewport );
+            var item = entry && viewer.world.getIndexOfItem( entry.item ) !== -1 ?
+                entry.item : findItem( viewer, bounds.getCenter() );
+            if ( !item ) {
+                return;
+            }
+            var rect = item.viewportToImageRectangle( bounds );
+            items.push( writeAnnotation( entry && entry.annotation, overlay.element.id, item, {
+                type: 'FragmentSelector',
+                conformsTo: MEDIA_FRAGMENTS,
+                value: 'xywh=pixel:' + [ rect.x, rect.y, rect.width, rect.height ].map( Math.round ).join( ',' )
+            }));
+        });
+
+        var layer = viewer.annotations;
+        var layerItem = layer && layer._getItem();
+        if ( layerItem ) {
+            layer.getAnnotations().forEach( function( shape ) {
+                var annotation = shape.data && ( shape.data.type === 'Annotation' || shape.data[ '@type' ] ) ?
+                    shape.data : null;
+                items.push( writeAnnotation( annotation, shape.id, layerItem, {
+                    type: 'SvgSelector',
+                    value: writeSvg( shape )
+                }));
+            });
+        }
+
+        return {
+            '@context': ANNOTATION_CONTEXT,
+            type: 'AnnotationPage',
+            items: items
+        };
+    }
+};
+
+/**
+ * @private
+ * @inner
+ * Lists the annotations in any of the containers read by the codec.
+ */
+function getAnnotations( data ) {
+    if ( !data ) {
+        return [];
+    }
+    if ( $.isArray( data ) ) {
+        return data;
+    }
+    if ( data.first && typeof data.first === 'object' ) {
+        // An AnnotationCollection with embedded pages.
+        var annotations = [];
+        for ( var page = data.first; page; page = typeof page.next === 'object' ? page.next : null ) {
+            annotations = annotations.concat( getAnnotations( page ) );
+        }
+        return annotations;
+    }
+    // Web Annotation pages, and IIIF Presentation 2 annotation lists.
+    return data.items || data.resources || [ data ];
+}
+
+/**
+ * @private
+ * @inner
+ * Gets the source IRI and selector of the first target of an annotation.
+ */
+function getTarget( annotation ) {
+    var target = annotation.target || annotation.on;
+    if ( $.isArray( target ) ) {
+        target = target[ 0 ];
+    }
+    if ( typeof target === 'string' ) {
+        var hash = target.indexOf( '#' );
+        return hash === -1 ? { source: target } : {
+            source: target.substring( 0, hash ),
+            selector: {
+                type: 'FragmentSelector',
+                value: target.substring( hash + 1 )
+            }
+        };
+    }
+    if ( !target ) {
+        return {};
+    }
+    var source = target.source || target.full || target.id || target[ '@id' ];
+    var selector = target.selector;
+    if ( $.isArray( selector ) ) {
+        selector = selector[ 0 ];
+    }
+    // IIIF Presentation 2 wraps selectors in a Choice.
+    if ( selector && selector[ 'default' ] ) {
+        selector = selector[ 'default' ];
+    }
+    return {
+        source: typeof source === 'object' ? source.id || source[ '@id' ] : source,
+        selector: selector
+    };
+}
+
+/**
+ * @private
+ * @inner
+ * Gets the id of the tile source of an item, the way targets refer to it.
+ */
+function getSourceId( item ) {
+    var source = item.source;
+    var id = source[ '@id' ] || source.id || source.url || null;
+    return id ? normalizeId( id ) : null;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function normalizeId( id ) {
+    return String( id ).replace( /\/info\.json$/, '' ).replace( /\/$/, '' );
+}
+
+/**
+ * @private
+ * @inner
+ */
+function defaultGetItem( source ) {
+    var world = this.viewer.world;
+    source = normalizeId( source );
+    for ( var i = 0; i < world.getItemCount(); i++ ) {
+        if ( getSourceId( world.getItemAt( i ) ) === source ) {
+            return world.getItemAt( i );
+        }
+    }
+    return world.getItemCount() === 1 ? world.getItemAt( 0 ) : null;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function defaultCreateElement( annotation ) {
+    var element = $.makeNeutralElement( 'div' );
+    element.className = 'openseadragon-web-annotation';
+    element.style.outline = '2px solid #ffd400';
+    if ( annotation.id ) {
+        element.setAttribute( 'data-annotation-id', annotation.id );
+    }
+    var text = getText( annotation );
+    if ( text ) {
+        element.title = text;
+    }
+    return element;
+}
+
+/**
+ * @private
+ * @inner
+ * Gets the text of the first textual body of an annotation.
+ */
+function getText( annotation ) {
+    var bodies = annotation.body || annotation.resource || [];
+    bodies = $.isArray( bodies ) ? bodies : [ bodies ];
+    for ( var i = 0; i < bodies.length; i++ ) {
+        if ( typeof bodies[ i ] === 'string' ) {
+            continue;
+        }
+        var text = bodies[ i ].value || bodies[ i ].chars;
+        if ( text ) {
+            return text;
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @inner
+ * Parses an xywh media fragment into a rect in image pixels.
+ */
+function parseFragment( value, item ) {
+    var match = /xywh=(pixel:|percent:)?([\d.]+),([\d.]+),([\d.]+),([\d.]+)/.exec( value || '' );
+    if ( !match ) {
+        return null;
+    }
+    var rect = new $.Rect(
+        parseFloat( match[ 2 ] ),
+        parseFloat( match[ 3 ] ),
+        parseFloat( match[ 4 ] ),
+        parseFloat( match[ 5 ] )
+    );
+    if ( match[ 1 ] === 'percent:' ) {
+        var dimensions = item.source.dimensions;
+        rect = new $.Rect(
+            rect.x * dimensions.x / 100,
+            rect.y * dimensions.y / 100,
+            rect.width * dimensions.x / 100,
+            rect.height * dimensions.y / 100
+        );
+    }
+    return rect;
+}
+
+/**
+ * @private
+ * @inner
+ * Parses the first shape of an SVG selector into an annotation.
+ */
+function parseSvg( value, annotation ) {
+    var svg;
+    try {
+        svg = $.parseXml( value );
+    } catch ( e ) {
+        return null;
+    }
+    var shape = svg && findShape( svg.documentElement );
+    if ( !shape ) {
+        return null;
+    }
+
+    var number = function( name ) {
+        return parseFloat( shape.getAttribute( name ) ) || 0;
+    };
+    var type;
+    var points;
+    switch ( shape.localName || shape.nodeName ) {
+        case 'rect':
+            type = $.AnnotationType.RECT;
+            points = [
+                new $.Point( number( 'x' ), number( 'y' ) ),
+                new $.Point( number( 'x' ) + number( 'width' ), number( 'y' ) + number( 'height' ) )
+            ];
+            break;
+        case 'circle':
+        case 'ellipse':
+            type = $.AnnotationType.ELLIPSE;
+            var rx = shape.hasAttribute( 'r' ) ? number( 'r' ) : number( 'rx' );
+            var ry = shape.hasAttribute( 'r' ) ? number( 'r' ) : number( 'ry' );
+            points = [
+                new $.Point( number( 'cx' ) - rx, number( 'cy' ) - ry ),
+                new $.Point( number( 'cx' ) + rx, number( 'cy' ) + ry )
+            ];
+            break;
+        case 'polygon':
+        case 'polyline':
+            type = shape.localName || shape.nodeName;
+            points = parsePoints( shape.getAttribute( 'points' ) );
+            break;
+        case 'path':
+            // Only straight segments with absolute coordinates, as drawn by
+            // most annotation clients.
+            var path = shape.getAttribute( 'd' ) || '';
+            if ( /[^MLZ\d\s,.eE+-]/.test( path ) ) {
+                return null;
+            }
+            type = /Z\s*$/.test( path ) ? $.AnnotationType.POLYGON : $.AnnotationType.POLYLINE;
+            points = parsePoints( path.replace( /[MLZ]/g, ' ' ) );
+            break;
+        default:
+            return null;
+    }
+
+    var style = {};
+    [ 'stroke', 'fill' ].forEach( function( name ) {
+        if ( shape.getAttribute( name ) ) {
+            style[ name ] = shape.getAttribute( name );
+        }
+    });
+    return new $.Annotation({
+        id: annotation.id || annotation[ '@id' ],
+        type: type,
+        points: points,
+        style: style,
+        data: annotation
+    });
+}
+
+/**
+ * @private
+ * @inner
+ */
+function findShape( node ) {
+    if ( !node ) {
+        return null;
+    }
+    var name = node.localName || node.nodeName;
+    if ( /^(rect|circle|ellipse|polygon|polyline|path)$/.test( name ) ) {
+        return node;
+    }
+    for ( var child = node.firstChild; child; child = child.nextSibling ) {
+        var shape = child.nodeType === 1 ? findShape( child ) : null;
+        if ( shape ) {
+            return shape;
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function parsePoints( value ) {
+    var numbers = ( value || '' ).trim().split( /[\s,]+/ ).map( parseFloat );
+    var points = [];
+    for ( var i = 0; i + 1 < numbers.length; i += 2 ) {
+        points.push( new $.Point( numbers[ i ], numbers[ i + 1 ] ) );
+    }
+    return points;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function writeSvg( shape ) {
+    var bounds = shape.getBounds();
+    var element;
+    switch ( shape.type ) {
+        case $.AnnotationType.RECT:
+            element = '<rect x="' + bounds.x + '" y="' + bounds.y +
+                '" width="' + bounds.width + '" height="' + bounds.height + '"/>';
+            break;
+        case $.AnnotationType.ELLIPSE:
+            element = '<ellipse cx="' + ( bounds.x + bounds.width / 2 ) + '" cy="' + ( bounds.y + bounds.height / 2 ) +
+                '" rx="' + bounds.width / 2 + '" ry="' + bounds.height / 2 + '"/>';
+            break;
+        default:
+            element = '<' + ( shape.type === $.AnnotationType.POLYGON ? 'polygon' : 'polyline' ) +
+                ' points="' + shape.points.map( function( point ) {
+                    return point.x + ',' + point.y;
+                }).join( ' ' ) + '"/>';
+    }
+    var style = [ 'stroke', 'fill' ].filter( function( name ) {
+        return shape.style[ name ];
+    }).map( function( name ) {
+        return ' ' + name + '="' + escapeAttribute( shape.style[ name ] ) + '"';
+    }).join( '' );
+    return '<svg xmlns="' + SVG_NS + '">' + element.replace( '/>', style + '/>' ) + '</svg>';
+}
+
+/**
+ * @private
+ * @inner
+ * Escapes a value for a double quoted XML attribute.
+ */
+function escapeAttribute( value ) {
+    return String( value )
+        .replace( /&/g, '&amp;' )
+        .replace( /</g, '&lt;' )
+        .replace( /"/g, '&quot;' );
+}
+
+/**
+ * @private
+ * @inner
+ * Makes an annotation with a new selector, from the annotation it was read
+ * from if any.
+ */
+function writeAnnotation( original, id, item, selector ) {
+    var annotation = original ? $.extend( {}, original ) : {
+        type: 'Annotation',
+        motivation: 'highlighting'
+    };
+    if ( !annotation.id && !annotation[ '@id' ] && id ) {
+        annotation.id = id;
+    }
+    var source = getSourceId( item );
+    var originalTarget = original ? getTarget( original ) : {};
+    delete annotation.on;
+    annotation.target = {
+        source: originalTarget.source || source,
+        selector: selector
+    };
+    return annotation;
+}
+
+/**
+ * @private
+ * @inner
+ * Finds the topmost item under a viewport point.
+ */
+function findItem( viewer, point ) {
+    for ( var i = viewer.world.getItemCount() - 1; i >= 0; i-- ) {
+        var item = viewer.world.getItemAt( i );
+        if ( item.getBounds().containsPoint( point ) ) {
+            return item;
+        }
+    }
+    return viewer.world.getItemAt( 0 ) || null;
+}
+
+}( OpenSeadragon ));
@@ -0,0 +1,819 @@
+/*
+ * OpenSeadragon - WebGLDrawer
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+var VERTEX_SHADER = [
+    'attribute vec2 a_position;',
+    'attribute vec2 a_texCoord;',
+    'uniform mat3 u_matrix;',
+    'varying vec2 v_texCoord;',
+    'void main() {',
+    '    gl_Position = vec4((u_matrix * vec3(a_position, 1.0)).xy, 0.0, 1.0);',
+    '    v_texCoord = a_texCoord;',
+    '}'
+].join('\n');
+
+var FRAGMENT_SHADER = [
+    'precision mediump float;',
+    'uniform sampler2D u_image;',
+    'uniform float u_opacity;',
+    'varying vec2 v_texCoord;',
+    'void main() {',
+    '    gl_FragColor = texture2D(u_image, v_texCoord) * u_opacity;',
+    '}'
+].join('\n');
+
+// Stencil bits used for clipping: a scratch bit for the even-odd fill of a
+// single polygon, then one bit each for the clip rectangle and the union of
+// the cropping polygons.
+var STENCIL_SCRATCH = 1;
+var STENCIL_CLIP = 2;
+var STENCIL_CROP = 4;
+
+var IDENTITY = [1, 0, 0, 1, 0, 0];
+var CLIP_SPACE_IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+// Whether a WebGL context could be created, by value of
+// failIfMajorPerformanceCaveat, determined on first use.
+var webGLSupported = {};
+
+/**
+ * @class WebGLDrawer
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.Drawer
+ * @classdesc Renders the tiles of an {@link OpenSeadragon.Viewer} with WebGL.
+ * Tiles are uploaded as textures; rotation, flipping, clipping and blending
+ * are done on the GPU. Select it with the drawerType option (see
+ * {@link OpenSeadragon.Options}); the viewer falls back to
+ * {@link OpenSeadragon.Drawer} when WebGL is unavailable.
+ * @param {Object} options - Options for this Drawer.
+ * @param {OpenSeadragon.Viewer} options.viewer - The Viewer that owns this Drawer.
+ * @param {OpenSeadragon.Viewport} options.viewport - Reference to Viewer viewport.
+ * @param {Element} options.element - Parent element.
+ * @param {Number} [options.debugGridColor] - See debugGridColor in {@link OpenSeadragon.Options} for details.
+ * @throws {Error} If a WebGL context can't be created.
+ */
+$.WebGLDrawer = function( options ) {
+
+    $.console.assert( options.viewer, "[WebGLDrawer] options.viewer is required" );
+    $.console.assert( options.viewport, "[WebGLDrawer] options.viewport is required" );
+    $.console.assert( options.element, "[WebGLDrawer] options.element is required" );
+
+    this.viewer = options.viewer;
+    this.viewport = options.viewport;
+    this.debugGridColor = typeof options.debugGridColor === 'string' ? [options.debugGridColor] : options.debugGridColor || $.DEFAULT_SETTINGS.debugGridColor;
+
+    // The canvas 2D code paths inherited from Drawer are disabled.
+    this.useCanvas = false;
+    this.container = $.getElement( options.element );
+    this.canvas = $.makeNeutralElement( "canvas" );
+    this.context = null;
+    this.sketchCanvas = null;
+    this.sketchContext = null;
+    this.element = this.container;
+
+    if ( this.viewer.useCanvas === false ) {
+        throw new Error( "[WebGLDrawer] canvas rendering is disabled by the useCanvas option" );
+    }
+
+    this._gl = getWebGLContext( this.canvas );
+    if ( !this._gl ) {
+        throw new Error( "[WebGLDrawer] WebGL is not available" );
+    }
+
+    this.container.dir = 'ltr';
+
+    var viewportSize = this._calculateCanvasSize();
+    this.canvas.width = viewportSize.x;
+    this.canvas.height = viewportSize.y;
+
+    this.canvas.style.width     = "100%";
+    this.canvas.style.height    = "100%";
+    this.canvas.style.position  = "absolute";
+    $.setElementPointerEventsNone( this.canvas );
+    $.setElementTouchActionNone( this.canvas );
+
+    this.container.style.textAlign = "left";
+    this.container.appendChild( this.canvas );
+
+    this._imageSmoothingEnabled = true;
+    // Textures keyed by the canvas they were made from, with the tiles drawn
+    // with them; tiles sharing an image share its texture.
+    this._textures = new Map();
+    // The canvas each tile was last drawn from.
+    this._tileCanvases = new Map();
+    this._framebuffer = null;
+    this._fillCanvas = null;
+    this._fillTexture = null;
+    this._warnedDebugMode = false;
+    this._setupGL();
+
+    // Textures are deleted once no loaded tile is drawn with them.
+    var _this = this;
+    this._onTileUnloaded = function( event ) {
+        _this._releaseTexture( event.tile );
+    };
+    this.viewer.addHandler( 'tile-unloaded', this._onTileUnloaded );
+};
+
+/**
+ * Whether WebGL contexts that would be software rendered are refused, so that
+ * the viewer falls back to the canvas drawer. Set it to false before creating
+ * the viewer to use WebGL anyway, e.g. in headless browsers.
+ * @member {Boolean} failIfMajorPerformanceCaveat
+ * @memberof OpenSeadragon.WebGLDrawer
+ */
+$.WebGLDrawer.failIfMajorPerformanceCaveat = true;
+
+/**
+ * Whether the browser can create a WebGL context. Contexts that would be
+ * software rendered are treated as unavailable, unless
+ * {@link OpenSeadragon.WebGLDrawer.failIfMajorPerformanceCaveat} is false.
+ * @function
+ * @returns {Boolean}
+ */
+$.WebGLDrawer.isSupported = function() {
+    var caveat = !!$.WebGLDrawer.failIfMajorPerformanceCaveat;
+    if ( webGLSupported[ caveat ] === undefined ) {
+        var gl = $.supportsCanvas ? getWebGLContext( document.createElement( "canvas" ) ) : null;
+        webGLSupported[ caveat ] = !!gl;
+        loseContext( gl );
+    }
+    return webGLSupported[ caveat ];
+};
+
+$.Drawer.types.webgl = $.WebGLDrawer;
+
+$.extend( $.WebGLDrawer.prototype, $.Drawer.prototype, /** @lends OpenSeadragon.WebGLDrawer.prototype */{
+
+    /**
+     * @returns {Boolean} True; the WebGL drawer supports rotation.
+     */
+    canRotate: function() {
+        return true;
+    },
+
+    /**
+     * Destroy the drawer, releasing its textures and WebGL context.
+     */
+    destroy: function() {
+        var gl = this._gl;
+        this._textures.forEach( function( entry ) {
+            if ( entry.texture ) {
+                gl.deleteTexture( entry.texture );
+            }
+        } );
+        this._textures.clear();
+        this._tileCanvases.clear();
+        this._deleteFramebuffer();
+        if ( this._fillTexture ) {
+            gl.deleteTexture( this._fillTexture );
+            this._fillTexture = null;
+        }
+        gl.deleteBuffer( this._buffer );
+        gl.deleteProgram( this._program );
+        this.viewer.removeHandler( 'tile-unloaded', this._onTileUnloaded );
+        loseContext( gl );
+
+        this.canvas.width  = 1;
+        this.canvas.height = 1;
+    },
+
+    /**
+     * Clears the Drawer so it's ready to draw another frame.
+     */
+    clear: function() {
+        var gl = this._gl;
+        var viewportSize = this._calculateCanvasSize();
+        if ( this.canvas.width !== viewportSize.x ||
+            this.canvas.height !== viewportSize.y ) {
+            this.canvas.width = viewportSize.x;
+            this.canvas.height = viewportSize.y;
+            this._deleteFramebuffer();
+        }
+
+        gl.bindFramebuffer( gl.FRAMEBUFFER, null );
+        gl.viewport( 0, 0, this.canvas.width, this.canvas.height );
+        gl.clearColor( 0, 0, 0, 0 );
+        gl.stencilMask( 0xff );
+        gl.clear( gl.COLOR_BUFFER_BIT | gl.STENCIL_BUFFER_BIT );
+    },
+
+    /**
+     * Draws the tiles of a TiledImage. Called by
+     * {@link OpenSeadragon.TiledImage} in place of the per-tile canvas calls.
+     * @param {OpenSeadragon.TiledImage} tiledImage - The image being drawn.
+     * @param {OpenSeadragon.Tile[]} tiles - The tiles to draw, highest
+     * resolution first.
+     */
+    drawTiledImage: function( tiledImage, tiles ) {
+        var gl = this._gl;
+        var transform = this._getTransform( tiledImage );
+        var compositeOperation = tiledImage.compositeOperation || 'source-over';
+
+        // Tiles are first drawn opaquely together so that overlapping tiles
+        // and levels don't show through each other, then blended as a whole.
+        var useFramebuffer = tiledImage.opacity < 1 ||
+            compositeOperation !== 'source-over' ||
+            !tiledImage._isBottomItem();
+
+        if ( useFramebuffer ) {
+            gl.bindFramebuffer( gl.FRAMEBUFFER, this._getFramebuffer() );
+            gl.clearColor( 0, 0, 0, 0 );
+            gl.clear( gl.COLOR_BUFFER_BIT );
+        }
+
+        var usedClip = this._setClip( tiledImage, transform );
+
+        if ( tiledImage.placeholderFillStyle && tiledImage._hasOpaqueTile === false ) {
+            this._drawPlaceholder( tiledImage, transform );
+        }
+
+        for ( var i = tiles.length - 1; i >= 0; i-- ) {
+            this._drawTile( tiles[ i ], transform );
+        }
+
+        if ( usedClip ) {
+            gl.disable( gl.STENCIL_TEST );
+        }
+
+        if ( useFramebuffer ) {
+            gl.bindFramebuffer( gl.FRAMEBUFFER, null );
+            var blend = getBlendFunction( gl, compositeOperation );
+            gl.blendFunc( blend[ 0 ], blend[ 1 ] );
+            gl.bindTexture( gl.TEXTURE_2D, this._framebuffer.texture );
+            this._drawQuad( CLIP_SPACE_IDENTITY, -1, 1, 2, -2, 0, 1, 1, 0, tiledImage.opacity );
+        }
+    },
+
+    /**
+     * Debug information isn't drawn by the WebGL drawer.
+     */
+    drawDebugInfo: function() {
+        if ( !this._warnedDebugMode ) {
+            $.console.warn( "[WebGLDrawer] debugMode is not supported by the WebGL drawer" );
+            this._warnedDebugMode = true;
+        }
+    },
+
+    /**
+     * Turns image smoothing on or off for this viewer.
+     *
+     * @function
+     * @param {Boolean} [imageSmoothingEnabled] - Whether or not the image is
+     * drawn smoothly on the canvas; see imageSmoothingEnabled in
+     * {@link OpenSeadragon.Options} for more explanation.
+     */
+    setImageSmoothingEnabled: function( imageSmoothingEnabled ) {
+        var _this = this;
+        this._imageSmoothingEnabled = imageSmoothingEnabled;
+        this._textures.forEach( function( entry ) {
+            if ( entry.texture ) {
+                _this._gl.bindTexture( _this._gl.TEXTURE_2D, entry.texture );
+                _this._setTextureFilter();
+            }
+        } );
+        this.viewer.forceRedraw();
+    },
+
+    /**
+     * Get the canvas size
+     * @returns {OpenSeadragon.Point} The size of the canvas
+     */
+    getCanvasSize: function() {
+        return new $.Point( this.canvas.width, this.canvas.height );
+    },
+
+    // private
+    _setupGL: function() {
+        var gl = this._gl;
+        var program = createProgram( gl );
+        this._program = program;
+        this._uniforms = {
+            matrix: gl.getUniformLocation( program, 'u_matrix' ),
+            opacity: gl.getUniformLocation( program, 'u_opacity' ),
+            image: gl.getUniformLocation( program, 'u_image' )
+        };
+        this._buffer = gl.createBuffer();
+
+        gl.useProgram( program );
+        gl.bindBuffer( gl.ARRAY_BUFFER, this._buffer );
+        var position = gl.getAttribLocation( program, 'a_position' );
+        var texCoord = gl.getAttribLocation( program, 'a_texCoord' );
+        gl.enableVertexAttribArray( position );
+        gl.vertexAttribPointer( position, 2, gl.FLOAT, false, 16, 0 );
+        gl.enableVertexAttribArray( texCoord );
+        gl.vertexAttribPointer( texCoord, 2, gl.FLOAT, false, 16, 8 );
+        gl.uniform1i( this._uniforms.image, 0 );
+        gl.activeTexture( gl.TEXTURE0 );
+
+        gl.enable( gl.BLEND );
+        gl.pixelStorei( gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true );
+    },
+
+    // private
+    // The same transform the canvas drawer builds with _offsetForRotation and
+    // _flip, as a matrix from drawer pixels to drawer pixels.
+    _getTransform: function( tiledImage ) {
+        var matrix = IDENTITY;
+        var flipped = this.viewport.getFlip();
+        var viewportRotation = this.viewport.getRotation( true );
+        var imageRotation = tiledImage.getRotation( true );
+
+        if ( viewportRotation % 360 !== 0 ) {
+            matrix = rotateAround( matrix, viewportRotation, this.getCanvasCenter(), flipped );
+        }
+        if ( imageRotation % 360 !== 0 ) {
+            var point = this.viewport.pixelFromPointNoRotate(
+                tiledImage._getRotationPoint( true ), true ).times( $.pixelDensityRatio );
+            matrix = rotateAround( matrix, imageRotation, point, flipped );
+        }
+        if ( viewportRotation % 360 === 0 && imageRotation % 360 === 0 && flipped ) {
+            var center = this.getCanvasCenter();
+            matrix = multiply( matrix, [ 1, 0, 0, 1, center.x, 0 ] );
+            matrix = multiply( matrix, [ -1, 0, 0, 1, 0, 0 ] );
+            matrix = multiply( matrix, [ 1, 0, 0, 1, -center.x, 0 ] );
+        }
+        return matrix;
+    },
+
+    // private
+    // Converts a drawer pixel transform to a WebGL clip space matrix.
+    _toClipSpace: function( matrix ) {
+        var m = multiply( [ 2 / this.canvas.width, 0, 0, -2 / this.canvas.height, -1, 1 ], matrix );
+        return [ m[ 0 ], m[ 1 ], 0, m[ 2 ], m[ 3 ], 0, m[ 4 ], m[ 5 ], 1 ];
+    },
+
+    // private
+    // Fills the stencil buffer with the clip rectangle and cropping polygons
+    // of the image, and restricts drawing to them. Returns whether a clip was
+    // set.
+    _setClip: function( tiledImage, transform ) {
+        var gl = this._gl;
+        var _this = this;
+        var required = 0;
+
+        if ( !tiledImage._clip && !tiledImage._croppingPolygons ) {
+            return false;
+        }
+
+        gl.enable( gl.STENCIL_TEST );
+        gl.stencilMask( 0xff );
+        gl.clear( gl.STENCIL_BUFFER_BIT );
+        gl.colorMask( false, false, false, false );
+
+        if ( tiledImage._clip ) {
+            var box = tiledImage.imageToViewportRectangle( tiledImage._clip, true );
+            box = box.rotate( -tiledImage.getRotation( true ), tiledImage._getRotationPoint( true ) );
+            var rect = this.viewportToDrawerRectangle( box );
+            this._stencilPolygons( [ [
+                new $.Point( rect.x, rect.y ),
+                new $.Point( rect.x + rect.width, rect.y ),
+                new $.Point( rect.x + rect.width, rect.y + rect.height ),
+                new $.Point( rect.x, rect.y + rect.height )
+            ] ], STENCIL_CLIP, transform );
+            required |= STENCIL_CLIP;
+        }
+
+        if ( tiledImage._croppingPolygons ) {
+            try {
+                var polygons = tiledImage._croppingPolygons.map( function( polygon ) {
+                    return polygon.map( function( coord ) {
+                        var point = tiledImage
+                            .imageToViewportCoordinates( coord.x, coord.y, true )
+                            .rotate( -tiledImage.getRotation( true ), tiledImage._getRotationPoint( true ) );
+                        return _this.viewportCoordToDrawerCoord( point );
+                    });
+                });
+                this._stencilPolygons( polygons, STENCIL_CROP, transform );
+                required |= STENCIL_CROP;
+            } catch ( e ) {
+                $.console.error( e );
+            }
+        }
+
+        gl.colorMask( true, true, true, true );
+        gl.stencilMask( 0 );
+        gl.stencilFunc( gl.EQUAL, required, required );
+        gl.stencilOp( gl.KEEP, gl.KEEP, gl.KEEP );
+        return true;
+    },
+
+    // private
+    // Sets the given stencil bit inside the union of the polygons. Each
+    // polygon is first filled even-odd into the scratch bit, so concave
+    // polygons are handled too.
+    _stencilPolygons: function( polygons, bit, transform ) {
+        var gl = this._gl;
+        gl.uniformMatrix3fv( this._uniforms.matrix, false, this._toClipSpace( transform ) );
+        for ( var i = 0; i < polygons.length; i++ ) {
+            var vertices = new Float32Array( polygons[ i ].length * 4 );
+            for ( var j = 0; j < polygons[ i ].length; j++ ) {
+                vertices[ j * 4 ] = polygons[ i ][ j ].x;
+                vertices[ j * 4 + 1 ] = polygons[ i ][ j ].y;
+            }
+            gl.bufferData( gl.ARRAY_BUFFER, vertices, gl.DYNAMIC_DRAW );
+
+            gl.stencilMask( STENCIL_SCRATCH );
+            gl.clear( gl.STENCIL_BUFFER_BIT );
+            gl.stencilFunc( gl.ALWAYS, 0, 0xff );
+            gl.stencilOp( gl.KEEP, gl.KEEP, gl.INVERT );
+            gl.drawArrays( gl.TRIANGLE_FAN, 0, polygons[ i ].length );
+
+            gl.stencilMask( bit );
+            gl.stencilFunc( gl.EQUAL, bit | STENCIL_SCRATCH, STENCIL_SCRATCH );
+            gl.stencilOp( gl.KEEP, gl.KEEP, gl.REPLACE );
+            gl.drawArrays( gl.TRIANGLE_FAN, 0, polygons[ i ].length );
+        }
+    },
+
+    // private
+    _drawPlaceholder: function( tiledImage, transform ) {
+        var gl = this._gl;
+        if ( !this._fillCanvas ) {
+            this._fillCanvas = document.createElement( "canvas" );
+            this._fillCanvas.width = 1;
+            this._fillCanvas.height = 1;
+            this._fillTexture = gl.createTexture();
+        }
+        var context = this._fillCanvas.getContext( "2d" );
+        var fillStyle = tiledImage.placeholderFillStyle;
+        if ( typeof fillStyle === "function" ) {
+            fillStyle = fillStyle( tiledImage, context );
+        }
+        context.clearRect( 0, 0, 1, 1 );
+        context.fillStyle = fillStyle;
+        context.fillRect( 0, 0, 1, 1 );
+
+        gl.bindTexture( gl.TEXTURE_2D, this._fillTexture );
+        this._uploadTexture( this._fillCanvas );
+
+        gl.blendFunc( gl.ONE, gl.ONE_MINUS_SRC_ALPHA );
+        var clipSpace = this._toClipSpace( transform );
+        var bounds = tiledImage._getPlaceholderBounds();
+        for ( var i = 0; i < bounds.length; i++ ) {
+            var rect = this.viewportToDrawerRectangle( bounds[ i ] );
+            this._drawQuad( clipSpace, rect.x, rect.y, rect.width, rect.height, 0, 0, 1, 1, 1 );
+        }
+    },
+
+    // private
+    _drawTile: function( tile, transform ) {
+        var gl = this._gl;
+
+        if ( !tile.context2D && !tile.cacheImageRecord ) {
+            $.console.warn(
+                '[WebGLDrawer._drawTile] attempting to draw tile %s when it\'s not cached',
+                tile.toString());
+            return;
+        }
+
+        var rendered = tile.getCanvasContext();
+        if ( !tile.loaded || !rendered ) {
+            $.console.warn(
+                "Attempting to draw tile %s when it's not yet loaded.",
+                tile.toString()
+            );
+            return;
+        }
+
+        var texture = this._getTexture( tile, rendered.canvas );
+        if ( !texture ) {
+            return;
+        }
+
+        var canvas = rendered.canvas;
+        var position = tile.position.times( $.pixelDensityRatio );
+        var size = tile.size.times( $.pixelDensityRatio );
+        var left = 0;
+        var top = 0;
+        var right = 1;
+        var bottom = 1;
+        if ( tile.sourceBounds ) {
+            // Tiles sharing an image (e.g. Deep Zoom Collection thumbnails)
+            // only draw their own part of it.
+            left = Math.min( tile.sourceBounds.x / canvas.width, 1 );
+            top = Math.min( tile.sourceBounds.y / canvas.height, 1 );
+            right = Math.min( ( tile.sourceBounds.x + tile.sourceBounds.width ) / canvas.width, 1 );
+            bottom = Math.min( ( tile.sourceBounds.y + tile.sourceBounds.height ) / canvas.height, 1 );
+        }
+        if ( tile.flipped ) {
+            var swap = left;
+            left = right;
+            right = swap;
+        }
+
+        var matrix = this._toClipSpace( transform );
+        gl.bindTexture( gl.TEXTURE_2D, texture );
+
+        // A fully opaque tile with an alpha channel must hide whatever was
+        // drawn underneath it, as the canvas drawer does with clearRect.
+        if ( tile.opacity === 1 && tile.hasTransparency ) {
+            gl.blendFunc( gl.ZERO, gl.ZERO );
+            this._drawQuad( matrix, position.x, position.y, size.x, size.y,
+                left, top, right, bottom, 1 );
+        }
+
+        gl.blendFunc( gl.ONE, gl.ONE_MINUS_SRC_ALPHA );
+        this._drawQuad( matrix, position.x, position.y, size.x, size.y,
+            left, top, right, bottom, tile.opacity );
+    },
+
+    // private
+    // Draws the bound texture on a rectangle, with a matrix to clip space.
+    _drawQuad: function( matrix, x, y, width, height, left, top, right, bottom, opacity ) {
+        var gl = this._gl;
+        gl.uniformMatrix3fv( this._uniforms.matrix, false, matrix );
+        gl.uniform1f( this._uniforms.opacity, opacity );
+        gl.bufferData( gl.ARRAY_BUFFER, new Float32Array( [
+            x, y, left, top,
+            x + width, y, right, top,
+            x, y + height, left, bottom,
+            x + width, y + height, right, bottom
+        ] ), gl.DYNAMIC_DRAW );
+        gl.drawArrays( gl.TRIANGLE_STRIP, 0, 4 );
+    },
+
+    // private
+    // Gets the texture of the canvas a tile is drawn from, uploading it on
+    // first use, and releases the one the tile was drawn with before.
+    _getTexture: function( tile, canvas ) {
+        var entry = this._textures.get( canvas );
+        if ( !entry ) {
+            var gl = this._gl;
+            var texture = gl.createTexture();
+            gl.bindTexture( gl.TEXTURE_2D, texture );
+            try {
+                this._uploadTexture( canvas );
+            } catch ( e ) {
+                // e.g. a cross-origin image without CORS headers
+                $.console.error( "[WebGLDrawer] unable to upload tile %s: %s", tile.toString(), e.message );
+                gl.deleteTexture( texture );
+                texture = null;
+            }
+            entry = {
+                texture: texture,
+                tiles: []
+            };
+            this._textures.set( canvas, entry );
+        }
+
+        if ( this._tileCanvases.get( tile ) !== canvas ) {
+            this._releaseTexture( tile );
+            this._tileCanvases.set( tile, canvas );
+            entry.tiles.push( tile );
+        }
+        return entry.texture;
+    },
+
+    // private
+    // Uploads an image to the bound texture.
+    _uploadTexture: function( image ) {
+        var gl = this._gl;
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+        this._setTextureFilter();
+        gl.texImage2D( gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image );
+    },
+
+    // private
+    _setTextureFilter: function() {
+        var gl = this._gl;
+        var filter = this._imageSmoothingEnabled ? gl.LINEAR : gl.NEAREST;
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, filter );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, filter );
+    },
+
+    // private
+    // Stops drawing a tile with its texture, which is deleted when no other
+    // tile is drawn with it.
+    _releaseTexture: function( tile ) {
+        var canvas = this._tileCanvases.get( tile );
+        if ( !canvas ) {
+            return;
+        }
+        this._tileCanvases.delete( tile );
+
+        var entry = this._textures.get( canvas );
+        entry.tiles.splice( entry.tiles.indexOf( tile ), 1 );
+        if ( !entry.tiles.length ) {
+            if ( entry.texture ) {
+                this._gl.deleteTexture( entry.texture );
+            }
+            this._textures.delete( canvas );
+        }
+    },
+
+    // private
+    // The offscreen target images are drawn to before being blended, with a
+    // stencil buffer for clipping. Created at the canvas size on first use.
+    _getFramebuffer: function() {
+        if ( this._framebuffer ) {
+            return this._framebuffer.framebuffer;
+        }
+
+        var gl = this._gl;
+        var width = this.canvas.width;
+        var height = this.canvas.height;
+        var texture = gl.createTexture();
+        gl.bindTexture( gl.TEXTURE_2D, texture );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST );
+        gl.texParameteri( gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST );
+        gl.texImage2D( gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null );
+
+        var renderbuffer = gl.createRenderbuffer();
+        gl.bindRenderbuffer( gl.RENDERBUFFER, renderbuffer );
+        gl.renderbufferStorage( gl.RENDERBUFFER, gl.DEPTH_STENCIL, width, height );
+
+        var framebuffer = gl.createFramebuffer();
+        gl.bindFramebuffer( gl.FRAMEBUFFER, framebuffer );
+        gl.framebufferTexture2D( gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0 );
+        gl.framebufferRenderbuffer( gl.FRAMEBUFFER, gl.DEPTH_STENCIL_ATTACHMENT, gl.RENDERBUFFER, renderbuffer );
+
+        this._framebuffer = {
+            framebuffer: framebuffer,
+            texture: texture,
+            renderbuffer: renderbuffer
+        };
+        return framebuffer;
+    },
+
+    // private
+    _deleteFramebuffer: function() {
+        if ( this._framebuffer ) {
+            var gl = this._gl;
+            gl.deleteFramebuffer( this._framebuffer.framebuffer );
+            gl.deleteTexture( this._framebuffer.texture );
+            gl.deleteRenderbuffer( this._framebuffer.renderbuffer );
+            this._framebuffer = null;
+        }
+    }
+});
+
+/**
+ * @private
+ * @inner
+ * Creates a WebGL context for the canvas, or returns null. Contexts with a
+ * major performance caveat (software rendering) are refused unless
+ * failIfMajorPerformanceCaveat is turned off.
+ */
+function getWebGLContext( canvas ) {
+    var attributes = {
+        alpha: true,
+        premultipliedAlpha: true,
+        antialias: false,
+        stencil: true,
+        preserveDrawingBuffer: true,
+        failIfMajorPerformanceCaveat: !!$.WebGLDrawer.failIfMajorPerformanceCaveat
+    };
+    try {
+        return canvas.getContext( "webgl", attributes ) ||
+            canvas.getContext( "experimental-webgl", attributes );
+    } catch ( e ) {
+        return null;
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function loseContext( gl ) {
+    var extension = gl && gl.getExtension( 'WEBGL_lose_context' );
+    if ( extension ) {
+        extension.loseContext();
+    }
+}
+
+/**
+ * @private
+ * @inner
+ */
+function createProgram( gl ) {
+    var program = gl.createProgram();
+    [
+        [ gl.VERTEX_SHADER, VERTEX_SHADER ],
+        [ gl.FRAGMENT_SHADER, FRAGMENT_SHADER ]
+    ].forEach( function( source ) {
+        var shader = gl.createShader( source[ 0 ] );
+        gl.shaderSource( shader, source[ 1 ] );
+        gl.compileShader( shader );
+        if ( !gl.getShaderParameter( shader, gl.COMPILE_STATUS ) ) {
+            throw new Error( "[WebGLDrawer] shader compilation failed: " + gl.getShaderInfoLog( shader ) );
+        }
+        gl.attachShader( program, shader );
+    });
+    gl.linkProgram( program );
+    if ( !gl.getProgramParameter( program, gl.LINK_STATUS ) ) {
+        throw new Error( "[WebGLDrawer] program linking failed: " + gl.getProgramInfoLog( program ) );
+    }
+    return program;
+}
+
+/**
+ * @private
+ * @inner
+ * Returns the [source, destination] blend factors for premultiplied colors
+ * that match a canvas globalCompositeOperation. Operations blending can't
+ * express fall back to source-over.
+ */
+function getBlendFunction( gl, compositeOperation ) {
+    switch ( compositeOperation ) {
+        case 'source-in':
+            return [ gl.DST_ALPHA, gl.ZERO ];
+        case 'source-out':
+            return [ gl.ONE_MINUS_DST_ALPHA, gl.ZERO ];
+        case 'source-atop':
+            return [ gl.DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA ];
+        case 'destination-over':
+            return [ gl.ONE_MINUS_DST_ALPHA, gl.ONE ];
+        case 'destination-in':
+            return [ gl.ZERO, gl.SRC_ALPHA ];
+        case 'destination-out':
+            return [ gl.ZERO, gl.ONE_MINUS_SRC_ALPHA ];
+        case 'destination-atop':
+            return [ gl.ONE_MINUS_DST_ALPHA, gl.SRC_ALPHA ];
+        case 'lighter':
+            return [ gl.ONE, gl.ONE ];
+        case 'copy':
+            return [ gl.ONE, gl.ZERO ];
+        case 'xor':
+            return [ gl.ONE_MINUS_DST_ALPHA, gl.ONE_MINUS_SRC_ALPHA ];
+        case 'screen':
+            return [ gl.ONE, gl.ONE_MINUS_SRC_COLOR ];
+        case 'source-over':
+            return [ gl.ONE, gl.ONE_MINUS_SRC_ALPHA ];
+        default:
+            $.console.warn( "[WebGLDrawer] compositeOperation %s is not supported; using source-over", compositeOperation );
+            return [ gl.ONE, gl.ONE_MINUS_SRC_ALPHA ];
+    }
+}
+
+/**
+ * @private
+ * @inner
+ * Multiplies two affine transforms given as [a, b, c, d, e, f], in the
+ * order of CanvasRenderingContext2D.setTransform.
+ */
+function multiply( m, n ) {
+    return [
+        m[ 0 ] * n[ 0 ] + m[ 2 ] * n[ 1 ],
+        m[ 1 ] * n[ 0 ] + m[ 3 ] * n[ 1 ],
+        m[ 0 ] * n[ 2 ] + m[ 2 ] * n[ 3 ],
+        m[ 1 ] * n[ 2 ] + m[ 3 ] * n[ 3 ],
+        m[ 0 ] * n[ 4 ] + m[ 2 ] * n[ 5 ] + m[ 4 ],
+        m[ 1 ] * n[ 4 ] + m[ 3 ] * n[ 5 ] + m[ 5 ]
+    ];
+}
+
+/**
+ * @private
+ * @inner
+ * Rotates a transform around a point, like Drawer._offsetForRotation.
+ */
+function rotateAround( matrix, degrees, point, flipped ) {
+    var radians = Math.PI / 180 * ( flipped ? -degrees : degrees );
+    var cos = Math.cos( radians );
+    var sin = Math.sin( radians );
+    matrix = multiply( matrix, [ 1, 0, 0, 1, point.x, point.y ] );
+    matrix = multiply( matrix, [ cos, sin, -sin, cos, 0, 0 ] );
+    if ( flipped ) {
+        matrix = multiply( matrix, [ -1, 0, 0, 1, 0, 0 ] );
+    }
+    return multiply( matrix, [ 1, 0, 0, 1, -point.x, -point.y ] );
+}
+
+}( OpenSeadragon ));
@@ -0,0 +1,374 @@
+/*
+ * OpenSeadragon - XyzTileSource
+ *
+ * Copyright (C) 2010-2022 OpenSeadragon contributors
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are
+ * met:
+ *
+ * - Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * - Redistributions in binary form must reproduce the above copyright
+ *   notice, this list of conditions and the following disclaimer in the
+ *   documentation and/or other materials provided with the distribution.
+ *
+ * - Neither the name of CodePlex Foundation nor the names of its
+ *   contributors may be used to endorse or promote products derived from
+ *   this software without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS
+ * "AS IS" AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT
+ * LIMITED TO, THE IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR
+ * A PARTICULAR PURPOSE ARE DISCLAIMED.  IN NO EVENT SHALL THE COPYRIGHT
+ * OWNER OR CONTRIBUTORS BE LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL,
+ * SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED
+ * TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR
+ * PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF
+ * LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING
+ * NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ */
+
+(function( $ ){
+
+/**
+ * @class XyzTileSource
+ * @classdesc A tile source for web map tile services whose tile URLs follow a
+ * template, such as XYZ ("slippy map") servers, TMS and OGC WMTS. Zoom level
+ * 0 is the whole map in one tile, and each level doubles the number of tiles
+ * in each direction, up to maxZoom.
+ * <br><br>
+ * The template may contain:
+ * <ul>
+ * <li>{z} - the zoom level, or the identifier of the tile matrix for WMTS;</li>
+ * <li>{x} - the column of the tile;</li>
+ * <li>{y} - the row of the tile, from the top;</li>
+ * <li>{-y} - the row of the tile, from the bottom (TMS);</li>
+ * <li>{s} - one of the subdomains, picked by tile so each tile has one URL;</li>
+ * <li>{q} - the quadkey of the tile (Bing Maps).</li>
+ * </ul>
+ * A WMTS GetCapabilities document, given to the viewer as a URL, an XML
+ * string or parsed, configures the source for its first layer; use
+ * {@link OpenSeadragon.XyzTileSource.parseCapabilities} to choose another.
+ *
+ * @memberof OpenSeadragon
+ * @extends OpenSeadragon.TileSource
+ * @param {Object} options
+ * @param {String} options.template - The URL template of the tiles.
+ * @param {String|String[]} [options.subdomains='abc'] - The values of {s}.
+ * @param {Number} [options.tileSize=256]
+ * @param {Number} [options.tileWidth] - Overrides tileSize.
+ * @param {Number} [options.tileHeight] - Overrides tileSize.
+ * @param {Number} [options.minZoom=0] - The lowest zoom level to load.
+ * @param {Number} [options.maxZoom=18] - The highest zoom level.
+ * @param {String[]} [options.matrixIds] - The values of {z} for each zoom
+ * level, for WMTS tile matrix sets.
+ * @param {Number} [options.width] - The width of the map at maxZoom, in
+ * pixels. Defaults to a square map of 2^maxZoom tiles.
+ * @param {Number} [options.height]
+ */
+$.XyzTileSource = function( options ) {
+    var tileWidth = options.tileWidth || options.tileSize || 256;
+    var tileHeight = options.tileHeight || options.tileSize || 256;
+    var minZoom = options.minZoom || 0;
+    var maxZoom = options.maxZoom !== undefined ? options.maxZoom : 18;
+
+    // The pyramid levels below the one where the whole map fits in a tile
+    // have no tiles.
+    options.zoomOffset = Math.ceil( Math.log( Math.max( tileWidth, tileHeight ) ) / Math.LN2 );
+    options.minLevel = options.zoomOffset + minZoom;
+    options.maxLevel = options.zoomOffset + maxZoom;
+    options.width = options.width || tileWidth * Math.pow( 2, maxZoom );
+    options.height = options.height || tileHeight * Math.pow( 2, maxZoom );
+    options.tileWidth = tileWidth;
+    options.tileHeight = tileHeight;
+    options.tileOverlap = 0;
+    delete options.tileSize;
+
+    var subdomains = options.subdomains !== undefined ? options.subdomains : 'abc';
+    options.subdomains = typeof subdomains === 'string' ? subdomains.split( '' ) : subdomains;
+
+    $.TileSource.apply( this, [ options ] );
+};
+
+$.extend( $.XyzTileSource.prototype, $.TileSource.prototype, /** @lends OpenSeadragon.XyzTileSource.prototype */{
+
+    /**
+     * Determine if the data and/or url imply the image service is supported by
+     * this tile source.
+     * @function
+     * @param {Object|Array|Document} data
+     * @param {String} optional - url
+     */
+    supports: function( data, url ) {
+        if ( data && data.documentElement ) {
+            return isCapabilities( data );
+        }
+        return !!data && ( data.type === 'xyz' || data.type === 'wmts' );
+    },
+
+    /**
+     *
+     * @function
+     * @param {Object|Document} data - the raw configuration: the options of the
+     *      constructor with type 'xyz', a WMTS GetCapabilities document, or
+     *      the options of {@link OpenSeadragon.XyzTileSource.parseCapabilities}
+     *      with type 'wmts' and the document as capabilities.
+     * @param {String} url - the url the data was retrieved from if any.
+     * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
+     * @returns {Object} options - A dictionary of keyword arguments sufficient
+     *      to configure this tile sources constructor.
+     * @throws {Error} If the capabilities don't have the layer or tile matrix set.
+     */
+    configure: function( data, url, postData ) {
+        if ( data.documentElement ) {
+            return $.XyzTileSource.parseCapabilities( data );
+        }
+        if ( data.type === 'wmts' ) {
+            var options = $.extend( {}, data );
+            delete options.capabilities;
+            return $.extend( options, $.XyzTileSource.parseCapabilities( data.capabilities, data ) );
+        }
+        return data;
+    },
+
+    /**
+     * @function
+     * @param {Number} level
+     * @param {Number} x
+     * @param {Number} y
+     */
+    getTileUrl: function( level, x, y ) {
+        var _this = this;
+        var zoom = level - this.zoomOffset;
+        var rows = this.getNumTiles( level ).y;
+
+        return this.template.replace( /\{(z|x|y|-y|s|q)\}/g, function( match, name ) {
+            switch ( name ) {
+                case 'z':
+                    return _this.matrixIds ? _this.matrixIds[ zoom ] : zoom;
+                case 'x':
+                    return x;
+                case 'y':
+                    return y;
+                case '-y':
+                    return rows - 1 - y;
+                case 's':
+                    return _this.subdomains.length ?
+                        _this.subdomains[ Math.abs( x + y ) % _this.subdomains.length ] : '';
+                case 'q':
+                    return getQuadkey( zoom, x, y );
+            }
+            return match;
+        });
+    }
+});
+
+/**
+ * Reads an OGC WMTS GetCapabilities document into the options of an
+ * XyzTileSource. Tile matrices are expected to double in size from one to the
+ * next, as in the well-known scale sets of web maps.
+ * @function
+ * @param {Document|String} capabilities - The document, or its XML.
+ * @param {Object} [options]
+ * @param {String} [options.layer] - The identifier of the layer; defaults to the first.
+ * @param {String} [options.tileMatrixSet] - The identifier of the tile matrix
+ * set; defaults to the first one of the layer.
+ * @param {String} [options.style] - Defaults to the default style of the layer.
+ * @param {String} [options.format] - The MIME type of the tiles; defaults to
+ * the first one the layer offers.
+ * @returns {Object} The options of the constructor.
+ * @throws {Error} If the document has no such layer or tile matrix set, or
+ * no tile URL for it.
+ */
+$.XyzTileSource.parseCapabilities = function( capabilities, options ) {
+    options = options || {};
+    var xml = typeof capabilities === 'string' ? $.parseXml( capabilities ) : capabilities;
+    if ( !xml || !isCapabilities( xml ) ) {
+        throw new Error( $.getString( "Errors.Wmts" ) );
+    }
+    var contents = getChildren( xml.documentElement, 'Contents' )[ 0 ];
+
+    var layer = findByIdentifier( getChildren( contents, 'Layer' ), options.layer );
+    if ( !layer ) {
+        throw new Error( $.getString( "Errors.WmtsLayer", options.layer || '' ) );
+    }
+    var layerId = getIdentifier( layer );
+
+    var linkedSets = getChildren( layer, 'TileMatrixSetLink' ).map( function( link ) {
+        return getText( getChildren( link, 'TileMatrixSet' )[ 0 ] );
+    });
+    var setId = options.tileMatrixSet || linkedSets[ 0 ];
+    var matrixSet = linkedSets.indexOf( setId ) !== -1 ?
+        findByIdentifier( getChildren( contents, 'TileMatrixSet' ), setId ) : null;
+    if ( !matrixSet ) {
+        throw new Error( $.getString( "Errors.WmtsTileMatrixSet", setId || '', layerId ) );
+    }
+
+    var styles = getChildren( layer, 'Style' );
+    var defaultStyle = styles.filter( function( style ) {
+        return style.getAttribute( 'isDefault' ) === 'true';
+    })[ 0 ] || styles[ 0 ];
+    var style = options.style || ( defaultStyle ? getIdentifier( defaultStyle ) : 'default' );
+
+    var resources = getChildren( layer, 'ResourceURL' ).filter( function( resource ) {
+        return resource.getAttribute( 'resourceType' ) === 'tile';
+    });
+    var formats = getChildren( layer, 'Format' ).map( getText );
+    var format = options.format || ( resources[ 0 ] && resources[ 0 ].getAttribute( 'format' ) ) || formats[ 0 ];
+
+    var template;
+    var resource = resources.filter( function( candidate ) {
+        return candidate.getAttribute( 'format' ) === format;
+    })[ 0 ];
+    if ( resource ) {
+        template = resource.getAttribute( 'template' )
+            .replace( /\{TileMatrixSet\}/gi, setId )
+            .replace( /\{Style\}/gi, style )
+            .replace( /\{TileMatrix\}/gi, '{z}' )
+            .replace( /\{TileRow\}/gi, '{y}' )
+            .replace( /\{TileCol\}/gi, '{x}' );
+    } else {
+        var getTile = getKvpUrl( xml, 'GetTile' );
+        if ( !getTile ) {
+            throw new Error( $.getString( "Errors.WmtsTileUrl", layerId ) );
+        }
+        template = getTile + ( getTile.indexOf( '?' ) === -1 ? '?' : /[?&]$/.test( getTile ) ? '' : '&' ) + [
+            'SERVICE=WMTS',
+            'REQUEST=GetTile',
+            'VERSION=1.0.0',
+            'LAYER=' + encodeURIComponent( layerId ),
+            'STYLE=' + encodeURIComponent( style ),
+            'FORMAT=' + encodeURIComponent( format ),
+            'TILEMATRIXSET=' + encodeURIComponent( setId ),
+            'TILEMATRIX={z}',
+            'TILEROW={y}',
+            'TILECOL={x}'
+        ].join( '&' );
+    }
+
+    var matrices = getChildren( matrixSet, 'TileMatrix' );
+    if ( !matrices.length ) {
+        throw new Error( $.getString( "Errors.WmtsTileMatrixSetEmpty", setId ) );
+    }
+    var finest = matrices[ matrices.length - 1 ];
+    var number = function( matrix, name ) {
+        return parseInt( getText( getChildren( matrix, name )[ 0 ] ), 10 );
+    };
+    var tileWidth = number( finest, 'TileWidth' );
+    var tileHeight = number( finest, 'TileHeight' );
+
+    return {
+        template: template,
+        subdomains: [],
+        tileWidth: tileWidth,
+        tileHeight: tileHeight,
+        minZoom: 0,
+        maxZoom: matrices.length - 1,
+        matrixIds: matrices.map( getIdentifier ),
+        width: number( finest, 'MatrixWidth' ) * tileWidth,
+        height: number( finest, 'MatrixHeight' ) * tileHeight
+    };
+};
+
+/**
+ * @private
+ * @inner
+ */
+function isCapabilities( xml ) {
+    var root = xml.documentElement;
+    return !!root && ( root.localName || root.nodeName ).replace( /^.*:/, '' ) === 'Capabilities' &&
+        getChildren( root, 'Contents' ).length > 0;
+}
+
+/**
+ * @private
+ * @inner
+ * Gets the child elements with a local name, whatever their namespace.
+ */
+function getChildren( node, name ) {
+    var children = [];
+    for ( var child = node ? node.firstChild : null; child; child = child.nextSibling ) {
+        if ( child.nodeType === 1 && ( child.localName || child.nodeName ).replace( /^.*:/, '' ) === name ) {
+            children.push( child );
+        }
+    }
+    return children;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function getText( node ) {
+    return node ? ( node.textContent || '' ).trim() : '';
+}
+
+/**
+ * @private
+ * @inner
+ */
+function getIdentifier( node ) {
+    return getText( getChildren( node, 'Identifier' )[ 0 ] );
+}
+
+/**
+ * @private
+ * @inner
+ * Finds the node with an ows:Identifier, or the first node if none is given.
+ */
+function findByIdentifier( nodes, identifier ) {
+    if ( !identifier ) {
+        return nodes[ 0 ] || null;
+    }
+    return nodes.filter( function( node ) {
+        return getIdentifier( node ) === identifier;
+    })[ 0 ] || null;
+}
+
+/**
+ * @private
+ * @inner
+ * Gets the KVP GET URL of an operation from the operations metadata.
+ */
+function getKvpUrl( xml, operationName ) {
+    var metadata = getChildren( xml.documentElement, 'OperationsMetadata' )[ 0 ];
+    var operation = getChildren( metadata, 'Operation' ).filter( function( node ) {
+        return node.getAttribute( 'name' ) === operationName;
+    })[ 0 ];
+    var dcp = getChildren( operation, 'DCP' )[ 0 ];
+    var http = getChildren( dcp, 'HTTP' )[ 0 ];
+    var gets = getChildren( http, 'Get' );
+    for ( var i = 0; i < gets.length; i++ ) {
+        var encodings = gets[ i ].getElementsByTagNameNS ?
+            gets[ i ].getElementsByTagNameNS( '*', 'Value' ) : gets[ i ].getElementsByTagName( 'Value' );
+        var kvp = !encodings.length;
+        for ( var j = 0; j < encodings.length; j++ ) {
+            kvp = kvp || getText( encodings[ j ] ) === 'KVP';
+        }
+        if ( kvp ) {
+            return gets[ i ].getAttribute( 'xlink:href' ) ||
+                gets[ i ].getAttributeNS( 'http://www.w3.org/1999/xlink', 'href' );
+        }
+    }
+    return null;
+}
+
+/**
+ * @private
+ * @inner
+ */
+function getQuadkey( zoom, x, y ) {
+    var quadkey = '';
+    for ( var i = zoom; i > 0; i-- ) {
+        var mask = 1 << ( i - 1 );
+        quadkey += ( ( x & mask ) ? 1 : 0 ) + ( ( y & mask ) ? 2 : 0 );
+    }
+    return quadkey;
+}
+
+$.TileSource.register( 'xyz', $.XyzTileSource );
+
+}( OpenSeadragon ));
@@ -20,21 +20,20 @@
      *
      * The tileSize is set to 256 (the usual Zoomify default) when it is not defined. The tileUrl must the path to the image _directory_.
      *
-     * 2) Loading image metadata from xml file: (CURRENTLY NOT SUPPORTED)
+     * 2) Loading image metadata from xml file:
      *
      * When creating zoomify formatted images one "xml" like file with name ImageProperties.xml
      * will be created as well. Here is an example of such a file:
      *
      * <IMAGE_PROPERTIES WIDTH="1000" HEIGHT="1000" NUMTILES="21" NUMIMAGES="1" VERSION="1.8" TILESIZE="256" />
      *
-     * To use this xml file as metadata source you must supply the path to the ImageProperties.xml file and leave out all other parameters:
-     * As stated above, this method of loading a zoomify tilesource is currently not supported
+     * To use this xml file as metadata source, open the url of the ImageProperties.xml file:
      *
-     * {
-     *      type: "zoomifytileservice",
-     *      tilesUrl: "/test/data/zoomify/ImageProperties.xml"
-     * }
-
+     * viewer.open("/test/data/zoomify/ImageProperties.xml");
+     *
+     * The tiles are expected next to it. The NUMTILES attribute is checked against the number of
+     * tiles of the pyramid, which decides in which TileGroup folder each tile is; the image fails to
+     * open if they differ.
     *
     * @memberof OpenSeadragon
      * @extends OpenSeadragon.TileSource
@@ -42,6 +41,8 @@
      * @param {Number} height
      * @param {Number} tileSize
      * @param {String} tilesUrl
+     * @param {Number} [numTiles] - The number of tiles the image should have, from ImageProperties.xml.
+     * @throws {Error} If the image doesn't have numTiles tiles.
      */
     $.ZoomifyTileSource = function(options) {
         if(typeof options.tileSize === 'undefined'){
@@ -74,6 +75,15 @@
         }
         options.imageSizes.reverse();
         options.gridSize.reverse();
+
+        if (typeof options.numTiles !== 'undefined') {
+            var numTiles = options.gridSize.reduce(function(sum, size) {
+                return sum + size.x * size.y;
+            }, 0);
+            if (numTiles !== options.numTiles) {
+                throw new Error($.getString("Errors.ZoomifyTiles", options.numTiles, numTiles));
+            }
+        }
         options.minLevel = 0;
         options.maxLevel = options.gridSize.length - 1;
 
@@ -114,20 +124,49 @@
          * @param {String} optional - url
          */
         supports: function(data, url) {
+            if (data.documentElement) {
+                return "IMAGE_PROPERTIES" === (data.documentElement.localName || data.documentElement.tagName);
+            }
             return (data.type && "zoomifytileservice" === data.type);
         },
 
         /**
          *
          * @function
-         * @param {Object} data - the raw configuration
+         * @param {Object|Document} data - the raw configuration, or the ImageProperties.xml document
          * @param {String} url - the url the data was retrieved from if any.
          * @param {String} postData - HTTP POST data in k=v&k2=v2... form or null
          * @returns {Object} options - A dictionary of keyword arguments sufficient
          *      to configure this tile sources constructor.
+         * @throws {Error} If the document isn't a valid ImageProperties.xml, or the image has
+         *      several images.
          */
         configure: function(data, url, postData) {
-            return data;
+            if (!data.documentElement) {
+                return data;
+            }
+
+            var properties = data.documentElement;
+            var attribute = function(name) {
+                return parseInt(properties.getAttribute(name), 10);
+            };
+            var options = {
+                type: "zoomifytileservice",
+                width: attribute("WIDTH"),
+                height: attribute("HEIGHT"),
+                tileSize: attribute("TILESIZE") || 256,
+                numTiles: attribute("NUMTILES"),
+                tilesUrl: url ? url.substring(0, url.lastIndexOf('/') + 1) : null
+            };
+            var numImages = properties.hasAttribute("NUMIMAGES") ? attribute("NUMIMAGES") : 1;
+
+            if (!options.width || !options.height || !options.numTiles || options.tilesUrl === null) {
+                throw new Error($.getString("Errors.Zoomify"));
+            }
+            if (numImages !== 1) {
+                throw new Error($.getString("Errors.ZoomifyImages", numImages));
+            }
+            return options;
         },
 
         /**
@@ -146,5 +185,7 @@
         }
     });
 
+    $.TileSource.register('zoomify', $.ZoomifyTileSource);
+
 }(OpenSeadragon));
 
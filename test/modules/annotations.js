@@ -0,0 +1,202 @@
+/* global QUnit, $, Util, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('Annotations', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+
+            // eslint-disable-next-line new-cap
+            viewer = OpenSeadragon({
+                id: 'example',
+                prefixUrl: '/build/openseadragon/images/',
+                springStiffness: 100, // Faster animation = faster tests
+                annotations: true
+            });
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+
+            viewer = null;
+        }
+    });
+
+    // ----------
+    QUnit.test('Annotation', function(assert) {
+        var annotation = new OpenSeadragon.Annotation({
+            type: OpenSeadragon.AnnotationType.POLYGON,
+            points: [{x: 10, y: 20}, {x: 50, y: 5}, {x: 30, y: 40}],
+            data: {label: 'tumor'}
+        });
+
+        assert.ok(annotation.id, 'an id is generated');
+        assert.ok(annotation.points[0] instanceof OpenSeadragon.Point, 'points are converted');
+        assert.ok(!annotation.isBox(), 'a polygon is not a box');
+        Util.assertRectangleEquals(assert, annotation.getBounds(),
+            new OpenSeadragon.Rect(10, 5, 40, 35), 0.000001, 'getBounds');
+
+        annotation.translate(new OpenSeadragon.Point(5, 5));
+        assert.deepEqual(annotation.toJSON().points[0], {x: 15, y: 25}, 'translate');
+
+        var copy = annotation.clone();
+        assert.equal(copy.id, annotation.id, 'clone keeps the id');
+        assert.deepEqual(copy.toJSON(), annotation.toJSON(), 'clone keeps the shape and data');
+        assert.notEqual(copy.points[0], annotation.points[0], 'clone copies the points');
+    });
+
+    // ----------
+    QUnit.test('add, select and remove annotations', function(assert) {
+        var done = assert.async();
+        var layer = viewer.annotations;
+        var events = [];
+
+        assert.ok(layer instanceof OpenSeadragon.AnnotationLayer, 'the annotations option creates a layer');
+        ['annotation-add', 'annotation-select', 'annotation-remove', 'annotation-change'].forEach(function(name) {
+            layer.addHandler(name, function() {
+                events.push(name);
+            });
+        });
+
+        viewer.addHandler('open', function() {
+            var rect = layer.addAnnotation({
+                id: 'a',
+                type: 'rect',
+                points: [{x: 100, y: 100}, {x: 300, y: 200}]
+            });
+            assert.ok(rect instanceof OpenSeadragon.Annotation, 'addAnnotation creates an Annotation');
+            assert.equal(layer.getAnnotation('a'), rect, 'getAnnotation by id');
+
+            var shape = layer.element.querySelector('[data-annotation-id="a"]');
+            assert.equal(shape.tagName.toLowerCase(), 'rect', 'a rect is drawn');
+            assert.equal(shape.getAttribute('width'), '200', 'in image coordinates');
+
+            var topLeft = viewer.world.getItemAt(0).imageToViewerElementCoordinates(new OpenSeadragon.Point(100, 100));
+            var box = shape.getBoundingClientRect();
+            var element = viewer.element.getBoundingClientRect();
+            assert.ok(Math.abs(box.left - element.left - topLeft.x) < 2, 'the shape is on the image');
+
+            layer.setTool('select');
+            layer.select('a');
+            assert.equal(layer.getSelected(), rect, 'select');
+            assert.equal(layer.element.querySelectorAll('.openseadragon-annotation-handle').length, 4,
+                'the selected rect has four handles');
+
+            rect.points[1] = new OpenSeadragon.Point(400, 200);
+            layer.updateAnnotation(rect);
+            assert.equal(shape.getAttribute('width'), '300', 'updateAnnotation redraws');
+
+            layer.removeAnnotation('a');
+            assert.equal(layer.getAnnotations().length, 0, 'removeAnnotation');
+            assert.equal(layer.getSelected(), null, 'removing the selected annotation clears the selection');
+            assert.deepEqual(events, ['annotation-add', 'annotation-select', 'annotation-change',
+                'annotation-select', 'annotation-remove'], 'events');
+            done();
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('drawing and editing tools', function(assert) {
+        var done = assert.async();
+        var layer = viewer.annotations;
+        var tracker = layer.tracker;
+
+        var pixel = function(x, y) {
+            return layer._toPixel(new OpenSeadragon.Point(x, y));
+        };
+        var assertPoints = function(annotation, expected, message) {
+            annotation.points.forEach(function(point, i) {
+                Util.assertPointsEquals(assert, point, expected[i], 0.5, message);
+            });
+        };
+
+        viewer.addHandler('open', function() {
+            var changes = [];
+            layer.addHandler('annotation-change', function(event) {
+                changes.push(event.action);
+            });
+
+            layer.setTool('ellipse');
+            assert.equal(layer.element.style.pointerEvents, 'auto', 'drawing tools take the pointer events');
+            tracker.pressHandler({position: pixel(100, 100)});
+            tracker.dragHandler({position: pixel(200, 150)});
+            tracker.releaseHandler({});
+            var ellipse = layer.getAnnotations()[0];
+            assert.equal(ellipse.type, 'ellipse', 'dragging draws an ellipse');
+            assertPoints(ellipse, [new OpenSeadragon.Point(100, 100), new OpenSeadragon.Point(200, 150)],
+                'the ellipse follows the drag');
+
+            layer.setTool('polyline');
+            [[10, 10], [500, 10], [500, 500]].forEach(function(point) {
+                tracker.clickHandler({position: pixel(point[0], point[1]), quick: true});
+            });
+            tracker.clickHandler({position: pixel(500, 500), quick: true});
+            tracker.dblClickHandler({});
+            var polyline = layer.getAnnotations()[1];
+            assert.equal(polyline.type, 'polyline', 'clicks draw a polyline');
+            assert.equal(polyline.points.length, 3, 'double-click finishes without a duplicate point');
+
+            layer.setTool('polygon');
+            tracker.clickHandler({position: pixel(0, 0), quick: true});
+            tracker.clickHandler({position: pixel(10, 0), quick: true});
+            viewer.raiseEvent('canvas-key', {originalEvent: {keyCode: 27}});
+            assert.equal(layer.getAnnotations().length, 2, 'escape cancels a shape');
+
+            layer.setTool('select');
+            assert.equal(layer.element.style.pointerEvents, 'none', 'the select tool lets the viewer pan');
+            tracker.pressHandler({
+                position: pixel(150, 125),
+                originalEvent: {target: layer.element.querySelector('[data-annotation-id="' + ellipse.id + '"]')}
+            });
+            assert.equal(layer.getSelected(), ellipse, 'pressing an annotation selects it');
+            tracker.dragHandler({position: pixel(160, 135)});
+            tracker.releaseHandler({});
+            assertPoints(ellipse, [new OpenSeadragon.Point(110, 110), new OpenSeadragon.Point(210, 160)],
+                'dragging moves it');
+
+            tracker.pressHandler({
+                position: pixel(210, 160),
+                originalEvent: {target: layer.element.querySelectorAll('.openseadragon-annotation-handle')[2]}
+            });
+            tracker.dragHandler({position: pixel(310, 260)});
+            tracker.releaseHandler({});
+            Util.assertRectangleEquals(assert, ellipse.getBounds(),
+                new OpenSeadragon.Rect(110, 110, 200, 150), 0.5, 'dragging a corner resizes it');
+
+            layer.select(polyline);
+            tracker.pressHandler({
+                position: pixel(500, 10),
+                originalEvent: {target: layer.element.querySelectorAll('.openseadragon-annotation-handle')[1]}
+            });
+            tracker.dragHandler({position: pixel(400, 20)});
+            tracker.releaseHandler({});
+            Util.assertPointsEquals(assert, polyline.points[1], new OpenSeadragon.Point(400, 20), 0.5,
+                'dragging a vertex moves it');
+            assert.deepEqual(changes, ['move', 'resize', 'vertex'], 'annotation-change actions');
+
+            viewer.raiseEvent('canvas-key', {originalEvent: {keyCode: 46}});
+            assert.equal(layer.getAnnotation(polyline.id), null, 'delete removes the selected annotation');
+            done();
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('destroy', function(assert) {
+        var layer = viewer.annotations;
+        var element = layer.element;
+        assert.equal(element.parentNode, viewer.canvas, 'the layer is in the viewer');
+        viewer.destroy();
+        assert.equal(element.parentNode, null, 'destroying the viewer removes the layer');
+        assert.equal(viewer.annotations, null, 'and unsets it');
+        viewer = null;
+    });
+
+})();
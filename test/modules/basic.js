@@ -67,6 +67,19 @@
         viewer.open('/test/data/not-a-real-file');
     });
 
+    QUnit.test('Open Error Handling for unknown formats', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open-failed', function(event) {
+            assert.equal(event.message, 'Unable to load TileSource', 'message');
+            assert.ok(event.triedTypes.indexOf('dzi') !== -1 && event.triedTypes.indexOf('iiif') !== -1,
+                'open-failed lists the types that were tried');
+            done();
+        });
+
+        viewer.open({ type: 'not-a-real-format' });
+    });
+
     QUnit.test('Zoom', function(assert) {
         var done = assert.async();
         viewer.addHandler("open", function () {
@@ -8,6 +8,8 @@
             $('<div id="example"></div>').appendTo("#qunit-fixture");
 
             testLog.reset();
+            // Headless browsers only have software rendered WebGL.
+            OpenSeadragon.WebGLDrawer.failIfMajorPerformanceCaveat = false;
         },
         afterEach: function () {
             if (viewer && viewer.close) {
@@ -15,6 +17,7 @@
             }
 
             viewer = null;
+            OpenSeadragon.WebGLDrawer.failIfMajorPerformanceCaveat = true;
         }
     });
 
@@ -109,6 +112,264 @@
         }
     });
 
+    // ----------
+    QUnit.test('drawerType', function(assert) {
+        createViewer();
+        assert.ok(viewer.drawer instanceof OpenSeadragon.Drawer, 'canvas drawer by default');
+        assert.notOk(viewer.drawer.drawTiledImage, 'canvas drawer draws tile by tile');
+        viewer.destroy();
+
+        createViewer({
+            drawerType: ['webgl', 'canvas']
+        });
+        if (OpenSeadragon.WebGLDrawer.isSupported()) {
+            assert.ok(viewer.drawer instanceof OpenSeadragon.WebGLDrawer, 'WebGL drawer when supported');
+            assert.ok(viewer.drawer.canRotate(), 'WebGL drawer can rotate');
+        } else {
+            assert.notOk(viewer.drawer instanceof OpenSeadragon.WebGLDrawer, 'canvas drawer without WebGL');
+            assert.equal(viewer.drawer.constructor, OpenSeadragon.Drawer, 'falls back to the canvas drawer');
+        }
+        viewer.destroy();
+
+        var created = 0;
+        var CustomDrawer = function(options) {
+            created++;
+            OpenSeadragon.Drawer.call(this, options);
+        };
+        CustomDrawer.prototype = Object.create(OpenSeadragon.Drawer.prototype);
+        CustomDrawer.isSupported = function() {
+            return false;
+        };
+        createViewer({
+            drawerType: [CustomDrawer, 'canvas']
+        });
+        assert.equal(created, 0, 'unsupported drawers are skipped');
+        assert.equal(viewer.drawer.constructor, OpenSeadragon.Drawer, 'next drawer is used');
+        viewer.destroy();
+
+        CustomDrawer.isSupported = function() {
+            return true;
+        };
+        OpenSeadragon.Drawer.types.custom = CustomDrawer;
+        createViewer({
+            drawerType: 'custom'
+        });
+        delete OpenSeadragon.Drawer.types.custom;
+        assert.equal(created, 1, 'registered drawer is created by name');
+        assert.ok(viewer.drawer instanceof CustomDrawer, 'registered drawer is used');
+        viewer.destroy();
+
+        var FailingDrawer = function() {
+            throw new Error('no context');
+        };
+        createViewer({
+            drawerType: FailingDrawer
+        });
+        assert.equal(viewer.drawer.constructor, OpenSeadragon.Drawer, 'falls back when a drawer fails to initialize');
+    });
+
+    // ----------
+    QUnit.test('WebGLDrawer draws tiles', function(assert) {
+        if (!OpenSeadragon.WebGLDrawer.isSupported()) {
+            assert.expect(0);
+            return;
+        }
+        var done = assert.async();
+        createViewer({
+            tileSources: '/test/data/testpattern.dzi',
+            drawerType: 'webgl'
+        });
+        viewer.addHandler('open', function() {
+            viewer.viewport.setRotation(30, true);
+            viewer.viewport.setFlip(true);
+        });
+        viewer.addHandler('tile-drawn', function handler(event) {
+            viewer.removeHandler('tile-drawn', handler);
+            assert.ok(event.tile.beingDrawn, 'tile marked as drawn');
+            done();
+        });
+    });
+
+    // ----------
+    // Reads the pixels of a drawer's canvas, whether 2D or WebGL.
+    var readPixels = function(drawer) {
+        var canvas = document.createElement('canvas');
+        canvas.width = drawer.canvas.width;
+        canvas.height = drawer.canvas.height;
+        var context = canvas.getContext('2d');
+        context.drawImage(drawer.canvas, 0, 0);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    };
+
+    // Counts the pixels of an image that differ from the pixels around the
+    // same position in another one, so that edges antialiased differently
+    // don't count.
+    var countMismatches = function(image, other, tolerance) {
+        var mismatches = 0;
+        var width = image.width;
+        var height = image.height;
+        var matches = function(i, x, y) {
+            if (x < 0 || y < 0 || x >= width || y >= height) {
+                return false;
+            }
+            var j = (y * width + x) * 4;
+            for (var c = 0; c < 4; c++) {
+                if (Math.abs(image.data[i + c] - other.data[j + c]) > tolerance) {
+                    return false;
+                }
+            }
+            return true;
+        };
+        for (var y = 0; y < height; y++) {
+            for (var x = 0; x < width; x++) {
+                var i = (y * width + x) * 4;
+                var matched = false;
+                for (var dy = -1; dy <= 1 && !matched; dy++) {
+                    for (var dx = -1; dx <= 1 && !matched; dx++) {
+                        matched = matches(i, x + dx, y + dy);
+                    }
+                }
+                if (!matched) {
+                    mismatches++;
+                }
+            }
+        }
+        return mismatches;
+    };
+
+    // ----------
+    QUnit.test('WebGLDrawer draws like the canvas drawer', function(assert) {
+        if (!OpenSeadragon.WebGLDrawer.isSupported()) {
+            assert.expect(0);
+            return;
+        }
+        var done = assert.async();
+        var viewers = ['canvas', 'webgl'].map(function(drawerType) {
+            $('<div id="' + drawerType + '-viewer"></div>')
+                .css({ width: '300px', height: '300px' })
+                .appendTo('#qunit-fixture');
+            // eslint-disable-next-line new-cap
+            return OpenSeadragon({
+                id: drawerType + '-viewer',
+                prefixUrl: '/build/openseadragon/images/',
+                drawerType: drawerType,
+                degrees: 30,
+                flipped: true,
+                tileSources: [{
+                    tileSource: '/test/data/testpattern.dzi',
+                    clip: new OpenSeadragon.Rect(100, 150, 700, 600)
+                }, {
+                    tileSource: '/test/data/testpattern.dzi',
+                    x: 0.25,
+                    y: 0.25,
+                    width: 0.5,
+                    opacity: 0.5,
+                    compositeOperation: 'multiply'
+                }]
+            });
+        });
+        assert.ok(viewers[1].drawer instanceof OpenSeadragon.WebGLDrawer, 'WebGL drawer is used');
+
+        var drawn = [false, false];
+        var compare = function() {
+            var expected = readPixels(viewers[0].drawer);
+            var actual = readPixels(viewers[1].drawer);
+            assert.equal(actual.width, expected.width, 'same width');
+            assert.equal(actual.height, expected.height, 'same height');
+
+            var painted = 0;
+            for (var i = 3; i < expected.data.length; i += 4) {
+                if (expected.data[i]) {
+                    painted++;
+                }
+            }
+            var total = expected.width * expected.height;
+            assert.ok(painted > total / 10, 'images are drawn');
+            assert.ok(countMismatches(actual, expected, 24) < total / 200,
+                'WebGL output matches the canvas drawer');
+            assert.ok(countMismatches(expected, actual, 24) < total / 200,
+                'canvas drawer output matches the WebGL drawer');
+
+            viewers.forEach(function(item) {
+                item.destroy();
+            });
+            done();
+        };
+
+        viewers.forEach(function(item, index) {
+            item.addHandler('update-viewport', function handler() {
+                var loaded = item.world.getItemCount() === 2 && !item.world.needsDraw();
+                for (var i = 0; loaded && i < 2; i++) {
+                    loaded = item.world.getItemAt(i).getFullyLoaded();
+                }
+                if (loaded) {
+                    item.removeHandler('update-viewport', handler);
+                    drawn[index] = true;
+                    if (drawn[0] && drawn[1]) {
+                        compare();
+                    }
+                }
+            });
+        });
+    });
+
+    // ----------
+    QUnit.test('WebGLDrawer shares textures between tiles', function(assert) {
+        if (!OpenSeadragon.WebGLDrawer.isSupported()) {
+            assert.expect(0);
+            return;
+        }
+        createViewer({
+            drawerType: 'webgl'
+        });
+        var drawer = viewer.drawer;
+        var gl = drawer._gl;
+        var createCanvas = function() {
+            var canvas = document.createElement('canvas');
+            canvas.width = 4;
+            canvas.height = 4;
+            return canvas;
+        };
+        var canvas = createCanvas();
+        var first = new OpenSeadragon.Tile(0, 0, 0, new OpenSeadragon.Rect(0, 0, 1, 1), true, 'a.png');
+        var second = new OpenSeadragon.Tile(0, 0, 0, new OpenSeadragon.Rect(0, 0, 1, 1), true, 'a.png');
+
+        var texture = drawer._getTexture(first, canvas);
+        assert.ok(gl.isTexture(texture), 'texture is created');
+        assert.equal(drawer._getTexture(second, canvas), texture, 'tiles drawn from the same canvas share a texture');
+
+        viewer.raiseEvent('tile-unloaded', { tile: first });
+        assert.ok(gl.isTexture(texture), 'texture is kept while another tile is drawn with it');
+
+        var filtered = drawer._getTexture(second, createCanvas());
+        assert.notEqual(filtered, texture, 'a tile drawn from another canvas gets another texture');
+        assert.notOk(gl.isTexture(texture), 'texture is deleted once no tile is drawn with it');
+
+        viewer.raiseEvent('tile-unloaded', { tile: second });
+        assert.notOk(gl.isTexture(filtered), 'texture of an unloaded tile is deleted');
+    });
+
+    // ----------
+    QUnit.test('WebGLDrawer without WebGL', function(assert) {
+        var getContext = HTMLCanvasElement.prototype.getContext;
+        HTMLCanvasElement.prototype.getContext = function(type) {
+            return type === '2d' ? getContext.apply(this, arguments) : null;
+        };
+        try {
+            assert.throws(function() {
+                createViewer();
+                // eslint-disable-next-line no-new
+                new OpenSeadragon.WebGLDrawer({
+                    viewer: viewer,
+                    viewport: viewer.viewport,
+                    element: viewer.canvas
+                });
+            }, 'throws when no WebGL context can be created');
+        } finally {
+            HTMLCanvasElement.prototype.getContext = getContext;
+        }
+    });
+
     // ----------
     QUnit.test('deprecations', function(assert) {
         var done = assert.async();
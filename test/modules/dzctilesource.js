@@ -0,0 +1,104 @@
+/* global QUnit, testLog */
+
+(function() {
+
+    QUnit.module('DzcTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    var dzcXml =
+        '<?xml version="1.0" encoding="utf-8"?>' +
+        '<Collection MaxLevel="7" TileSize="256" Format="jpg" NextItemId="3" ' +
+            'xmlns="http://schemas.microsoft.com/deepzoom/2008">' +
+            '<Items>' +
+                '<I Id="0" N="0" Source="images/a.dzi">' +
+                    '<Size Width="1000" Height="500" />' +
+                '</I>' +
+                '<I Id="1" N="1" Source="images/b.dzi">' +
+                    '<Size Width="500" Height="1000" />' +
+                    '<Viewport Width="4" X="-2" Y="-1" />' +
+                '</I>' +
+                '<I Id="2" N="6" Source="http://example.com/c.dzi">' +
+                    '<Size Width="100" Height="100" />' +
+                '</I>' +
+            '</Items>' +
+        '</Collection>';
+
+    function createCollection(url) {
+        var xml = OpenSeadragon.parseXml(dzcXml);
+        var source = new OpenSeadragon.DzcTileSource();
+        var options = source.configure(xml, url);
+        return new OpenSeadragon.DzcTileSource(options);
+    }
+
+    QUnit.test('supports', function(assert) {
+        var source = new OpenSeadragon.DzcTileSource();
+        assert.ok(source.supports(OpenSeadragon.parseXml(dzcXml)), 'DZC XML should be supported');
+        assert.ok(source.supports({Collection: {xmlns: 'http://schemas.microsoft.com/deepzoom/2009'}}),
+            'DZC object should be supported');
+        assert.notOk(source.supports({Image: {xmlns: 'http://schemas.microsoft.com/deepzoom/2008'}}),
+            'DZI object should not be supported');
+        assert.notOk(new OpenSeadragon.DziTileSource().supports(OpenSeadragon.parseXml(dzcXml)),
+            'DziTileSource should not claim collections');
+    });
+
+    QUnit.test('configure', function(assert) {
+        var collection = createCollection('/path/my.dzc?a=1');
+
+        assert.equal(collection.tilesUrl, '/path/my_files/', 'tilesUrl should be guessed from the dzc url');
+        assert.equal(collection.maxLevel, 7, 'maxLevel should come from MaxLevel');
+        assert.equal(collection.getTileWidth(7), 256, 'tile size should come from TileSize');
+        assert.equal(collection.getTileUrl(7, 1, 0), '/path/my_files/7/1_0.jpg?a=1', 'tile url');
+
+        assert.equal(collection.items.length, 3, 'all items should be read');
+        assert.equal(collection.items[0].source, '/path/images/a.dzi', 'relative sources resolve against the dzc');
+        assert.equal(collection.items[2].source, 'http://example.com/c.dzi', 'absolute sources are kept');
+        assert.equal(collection.items[2].n, 6, 'N should be read');
+
+        assert.ok(collection.items[0].bounds.equals(new OpenSeadragon.Rect(0, 0, 1, 0.5)),
+            'an item without a viewport fills the collection width');
+        assert.ok(collection.items[1].bounds.equals(new OpenSeadragon.Rect(0.5, 0.25, 0.25, 0.5)),
+            'an item viewport should be converted to bounds');
+    });
+
+    QUnit.test('getItemThumbnail', function(assert) {
+        var collection = createCollection('/path/my.dzc');
+
+        var thumbnail = collection.getItemThumbnail(6, 7);
+        assert.equal(thumbnail.x, 1, 'Morton order: item 6 is in column 2, in the second tile at level 7');
+        assert.equal(thumbnail.y, 0, 'Morton order: item 6 is in row 1, in the first tile row at level 7');
+        assert.ok(thumbnail.offset.equals(new OpenSeadragon.Point(0, 128)), 'offset of item 6 at level 7');
+
+        thumbnail = collection.getItemThumbnail(6, 6);
+        assert.ok(thumbnail.offset.equals(new OpenSeadragon.Point(128, 64)), 'offset of item 6 at level 6');
+
+        assert.equal(collection.getItemThumbnail(6, 8), null, 'levels above maxLevel have no thumbnail');
+    });
+
+    QUnit.test('DziTileSource in a collection', function(assert) {
+        var collection = createCollection('/path/my.dzc');
+        var source = new OpenSeadragon.DziTileSource({
+            width: 100,
+            height: 100,
+            tileSize: 254,
+            tileOverlap: 1,
+            tilesUrl: '/path/c_files/',
+            fileFormat: 'jpg'
+        });
+
+        source.setCollection(collection, 6);
+        assert.equal(source.getTileUrl(7, 0, 0), '/path/my_files/7/1_0.jpg',
+            'low levels should use the collection tiles');
+        assert.ok(source.getTileBounds(6, 0, 0, true).equals(new OpenSeadragon.Rect(128, 64, 50, 50)),
+            'source bounds should be offset to the thumbnail');
+        assert.ok(source.getTileBounds(6, 0, 0).equals(new OpenSeadragon.Rect(0, 0, 1, 1)),
+            'viewport tile bounds are unchanged');
+
+        source.setCollection(null);
+        assert.equal(source.getTileUrl(6, 0, 0), '/path/c_files/6/0_0.jpg',
+            'without a collection the image pyramid is used');
+    });
+
+}());
@@ -47,4 +47,28 @@
                 'filename in querystring does not have to contain slash');
     });
 
+    QUnit.test('getDisplayRects', function(assert) {
+        var image = {
+            xmlns: 'http://schemas.microsoft.com/deepzoom/2008',
+            Url: '/test/data/testpattern_files/',
+            Format: 'jpg',
+            Overlap: '1',
+            TileSize: '254',
+            Size: { Width: '1000', Height: '1000' }
+        };
+        var source = new OpenSeadragon.DziTileSource(OpenSeadragon.DziTileSource.prototype.configure({ Image: image }));
+        assert.equal(source.getDisplayRects(), null, 'not sparse');
+
+        image.DisplayRect = [
+            { Rect: { X: 0, Y: 0, Width: 500, Height: 250, MinLevel: 0, MaxLevel: 10 } },
+            { Rect: { X: 600, Y: 600, Width: 100, Height: 100, MinLevel: 8, MaxLevel: 10 } }
+        ];
+        source = new OpenSeadragon.DziTileSource(OpenSeadragon.DziTileSource.prototype.configure({ Image: image }));
+        assert.equal(source.getDisplayRects().length, 2, 'all rects');
+        assert.equal(source.getDisplayRects(7).length, 1, 'rects with content at level 7');
+        assert.equal(source.getDisplayRects(8).length, 2, 'rects with content at level 8');
+        assert.ok(source.tileExists(10, 0, 0), 'tile in a rect exists');
+        assert.notOk(source.tileExists(10, 3, 0), 'tile out of the rects does not exist');
+    });
+
 }());
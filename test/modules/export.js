@@ -0,0 +1,197 @@
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('Export', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+
+            // eslint-disable-next-line new-cap
+            viewer = OpenSeadragon({
+                id: 'example',
+                prefixUrl: '/build/openseadragon/images/',
+                springStiffness: 100 // Faster animation = faster tests
+            });
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+
+            viewer = null;
+        }
+    });
+
+    // ----------
+    // Decodes an exported blob and returns a 2D context holding its pixels.
+    var readBlob = function(blob) {
+        return new Promise(function(resolve, reject) {
+            var image = new Image();
+            var url = URL.createObjectURL(blob);
+            image.onload = function() {
+                URL.revokeObjectURL(url);
+                var canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                var context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0);
+                resolve(context);
+            };
+            image.onerror = reject;
+            image.src = url;
+        });
+    };
+
+    var getPixel = function(context, x, y) {
+        return Array.prototype.slice.call(context.getImageData(x, y, 1, 1).data);
+    };
+
+    // ----------
+    QUnit.test('exportRegion defaults to the current view', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open', function() {
+            var size = viewer.viewport.getContainerSize();
+            viewer.exportRegion().then(function(blob) {
+                assert.equal(blob.type, 'image/png', 'exports a PNG by default');
+                return readBlob(blob);
+            }).then(function(context) {
+                assert.equal(context.canvas.width, Math.round(size.x * OpenSeadragon.pixelDensityRatio),
+                    'width matches the viewer');
+                assert.equal(context.canvas.height, Math.round(size.y * OpenSeadragon.pixelDensityRatio),
+                    'height matches the viewer');
+                done();
+            }, function(error) {
+                assert.ok(false, 'export failed: ' + error);
+                done();
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('exportRegion with bounds and size', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open', function() {
+            var bounds = new OpenSeadragon.Rect(0, 0, 1, 0.5);
+            viewer.exportRegion({
+                bounds: bounds,
+                width: 200,
+                format: 'jpg',
+                quality: 0.9
+            }).then(function(blob) {
+                assert.equal(blob.type, 'image/jpeg', 'exports a JPEG');
+                return readBlob(blob);
+            }).then(function(context) {
+                assert.equal(context.canvas.width, 200, 'width is set');
+                assert.equal(context.canvas.height, 100, 'height follows the bounds');
+                done();
+            }, function(error) {
+                assert.ok(false, 'export failed: ' + error);
+                done();
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('exportRegion applies item settings', function(assert) {
+        var done = assert.async();
+        var bounds = new OpenSeadragon.Rect(0, 0, 1, 1);
+        var original;
+
+        viewer.addHandler('open', function() {
+            var image = viewer.world.getItemAt(0);
+            viewer.exportRegion({ bounds: bounds, width: 64 }).then(readBlob).then(function(context) {
+                original = getPixel(context, 32, 32);
+                assert.equal(original[3], 255, 'the image is opaque');
+
+                image.setFilters([OpenSeadragon.Filters.invert()]);
+                return viewer.exportRegion({ bounds: bounds, width: 64 }).then(readBlob);
+            }).then(function(context) {
+                var inverted = getPixel(context, 32, 32);
+                assert.deepEqual(inverted.slice(0, 3), original.slice(0, 3).map(function(value) {
+                    return 255 - value;
+                }), 'filters are applied');
+
+                image.setOpacity(0);
+                return viewer.exportRegion({ bounds: bounds, width: 64 }).then(readBlob);
+            }).then(function(context) {
+                assert.equal(getPixel(context, 32, 32)[3], 0, 'hidden items are left out');
+
+                image.setOpacity(1);
+                image.setClip(new OpenSeadragon.Rect(0, 0, 10, 10));
+                return viewer.exportRegion({ bounds: bounds, width: 64 }).then(readBlob);
+            }).then(function(context) {
+                assert.equal(getPixel(context, 32, 32)[3], 0, 'the clip is applied');
+                done();
+            }, function(error) {
+                assert.ok(false, 'export failed: ' + error);
+                done();
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('exportRegion survives redraws with a limited image loader', function(assert) {
+        var done = assert.async();
+        viewer.close();
+        // eslint-disable-next-line new-cap
+        viewer = OpenSeadragon({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            imageLoaderLimit: 1
+        });
+
+        viewer.addHandler('open', function() {
+            var bounds = new OpenSeadragon.Rect(0, 0, 1, 1);
+            var redraws = window.setInterval(function() {
+                viewer.forceRedraw();
+            }, 10);
+            viewer.exportRegion({ bounds: bounds, width: 1000 }).then(readBlob).then(function(context) {
+                window.clearInterval(redraws);
+                assert.equal(context.canvas.width, 1000, 'the export completes');
+                assert.equal(getPixel(context, 500, 500)[3], 255, 'with the tiles drawn');
+                done();
+            }, function(error) {
+                window.clearInterval(redraws);
+                assert.ok(false, 'export failed: ' + error);
+                done();
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('exportRegion with invalid options', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open', function() {
+            var bounds = new OpenSeadragon.Rect(0, 0, 1, 1);
+            viewer.exportRegion({ bounds: bounds, format: 'gif' }).then(function() {
+                assert.ok(false, 'unknown formats should be rejected');
+            }, function() {
+                assert.ok(true, 'unknown formats are rejected');
+                return viewer.exportRegion({ bounds: new OpenSeadragon.Rect(0, 0, 0, 1) });
+            }).then(function() {
+                assert.ok(false, 'empty bounds should be rejected');
+                done();
+            }, function() {
+                assert.ok(true, 'empty bounds are rejected');
+                done();
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+})();
@@ -0,0 +1,229 @@
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('Filters', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+
+            // eslint-disable-next-line new-cap
+            viewer = OpenSeadragon({
+                id: 'example',
+                prefixUrl: '/build/openseadragon/images/',
+                springStiffness: 100 // Faster animation = faster tests
+            });
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+
+            viewer = null;
+        }
+    });
+
+    // ----------
+    // Runs a filter on a one pixel wide canvas per color and returns the
+    // resulting [r, g, b, a] values.
+    var runFilter = function(filter, colors) {
+        var canvas = document.createElement('canvas');
+        canvas.width = colors.length;
+        canvas.height = 1;
+        var context = canvas.getContext('2d');
+        var imageData = context.createImageData(colors.length, 1);
+        colors.forEach(function(color, i) {
+            imageData.data.set(color, i * 4);
+        });
+        context.putImageData(imageData, 0, 0);
+        filter(context);
+        var data = context.getImageData(0, 0, colors.length, 1).data;
+        return colors.map(function(color, i) {
+            return Array.prototype.slice.call(data, i * 4, i * 4 + 4);
+        });
+    };
+
+    // ----------
+    // Tiles are filtered at the end of the frames after a change; calls the
+    // callback on the first update once the tile is filtered with the
+    // current filters.
+    var afterFiltering = function(image, tile, callback) {
+        viewer.addHandler('update-viewport', function handler() {
+            if (tile._filtersVersion === image._filtersVersion) {
+                viewer.removeHandler('update-viewport', handler);
+                callback();
+            }
+        });
+    };
+
+    // ----------
+    QUnit.test('built-in filters', function(assert) {
+        var Filters = OpenSeadragon.Filters;
+        var colors = [[0, 100, 255, 255], [200, 50, 10, 255]];
+
+        assert.deepEqual(runFilter(Filters.brightness(20), colors),
+            [[20, 120, 255, 255], [220, 70, 30, 255]], 'brightness');
+        assert.deepEqual(runFilter(Filters.brightness(-60), colors),
+            [[0, 40, 195, 255], [140, 0, 0, 255]], 'negative brightness');
+        assert.deepEqual(runFilter(Filters.contrast(2), colors),
+            [[0, 72, 255, 255], [255, 0, 0, 255]], 'contrast');
+        assert.deepEqual(runFilter(Filters.contrast(1), colors), colors, 'contrast of 1');
+        assert.deepEqual(runFilter(Filters.gamma(1), colors), colors, 'gamma of 1');
+        assert.deepEqual(runFilter(Filters.gamma(2), [[64, 0, 255, 255]]),
+            [[128, 0, 255, 255]], 'gamma');
+        assert.deepEqual(runFilter(Filters.invert(), colors),
+            [[255, 155, 0, 255], [55, 205, 245, 255]], 'invert');
+        assert.deepEqual(runFilter(Filters.threshold(100), colors),
+            [[0, 0, 0, 255], [0, 0, 0, 255]], 'threshold');
+        assert.deepEqual(runFilter(Filters.threshold(80), colors),
+            [[255, 255, 255, 255], [255, 255, 255, 255]], 'lower threshold');
+        assert.deepEqual(runFilter(Filters.colormap([[0, 0, 255], [255, 0, 0]]),
+            [[0, 0, 0, 255], [255, 255, 255, 128], [51, 51, 51, 255]]),
+            [[0, 0, 255, 255], [255, 0, 0, 128], [51, 0, 204, 255]], 'colormap');
+        assert.deepEqual(runFilter(Filters.colormap([[0, 0, 0], [255, 0, 0], [255, 255, 0]]),
+            [[128, 128, 128, 255]]),
+            [[255, 1, 0, 255]], 'colormap with three colors');
+
+        assert.throws(function() {
+            Filters.gamma(0);
+        }, 'gamma must be positive');
+        assert.throws(function() {
+            Filters.brightness('bright');
+        }, 'brightness needs a number');
+        assert.throws(function() {
+            Filters.colormap([[0, 0, 0]]);
+        }, 'colormap needs two colors');
+    });
+
+    // ----------
+    QUnit.test('setFilters', function(assert) {
+        var done = assert.async();
+        var tilesLoaded = 0;
+
+        viewer.addHandler('tile-loaded', function() {
+            tilesLoaded++;
+        });
+
+        viewer.addHandler('open', function() {
+            var image = viewer.world.getItemAt(0);
+            assert.deepEqual(image.getFilters(), [], 'no filters by default');
+
+            image.addHandler('fully-loaded-change', function loadedHandler() {
+                image.removeHandler('fully-loaded-change', loadedHandler);
+                var loaded = tilesLoaded;
+                var tile = image.lastDrawn[0];
+                assert.equal(tile.filteredContext, null, 'unfiltered tiles have no filtered context');
+
+                var calls = 0;
+                var filter = function(context, filteredTile) {
+                    calls++;
+                    assert.notEqual(context, filteredTile.cacheImageRecord.getRenderedContext(),
+                        'filters get a copy of the cached image');
+                };
+
+                image.addHandler('filters-change', function changeHandler(event) {
+                    image.removeHandler('filters-change', changeHandler);
+                    assert.deepEqual(event.filters, [filter], 'filters-change event');
+                });
+                image.setFilters([filter]);
+                assert.deepEqual(image.getFilters(), [filter], 'getFilters');
+                assert.equal(calls, 0, 'tiles are not filtered right away');
+
+                afterFiltering(image, tile, function() {
+                    assert.ok(calls > 0, 'filter is applied');
+                    assert.ok(tile.filteredContext, 'filtered context is kept on the tile');
+                    assert.equal(tile.getCanvasContext(), tile.filteredContext, 'filtered context is drawn');
+                    assert.equal(tile.cacheImageRecord.getFiltered(image).context, tile.filteredContext,
+                        'filtered context is kept with the cached image');
+
+                    var invert = OpenSeadragon.Filters.invert();
+                    var original = tile.cacheImageRecord.getRenderedContext().getImageData(0, 0, 1, 1).data;
+                    var previous = tile.filteredContext;
+                    image.setFilters([invert]);
+                    assert.equal(tile.getCanvasContext(), previous, 'previous filters are drawn until the tile is filtered again');
+                    afterFiltering(image, tile, function() {
+                        var filtered = tile.getCanvasContext().getImageData(0, 0, 1, 1).data;
+                        assert.equal(filtered[0], 255 - original[0], 'changed filters are applied to the original image');
+
+                        image.setFilters([]);
+                        afterFiltering(image, tile, function() {
+                            assert.equal(tile.filteredContext, null, 'removing filters restores the original image');
+                            assert.equal(tile.cacheImageRecord.getFiltered(image), null,
+                                'filtered context is released from the cached image');
+                            assert.equal(tilesLoaded, loaded, 'tiles are not downloaded again');
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('filters are spread across frames', function(assert) {
+        var done = assert.async();
+        var scheduler = OpenSeadragon.renderScheduler;
+        var frameBudget = scheduler.frameBudget;
+
+        viewer.addHandler('open', function() {
+            var image = viewer.world.getItemAt(0);
+            image.addHandler('fully-loaded-change', function loadedHandler() {
+                image.removeHandler('fully-loaded-change', loadedHandler);
+                var tiles = image.lastDrawn.slice();
+                assert.ok(tiles.length > 1, 'several tiles are drawn');
+
+                var calls = 0;
+                var frames = 0;
+                // At least one deferred task runs per frame.
+                scheduler.frameBudget = 0;
+                image.setFilters([function() {
+                    calls++;
+                }]);
+
+                viewer.addHandler('update-viewport', function handler() {
+                    frames++;
+                    if (frames === 1) {
+                        assert.equal(calls, 0, 'tiles are filtered after the updates of the frame');
+                    } else if (frames === 2) {
+                        assert.ok(calls > 0 && calls < tiles.length, 'some tiles are filtered in the first frame');
+                    }
+                    var filtered = tiles.every(function(tile) {
+                        return tile._filtersVersion === image._filtersVersion;
+                    });
+                    if (filtered) {
+                        viewer.removeHandler('update-viewport', handler);
+                        scheduler.frameBudget = frameBudget;
+                        assert.ok(frames > 2, 'filtering takes several frames');
+                        done();
+                    }
+                });
+            });
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('filters option', function(assert) {
+        var done = assert.async();
+        var invert = OpenSeadragon.Filters.invert();
+
+        viewer.addTiledImage({
+            tileSource: '/test/data/testpattern.dzi',
+            filters: [invert],
+            success: function(event) {
+                assert.deepEqual(event.item.getFilters(), [invert], 'filters are set from the options');
+                viewer.addHandler('tile-drawn', function drawnHandler(drawnEvent) {
+                    viewer.removeHandler('tile-drawn', drawnHandler);
+                    assert.ok(drawnEvent.tile.filteredContext, 'tiles are filtered when first drawn');
+                    done();
+                });
+            }
+        });
+    });
+
+})();
@@ -173,6 +173,14 @@
         }, assert);
     });
     // ----------
+    QUnit.test('ImageTileSource srcset', function(assert) {
+        testOpen({
+            type: "image",
+            srcset: "/test/data/testpattern_files/7/0_0.jpg 125w, " +
+                "/test/data/testpattern_files/8/0_0.jpg 250w"
+        }, assert);
+    });
+    // ----------
     QUnit.test('Zoomify', function(assert) {
         testOpen({
             type: "zoomifytileservice",
@@ -183,6 +191,24 @@
            }, assert);
     });
 
+    // ----------
+    QUnit.test('ProceduralTileSource', function(assert) {
+        testOpen({
+            type: 'procedural',
+            width: 1000,
+            height: 1000,
+            drawTile: function(level, x, y, context) {
+                context.fillStyle = (x + y) % 2 ? '#000' : '#fff';
+                context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+            }
+        }, assert);
+    });
+
+    // ----------
+    QUnit.test('Zoomify ImageProperties.xml', function(assert) {
+        testOpenUrl('zoomify/ImageProperties.xml', assert);
+    });
+
 
     // ----------
     QUnit.test('Legacy Image Pyramid', function(assert) {
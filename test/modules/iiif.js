@@ -141,6 +141,33 @@
             "width": 2000,
             "height": 1000,
             "profile": "level1"
+        },
+        infoJson11level2 = {
+            "@context": "http://library.stanford.edu/iiif/image-api/1.1/context.json",
+            "@id": id,
+            "width": 2000,
+            "height": 1000,
+            "profile": "http://library.stanford.edu/iiif/image-api/1.1/compliance.html#level2"
+        },
+        infoJson2level2 = {
+            "@context": "http://iiif.io/api/image/2/context.json",
+            "@id": id,
+            "protocol": "http://iiif.io/api/image",
+            "width": 2000,
+            "height": 1000,
+            "profile": ["http://iiif.io/api/image/2/level2.json", {
+                "supports": ["mirroring"]
+            }]
+        },
+        infoJson3level1extra = {
+            "@context": "http://iiif.io/api/image/3/context.json",
+            "id": id,
+            "width": 2000,
+            "height": 1000,
+            "profile": "level1",
+            "extraQualities": ["bitonal"],
+            "extraFeatures": ["rotationBy90s"],
+            "extraFormats": ["webp"]
         };
 
     QUnit.module('IIIF');
@@ -248,4 +275,112 @@
         assert.equal(source3Level1.getTileUrl(8, 3, 1), "http://example.com/identifier/1536,512,464,488/464,488/0/default.jpg");
     });
 
+    QUnit.test('IIIFTileSource private function getServiceCapabilities reads profiles', function( assert ) {
+        var getServiceCapabilities = OpenSeadragon.IIIFTileSource.prototype.__testonly__.getServiceCapabilities;
+
+        var level2 = getServiceCapabilities(configure(infoJson2level2));
+        assert.ok(level2.qualities.indexOf('gray') !== -1, 'level 2 implies gray');
+        assert.ok(level2.features.indexOf('rotationBy90s') !== -1, 'level 2 implies rotationBy90s');
+        assert.ok(level2.features.indexOf('mirroring') !== -1, 'supports from the profile');
+
+        var level1 = getServiceCapabilities(configure(infoJson3level1extra));
+        assert.deepEqual(level1.qualities, ['default', 'bitonal'], 'extraQualities');
+        assert.ok(level1.features.indexOf('rotationBy90s') !== -1, 'extraFeatures');
+        assert.ok(level1.formats.indexOf('webp') !== -1, 'extraFormats');
+        assert.ok(level1.features.indexOf('mirroring') === -1, 'level 1 does not imply mirroring');
+    });
+
+    QUnit.test('IIIFTileSource.getTileUrl honors quality, rotation and mirroring', function( assert ) {
+        var gray = getSource(OpenSeadragon.extend({}, infoJson2level2, { quality: 'gray' }));
+        assert.equal(gray.getTileUrl(8, 0, 0), "http://example.com/identifier/0,0,512,512/512,/0/gray.jpg");
+
+        var grey = getSource(OpenSeadragon.extend({}, infoJson11level2, { quality: 'gray' }));
+        assert.equal(grey.getTileUrl(0, 0, 0), "http://example.com/identifier/full/8,/0/grey.jpg",
+            '1.x spells it grey');
+
+        var bitonal = getSource(OpenSeadragon.extend({}, infoJson3level1extra, { quality: 'bitonal', rotation: 180 }));
+        assert.equal(bitonal.getTileUrl(8, 0, 0), "http://example.com/identifier/1488,488,512,512/512,512/180/bitonal.jpg",
+            'tiles are mapped through the rotation');
+
+        var rotated = getSource(OpenSeadragon.extend({}, infoJson2level2, { rotation: 90 }));
+        assert.equal(rotated.width, 1000, 'rotated width');
+        assert.equal(rotated.height, 2000, 'rotated height');
+        assert.equal(rotated.getTileUrl(8, 0, 0), "http://example.com/identifier/0,488,512,512/512,/90/default.jpg");
+        assert.equal(rotated.getTileUrl(8, 1, 3), "http://example.com/identifier/1536,0,464,488/464,/90/default.jpg",
+            'the size is given before rotation');
+
+        var mirrored = getSource(OpenSeadragon.extend({}, infoJson2level2, { mirror: true, rotation: -90 }));
+        assert.equal(mirrored.getTileUrl(0, 0, 0), "http://example.com/identifier/full/8,/!270/default.jpg");
+        assert.equal(mirrored.getTileUrl(8, 0, 0), "http://example.com/identifier/0,0,512,512/512,/!270/default.jpg");
+    });
+
+    QUnit.test('IIIFTileSource.getTileUrl honors region', function( assert ) {
+        var source = getSource(OpenSeadragon.extend({}, infoJson2level2, {
+            region: { x: 100, y: 50, width: 1000, height: 500 }
+        }));
+        assert.equal(source.width, 1000, 'pyramid width is the region width');
+        assert.equal(source.height, 500, 'pyramid height is the region height');
+        assert.equal(source.getTileUrl(0, 0, 0), "http://example.com/identifier/100,50,1000,500/8,/0/default.jpg");
+        assert.equal(source.getTileUrl(7, 0, 0), "http://example.com/identifier/100,50,256,256/256,/0/default.jpg");
+        assert.equal(source.getTileUrl(7, 3, 1), "http://example.com/identifier/868,306,232,244/232,/0/default.jpg");
+
+        var clamped = getSource(OpenSeadragon.extend({}, infoJson2level2, {
+            region: new OpenSeadragon.Rect(1500, 500, 1000, 1000)
+        }));
+        assert.equal(clamped.width, 500, 'region is clamped to the image width');
+        assert.equal(clamped.height, 500, 'region is clamped to the image height');
+    });
+
+    QUnit.test('IIIFTileSource validates image requests against the profile', function( assert ) {
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson2level1, { quality: 'gray' }));
+        }, 'level 1 has no gray quality');
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson2level1, { rotation: 90 }));
+        }, 'level 1 has no rotation');
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson3level1extra, { mirror: true }));
+        }, 'mirroring must be advertised');
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson2level2, { rotation: 45 }));
+        }, function(e) {
+            return e.message === OpenSeadragon.getString('Errors.IIIFRotation');
+        }, 'tiles can only be rotated by multiples of 90');
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson3level0, { region: { x: 0, y: 0, width: 10, height: 10 } }));
+        }, 'level 0 has no regions');
+        assert.throws(function() {
+            getSource(OpenSeadragon.extend({}, infoJson2level2, { region: { x: 3000, y: 0, width: 10, height: 10 } }));
+        }, function(e) {
+            return e.message === OpenSeadragon.getString('Errors.IIIFRegion');
+        }, 'region outside of the image');
+    });
+
+    QUnit.test('IIIFTileSource.configure prefers advertised formats', function( assert ) {
+        var level1 = configure(OpenSeadragon.extend({}, infoJson2level1, { preferredFormats: ['png', 'jpg'] }));
+        assert.equal(level1.tileFormat, 'jpg', 'level 1 only advertises jpg');
+
+        var level2 = configure(OpenSeadragon.extend({}, infoJson2level2, { preferredFormats: ['png', 'jpg'] }));
+        assert.equal(level2.tileFormat, 'png', 'level 2 advertises png');
+
+        var unadvertised = configure(OpenSeadragon.extend({}, infoJson2level1, { preferredFormats: ['png'] }));
+        assert.equal(unadvertised.tileFormat, 'png', 'unadvertised formats are still used as a last resort');
+    });
+
+
+    QUnit.test('IIIFTileSource reads the physical dimensions service', function( assert ) {
+        var source = getSource(OpenSeadragon.extend({}, infoJson2level1, {
+            service: {
+                '@context': 'http://iiif.io/api/annex/services/physdim/1/context.json',
+                profile: 'http://iiif.io/api/annex/services/physdim',
+                physicalScale: 0.0025,
+                physicalUnits: 'mm'
+            }
+        }));
+        assert.equal(Math.round(source.pixelsPerMeter), 400000, 'pixels per meter from the service');
+
+        var unknown = getSource(infoJson2level1);
+        assert.equal(unknown.pixelsPerMeter, undefined, 'no service, no resolution');
+    });
+
 })();
@@ -0,0 +1,206 @@
+/* global QUnit, testLog */
+
+(function() {
+
+    QUnit.module('IIIFManifestTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    var manifest2 = {
+        "@context": "http://iiif.io/api/presentation/2/context.json",
+        "@id": "http://example.com/manifest",
+        "@type": "sc:Manifest",
+        "label": "Book",
+        "sequences": [{
+            "@type": "sc:Sequence",
+            "canvases": [{
+                "@id": "http://example.com/canvas/1",
+                "@type": "sc:Canvas",
+                "label": "p. 1",
+                "width": 1000,
+                "height": 2000,
+                "thumbnail": { "@id": "http://example.com/thumb/1.jpg" },
+                "images": [{
+                    "@type": "oa:Annotation",
+                    "motivation": "sc:painting",
+                    "resource": {
+                        "@id": "http://example.com/iiif/page1/full/full/0/default.jpg",
+                        "@type": "dctypes:Image",
+                        "service": {
+                            "@context": "http://iiif.io/api/image/2/context.json",
+                            "@id": "http://example.com/iiif/page1",
+                            "profile": "http://iiif.io/api/image/2/level1.json"
+                        }
+                    },
+                    "on": "http://example.com/canvas/1"
+                }, {
+                    "@type": "oa:Annotation",
+                    "motivation": "sc:painting",
+                    "resource": {
+                        "@type": "oa:Choice",
+                        "default": {
+                            "@id": "http://example.com/detail.jpg",
+                            "@type": "dctypes:Image"
+                        },
+                        "item": []
+                    },
+                    "on": "http://example.com/canvas/1#xywh=100,200,500,250"
+                }]
+            }, {
+                "@id": "http://example.com/canvas/2",
+                "@type": "sc:Canvas",
+                "label": [{ "@value": "p. 2", "@language": "en" }],
+                "width": 2000,
+                "height": 2000,
+                "images": [{
+                    "@type": "oa:Annotation",
+                    "motivation": "sc:painting",
+                    "resource": {
+                        "@id": "http://example.com/iiif/page2/full/full/0/default.jpg",
+                        "service": { "@id": "http://example.com/iiif/page2/" }
+                    },
+                    "on": {
+                        "@type": "oa:SpecificResource",
+                        "full": "http://example.com/canvas/2",
+                        "selector": { "@type": "oa:FragmentSelector", "value": "xywh=percent:50,0,50,100" }
+                    }
+                }]
+            }]
+        }]
+    };
+
+    var manifest3 = {
+        "@context": "http://iiif.io/api/presentation/3/context.json",
+        "id": "http://example.com/manifest3",
+        "type": "Manifest",
+        "label": { "en": [ "Map" ] },
+        "items": [{
+            "id": "http://example.com/canvas/a",
+            "type": "Canvas",
+            "label": { "none": [ "Sheet A" ] },
+            "width": 4000,
+            "height": 3000,
+            "thumbnail": [{ "id": "http://example.com/thumb/a.jpg", "type": "Image" }],
+            "items": [{
+                "type": "AnnotationPage",
+                "items": [{
+                    "type": "Annotation",
+                    "motivation": "painting",
+                    "body": {
+                        "id": "http://example.com/iiif/a/full/max/0/default.jpg",
+                        "type": "Image",
+                        "service": [{ "id": "http://example.com/iiif/a", "type": "ImageService3" }]
+                    },
+                    "target": "http://example.com/canvas/a#xywh=2000,0,2000,1500"
+                }, {
+                    "type": "Annotation",
+                    "motivation": "commenting",
+                    "body": { "type": "TextualBody", "value": "Not an image" },
+                    "target": "http://example.com/canvas/a"
+                }]
+            }]
+        }]
+    };
+
+    function getSource(data) {
+        var options = OpenSeadragon.IIIFManifestTileSource.prototype.configure.apply(
+            new OpenSeadragon.TileSource(), [ data, 'http://example.com/manifest' ]
+        );
+        return new OpenSeadragon.IIIFManifestTileSource(options);
+    }
+
+    function assertRect(assert, actual, expected, message) {
+        assert.ok(Math.abs(actual.x - expected.x) < 1e-9 &&
+            Math.abs(actual.y - expected.y) < 1e-9 &&
+            Math.abs(actual.width - expected.width) < 1e-9 &&
+            Math.abs(actual.height - expected.height) < 1e-9, message + ': ' + actual.toString());
+    }
+
+    QUnit.test('supports', function(assert) {
+        var supports = OpenSeadragon.IIIFManifestTileSource.prototype.supports;
+        assert.ok(supports(manifest2), 'Presentation 2 manifest');
+        assert.ok(supports(manifest3), 'Presentation 3 manifest');
+        assert.notOk(supports({
+            "@context": "http://iiif.io/api/presentation/3/context.json",
+            "type": "Collection"
+        }), 'Presentation 3 collection');
+        assert.notOk(supports({
+            "@context": "http://iiif.io/api/image/2/context.json",
+            "@id": "http://example.com/iiif/page1",
+            "protocol": "http://iiif.io/api/image",
+            "width": 100,
+            "height": 100
+        }), 'Image API info.json');
+        assert.notOk(OpenSeadragon.IIIFTileSource.prototype.supports(manifest2),
+            'IIIFTileSource should not claim manifests');
+    });
+
+    QUnit.test('Presentation 2 canvases', function(assert) {
+        var source = getSource(manifest2);
+        var canvases = source.canvases;
+
+        assert.equal(source.label, 'Book', 'manifest label');
+        assert.equal(canvases.length, 2, 'two canvases');
+        assert.equal(canvases[0].label, 'p. 1', 'string label');
+        assert.equal(canvases[1].label, 'p. 2', 'language label');
+        assert.equal(canvases[0].thumbnail, 'http://example.com/thumb/1.jpg', 'thumbnail');
+
+        assert.equal(canvases[0].images.length, 2, 'two images on the first canvas');
+        assert.equal(canvases[0].images[0].source, 'http://example.com/iiif/page1/info.json',
+            'image services are opened through info.json');
+        assertRect(assert, canvases[0].images[0].bounds, new OpenSeadragon.Rect(0, 0, 1, 2),
+            'untargeted image fills the canvas');
+        assert.deepEqual(canvases[0].images[1].source, { type: 'image', url: 'http://example.com/detail.jpg' },
+            'the default choice without a service is a simple image');
+        assertRect(assert, canvases[0].images[1].bounds, new OpenSeadragon.Rect(0.1, 0.2, 0.5, 0.25),
+            'xywh target');
+
+        assert.equal(canvases[1].images[0].source, 'http://example.com/iiif/page2/info.json',
+            'trailing slash of the service id');
+        assertRect(assert, canvases[1].images[0].bounds, new OpenSeadragon.Rect(0.5, 0, 0.5, 1),
+            'percent xywh selector');
+    });
+
+    QUnit.test('Presentation 3 canvases', function(assert) {
+        var source = getSource(manifest3);
+        var canvas = source.canvases[0];
+
+        assert.equal(source.label, 'Map', 'manifest label');
+        assert.equal(canvas.label, 'Sheet A', 'canvas label');
+        assert.equal(canvas.thumbnail, 'http://example.com/thumb/a.jpg', 'thumbnail');
+        assert.equal(canvas.images.length, 1, 'non-painting annotations are ignored');
+        assert.equal(canvas.images[0].source, 'http://example.com/iiif/a/info.json', 'image service');
+        assertRect(assert, canvas.images[0].bounds, new OpenSeadragon.Rect(0.5, 0, 0.5, 0.375), 'xywh target');
+    });
+
+    QUnit.test('layout and pages', function(assert) {
+        var source = getSource(manifest2);
+
+        assert.equal(source.items.length, 3, 'all images are laid out');
+        assertRect(assert, source.items[1].bounds, new OpenSeadragon.Rect(0.1, 0.2, 0.5, 0.25),
+            'images of the first canvas');
+        assertRect(assert, source.items[2].bounds, new OpenSeadragon.Rect(2.025, 0, 1, 2),
+            'the second canvas follows, scaled to the same height');
+
+        var pages = source.getPages();
+        assert.equal(pages.length, 2, 'one page per canvas');
+        assert.ok(pages[1] instanceof OpenSeadragon.IIIFManifestTileSource, 'pages are manifest tile sources');
+        assert.equal(pages[1].label, 'p. 2', 'page label');
+        assert.equal(pages[0].referenceStripThumbnailUrl, 'http://example.com/thumb/1.jpg', 'page thumbnail');
+        assert.equal(pages[1].items.length, 1, 'a page only holds its canvas images');
+        assertRect(assert, pages[1].items[0].bounds, new OpenSeadragon.Rect(0.5, 0, 0.5, 1), 'page layout');
+    });
+
+    QUnit.test('manifest without images', function(assert) {
+        assert.throws(function() {
+            getSource({
+                "@context": "http://iiif.io/api/presentation/3/context.json",
+                "type": "Manifest",
+                "items": []
+            });
+        }, 'a manifest without canvases can not be opened');
+    });
+
+}());
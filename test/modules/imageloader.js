@@ -85,4 +85,265 @@
         assert.equal(actual, expected, message);
     });
 
+    // ----------
+
+    function makeSource(responses) {
+        var source = {
+            starts: 0,
+            downloadTileStart: function(context) {
+                var response = responses[Math.min(source.starts, responses.length - 1)];
+                source.starts++;
+                setTimeout(function() {
+                    if (response.status === 200) {
+                        context.finish('data', null, null);
+                    } else {
+                        context.finish(null, {
+                            status: response.status,
+                            getResponseHeader: function(name) {
+                                return name === 'Retry-After' ? response.retryAfter || null : null;
+                            }
+                        }, 'HTTP ' + response.status);
+                    }
+                });
+            },
+            downloadTileAbort: function() {}
+        };
+        return source;
+    }
+
+    QUnit.test('Retry policy defaults and overrides', function(assert) {
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            tileRetryMax: 3,
+            tileRetryDelay: 100,
+            tileRetryPolicy: { jitter: 0 }
+        });
+        var policy = imageLoader.getRetryPolicy();
+
+        assert.equal(policy.maxRetries, 3, 'maxRetries defaults to tileRetryMax');
+        assert.equal(policy.delay, 100, 'delay defaults to tileRetryDelay');
+        assert.equal(policy.jitter, 0, 'tileRetryPolicy overrides the defaults');
+        assert.deepEqual(policy.retryStatuses, [408, 429, 500, 502, 503, 504], 'retryStatuses');
+
+        policy = imageLoader.getRetryPolicy({ retryPolicy: { maxRetries: 1, retryStatuses: [503] } });
+        assert.equal(policy.maxRetries, 1, 'the tile source overrides the loader');
+        assert.deepEqual(policy.retryStatuses, [503], 'arrays are replaced, not merged');
+        assert.equal(policy.jitter, 0, 'fields the tile source leaves out come from the loader');
+    });
+
+    QUnit.test('Retryable statuses are retried with backoff', function(assert) {
+        var done = assert.async();
+        var source = makeSource([{ status: 503 }, { status: 429 }, { status: 200 }]);
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            tileRetryPolicy: { maxRetries: 3, delay: 1, jitter: 0 }
+        });
+
+        imageLoader.addJob({
+            src: 'test',
+            source: source,
+            callback: function(data, errorMsg, request, status) {
+                assert.equal(data, 'data', 'the tile loads in the end');
+                assert.equal(source.starts, 3, 'failures are retried without being reported');
+                assert.equal(imageLoader.jobsInProgress, 0, 'no job left in progress');
+                done();
+            }
+        });
+    });
+
+    QUnit.test('Permanent failures are reported with their status', function(assert) {
+        var done = assert.async();
+        var source = makeSource([{ status: 404 }]);
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            tileRetryPolicy: { maxRetries: 3, delay: 1, jitter: 0 }
+        });
+
+        imageLoader.addJob({
+            src: 'test',
+            source: source,
+            callback: function(data, errorMsg, request, status) {
+                assert.notOk(data, 'no data');
+                assert.equal(status, 404, 'status');
+                assert.equal(source.starts, 1, 'a 404 is not retried');
+                done();
+            }
+        });
+    });
+
+    QUnit.test('Retries stop at maxRetries and honor Retry-After', function(assert) {
+        var done = assert.async();
+        var source = makeSource([{ status: 503, retryAfter: '0' }]);
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            // Without Retry-After, this test would time out.
+            tileRetryPolicy: { maxRetries: 2, delay: 60000 }
+        });
+
+        imageLoader.addJob({
+            src: 'test',
+            source: source,
+            callback: function(data, errorMsg, request, status) {
+                assert.equal(status, 503, 'status of the last try');
+                assert.equal(source.starts, 3, 'one try and 2 retries');
+                done();
+            }
+        });
+    });
+
+    QUnit.test('Retry-After is capped by maxDelay', function(assert) {
+        var done = assert.async();
+        var source = makeSource([{ status: 503, retryAfter: '3600' }]);
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            // Without the cap, this test would time out.
+            tileRetryPolicy: { maxRetries: 1, maxDelay: 1 }
+        });
+
+        imageLoader.addJob({
+            src: 'test',
+            source: source,
+            callback: function(data, errorMsg, request, status) {
+                assert.equal(status, 503, 'status of the last try');
+                assert.equal(source.starts, 2, 'retried after maxDelay');
+                done();
+            }
+        });
+    });
+
+    QUnit.test('Retried jobs are aborted once', function(assert) {
+        var done = assert.async();
+        var source = makeSource([{ status: 503 }]);
+        var sourceAborts = 0;
+        source.downloadTileAbort = function() {
+            sourceAborts++;
+        };
+        var aborts = 0;
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            // Retried once right away, then waiting for the next retry.
+            tileRetryPolicy: { maxRetries: 3, delay: 1, backoffFactor: 100000, jitter: 0 }
+        });
+
+        imageLoader.addJob({
+            src: 'test',
+            source: source,
+            callback: function() {
+                assert.ok(false, 'cleared jobs are not reported');
+            },
+            abort: function() {
+                aborts++;
+            }
+        });
+        setTimeout(function() {
+            assert.equal(source.starts, 2, 'the job was retried');
+            imageLoader.clear();
+            assert.equal(sourceAborts, 1, 'the tile source aborts the job once');
+            assert.equal(aborts, 1, 'its abort callback is called once');
+            done();
+        }, 200);
+    });
+
+    // ----------
+
+    QUnit.test('Queued jobs are prioritized', function(assert) {
+        var imageLoader = new OpenSeadragon.ImageLoader({ jobLimit: 1 });
+        var source = makeSource([{ status: 200 }]);
+
+        function add(name, tile) {
+            imageLoader.addJob({
+                src: name,
+                tile: tile,
+                source: source,
+                callback: function() {}
+            });
+        }
+
+        imageLoader.jobsInProgress = 1;
+        add('fine-far', { level: 10, visibility: 1, squaredDistance: 100 });
+        add('fine-near', { level: 10, visibility: 1, squaredDistance: 1 });
+        add('coarse', { level: 8, visibility: 1, squaredDistance: 100 });
+        add('fine-near-2', { level: 10, visibility: 1, squaredDistance: 1 });
+        add('export');
+
+        function order() {
+            return imageLoader.jobQueue.map(function(job) {
+                return job.src;
+            });
+        }
+        assert.deepEqual(order(), ['export', 'coarse', 'fine-near', 'fine-near-2', 'fine-far'],
+            'jobs without a tile, then coarse levels, then closer tiles, then first added');
+
+        imageLoader.jobQueue[4].tile.squaredDistance = 0;
+        imageLoader.prioritize();
+        assert.deepEqual(order(), ['export', 'coarse', 'fine-far', 'fine-near', 'fine-near-2'],
+            'prioritize reorders after the viewport moved');
+    });
+
+    QUnit.test('Queued jobs can be cancelled', function(assert) {
+        var imageLoader = new OpenSeadragon.ImageLoader({ jobLimit: 1 });
+        var aborted = [];
+        var source = {
+            downloadTileStart: function() {},
+            downloadTileAbort: function(job) {
+                aborted.push(job.src);
+            }
+        };
+        var tilesAborted = 0;
+
+        imageLoader.jobsInProgress = 1;
+        ['a', 'b', 'c'].forEach(function(name, index) {
+            imageLoader.addJob({
+                src: name,
+                tile: { level: index },
+                source: source,
+                abort: function() {
+                    tilesAborted++;
+                }
+            });
+        });
+
+        var cancelled = imageLoader.cancelJobs(function(job) {
+            return job.src !== 'b';
+        });
+        assert.equal(cancelled, 2, 'two jobs cancelled');
+        assert.deepEqual(aborted.sort(), ['a', 'c'], 'the tile source aborts them');
+        assert.equal(tilesAborted, 2, 'their abort callbacks are called');
+        assert.deepEqual(imageLoader.jobQueue.map(function(job) {
+            return job.src;
+        }), ['b'], 'the others stay queued');
+    });
+
+    QUnit.test('Pinned jobs survive clear and cancelJobs', function(assert) {
+        var imageLoader = new OpenSeadragon.ImageLoader({ jobLimit: 1 });
+        var source = {
+            downloadTileStart: function() {},
+            downloadTileAbort: function() {}
+        };
+        var aborted = 0;
+
+        imageLoader.jobsInProgress = 1;
+        ['a', 'pinned', 'b'].forEach(function(name) {
+            imageLoader.addJob({
+                src: name,
+                source: source,
+                pinned: name === 'pinned',
+                abort: function() {
+                    aborted++;
+                }
+            });
+        });
+
+        assert.equal(imageLoader.cancelJobs(function() {
+            return true;
+        }), 2, 'cancelJobs skips the pinned job');
+
+        imageLoader.addJob({
+            src: 'c',
+            source: source,
+            abort: function() {
+                aborted++;
+            }
+        });
+        imageLoader.clear();
+        assert.equal(aborted, 3, 'the other jobs are aborted once');
+        assert.deepEqual(imageLoader.jobQueue.map(function(job) {
+            return job.src;
+        }), ['pinned'], 'the pinned job stays queued');
+    });
+
 })();
@@ -0,0 +1,72 @@
+/* global QUnit, testLog */
+
+(function() {
+
+    QUnit.module('ImageTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    QUnit.test('srcset string', function(assert) {
+        var source = new OpenSeadragon.ImageTileSource({
+            srcset: 'large.jpg 2000w, small.jpg 500w, medium.jpg 1000w',
+            buildPyramid: true
+        });
+
+        assert.equal(source.url, 'large.jpg', 'url defaults to the widest copy');
+        assert.deepEqual(source.srcset.map(function(entry) {
+            return entry.width;
+        }), [500, 1000, 2000], 'entries are sorted by width');
+        assert.notOk(source.ready, 'waits for the smallest copy to get the aspect ratio');
+    });
+
+    QUnit.test('srcset with sizes', function(assert) {
+        var readyEvents = 0;
+        var source = new OpenSeadragon.ImageTileSource({
+            srcset: [
+                { url: 'medium.jpg', width: 1000, height: 500 },
+                { url: 'small.jpg', width: 500 },
+                { url: 'large.jpg', width: 2000, height: 1000 }
+            ],
+            success: function() {
+                readyEvents++;
+            }
+        });
+
+        assert.notOk(source.ready, 'a missing height needs the smallest copy');
+
+        source = new OpenSeadragon.ImageTileSource({
+            srcset: [
+                { url: 'medium.jpg', width: 1000, height: 500 },
+                { url: 'large.jpg', width: 2000, height: 1000 }
+            ],
+            success: function() {
+                readyEvents++;
+            }
+        });
+
+        assert.ok(source.ready, 'ready without downloading anything');
+        assert.equal(readyEvents, 1, 'ready raised');
+        assert.equal(source.width, 2000, 'width');
+        assert.equal(source.height, 1000, 'height');
+        assert.equal(source.minLevel, 0, 'minLevel');
+        assert.equal(source.maxLevel, 1, 'maxLevel');
+        assert.equal(source.getLevelScale(0), 0.5, 'level 0 scale');
+        assert.equal(source.getLevelScale(1), 1, 'level 1 scale');
+        assert.equal(source.getTileUrl(0, 0, 0), 'medium.jpg', 'level 0 url');
+        assert.equal(source.getTileUrl(1, 0, 0), 'large.jpg', 'level 1 url');
+        assert.deepEqual(source.getNumTiles(0), new OpenSeadragon.Point(1, 1), 'one tile per level');
+        assert.notOk(source.getContext2D(1, 0, 0), 'no canvas is built');
+    });
+
+    QUnit.test('srcset errors', function(assert) {
+        assert.throws(function() {
+            return new OpenSeadragon.ImageTileSource({ srcset: 'small.jpg 1x, large.jpg 2x' });
+        }, 'density descriptors are not supported');
+        assert.throws(function() {
+            return new OpenSeadragon.ImageTileSource({ srcset: [] });
+        }, 'empty srcset');
+    });
+
+})();
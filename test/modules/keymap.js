@@ -0,0 +1,144 @@
+/* eslint-disable new-cap */
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('Keymap', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+            testLog.reset();
+        },
+        afterEach: function() {
+            if (viewer && viewer.destroy) {
+                viewer.destroy();
+            }
+            viewer = null;
+        }
+    });
+
+    function createViewer(options) {
+        viewer = OpenSeadragon(OpenSeadragon.extend({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            springStiffness: 100
+        }, options));
+        return viewer;
+    }
+
+    // Presses a key on the canvas, returns whether the default action was prevented.
+    function press(key, code, modifiers) {
+        modifiers = modifiers || {};
+        var event = {
+            keyCode: modifiers.keyCode,
+            shift: !!modifiers.shift,
+            ctrl: !!modifiers.ctrl,
+            alt: !!modifiers.alt,
+            meta: !!modifiers.meta,
+            originalEvent: { key: key, code: code },
+            preventDefault: false
+        };
+        viewer.innerTracker.keyDownHandler(event);
+        return event.preventDefault;
+    }
+
+    QUnit.test('Default bindings', function(assert) {
+        createViewer();
+        var viewport = viewer.viewport;
+        var zoom = viewport.getZoom();
+
+        assert.ok(press('+', 'Equal', { shift: true }), 'a bound key prevents the default');
+        assert.ok(viewport.getZoom() > zoom, '+ zooms in, even though it needs Shift');
+
+        zoom = viewport.getZoom();
+        press('-', 'Minus');
+        assert.ok(viewport.getZoom() < zoom, '- zooms out');
+
+        var center = viewport.getCenter();
+        press('ц', 'KeyW');
+        assert.ok(viewport.getCenter().y < center.y, 'KeyW pans up whatever the layout');
+
+        press('R', 'KeyR', { shift: true });
+        assert.equal(viewport.getRotation(), -90, 'Shift+r rotates counterclockwise');
+        press('r', 'KeyR');
+        assert.equal(viewport.getRotation(), 0, 'r rotates clockwise');
+
+        assert.notOk(press('q', 'KeyQ'), 'unbound keys keep their default');
+        assert.notOk(press('+', 'Equal', { ctrl: true }), 'modifiers must match');
+    });
+
+    QUnit.test('keyCode fallback', function(assert) {
+        createViewer();
+        press(undefined, undefined, { keyCode: 82 });
+        assert.equal(viewer.viewport.getRotation(), 90, 'r found from its keyCode');
+    });
+
+    QUnit.test('matches', function(assert) {
+        var matches = OpenSeadragon.Keymap.matches;
+        assert.ok(matches({ originalEvent: { key: 'Escape', code: 'Escape' } }, 'Escape'), 'by key');
+        assert.ok(matches({ originalEvent: { keyCode: 46 } }, 'Delete'), 'by keyCode');
+        assert.ok(matches({ originalEvent: { key: 'Delete' }, shift: true }, 'Shift+Delete'), 'with modifiers');
+        assert.notOk(matches({ originalEvent: { key: 'Delete' }, shift: true }, 'Delete'), 'modifiers must match');
+        assert.notOk(matches({ originalEvent: { key: 'Enter' } }, 'Escape'), 'other keys');
+    });
+
+    QUnit.test('Configuring and rebinding', function(assert) {
+        var calls = 0;
+        createViewer({
+            keymap: {
+                0: null,
+                'Ctrl+KeyQ': function(eventViewer, event) {
+                    assert.equal(eventViewer, viewer, 'actions get the viewer');
+                    assert.ok(event.originalEvent, 'and the canvas-key event');
+                    calls++;
+                }
+            }
+        });
+
+        assert.notOk(press('0', 'Digit0'), 'unbound by the option');
+        assert.ok(press('q', 'KeyQ', { ctrl: true }), 'bound by the option');
+        assert.equal(calls, 1, 'custom action called');
+
+        OpenSeadragon.Keymap.registerAction('testAction', function() {
+            calls++;
+        }, 'Test action');
+        viewer.keymap.bind('Alt+t', 'testAction');
+        press('t', 'KeyT', { alt: true });
+        assert.equal(calls, 2, 'registered action bound at runtime');
+
+        var binding = viewer.keymap.getBindings().filter(function(b) {
+            return b.action === 'testAction';
+        })[0];
+        assert.deepEqual(binding, { combo: 'Alt+t', action: 'testAction', description: 'Test action' }, 'getBindings');
+
+        viewer.keymap.unbind('Alt+t');
+        assert.notOk(press('t', 'KeyT', { alt: true }), 'unbind');
+        delete OpenSeadragon.Keymap.actions.testAction;
+    });
+
+    QUnit.test('preventDefaultAction', function(assert) {
+        createViewer();
+        var zoom = viewer.viewport.getZoom();
+        viewer.addHandler('canvas-key', function(event) {
+            event.preventDefaultAction = true;
+        });
+        press('+', 'Equal');
+        assert.equal(viewer.viewport.getZoom(), zoom, 'no action');
+    });
+
+    QUnit.test('Help overlay', function(assert) {
+        createViewer({ keymap: { '?': 'toggleHelp' } });
+
+        press('?', 'Slash', { shift: true });
+        var help = $(viewer.container).find('.openseadragon-keymap-help');
+        assert.equal(help.length, 1, 'shown');
+        assert.ok(help.text().indexOf('Zoom in') !== -1, 'lists the actions');
+        assert.ok(help.find('dt').filter(function() {
+            return $(this).text().indexOf('Shift+ArrowUp') !== -1;
+        }).length, 'lists their keys');
+
+        press('?', 'Slash', { shift: true });
+        assert.equal($(viewer.container).find('.openseadragon-keymap-help').length, 0, 'hidden');
+    });
+
+})();
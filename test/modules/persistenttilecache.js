@@ -0,0 +1,362 @@
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+    var dbCount = 0;
+
+    function createCache(options) {
+        return new OpenSeadragon.PersistentTileCache(OpenSeadragon.extend({
+            name: 'openseadragon-test-' + Date.now() + '-' + (dbCount++)
+        }, options));
+    }
+
+    function destroyCache(cache) {
+        cache.close();
+        return new Promise(function(resolve) {
+            var request = cache.indexedDB.deleteDatabase(cache.name);
+            request.onsuccess = request.onerror = request.onblocked = function() {
+                resolve();
+            };
+        });
+    }
+
+    function bytes(size) {
+        return new Uint8Array(size).buffer;
+    }
+
+    // A minimal in-memory IDBFactory, with only what the cache uses. Requests
+    // succeed asynchronously and in order, and a transaction completes once
+    // its requests are done.
+    function createFakeIndexedDB() {
+        var databases = {};
+
+        function createTransaction(database) {
+            var pending = 0;
+            var completed = false;
+            var transaction = {};
+
+            var checkComplete = function() {
+                setTimeout(function() {
+                    if (!pending && !completed) {
+                        completed = true;
+                        transaction.oncomplete();
+                    }
+                });
+            };
+
+            var request = function(run, result) {
+                result = result || {};
+                pending++;
+                setTimeout(function() {
+                    result.result = run();
+                    if (result.onsuccess) {
+                        result.onsuccess();
+                    }
+                    pending--;
+                    checkComplete();
+                });
+                return result;
+            };
+
+            var openCursor = function(sortKey) {
+                var records = Object.keys(database.records).map(function(key) {
+                    return database.records[key];
+                }).sort(function(a, b) {
+                    return a[sortKey] < b[sortKey] ? -1 : a[sortKey] > b[sortKey] ? 1 : 0;
+                });
+                var index = 0;
+                var cursorRequest = {};
+                var step = function() {
+                    request(function() {
+                        var record = records[index];
+                        return record ? {
+                            value: record,
+                            delete: function() {
+                                delete database.records[record.key];
+                            },
+                            continue: function() {
+                                index++;
+                                step();
+                            }
+                        } : null;
+                    }, cursorRequest);
+                };
+                step();
+                return cursorRequest;
+            };
+
+            var store = {
+                get: function(key) {
+                    return request(function() {
+                        return database.records[key];
+                    });
+                },
+                count: function(key) {
+                    return request(function() {
+                        return database.records[key] ? 1 : 0;
+                    });
+                },
+                put: function(record) {
+                    return request(function() {
+                        database.records[record.key] = record;
+                    });
+                },
+                delete: function(key) {
+                    return request(function() {
+                        delete database.records[key];
+                    });
+                },
+                clear: function() {
+                    return request(function() {
+                        database.records = {};
+                    });
+                },
+                openCursor: function() {
+                    return openCursor('key');
+                },
+                index: function(name) {
+                    return {
+                        openCursor: function() {
+                            return openCursor(database.indexes[name]);
+                        }
+                    };
+                }
+            };
+
+            transaction.objectStore = function() {
+                return store;
+            };
+            checkComplete();
+            return transaction;
+        }
+
+        return {
+            databases: databases,
+            open: function(name) {
+                var request = {};
+                setTimeout(function() {
+                    var upgrade = !databases[name];
+                    if (upgrade) {
+                        databases[name] = { records: {}, indexes: {} };
+                    }
+                    var database = databases[name];
+                    request.result = {
+                        createObjectStore: function() {
+                            return {
+                                createIndex: function(indexName, keyPath) {
+                                    database.indexes[indexName] = keyPath;
+                                }
+                            };
+                        },
+                        transaction: function() {
+                            return createTransaction(database);
+                        },
+                        close: function() {}
+                    };
+                    if (upgrade) {
+                        request.onupgradeneeded();
+                    }
+                    request.onsuccess();
+                });
+                return request;
+            },
+            deleteDatabase: function(name) {
+                var request = {};
+                setTimeout(function() {
+                    delete databases[name];
+                    request.onsuccess();
+                });
+                return request;
+            }
+        };
+    }
+
+    QUnit.module('PersistentTileCache', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+            testLog.reset();
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+            viewer = null;
+        }
+    });
+
+    QUnit.test('put, get, has and remove', function(assert) {
+        var done = assert.async();
+        var cache = createCache();
+
+        cache.put('a', bytes(3), 'image/png').then(function(stored) {
+            assert.ok(stored, 'stored');
+            return cache.get('a');
+        }).then(function(blob) {
+            assert.equal(blob.size, 3, 'size of the stored tile');
+            assert.equal(blob.type, 'image/png', 'type of the stored tile');
+            return cache.has('a');
+        }).then(function(has) {
+            assert.ok(has, 'has');
+            return cache.getSize();
+        }).then(function(size) {
+            assert.equal(size, 3, 'getSize');
+            return cache.remove('a');
+        }).then(function() {
+            return cache.get('a');
+        }).then(function(blob) {
+            assert.equal(blob, null, 'removed');
+            return cache.getSize();
+        }).then(function(size) {
+            assert.equal(size, 0, 'size after removal');
+            return destroyCache(cache);
+        }).then(done);
+    });
+
+    QUnit.test('LRU eviction', function(assert) {
+        var done = assert.async();
+        var cache = createCache({ maxBytes: 10 });
+
+        cache.put('a', bytes(4)).then(function() {
+            return cache.put('b', bytes(4));
+        }).then(function() {
+            return cache.get('a');
+        }).then(function() {
+            return cache.put('c', bytes(4));
+        }).then(function() {
+            return Promise.all([cache.has('a'), cache.has('b'), cache.has('c'), cache.getSize()]);
+        }).then(function(results) {
+            assert.deepEqual(results, [true, false, true, 8], 'the least recently used tile is evicted');
+            return cache.put('huge', bytes(11));
+        }).then(function(stored) {
+            assert.notOk(stored, 'a tile bigger than the quota is not stored');
+            return destroyCache(cache);
+        }).then(done);
+    });
+
+    QUnit.test('FIFO eviction', function(assert) {
+        var done = assert.async();
+        var cache = createCache({ maxBytes: 10, evictionPolicy: 'fifo' });
+
+        cache.put('a', bytes(4)).then(function() {
+            return cache.put('b', bytes(4));
+        }).then(function() {
+            return cache.get('a');
+        }).then(function() {
+            return cache.put('c', bytes(4));
+        }).then(function() {
+            return Promise.all([cache.has('a'), cache.has('b'), cache.has('c')]);
+        }).then(function(results) {
+            assert.deepEqual(results, [false, true, true], 'the oldest stored tile is evicted');
+            return destroyCache(cache);
+        }).then(done);
+    });
+
+    QUnit.test('options.indexedDB', function(assert) {
+        var done = assert.async();
+        var indexedDB = createFakeIndexedDB();
+        var cache = createCache({ indexedDB: indexedDB, maxBytes: 10 });
+        var records = function() {
+            return Object.keys(indexedDB.databases[cache.name].records).sort();
+        };
+
+        cache.put('a', bytes(4), 'image/png').then(function(stored) {
+            assert.ok(stored, 'stored');
+            assert.deepEqual(records(), ['a'], 'in the given IndexedDB');
+            return cache.get('a');
+        }).then(function(blob) {
+            assert.equal(blob.size, 4, 'size of the stored tile');
+            assert.equal(blob.type, 'image/png', 'type of the stored tile');
+            return cache.put('b', bytes(4));
+        }).then(function() {
+            return cache.get('a');
+        }).then(function() {
+            return cache.put('c', bytes(4));
+        }).then(function() {
+            assert.deepEqual(records(), ['a', 'c'], 'the least recently used tile is evicted');
+            cache.close();
+            return cache.getSize();
+        }).then(function(size) {
+            assert.equal(size, 8, 'the size is counted again after reopening');
+            return cache.clear();
+        }).then(function() {
+            assert.deepEqual(records(), [], 'clear');
+            return Promise.all([cache.has('a'), cache.getSize()]);
+        }).then(function(results) {
+            assert.deepEqual(results, [false, 0], 'nothing left');
+            return destroyCache(cache);
+        }).then(function() {
+            assert.notOk(indexedDB.databases[cache.name], 'the database is deleted');
+            done();
+        });
+    });
+
+    QUnit.test('Tile sources opt in', function(assert) {
+        var cache = createCache();
+
+        assert.notOk(cache.handles(new OpenSeadragon.TileSource({})), 'not by default');
+        assert.ok(cache.handles(new OpenSeadragon.TileSource({ persistentCache: true })), 'opted in');
+
+        var custom = new OpenSeadragon.TileSource({ persistentCache: true });
+        custom.downloadTileStart = function() {};
+        assert.notOk(cache.handles(custom), 'not if they download their tiles themselves');
+    });
+
+    QUnit.test('Timed out jobs finish once', function(assert) {
+        var done = assert.async();
+        var cache = createCache();
+        var imageLoader = new OpenSeadragon.ImageLoader({
+            timeout: 1,
+            tileRetryMax: 0,
+            persistentCache: cache
+        });
+        var results = [];
+
+        imageLoader.addJob({
+            src: '/test/data/testpattern_files/0/0_0.jpg',
+            source: new OpenSeadragon.TileSource({ persistentCache: true }),
+            callback: function(data, errorMsg) {
+                results.push(errorMsg);
+            }
+        });
+        window.setTimeout(function() {
+            assert.equal(results.length, 1, 'the callback is called once');
+            assert.ok(/timeout/.test(results[0]), 'with the timeout');
+            assert.equal(imageLoader.jobsInProgress, 0, 'the job is counted out once');
+            destroyCache(cache).then(done);
+        }, 1000);
+    });
+
+    QUnit.test('Tiles are stored and prefetched', function(assert) {
+        var done = assert.async();
+        var cache = createCache();
+
+        // eslint-disable-next-line new-cap
+        viewer = OpenSeadragon({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            springStiffness: 100,
+            persistentTileCache: cache
+        });
+        assert.equal(viewer.imageLoader.persistentCache, cache, 'the image loader uses the cache');
+
+        viewer.addHandler('open', function() {
+            var tiledImage = viewer.world.getItemAt(0);
+            tiledImage.source.persistentCache = true;
+
+            cache.prefetch(tiledImage, { minLevel: 0, maxLevel: 8 }).then(function(result) {
+                assert.deepEqual(result, { total: 9, cached: 0, downloaded: 9, failed: 0 }, 'first prefetch');
+                var tile = tiledImage._createSourceTile(8, 0, 0);
+                return cache.get(tile.cacheKey);
+            }).then(function(blob) {
+                assert.ok(blob && blob.size > 0, 'tiles are stored under their cache key');
+                return cache.prefetch(tiledImage, { minLevel: 0, maxLevel: 8 });
+            }).then(function(result) {
+                assert.deepEqual(result, { total: 9, cached: 9, downloaded: 0, failed: 0 },
+                    'stored tiles are not downloaded again');
+                return destroyCache(cache);
+            }).then(done);
+        });
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+})();
@@ -0,0 +1,124 @@
+/* eslint-disable new-cap */
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+    var getCurrentPixelDensityRatio = OpenSeadragon.getCurrentPixelDensityRatio;
+    var pixelDensityRatio = OpenSeadragon.pixelDensityRatio;
+    var matchMedia = window.matchMedia;
+    var deviceRatio;
+
+    QUnit.module('PixelDensity', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+            testLog.reset();
+            deviceRatio = 3;
+            OpenSeadragon.getCurrentPixelDensityRatio = function() {
+                return deviceRatio;
+            };
+        },
+        afterEach: function() {
+            if (viewer && viewer.destroy) {
+                viewer.destroy();
+            }
+            viewer = null;
+            OpenSeadragon.getCurrentPixelDensityRatio = getCurrentPixelDensityRatio;
+            OpenSeadragon.pixelDensityRatio = pixelDensityRatio;
+            OpenSeadragon.maxPixelDensityRatio = null;
+            window.matchMedia = matchMedia;
+        }
+    });
+
+    function createViewer(options) {
+        viewer = OpenSeadragon(OpenSeadragon.extend({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            tileSources: '/test/data/testpattern.dzi',
+            springStiffness: 100
+        }, options));
+        return viewer;
+    }
+
+    QUnit.test('setMaxPixelDensityRatio', function(assert) {
+        var done = assert.async();
+        OpenSeadragon.setMaxPixelDensityRatio(2);
+        createViewer();
+        assert.equal(OpenSeadragon.pixelDensityRatio, 2, 'the ratio is capped');
+
+        viewer.addOnceHandler('tile-drawn', function() {
+            var size = viewer.viewport.getContainerSize();
+            assert.equal(viewer.drawer.canvas.width, Math.round(size.x * 2), 'the canvas is drawn at 2x');
+
+            $('<div id="other"></div>').appendTo("#qunit-fixture");
+            var other = OpenSeadragon({
+                id: 'other',
+                prefixUrl: '/build/openseadragon/images/'
+            });
+            assert.equal(OpenSeadragon.pixelDensityRatio, 2, 'other viewers keep the cap');
+            other.destroy();
+
+            viewer.addOnceHandler('pixel-density-ratio-change', function(event) {
+                assert.equal(event.ratio, 3, 'removing the cap updates the viewers');
+                assert.equal(OpenSeadragon.pixelDensityRatio, 3, 'and the ratio');
+
+                deviceRatio = 1.5;
+                OpenSeadragon.setMaxPixelDensityRatio(2);
+                assert.equal(OpenSeadragon.pixelDensityRatio, 1.5, 'lower ratios are kept');
+                done();
+            });
+            OpenSeadragon.setMaxPixelDensityRatio(null);
+        });
+    });
+
+    QUnit.test('Device pixel ratio changes', function(assert) {
+        var done = assert.async();
+        var queries = [];
+        window.matchMedia = function(media) {
+            var query = {
+                media: media,
+                listeners: [],
+                addEventListener: function(type, listener) {
+                    this.listeners.push(listener);
+                },
+                removeEventListener: function(type, listener) {
+                    this.listeners.splice(this.listeners.indexOf(listener), 1);
+                }
+            };
+            queries.push(query);
+            return query;
+        };
+
+        createViewer();
+        assert.equal(queries.length, 1, 'watches the resolution');
+        assert.ok(/^\(resolution: [\d.]+dppx\)$/.test(queries[0].media), 'with a resolution query');
+
+        viewer.addOnceHandler('open', function() {
+            var tiledImage = viewer.world.getItemAt(0);
+            var levels = tiledImage._getLevelsInterval();
+
+            viewer.addOnceHandler('pixel-density-ratio-change', function(event) {
+                assert.equal(event.previous, 3, 'previous ratio');
+                assert.equal(event.ratio, 1, 'new ratio');
+                assert.equal(OpenSeadragon.pixelDensityRatio, 1, 'the ratio is updated');
+                assert.ok(tiledImage._getLevelsInterval().highestLevel < levels.highestLevel,
+                    'lower levels are drawn');
+            });
+            deviceRatio = 1;
+            queries[0].listeners[0]();
+
+            assert.equal(queries[0].listeners.length, 0, 'the previous query is released');
+            assert.equal(queries.length, 2, 'the new resolution is watched');
+
+            viewer.addOnceHandler('update-viewport', function() {
+                var size = viewer.viewport.getContainerSize();
+                assert.equal(viewer.drawer.canvas.width, Math.round(size.x), 'the canvas is resized');
+
+                viewer.destroy();
+                viewer = null;
+                assert.equal(queries[1].listeners.length, 0, 'destroy stops watching');
+                done();
+            });
+        });
+    });
+
+})();
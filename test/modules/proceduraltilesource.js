@@ -0,0 +1,99 @@
+/* global QUnit, Util, testLog */
+
+(function() {
+
+    function download(source, level, x, y, callback) {
+        source.downloadTileStart({
+            tile: { level: level, x: x, y: y },
+            userData: {},
+            finish: callback
+        });
+    }
+
+    QUnit.module('ProceduralTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    QUnit.test('pyramid', function(assert) {
+        var source = new OpenSeadragon.ProceduralTileSource({
+            width: 1000,
+            height: 500,
+            tileSize: 128,
+            minLevel: 2,
+            drawTile: function() {}
+        });
+
+        assert.ok(source.supports({ type: 'procedural' }), 'supports procedural options');
+        assert.equal(source.getTileWidth(10), 128, 'tile size');
+        assert.equal(source.minLevel, 2, 'minLevel');
+        assert.equal(source.maxLevel, 10, 'maxLevel defaults to the full size level');
+        assert.equal(source.getNumTiles(10).x, 8, 'tiles across');
+
+        var other = new OpenSeadragon.ProceduralTileSource({
+            width: 1000,
+            height: 500,
+            drawTile: function() {}
+        });
+        assert.notEqual(source.getTileUrl(10, 0, 0), other.getTileUrl(10, 0, 0),
+            'sources do not share tile keys');
+        assert.throws(function() {
+            return new OpenSeadragon.ProceduralTileSource({ width: 10, height: 10 });
+        }, 'drawTile is required');
+    });
+
+    QUnit.test('drawTile', function(assert) {
+        var done = assert.async();
+        var calls = [];
+        var source = new OpenSeadragon.ProceduralTileSource({
+            width: 1000,
+            height: 500,
+            drawTile: function(level, x, y, context, bounds) {
+                calls.push([level, x, y, context.canvas.width, context.canvas.height, bounds]);
+                context.fillStyle = 'rgb(255, 0, 0)';
+                context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+            }
+        });
+
+        download(source, 10, 3, 1, function(data, request, error) {
+            assert.notOk(error, 'no error');
+            assert.equal(calls.length, 1, 'drawTile is called');
+            assert.deepEqual(calls[0].slice(0, 5), [10, 3, 1, 232, 244], 'edge tiles are cropped');
+            Util.assertRectangleEquals(assert, calls[0][5], new OpenSeadragon.Rect(768, 256, 232, 244), 0.000001,
+                'bounds in image pixels');
+            assert.deepEqual(Array.prototype.slice.call(data.getContext('2d').getImageData(0, 0, 1, 1).data),
+                [255, 0, 0, 255], 'the tile is drawn');
+            done();
+        });
+    });
+
+    QUnit.test('async drawTile', function(assert) {
+        var done = assert.async();
+        var source = new OpenSeadragon.ProceduralTileSource({
+            width: 256,
+            height: 256,
+            drawTile: function(level, x, y, context) {
+                return new Promise(function(resolve, reject) {
+                    setTimeout(function() {
+                        if (level === 8) {
+                            resolve();
+                        } else {
+                            reject(new Error('level ' + level));
+                        }
+                    }, 0);
+                });
+            }
+        });
+
+        download(source, 8, 0, 0, function(data, request, error) {
+            assert.ok(data, 'resolved tiles load');
+            download(source, 7, 0, 0, function(data, request, error) {
+                assert.equal(data, null, 'rejected tiles fail');
+                assert.ok(/level 7/.test(error), 'with the error');
+                done();
+            });
+        });
+    });
+
+}());
@@ -44,6 +44,28 @@
         done();
     });
 
+    // ----------
+    QUnit.test('thumbnails stay quiet for screen readers', function(assert) {
+        createViewer({
+            sequenceMode: true,
+            showReferenceStrip: true,
+            tileSources: [
+                '/test/data/tall.dzi',
+                '/test/data/wide.dzi'
+            ]
+        });
+
+        var miniViewers = Object.keys(viewer.referenceStrip.miniViewers).map(function(id) {
+            return viewer.referenceStrip.miniViewers[id];
+        });
+        assert.ok(miniViewers.length > 0, 'thumbnails are created');
+        miniViewers.forEach(function(miniViewer) {
+            assert.notOk(miniViewer.announcer, 'no live region');
+            assert.notOk(miniViewer.canvas.getAttribute('role'), 'no application role');
+        });
+        assert.equal(viewer.canvas.getAttribute('role'), 'application', 'the viewer keeps its role');
+    });
+
     // ----------
     QUnit.test('shadow dom', function(assert) {
         if (document.head && document.head.attachShadow) {
@@ -0,0 +1,155 @@
+/* eslint-disable new-cap */
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('RenderScheduler', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+            testLog.reset();
+        },
+        afterEach: function() {
+            if (viewer && viewer.destroy) {
+                viewer.destroy();
+            }
+            viewer = null;
+        }
+    });
+
+    function createViewer(options) {
+        viewer = OpenSeadragon(OpenSeadragon.extend({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            tileSources: '/test/data/testpattern.dzi',
+            springStiffness: 100
+        }, options));
+        return viewer;
+    }
+
+    // Calls back once the update loop of the viewer went to sleep.
+    function whenAsleep(callback) {
+        var check = function() {
+            if (OpenSeadragon.renderScheduler.isAwake(viewer)) {
+                setTimeout(check, 50);
+            } else {
+                callback();
+            }
+        };
+        check();
+    }
+
+    QUnit.test('The loop sleeps when idle and wakes up on changes', function(assert) {
+        var done = assert.async();
+        createViewer();
+        viewer.addOnceHandler('open', function() {
+            assert.ok(OpenSeadragon.renderScheduler.isAwake(viewer), 'awake after opening');
+            whenAsleep(function() {
+                assert.notOk(viewer._updateRequestId, 'asleep once everything is drawn');
+                assert.notOk(viewer.world.needsDraw(), 'nothing left to draw');
+
+                var zoom = viewer.viewport.getZoom(true);
+                viewer.addOnceHandler('animation-finish', function() {
+                    assert.ok(viewer.viewport.getZoom(true) > zoom, 'the zoom animation ran');
+
+                    whenAsleep(function() {
+                        viewer.world.getItemAt(0).setOpacity(0.5);
+                        assert.ok(OpenSeadragon.renderScheduler.isAwake(viewer),
+                            'tiled image changes wake it up');
+                        whenAsleep(function() {
+                            viewer.forceRedraw();
+                            assert.ok(viewer._updateRequestId, 'forceRedraw wakes it up');
+                            done();
+                        });
+                    });
+                });
+                viewer.viewport.zoomBy(2);
+                assert.ok(OpenSeadragon.renderScheduler.isAwake(viewer), 'zooming wakes it up');
+                viewer.addOnceHandler('animation-start', function() {
+                    assert.ok(viewer.viewport.getZoom(true) < viewer.viewport.getZoom(),
+                        'animations begun after sleeping start from the current time');
+                });
+            });
+        });
+    });
+
+    QUnit.test('pauseWhenIdle: false', function(assert) {
+        var done = assert.async();
+        createViewer({ pauseWhenIdle: false });
+        viewer.addOnceHandler('open', function() {
+            setTimeout(function() {
+                assert.ok(OpenSeadragon.renderScheduler.isAwake(viewer), 'still awake');
+                done();
+            }, 500);
+        });
+    });
+
+    QUnit.test('pauseWhenOffscreen', function(assert) {
+        var done = assert.async();
+        if (!window.IntersectionObserver) {
+            assert.expect(0);
+            done();
+            return;
+        }
+        var container = $('#example');
+        var updates = 0;
+        createViewer();
+        viewer.addHandler('update-viewport', function() {
+            updates++;
+        });
+        // Intersection observers call back asynchronously.
+        setTimeout(function() {
+            assert.notOk(OpenSeadragon.renderScheduler.isPaused(viewer), 'the viewer in sight is not paused');
+
+            container.css({ position: 'fixed', top: '-10000px' });
+            setTimeout(function() {
+                assert.ok(OpenSeadragon.renderScheduler.isPaused(viewer), 'the viewer out of sight is paused');
+                updates = 0;
+                viewer.forceRedraw();
+                setTimeout(function() {
+                    assert.equal(updates, 0, 'the paused viewer does not draw');
+
+                    container.css({ position: '', top: '' });
+                    setTimeout(function() {
+                        assert.notOk(OpenSeadragon.renderScheduler.isPaused(viewer), 'the viewer back in sight resumes');
+                        assert.ok(updates > 0, 'and draws what it skipped');
+                        done();
+                    }, 200);
+                }, 200);
+            }, 200);
+        }, 200);
+    });
+
+    QUnit.test('pauseWhenOffscreen: false', function(assert) {
+        var done = assert.async();
+        $('#example').css({ position: 'fixed', top: '-10000px' });
+        createViewer({ pauseWhenOffscreen: false });
+        setTimeout(function() {
+            assert.notOk(OpenSeadragon.renderScheduler.isPaused(viewer), 'the viewer out of sight is not paused');
+            done();
+        }, 200);
+    });
+
+    QUnit.test('Frame budget', function(assert) {
+        var done = assert.async();
+        var scheduler = new OpenSeadragon.RenderScheduler({ frameBudget: 0 });
+        var ran = 0;
+        var task = function() {
+            ran++;
+        };
+        scheduler.defer(task);
+        scheduler.defer(task);
+        scheduler.defer(task);
+        assert.equal(ran, 0, 'tasks wait for a frame');
+
+        // Runs in the same frame as the scheduler, after it.
+        OpenSeadragon.requestAnimationFrame(function() {
+            assert.equal(ran, 1, 'one task per frame without budget');
+            setTimeout(function() {
+                assert.equal(ran, 3, 'the others run in the following frames');
+                done();
+            }, 200);
+        });
+    });
+
+})();
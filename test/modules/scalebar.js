@@ -0,0 +1,128 @@
+/* global QUnit, $, Util, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('ScaleBar', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+
+            // eslint-disable-next-line new-cap
+            viewer = OpenSeadragon({
+                id: 'example',
+                prefixUrl: '/build/openseadragon/images/',
+                springStiffness: 100, // Faster animation = faster tests
+                showScaleBar: true
+            });
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+
+            viewer = null;
+        }
+    });
+
+    // ----------
+    QUnit.test('formatLength', function(assert) {
+        var format = OpenSeadragon.ScaleBar.formatLength;
+        assert.equal(format(2e-7), '200 nm', 'nanometers');
+        assert.equal(format(0.0002), '200 µm', 'micrometers');
+        assert.equal(format(0.0015), '1.5 mm', 'millimeters');
+        assert.equal(format(0.05), '5 cm', 'centimeters');
+        assert.equal(format(20), '20 m', 'meters');
+        assert.equal(format(1500), '1.5 km', 'kilometers');
+    });
+
+    // ----------
+    QUnit.test('scale bar follows the zoom', function(assert) {
+        var done = assert.async();
+        var scaleBar = viewer.scaleBar;
+        var pixelsPerMeter = 1e6;
+
+        assert.equal(scaleBar.element.style.display, 'none', 'hidden without an image');
+
+        viewer.addTiledImage({
+            tileSource: '/test/data/testpattern.dzi',
+            pixelsPerMeter: pixelsPerMeter,
+            success: function(event) {
+                var image = event.item;
+                assert.equal(image.getPixelsPerMeter(), pixelsPerMeter, 'pixelsPerMeter option');
+
+                var check = function(message) {
+                    var imageZoom = image.viewportToImageZoom(viewer.viewport.getZoom());
+                    var width = parseFloat(scaleBar.bar.style.width);
+                    assert.notEqual(scaleBar.element.style.display, 'none', message + ': shown');
+                    assert.ok(width <= scaleBar.maxWidth && width > scaleBar.maxWidth / 5,
+                        message + ': the bar fits');
+                    Util.assertPointsEquals(assert, new OpenSeadragon.Point(width, 0),
+                        new OpenSeadragon.Point(scaleBar.length * pixelsPerMeter * imageZoom, 0), 1,
+                        message + ': the bar is as long as its length');
+                    assert.equal(scaleBar.label.textContent, OpenSeadragon.ScaleBar.formatLength(scaleBar.length),
+                        message + ': label');
+                };
+
+                check('home');
+                var length = scaleBar.length;
+                viewer.viewport.zoomBy(10, null, true);
+                check('zoomed in');
+                assert.ok(scaleBar.length < length, 'zooming in shortens the length');
+
+                viewer.world.removeItem(image);
+                assert.equal(scaleBar.element.style.display, 'none', 'hidden once the image is removed');
+                done();
+            }
+        });
+    });
+
+    // ----------
+    QUnit.test('MeasureTool', function(assert) {
+        var done = assert.async();
+
+        viewer.addTiledImage({
+            tileSource: '/test/data/testpattern.dzi',
+            pixelsPerMeter: 1000,
+            success: function() {
+                var tool = new OpenSeadragon.MeasureTool({viewer: viewer, active: true});
+                var measured = [];
+                tool.addHandler('measure', function(measureEvent) {
+                    measured.push(measureEvent);
+                });
+
+                var measure = function(start, end) {
+                    tool.tracker.clickHandler({position: tool._toPixel(start), quick: true});
+                    tool.tracker.moveHandler({position: tool._toPixel(end)});
+                    tool.tracker.clickHandler({position: tool._toPixel(end), quick: true});
+                    return tool.getMeasurement();
+                };
+
+                assert.equal(tool.element.style.pointerEvents, 'auto', 'an active tool takes the clicks');
+                var start = new OpenSeadragon.Point(100, 100);
+                var end = new OpenSeadragon.Point(400, 500);
+                var measurement = measure(start, end);
+                assert.ok(Math.abs(measurement.pixels - 500) < 1, 'length in image pixels');
+                assert.ok(Math.abs(measurement.meters - 0.5) < 0.001, 'length in meters');
+                assert.equal(measurement.label, '50 cm', 'label');
+                assert.equal(measured.length, 1, 'measure event');
+
+                viewer.viewport.setRotation(90, true);
+                viewer.viewport.setFlip(true);
+                measurement = measure(start, end);
+                assert.ok(Math.abs(measurement.meters - 0.5) < 0.001, 'rotation and flip do not change the length');
+
+                viewer.raiseEvent('canvas-key', {originalEvent: {keyCode: 27}});
+                assert.equal(tool.getMeasurement(), null, 'escape clears the measurement');
+
+                tool.setActive(false);
+                assert.equal(tool.element.style.pointerEvents, 'none', 'an inactive tool lets the viewer navigate');
+                tool.destroy();
+                assert.equal(tool.element.parentNode, null, 'destroy removes the tool');
+                done();
+            }
+        });
+    });
+
+})();
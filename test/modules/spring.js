@@ -76,4 +76,59 @@
         done();
     });
 
+    QUnit.test('animation descriptors', function(assert) {
+        var spring = new OpenSeadragon.Spring({
+            initial: 0,
+            animationTime: 1,
+            springStiffness: 5
+        });
+
+        spring.springTo(10, { duration: 2, easing: 'linear' });
+        now = 500;
+        spring.update();
+        Util.assessNumericValue(assert, 2.5, spring.current.value, 0.00001, 'linear, a quarter of the duration');
+        now = 2000;
+        spring.update();
+        assert.equal(spring.current.value, 10, 'at the target after the duration');
+
+        now = 0;
+        spring.resetTo(0);
+        spring.springTo(10, { duration: 1, easing: [0.42, 0, 0.58, 1] });
+        now = 500;
+        spring.update();
+        Util.assessNumericValue(assert, 5, spring.current.value, 0.00001, 'cubic Bézier, half way');
+        now = 250;
+        spring.update();
+        Util.assessNumericValue(assert, 10 * OpenSeadragon.Spring.easings['ease-in-out'](0.25),
+            spring.current.value, 0.00001, 'cubic Bézier, same as ease-in-out');
+        assert.ok(spring.current.value < 2.5, 'eases in');
+
+        now = 0;
+        spring.resetTo(0);
+        spring.springTo(10, { easing: function(x) {
+            return x * x;
+        } });
+        now = 500;
+        spring.update();
+        Util.assessNumericValue(assert, 2.5, spring.current.value, 0.00001, 'custom easing, default duration');
+
+        now = 0;
+        spring.resetTo(0);
+        spring.springTo(10);
+        now = 500;
+        spring.update();
+        assert.ok(spring.current.value > 5, 'back to the spring');
+    });
+
+    QUnit.test('cubicBezier', function(assert) {
+        var linear = OpenSeadragon.Spring.cubicBezier(0, 0, 1, 1);
+        var ease = OpenSeadragon.Spring.easings.ease;
+        for (var x = 0; x <= 1; x += 0.125) {
+            Util.assessNumericValue(assert, x, linear(x), 0.00001, 'straight curve at ' + x);
+        }
+        assert.equal(ease(0), 0, 'starts at 0');
+        assert.equal(ease(1), 1, 'ends at 1');
+        Util.assessNumericValue(assert, 0.8024, ease(0.5), 0.0001, 'CSS ease at 0.5');
+    });
+
 })();
@@ -0,0 +1,226 @@
+/* global QUnit, $, Util, testLog */
+
+(function() {
+    var viewer;
+    var originalHash;
+
+    QUnit.module('State', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+            originalHash = window.location.hash;
+        },
+        afterEach: function() {
+            if (viewer && viewer.destroy) {
+                viewer.destroy();
+            }
+
+            viewer = null;
+            window.history.replaceState(window.history.state, '', originalHash || window.location.pathname + window.location.search);
+        }
+    });
+
+    // ----------
+    var createViewer = function(options) {
+        // eslint-disable-next-line new-cap
+        viewer = OpenSeadragon(OpenSeadragon.extend({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            springStiffness: 100 // Faster animation = faster tests
+        }, options));
+    };
+
+    var sequence = [
+        '/test/data/testpattern.dzi',
+        '/test/data/tall.dzi',
+        '/test/data/wide.dzi'
+    ];
+
+    // ----------
+    QUnit.test('getState and setState', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: ['/test/data/testpattern.dzi', {
+                tileSource: '/test/data/tall.dzi',
+                x: 1,
+                opacity: 0.5
+            }]
+        });
+
+        viewer.addHandler('open', function() {
+            var state = viewer.getState();
+            assert.equal(state.page, 0, 'page');
+            assert.equal(state.rotation, 0, 'rotation');
+            assert.equal(state.flip, false, 'flip');
+            assert.deepEqual(state.items, [
+                { opacity: 1, visible: true },
+                { opacity: 0.5, visible: true }
+            ], 'items');
+            Util.assertRectangleEquals(assert,
+                new OpenSeadragon.Rect(state.bounds.x, state.bounds.y, state.bounds.width, state.bounds.height),
+                viewer.viewport.getBoundsNoRotate(), 0.000001, 'bounds');
+            assert.deepEqual(JSON.parse(JSON.stringify(state)), state, 'state is serializable');
+
+            viewer.setState({
+                bounds: { x: 0.2, y: 0.3, width: 0.25, height: 0.25 },
+                rotation: 90,
+                flip: true,
+                items: [{ visible: false }, { opacity: 0.75 }]
+            }, true);
+
+            var newState = viewer.getState();
+            assert.equal(newState.rotation, 90, 'rotation is restored');
+            assert.equal(newState.flip, true, 'flip is restored');
+            assert.equal(viewer.world.getItemAt(0).getOpacity(), 0, 'hidden item');
+            assert.equal(viewer.world.getItemAt(1).getOpacity(), 0.75, 'item opacity is restored');
+            assert.deepEqual(newState.items[0], { opacity: 0, visible: false }, 'hidden item state');
+            var center = viewer.viewport.getCenter();
+            Util.assertPointsEquals(assert, center, new OpenSeadragon.Point(0.325, 0.425), 0.000001,
+                'bounds center is restored');
+            var bounds = viewer.viewport.getBoundsNoRotate();
+            assert.ok(bounds.width >= 0.25 - 0.000001 && bounds.height >= 0.25 - 0.000001,
+                'the bounds fit in the viewport');
+            assert.ok(Math.abs(bounds.width - 0.25) < 0.000001 || Math.abs(bounds.height - 0.25) < 0.000001,
+                'the bounds fill one dimension of the viewport');
+
+            viewer.setState({ rotation: 0 }, true);
+            assert.equal(viewer.viewport.getRotation(), 0, 'partial state');
+            assert.equal(viewer.viewport.getFlip(), true, 'missing properties are kept');
+            done();
+        });
+    });
+
+    // ----------
+    QUnit.test('setState changes page', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: sequence,
+            sequenceMode: true
+        });
+
+        viewer.addOnceHandler('open', function() {
+            viewer.setState({
+                page: 2,
+                bounds: { x: 0.1, y: 0.1, width: 0.2, height: 0.2 }
+            }, true);
+
+            viewer.addOnceHandler('open', function() {
+                // The state is applied by a handler added before this one.
+                assert.equal(viewer.currentPage(), 2, 'page is restored');
+                Util.assertPointsEquals(assert, viewer.viewport.getCenter(), new OpenSeadragon.Point(0.2, 0.2),
+                    0.000001, 'bounds are restored on the new page');
+                done();
+            });
+        });
+    });
+
+    // ----------
+    QUnit.test('setState drops the state of a page that fails to open', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: [sequence[0], '/test/data/missing.dzi', sequence[2]],
+            sequenceMode: true
+        });
+
+        viewer.addOnceHandler('open', function() {
+            viewer.addOnceHandler('open-failed', function() {
+                viewer.addOnceHandler('open', function() {
+                    assert.equal(viewer.viewport.getRotation(), 0, 'the state is not applied to the next page');
+                    done();
+                });
+                viewer.goToPage(2);
+            });
+            viewer.setState({ page: 1, rotation: 90 }, true);
+        });
+    });
+
+    // ----------
+    QUnit.test('setState ignores empty bounds', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: '/test/data/testpattern.dzi'
+        });
+
+        viewer.addOnceHandler('open', function() {
+            var zoom = viewer.viewport.getZoom();
+            viewer.setState({ bounds: { x: 0, y: 0, width: 0, height: 0 } }, true);
+            viewer.setState({ bounds: { x: 0, y: 0, width: -1, height: 1 } }, true);
+            assert.equal(viewer.viewport.getZoom(), zoom, 'the zoom is unchanged');
+            done();
+        });
+    });
+
+    // ----------
+    QUnit.test('urlHashState restores the view', function(assert) {
+        var done = assert.async();
+        window.history.replaceState(window.history.state, '',
+            '#other=kept&page=1&bounds=0.1,0.2,0.3,0.4&rotation=90&flip=1');
+        createViewer({
+            tileSources: sequence,
+            sequenceMode: true,
+            urlHashState: true
+        });
+
+        viewer.addOnceHandler('open', function() {
+            assert.equal(viewer.currentPage(), 1, 'page is restored');
+            assert.equal(viewer.viewport.getRotation(), 90, 'rotation is restored');
+            assert.equal(viewer.viewport.getFlip(), true, 'flip is restored');
+            Util.assertPointsEquals(assert, viewer.viewport.getCenter(), new OpenSeadragon.Point(0.25, 0.4),
+                0.000001, 'bounds are restored');
+
+            viewer.addOnceHandler('animation-finish', function() {
+                var hash = window.location.hash;
+                assert.ok(hash.indexOf('other=kept') !== -1, 'other hash parameters are kept');
+                assert.ok(hash.indexOf('page=1') !== -1, 'page is written');
+                assert.ok(hash.indexOf('rotation=90') !== -1, 'rotation is written');
+                assert.ok(hash.indexOf('flip=1') !== -1, 'flip is written');
+                assert.ok(/bounds=[-\d.]+,[-\d.]+,[-\d.]+,[-\d.]+/.test(hash), 'bounds are written');
+                done();
+            });
+        });
+    });
+
+    // ----------
+    QUnit.test('urlHashState follows the view', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: '/test/data/testpattern.dzi',
+            urlHashState: true
+        });
+
+        viewer.addOnceHandler('open', function() {
+            viewer.viewport.setRotation(180, true);
+            viewer.addOnceHandler('animation-finish', function() {
+                assert.ok(window.location.hash.indexOf('rotation=180') !== -1, 'rotation is written');
+                assert.equal(window.location.hash.indexOf('page='), -1, 'no page outside sequence mode');
+
+                window.location.hash = '#rotation=270&bounds=0,0,0.5,0.5';
+                viewer.addOnceHandler('animation-finish', function() {
+                    assert.equal(viewer.viewport.getRotation(), 270, 'hash changes are applied');
+                    done();
+                });
+            });
+        });
+    });
+
+    // ----------
+    QUnit.test('urlHashState ignores malformed values', function(assert) {
+        var done = assert.async();
+        window.history.replaceState(window.history.state, '',
+            '#other=%E0%A4%A&bounds=a,b&rotation=x&page=-1');
+        createViewer({
+            tileSources: '/test/data/testpattern.dzi',
+            urlHashState: true
+        });
+        assert.ok(viewer, 'malformed escapes are skipped');
+
+        viewer.addOnceHandler('open', function() {
+            assert.equal(viewer.viewport.getRotation(), 0, 'rotation is unchanged');
+            Util.assertPointsEquals(assert, viewer.viewport.getCenter(), viewer.viewport.getHomeBounds().getCenter(),
+                0.000001, 'the viewer opens at home');
+            done();
+        });
+    });
+
+})();
@@ -0,0 +1,158 @@
+/* global QUnit, $, testLog */
+
+(function() {
+
+    // tiled.tif is 40x24 pixels in 16x16 tiles, with overviews of 20x12 and
+    // 10x6 pixels. Its tiles are deflate compressed with a predictor,
+    // uncompressed and LZW compressed respectively.
+    var url = '/test/data/tiled.tif';
+
+    function expectedPixel(x, y) {
+        return [x * 6, y * 10, (x + y) * 3, 255];
+    }
+
+    function openSource(assert, callback) {
+        var done = assert.async();
+        var source = new OpenSeadragon.TiffTileSource({ url: url });
+        source.addHandler('ready', function() {
+            callback(source, done);
+        });
+        source.addHandler('open-failed', function(event) {
+            assert.ok(false, 'open failed: ' + event.message);
+            done();
+        });
+    }
+
+    QUnit.module('TiffTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    QUnit.test('supports', function(assert) {
+        var proto = OpenSeadragon.TiffTileSource.prototype;
+        assert.ok(proto.supports({ type: 'tiff', url: url }), 'tiff options');
+        assert.equal(OpenSeadragon.TileSource.detectUrl(url + '?v=1').name, 'tiff', 'tif urls are opened without fetching');
+        assert.equal(OpenSeadragon.TileSource.detectUrl('/image.TIFF').name, 'tiff', 'tiff urls are opened without fetching');
+        assert.notOk(proto.supports({ type: 'image', url: url }), 'image options');
+    });
+
+    QUnit.test('levels', function(assert) {
+        openSource(assert, function(source, done) {
+            assert.equal(source.dimensions.x, 40, 'width');
+            assert.equal(source.dimensions.y, 24, 'height');
+            assert.equal(source.maxLevel, 6, 'maxLevel');
+            assert.equal(source.minLevel, 4, 'minLevel is the smallest overview');
+            assert.equal(source.getTileWidth(6), 16, 'tile width');
+            assert.equal(source.getNumTiles(6).x, 3, 'tiles across the full image');
+            assert.equal(source.getNumTiles(5).x, 2, 'tiles across the overview');
+            assert.ok(source.tileExists(4, 0, 0), 'smallest overview tile exists');
+            assert.notOk(source.tileExists(3, 0, 0), 'tiles below the overviews do not exist');
+            assert.notEqual(source.getTileHashKey(6, 0, 0, url), source.getTileHashKey(6, 1, 0, url),
+                'tiles have different keys');
+            done();
+        });
+    });
+
+    QUnit.test('tiles', function(assert) {
+        openSource(assert, function(source, done) {
+            var tiles = [[6, 1, 1], [5, 1, 0], [4, 0, 0]];
+            var remaining = tiles.length;
+
+            tiles.forEach(function(position) {
+                var level = position[0];
+                var scale = Math.pow(2, source.maxLevel - level);
+                source.downloadTileStart({
+                    tile: { level: level, x: position[1], y: position[2] },
+                    userData: {},
+                    finish: function(data, request, error) {
+                        assert.notOk(error, 'no error for level ' + level);
+                        var bounds = source.getTileBounds(level, position[1], position[2], true);
+                        assert.equal(data.width, bounds.width, 'edge tiles are cropped for level ' + level);
+                        assert.equal(data.height, bounds.height, 'edge tiles are cropped for level ' + level);
+
+                        var pixels = data.getContext('2d').getImageData(0, 0, data.width, data.height).data;
+                        var x = data.width - 1;
+                        var y = data.height - 1;
+                        var offset = (y * data.width + x) * 4;
+                        assert.deepEqual(Array.prototype.slice.call(pixels, offset, offset + 4),
+                            expectedPixel((position[1] * 16 + x) * scale, (position[2] * 16 + y) * scale),
+                            'pixels are decoded for level ' + level);
+                        remaining--;
+                        if (!remaining) {
+                            done();
+                        }
+                    }
+                });
+            });
+        });
+    });
+
+    QUnit.test('viewer opens TIFF urls', function(assert) {
+        var done = assert.async();
+        $('<div id="example"></div>').appendTo('#qunit-fixture');
+        // eslint-disable-next-line new-cap
+        var viewer = OpenSeadragon({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/'
+        });
+        viewer.addHandler('open', function() {
+            var source = viewer.world.getItemAt(0).source;
+            assert.ok(source instanceof OpenSeadragon.TiffTileSource, 'opened as a TIFF');
+            assert.equal(source.dimensions.x, 40, 'with its size');
+            viewer.destroy();
+            done();
+        });
+        viewer.addHandler('open-failed', function(event) {
+            assert.ok(false, 'open failed: ' + event.message);
+            viewer.destroy();
+            done();
+        });
+        viewer.open(url + '?v=1');
+    });
+
+    QUnit.test('viewer opens TIFF urls with the registered type', function(assert) {
+        var done = assert.async();
+        var TileSource = OpenSeadragon.TileSource;
+        var CustomTiffTileSource = function(options) {
+            OpenSeadragon.TiffTileSource.call(this, options);
+        };
+        OpenSeadragon.extend(CustomTiffTileSource.prototype, OpenSeadragon.TiffTileSource.prototype);
+        TileSource.register('custom-tiff', CustomTiffTileSource, {
+            priority: 10,
+            extensions: ['tif'],
+            fetch: false
+        });
+
+        $('<div id="example"></div>').appendTo('#qunit-fixture');
+        // eslint-disable-next-line new-cap
+        var viewer = OpenSeadragon({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/'
+        });
+        var finish = function() {
+            TileSource.unregister('custom-tiff');
+            viewer.destroy();
+            done();
+        };
+        viewer.addHandler('open', function() {
+            assert.ok(viewer.world.getItemAt(0).source instanceof CustomTiffTileSource, 'opened with the custom type');
+            finish();
+        });
+        viewer.addHandler('open-failed', function(event) {
+            assert.ok(false, 'open failed: ' + event.message);
+            finish();
+        });
+        viewer.open(url);
+    });
+
+    QUnit.test('open-failed', function(assert) {
+        var done = assert.async();
+        var source = new OpenSeadragon.TiffTileSource({ url: '/test/data/testpattern.dzi' });
+        source.addHandler('open-failed', function(event) {
+            assert.ok(event.message, 'not a TIFF file');
+            done();
+        });
+    });
+
+}());
@@ -692,4 +692,50 @@
         );
     });
 
+    // ----------
+    QUnit.test('sparse DZI', function(assert) {
+        var done = assert.async();
+        var rect = new OpenSeadragon.Rect(0, 0, 500, 250);
+
+        viewer.addHandler('open', function() {
+            var image = viewer.world.getItemAt(0);
+            var source = image.source;
+
+            Util.assertRectangleEquals(assert, image.getContentBounds(), new OpenSeadragon.Rect(0, 0, 0.5, 0.25),
+                0.000001, 'content bounds are the display rect');
+            Util.assertRectangleEquals(assert, viewer.world.getHomeBounds(), new OpenSeadragon.Rect(0, 0, 0.5, 0.25),
+                0.000001, 'home bounds are the display rect');
+
+            var outside = 0;
+            viewer.addHandler('tile-loaded', function(event) {
+                var bounds = source.getTileBounds(event.tile.level, event.tile.x, event.tile.y)
+                    .times(source.dimensions.x);
+                if (!bounds.intersection(rect) || bounds.x >= rect.width || bounds.y >= rect.height) {
+                    outside++;
+                }
+            });
+            image.addHandler('fully-loaded-change', function loadedHandler(event) {
+                if (event.fullyLoaded) {
+                    image.removeHandler('fully-loaded-change', loadedHandler);
+                    assert.equal(outside, 0, 'no tile is loaded outside of the display rect');
+                    done();
+                }
+            });
+        });
+
+        viewer.open({
+            Image: {
+                xmlns: 'http://schemas.microsoft.com/deepzoom/2008',
+                Url: '/test/data/testpattern_files/',
+                Format: 'jpg',
+                Overlap: '1',
+                TileSize: '254',
+                Size: { Width: '1000', Height: '1000' },
+                DisplayRect: [
+                    { Rect: { X: 0, Y: 0, Width: 500, Height: 250, MinLevel: 0, MaxLevel: 10 } }
+                ]
+            }
+        });
+    });
+
 })();
@@ -148,4 +148,101 @@
         assertLevelScale(3, 1 / 64);
     });
 
+    QUnit.test('registry', function(assert) {
+        var TileSource = OpenSeadragon.TileSource;
+        var names = TileSource.getRegisteredTypes().map(function(entry) {
+            return entry.name;
+        });
+        assert.ok(names.indexOf('dzi') !== -1 && names.indexOf('iiif') !== -1, 'built-in types are registered');
+
+        var First = function() {};
+        var Second = function() {};
+        var sniffed = [];
+        TileSource.register('test-first', First, {
+            sniff: function(data) {
+                sniffed.push('first');
+                return data.type === 'test';
+            }
+        });
+        TileSource.register('test-second', Second, {
+            priority: 10,
+            sniff: function(data) {
+                sniffed.push('second');
+                return data.type === 'test';
+            }
+        });
+
+        var detected = TileSource.detect(null, { type: 'test' });
+        assert.equal(detected.type, Second, 'higher priority wins');
+        assert.equal(detected.name, 'test-second', 'name');
+        assert.deepEqual(detected.tried, ['test-second'], 'higher priority is tried first');
+        assert.equal(TileSource.determineType(null, { type: 'test' }), Second, 'determineType uses the registry');
+
+        TileSource.register('test-first', First, {
+            extensions: ['TST'],
+            sniff: function(data) {
+                return data.type === 'test';
+            }
+        });
+        assert.equal(TileSource.detect(null, { type: 'test' }, '/image.tst?v=1').type, First,
+            'extension matches are tried first');
+        assert.equal(TileSource.detect(null, { type: 'test' }).type, Second, 'registering again replaces');
+
+        assert.ok(TileSource.unregister('test-second'), 'unregister by name');
+        assert.notOk(TileSource.unregister('test-second'), 'nothing left to unregister');
+        assert.equal(TileSource.detect(null, { type: 'test' }).type, First, 'unregistered type is skipped');
+        assert.ok(TileSource.unregister(First), 'unregister by constructor');
+
+        detected = TileSource.detect(null, { type: 'test' });
+        assert.equal(detected.type, null, 'nothing sniffs the data');
+        assert.ok(detected.tried.indexOf('dzi') !== -1, 'tried lists the types');
+        assert.equal(detected.tried.indexOf('test-first'), -1, 'tried skips unregistered types');
+    });
+
+    QUnit.test('registry detects urls opened without fetching', function(assert) {
+        var TileSource = OpenSeadragon.TileSource;
+        var First = function() {};
+        var Second = function() {};
+
+        TileSource.register('test-fetched', First, {
+            extensions: ['tst']
+        });
+        assert.equal(TileSource.detectUrl('/image.tst'), null, 'types are fetched by default');
+
+        TileSource.register('test-first', First, {
+            extensions: ['tst'],
+            fetch: false
+        });
+        assert.deepEqual(TileSource.detectUrl('/image.TST?v=1#x'), { type: First, name: 'test-first' },
+            'found by extension');
+        assert.equal(TileSource.detectUrl('/image.dzi'), null, 'other extensions are fetched');
+        assert.equal(TileSource.detectUrl('/tst'), null, 'urls without an extension are fetched');
+
+        TileSource.register('test-second', Second, {
+            priority: 10,
+            extensions: ['tst'],
+            fetch: false
+        });
+        assert.equal(TileSource.detectUrl('/image.tst').type, Second, 'higher priority wins');
+
+        TileSource.unregister('test-second');
+        assert.equal(TileSource.detectUrl('/image.tst').type, First, 'unregistered type is skipped');
+        TileSource.unregister('test-first');
+        TileSource.unregister('test-fetched');
+        assert.equal(TileSource.detectUrl('/image.tst'), null, 'nothing left to detect');
+    });
+
+    QUnit.test('registry keeps unregistered namespace tile sources', function(assert) {
+        OpenSeadragon.TestPluginTileSource = function() {};
+        OpenSeadragon.TestPluginTileSource.prototype.supports = function(data) {
+            return data.type === 'test-plugin';
+        };
+
+        var detected = OpenSeadragon.TileSource.detect(null, { type: 'test-plugin' });
+        assert.equal(detected.type, OpenSeadragon.TestPluginTileSource, 'found by introspection');
+        assert.equal(detected.tried[detected.tried.length - 1], 'TestPluginTileSource', 'tried after registered types');
+
+        delete OpenSeadragon.TestPluginTileSource;
+    });
+
 }());
@@ -1394,4 +1394,80 @@
       viewer.open(DZI_PATH);
     });
 
+    // Jumps to bounds, then calls back once the jump is drawn.
+    function jumpTo(bounds, callback) {
+        viewer.addOnceHandler('animation-finish', callback);
+        viewer.viewport.fitBounds(bounds, true);
+    }
+
+    QUnit.test('animation descriptors', function(assert) {
+        var done = assert.async();
+        viewer.addOnceHandler('open', function() {
+            jumpTo(new OpenSeadragon.Rect(0, 0, 0.5, 0.5), start);
+        });
+        viewer.open(DZI_PATH);
+
+        function start() {
+            var viewport = viewer.viewport;
+            var bounds = new OpenSeadragon.Rect(0.25, 0.25, 0.25, 0.25);
+            var starts = 0;
+            var finishes = 0;
+            var startTime;
+            viewer.addHandler('animation-start', function() {
+                starts++;
+            });
+            viewer.addOnceHandler('animation-finish', function() {
+                finishes++;
+                assert.equal(starts, 1, 'one animation-start');
+                Util.assertRectangleEquals(assert, viewport.getBounds(true), viewport.getBounds(),
+                    EPSILON, 'at the target bounds');
+                assert.ok(OpenSeadragon.now() - startTime >= 300, 'animated for the duration');
+
+                viewer.addOnceHandler('animation-finish', function() {
+                    finishes++;
+                    assert.equal(starts, 2, 'each animation starts');
+                    assert.equal(finishes, 2, 'and finishes');
+                    assert.equal(viewport.getZoom(true), 2, 'zoomed');
+                    done();
+                });
+                viewport.zoomTo(2, null, { duration: 0.2, easing: 'ease-out' });
+            });
+
+            startTime = OpenSeadragon.now();
+            viewport.fitBounds(bounds, { duration: 0.3, easing: 'ease-in-out' });
+        }
+    });
+
+    QUnit.test('flyTo', function(assert) {
+        var done = assert.async();
+        viewer.addOnceHandler('open', function() {
+            jumpTo(new OpenSeadragon.Rect(0, 0, 0.01, 0.01), start);
+        });
+        viewer.open(DZI_PATH);
+
+        function start() {
+            var viewport = viewer.viewport;
+            var bounds = new OpenSeadragon.Rect(0.95, 0.95, 0.01, 0.01);
+            var startZoom = viewport.getZoom(true);
+            var minZoom = startZoom;
+            var starts = 0;
+
+            viewer.addHandler('animation-start', function() {
+                starts++;
+            });
+            viewer.addHandler('animation', function() {
+                minZoom = Math.min(minZoom, viewport.getZoom(true));
+            });
+            viewer.addOnceHandler('animation-finish', function() {
+                assert.equal(starts, 1, 'a single animation');
+                assert.ok(minZoom < startZoom / 10, 'zoomed out on the way');
+                Util.assertRectangleEquals(assert, viewport.getBounds(true), viewport.getBounds(),
+                    EPSILON, 'landed on the target bounds');
+                Util.assessNumericValue(assert, 0.955, viewport.getCenter(true).x, EPSILON, 'centered');
+                done();
+            });
+            viewport.fitBounds(bounds, { flyTo: true, duration: 0.5 });
+        }
+    });
+
 })();
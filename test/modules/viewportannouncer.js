@@ -0,0 +1,119 @@
+/* eslint-disable new-cap */
+/* global QUnit, $, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('ViewportAnnouncer', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+            testLog.reset();
+        },
+        afterEach: function() {
+            if (viewer && viewer.destroy) {
+                viewer.destroy();
+            }
+            viewer = null;
+        }
+    });
+
+    function createViewer(options) {
+        viewer = OpenSeadragon(OpenSeadragon.extend({
+            id: 'example',
+            prefixUrl: '/build/openseadragon/images/',
+            springStiffness: 100
+        }, options));
+        return viewer;
+    }
+
+    QUnit.test('ARIA roles and labels', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: ['/test/data/testpattern.dzi', '/test/data/testpattern.dzi'],
+            sequenceMode: true,
+            showNavigator: true
+        });
+        viewer.addOnceHandler('open', function() {
+            var canvas = viewer.canvas;
+            assert.equal(canvas.getAttribute('role'), 'application', 'canvas role');
+            assert.equal(canvas.getAttribute('aria-label'), OpenSeadragon.getString('Accessibility.Canvas'),
+                'canvas label');
+
+            assert.equal(viewer.buttonGroup.element.getAttribute('role'), 'group', 'controls role');
+            assert.equal(viewer.buttonGroup.element.getAttribute('aria-label'),
+                OpenSeadragon.getString('Accessibility.Controls'), 'controls label');
+            var zoomIn = viewer.buttonGroup.buttons[0].element;
+            assert.equal(zoomIn.getAttribute('role'), 'button', 'button role');
+            assert.equal(zoomIn.getAttribute('aria-label'), OpenSeadragon.getString('Tooltips.ZoomIn'),
+                'buttons are labeled by their tooltip');
+            assert.equal(viewer.previousButton.element.getAttribute('aria-disabled'), 'true',
+                'disabled buttons are marked as such');
+            assert.equal(viewer.nextButton.element.getAttribute('aria-disabled'), null,
+                'enabled buttons are not');
+
+            assert.equal(viewer.navigator.element.getAttribute('role'), 'img', 'navigator role');
+            assert.equal(viewer.navigator.element.getAttribute('aria-label'),
+                OpenSeadragon.getString('Accessibility.Navigator'), 'navigator label');
+            assert.notOk(viewer.navigator.announcer, 'the navigator announces nothing');
+            done();
+        });
+    });
+
+    QUnit.test('Announces the view when it settles', function(assert) {
+        var done = assert.async();
+        createViewer({
+            tileSources: ['/test/data/testpattern.dzi', '/test/data/testpattern.dzi'],
+            sequenceMode: true
+        });
+        var region = viewer.announcer.element;
+        assert.equal(region.getAttribute('aria-live'), 'polite', 'the live region is polite');
+        assert.equal(region.parentNode, viewer.container, 'the live region is in the container');
+
+        viewer.addOnceHandler('open', function() {
+            assert.equal(viewer.announcer.describe(), 'Zoom 100%. Showing the whole image. Page 1 of 2.',
+                'home view');
+
+            viewer.addOnceHandler('animation-finish', function() {
+                var text = region.textContent;
+                assert.ok(text.indexOf('Zoom 200%.') === 0, 'announces the zoom: ' + text);
+                assert.ok(text.indexOf(OpenSeadragon.getString('Accessibility.WholeImage')) === -1,
+                    'announces the visible region: ' + text);
+
+                viewer.viewport.setRotation(90, true);
+                viewer.viewport.setFlip(true);
+                assert.ok(/Rotated 90 degrees\. Flipped horizontally\.$/.test(viewer.announcer.describe()),
+                    'describes rotation and flip');
+                done();
+            });
+            viewer.viewport.zoomTo(viewer.viewport.getHomeZoom() * 2);
+        });
+    });
+
+    QUnit.test('Localization and destroy', function(assert) {
+        var done = assert.async();
+        var original = OpenSeadragon.getString('Accessibility.Zoom');
+        createViewer({
+            tileSources: '/test/data/testpattern.dzi'
+        });
+        viewer.addOnceHandler('open', function() {
+            OpenSeadragon.setString('Accessibility.Zoom', 'Agrandissement {0} %.');
+            var text = viewer.announcer.describe();
+            OpenSeadragon.setString('Accessibility.Zoom', original);
+            assert.ok(text.indexOf('Agrandissement 100 %.') === 0, 'uses the strings: ' + text);
+            assert.equal(text.indexOf('Page'), -1, 'no page outside of sequence mode');
+
+            var region = viewer.announcer.element;
+            viewer.destroy();
+            assert.equal(region.parentNode, null, 'destroy removes the live region');
+            viewer = null;
+            done();
+        });
+    });
+
+    QUnit.test('announceViewport: false', function(assert) {
+        createViewer({ announceViewport: false });
+        assert.notOk(viewer.announcer, 'no announcer');
+        assert.equal(viewer.container.querySelectorAll('[aria-live]').length, 0, 'no live region');
+    });
+
+})();
@@ -0,0 +1,165 @@
+/* global QUnit, $, Util, testLog */
+
+(function() {
+    var viewer;
+
+    QUnit.module('WebAnnotationCodec', {
+        beforeEach: function() {
+            $('<div id="example"></div>').appendTo("#qunit-fixture");
+
+            testLog.reset();
+
+            // eslint-disable-next-line new-cap
+            viewer = OpenSeadragon({
+                id: 'example',
+                prefixUrl: '/build/openseadragon/images/',
+                springStiffness: 100, // Faster animation = faster tests
+                annotations: true
+            });
+        },
+        afterEach: function() {
+            if (viewer && viewer.close) {
+                viewer.close();
+            }
+
+            viewer = null;
+        }
+    });
+
+    var SOURCE = 'http://example.org/iiif/testpattern';
+
+    var page = {
+        '@context': 'http://www.w3.org/ns/anno.jsonld',
+        type: 'AnnotationPage',
+        items: [{
+            id: 'http://example.org/annotations/1',
+            type: 'Annotation',
+            motivation: 'commenting',
+            body: {type: 'TextualBody', value: 'A region'},
+            target: {
+                source: SOURCE,
+                selector: {
+                    type: 'FragmentSelector',
+                    conformsTo: 'http://www.w3.org/TR/media-frags/',
+                    value: 'xywh=100,200,300,400'
+                }
+            }
+        }, {
+            id: 'http://example.org/annotations/2',
+            type: 'Annotation',
+            target: SOURCE + '#xywh=percent:0,0,50,50'
+        }, {
+            id: 'http://example.org/annotations/3',
+            type: 'Annotation',
+            motivation: 'tagging',
+            body: {type: 'TextualBody', value: 'A shape'},
+            target: {
+                source: SOURCE,
+                selector: {
+                    type: 'SvgSelector',
+                    value: '<svg xmlns="http://www.w3.org/2000/svg"><polygon points="10,10 500,10 500,600"/></svg>'
+                }
+            }
+        }, {
+            id: 'http://example.org/annotations/4',
+            type: 'Annotation',
+            target: {
+                source: SOURCE,
+                selector: {
+                    type: 'SvgSelector',
+                    value: '<svg xmlns="http://www.w3.org/2000/svg"><circle cx="50" cy="60" r="20"/></svg>'
+                }
+            }
+        }]
+    };
+
+    // ----------
+    QUnit.test('parse', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open', function() {
+            var codec = new OpenSeadragon.WebAnnotationCodec({viewer: viewer});
+            var image = viewer.world.getItemAt(0);
+            var results = codec.parse(JSON.stringify(page));
+
+            assert.equal(results.length, 4, 'all annotations are parsed');
+            results.forEach(function(result) {
+                assert.equal(result.item, image, 'the only image is the target');
+            });
+            Util.assertRectangleEquals(assert, results[0].rect,
+                new OpenSeadragon.Rect(100, 200, 300, 400), 0.000001, 'FragmentSelector');
+            Util.assertRectangleEquals(assert, results[1].rect,
+                new OpenSeadragon.Rect(0, 0, image.source.dimensions.x / 2, image.source.dimensions.y / 2),
+                0.000001, 'percent fragment in the target IRI');
+            assert.equal(results[2].shape.type, 'polygon', 'SvgSelector polygon');
+            assert.equal(results[2].shape.points.length, 3, 'polygon points');
+            assert.equal(results[3].shape.type, 'ellipse', 'a circle is an ellipse');
+            Util.assertRectangleEquals(assert, results[3].shape.getBounds(),
+                new OpenSeadragon.Rect(30, 40, 40, 40), 0.000001, 'circle bounds');
+            assert.equal(viewer.currentOverlays.length, 0, 'parse does not change the viewer');
+            assert.equal(viewer.annotations.getAnnotations().length, 0, 'parse does not add shapes');
+            done();
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+    // ----------
+    QUnit.test('read and write', function(assert) {
+        var done = assert.async();
+
+        viewer.addHandler('open', function() {
+            var codec = new OpenSeadragon.WebAnnotationCodec({viewer: viewer});
+            var image = viewer.world.getItemAt(0);
+            var results = codec.read(page);
+
+            assert.equal(viewer.currentOverlays.length, 2, 'fragments become overlays');
+            Util.assertRectangleEquals(assert, viewer.currentOverlays[0].getBounds(viewer.viewport),
+                image.imageToViewportRectangle(new OpenSeadragon.Rect(100, 200, 300, 400)), 0.000001,
+                'the overlay covers the region');
+            assert.equal(results[0].element.title, 'A region', 'the overlay is titled with the body');
+            assert.equal(viewer.annotations.getAnnotations().length, 2, 'SVG selectors become shapes');
+            assert.equal(viewer.annotations.getAnnotation('http://example.org/annotations/3').type, 'polygon',
+                'shapes keep the annotation id');
+
+            var written = codec.write();
+            assert.equal(written.type, 'AnnotationPage', 'write gives an AnnotationPage');
+            assert.equal(written.items.length, 4, 'all annotations are written');
+
+            var first = written.items[0];
+            assert.equal(first.id, 'http://example.org/annotations/1', 'id is kept');
+            assert.deepEqual(first.body, page.items[0].body, 'body is kept');
+            assert.equal(first.motivation, 'commenting', 'motivation is kept');
+            assert.equal(first.target.source, SOURCE, 'source is kept');
+            assert.equal(first.target.selector.value, 'xywh=pixel:100,200,300,400', 'fragment is written');
+            assert.equal(written.items[2].target.selector.type, 'SvgSelector', 'shapes are written as SVG');
+
+            var reparsed = codec.parse(written);
+            assert.deepEqual(reparsed[2].shape.toJSON().points, results[2].shape.toJSON().points,
+                'shapes round-trip');
+
+            viewer.annotations.addAnnotation({
+                type: 'rect',
+                points: [{x: 0, y: 0}, {x: 10, y: 20}]
+            });
+            var drawn = codec.write().items[4];
+            assert.equal(drawn.type, 'Annotation', 'new shapes are written as annotations');
+            assert.equal(drawn.target.selector.value,
+                '<svg xmlns="http://www.w3.org/2000/svg"><rect x="0" y="0" width="10" height="20"/></svg>',
+                'rect selector');
+
+            viewer.annotations.addAnnotation({
+                type: 'rect',
+                points: [{x: 0, y: 0}, {x: 10, y: 20}],
+                style: {stroke: 'url("#grad")', fill: '<&>'}
+            });
+            var styled = codec.parse(codec.write())[5];
+            assert.equal(styled.shape.style.stroke, 'url("#grad")', 'quotes in styles are escaped');
+            assert.equal(styled.shape.style.fill, '<&>', 'markup in styles is escaped');
+            done();
+        });
+
+        viewer.open('/test/data/testpattern.dzi');
+    });
+
+})();
@@ -0,0 +1,113 @@
+/* global QUnit, testLog */
+(function() {
+
+    var capabilities =
+        '<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1"' +
+        ' xmlns:xlink="http://www.w3.org/1999/xlink" version="1.0.0">' +
+        '<ows:OperationsMetadata><ows:Operation name="GetTile"><ows:DCP><ows:HTTP>' +
+        '<ows:Get xlink:href="http://example.com/wmts?"><ows:Constraint name="GetEncoding"><ows:AllowedValues>' +
+        '<ows:Value>KVP</ows:Value></ows:AllowedValues></ows:Constraint></ows:Get>' +
+        '</ows:HTTP></ows:DCP></ows:Operation></ows:OperationsMetadata>' +
+        '<Contents>' +
+        '<Layer><ows:Identifier>roads</ows:Identifier>' +
+        '<Style isDefault="true"><ows:Identifier>default</ows:Identifier></Style>' +
+        '<Format>image/png</Format>' +
+        '<TileMatrixSetLink><TileMatrixSet>grid</TileMatrixSet></TileMatrixSetLink></Layer>' +
+        '<Layer><ows:Identifier>aerial</ows:Identifier>' +
+        '<Style><ows:Identifier>natural</ows:Identifier></Style>' +
+        '<Format>image/jpeg</Format>' +
+        '<TileMatrixSetLink><TileMatrixSet>grid</TileMatrixSet></TileMatrixSetLink>' +
+        '<ResourceURL format="image/jpeg" resourceType="tile"' +
+        ' template="http://example.com/{TileMatrixSet}/{Style}/{TileMatrix}/{TileRow}/{TileCol}.jpg"/></Layer>' +
+        '<TileMatrixSet><ows:Identifier>grid</ows:Identifier>' +
+        '<TileMatrix><ows:Identifier>grid:0</ows:Identifier><TileWidth>256</TileWidth><TileHeight>256</TileHeight>' +
+        '<MatrixWidth>2</MatrixWidth><MatrixHeight>1</MatrixHeight></TileMatrix>' +
+        '<TileMatrix><ows:Identifier>grid:1</ows:Identifier><TileWidth>256</TileWidth><TileHeight>256</TileHeight>' +
+        '<MatrixWidth>4</MatrixWidth><MatrixHeight>2</MatrixHeight></TileMatrix>' +
+        '</TileMatrixSet></Contents></Capabilities>';
+
+    QUnit.module('XyzTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    QUnit.test('levels', function(assert) {
+        var source = new OpenSeadragon.XyzTileSource({
+            template: 'http://example.com/{z}/{x}/{y}.png',
+            minZoom: 1,
+            maxZoom: 4
+        });
+
+        assert.equal(source.minLevel, 9, 'minLevel is offset by the tile size');
+        assert.equal(source.maxLevel, 12, 'maxLevel is offset by the tile size');
+        assert.equal(source.dimensions.x, 4096, 'width covers the tiles of maxZoom');
+        assert.equal(source.getNumTiles(9).x, 2, 'two tiles across at zoom 1');
+        assert.equal(source.getNumTiles(12).y, 16, 'sixteen tiles down at zoom 4');
+    });
+
+    QUnit.test('getTileUrl', function(assert) {
+        var source = new OpenSeadragon.XyzTileSource({
+            template: 'http://{s}.example.com/{z}/{x}/{y}/{-y}/{q}.png',
+            subdomains: ['one', 'two'],
+            maxZoom: 3
+        });
+
+        assert.equal(source.getTileUrl(8, 0, 0), 'http://one.example.com/0/0/0/0/.png', 'zoom 0');
+        assert.equal(source.getTileUrl(11, 3, 5), 'http://one.example.com/3/3/5/2/213.png', 'zoom 3');
+        assert.equal(source.getTileUrl(10, 1, 0), 'http://two.example.com/2/1/0/3/01.png', 'zoom 2');
+
+        source = new OpenSeadragon.XyzTileSource({
+            template: 'http://{s}.example.com/{z}/{x}/{y}.png',
+            tileSize: 512
+        });
+        assert.equal(source.minLevel, 9, '512 pixel tiles');
+        assert.equal(source.getTileUrl(10, 1, 1), 'http://c.example.com/1/1/1.png', 'default subdomains');
+    });
+
+    QUnit.test('supports', function(assert) {
+        var proto = OpenSeadragon.XyzTileSource.prototype;
+
+        assert.ok(proto.supports({ type: 'xyz', template: '{z}/{x}/{y}' }), 'xyz options');
+        assert.ok(proto.supports({ type: 'wmts', capabilities: capabilities }), 'wmts options');
+        assert.ok(proto.supports(OpenSeadragon.parseXml(capabilities)), 'capabilities document');
+        assert.notOk(proto.supports({ type: 'image', url: 'a.png' }), 'other options');
+        assert.notOk(proto.supports(OpenSeadragon.parseXml('<Image TileSize="254"/>')), 'other document');
+    });
+
+    QUnit.test('parseCapabilities with KVP', function(assert) {
+        var options = OpenSeadragon.XyzTileSource.parseCapabilities(capabilities);
+
+        assert.deepEqual(options.matrixIds, ['grid:0', 'grid:1'], 'matrixIds');
+        assert.equal(options.maxZoom, 1, 'maxZoom');
+        assert.equal(options.width, 1024, 'width');
+        assert.equal(options.height, 512, 'height');
+
+        var source = new OpenSeadragon.XyzTileSource(options);
+        assert.equal(source.getTileUrl(9, 3, 1),
+            'http://example.com/wmts?SERVICE=WMTS&REQUEST=GetTile&VERSION=1.0.0&LAYER=roads&STYLE=default' +
+            '&FORMAT=image%2Fpng&TILEMATRIXSET=grid&TILEMATRIX=grid:1&TILEROW=1&TILECOL=3', 'GetTile URL');
+    });
+
+    QUnit.test('parseCapabilities with a resource URL', function(assert) {
+        var options = OpenSeadragon.XyzTileSource.prototype.configure({
+            type: 'wmts',
+            capabilities: capabilities,
+            layer: 'aerial'
+        });
+        var source = new OpenSeadragon.XyzTileSource(options);
+
+        assert.equal(source.getTileUrl(8, 1, 0), 'http://example.com/grid/natural/grid:0/0/1.jpg', 'REST URL');
+        assert.throws(function() {
+            OpenSeadragon.XyzTileSource.parseCapabilities(capabilities, { layer: 'missing' });
+        }, function(e) {
+            return e.message === OpenSeadragon.getString('Errors.WmtsLayer', 'missing');
+        }, 'missing layer throws');
+        assert.throws(function() {
+            OpenSeadragon.XyzTileSource.parseCapabilities('<Capabilities/>');
+        }, function(e) {
+            return e.message === OpenSeadragon.getString('Errors.Wmts');
+        }, 'other documents throw');
+    });
+
+})();
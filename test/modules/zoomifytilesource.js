@@ -0,0 +1,74 @@
+/* global QUnit, testLog */
+
+(function() {
+
+    var url = '/test/data/zoomify/ImageProperties.xml';
+
+    function parse(xml) {
+        return OpenSeadragon.parseXml(xml);
+    }
+
+    QUnit.module('ZoomifyTileSource', {
+        beforeEach: function() {
+            testLog.reset();
+        }
+    });
+
+    QUnit.test('supports', function(assert) {
+        var proto = OpenSeadragon.ZoomifyTileSource.prototype;
+        assert.ok(proto.supports({ type: 'zoomifytileservice' }), 'options object');
+        assert.ok(proto.supports(parse('<IMAGE_PROPERTIES WIDTH="1000" HEIGHT="1000" />')), 'ImageProperties.xml');
+        assert.notOk(proto.supports(parse('<Image TileSize="254" />')), 'other xml');
+    });
+
+    QUnit.test('configure from ImageProperties.xml', function(assert) {
+        var options = OpenSeadragon.ZoomifyTileSource.prototype.configure(
+            parse('<IMAGE_PROPERTIES WIDTH="1000" HEIGHT="800" NUMTILES="21" NUMIMAGES="1" VERSION="1.8" TILESIZE="256" />'),
+            url);
+
+        assert.equal(options.width, 1000, 'width');
+        assert.equal(options.height, 800, 'height');
+        assert.equal(options.tileSize, 256, 'tileSize');
+        assert.equal(options.numTiles, 21, 'numTiles');
+        assert.equal(options.tilesUrl, '/test/data/zoomify/', 'tiles are next to ImageProperties.xml');
+
+        var source = new OpenSeadragon.ZoomifyTileSource(options);
+        assert.equal(source.getTileUrl(2, 3, 3), '/test/data/zoomify/TileGroup0/2-3-3.jpg', 'tile url');
+    });
+
+    QUnit.test('configure errors', function(assert) {
+        var proto = OpenSeadragon.ZoomifyTileSource.prototype;
+
+        assert.throws(function() {
+            proto.configure(parse('<IMAGE_PROPERTIES WIDTH="1000" />'), url);
+        }, 'missing attributes');
+        assert.throws(function() {
+            proto.configure(parse('<IMAGE_PROPERTIES WIDTH="1000" HEIGHT="1000" NUMTILES="21" NUMIMAGES="2" />'), url);
+        }, 'several images');
+    });
+
+    QUnit.test('NUMTILES mismatch', function(assert) {
+        var options = OpenSeadragon.ZoomifyTileSource.prototype.configure(
+            parse('<IMAGE_PROPERTIES WIDTH="1000" HEIGHT="1000" NUMTILES="20" NUMIMAGES="1" TILESIZE="256" />'),
+            url);
+
+        assert.throws(function() {
+            return new OpenSeadragon.ZoomifyTileSource(options);
+        }, /20 tiles, but its size requires 21/, 'wrong tile count throws');
+    });
+
+    QUnit.test('open from the url', function(assert) {
+        var done = assert.async();
+        var source = new OpenSeadragon.TileSource({ url: url });
+        source.addHandler('ready', function(event) {
+            assert.ok(event.tileSource instanceof OpenSeadragon.ZoomifyTileSource, 'opened from the url');
+            assert.equal(event.tileSource.dimensions.x, 1000, 'width');
+            done();
+        });
+        source.addHandler('open-failed', function(event) {
+            assert.ok(false, 'open failed: ' + event.message);
+            done();
+        });
+    });
+
+}());